@@ -105,7 +105,8 @@ export function createAgent(config) {
         temperature: options.temperature || temperature,
         json,
         traceId,
-        operation: `agent:${name}`,
+        // Loop passes are recorded separately so each iteration's spend is visible
+        operation: options.iteration ? `agent:${name}:iteration-${options.iteration}` : `agent:${name}`,
       });
 
       // Parse output
@@ -142,7 +143,7 @@ export function createAgent(config) {
         ? systemPrompt(inputs)
         : (systemPrompt || '');
 
-      const inputTokens = estimateTokens(prompt + system);
+      const inputTokens = estimateTokens(prompt + system, model);
       const outputTokens = 500; // Assume ~500 tokens output
 
       return estimateCost(model, inputTokens, outputTokens);
@@ -44,6 +44,7 @@ Return only valid JSON.`,
       cta,
       constraints,
       research,
+      feedback,
     } = inputs;
 
     const formatInstructions = {
@@ -75,7 +76,10 @@ ${research ? JSON.stringify(research, null, 2) : 'None provided'}
 
 **FORMAT INSTRUCTIONS:**
 ${formatInstructions[format] || 'Generate appropriate copy for the specified format.'}
-
+${feedback ? `
+**EDITORIAL FEEDBACK TO ADDRESS:**
+${typeof feedback === 'string' ? feedback : JSON.stringify(feedback, null, 2)}
+` : ''}
 Return JSON with the copy. Structure depends on format:
 - headline: { "headlines": ["option 1", "option 2", ...] }
 - hero: { "headline": "...", "subheadline": "...", "cta": "..." }
@@ -0,0 +1,441 @@
+/**
+ * Classification Feedback - Learn from human corrections
+ *
+ * Every hub classification is recorded with an ID. When a person
+ * reclassifies an email (or deletes a task triage created from it), the
+ * correction is stored with the sender and subject features. Corrections
+ * feed back into the classifier as few-shot examples and drive the
+ * accuracy report.
+ *
+ * Stored as an append-only log in memory/classification_feedback.jsonl,
+ * one event per line:
+ * - decision: a classification (the newest MAX_DECISIONS are kept)
+ * - correction: a human override (the newest MAX_CORRECTIONS are kept)
+ * - snapshot: the whole state, written when the log is compacted
+ * Daily classified/corrected counts are derived while replaying the log.
+ *
+ * @module core/classification-feedback
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+import { ValidationError, NotFoundError } from '../lib/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const logger = createLogger({ module: 'classification-feedback' });
+
+const DEFAULT_PATH = join(__dirname, '..', 'memory', 'classification_feedback.jsonl');
+/** Whole-file JSON store used before the log; imported once on first load */
+const LEGACY_PATH = join(__dirname, '..', 'memory', 'classification_feedback.json');
+
+const MAX_DECISIONS = 1000;
+const MAX_CORRECTIONS = 500;
+const MAX_DAYS = 180;
+
+/** Replayed lines beyond the kept state before the log is compacted on load */
+const COMPACT_SLACK = MAX_DECISIONS + MAX_CORRECTIONS;
+
+/** Category assumed when a triage-created task is deleted without one */
+const TASK_DELETED_CATEGORY = 'FYI';
+
+/** Finds the classification ID in the notes footer of a triage-created Asana task */
+const NOTES_CLASSIFICATION_ID = /^\s*classificationId: (cls-[a-z0-9]+)\s*$/m;
+
+let store = null;
+let storePath = null;
+let appendQueue = Promise.resolve();
+
+function getPath() {
+  return process.env.CLASSIFICATION_FEEDBACK_PATH || DEFAULT_PATH;
+}
+
+function emptyStore() {
+  return { decisions: [], corrections: [], daily: {} };
+}
+
+function today(iso = new Date().toISOString()) {
+  return iso.slice(0, 10);
+}
+
+function dayStats(data, day) {
+  data.daily[day] = data.daily[day] || { classified: 0, corrected: 0 };
+  return data.daily[day];
+}
+
+/**
+ * Apply one log event to the in-memory state
+ * @private
+ */
+function apply(data, event) {
+  const { type, ...record } = event;
+  switch (type) {
+    case 'snapshot':
+      Object.assign(data, emptyStore(), record);
+      break;
+    case 'decision':
+      data.decisions.push(record);
+      if (data.decisions.length > MAX_DECISIONS) data.decisions.shift();
+      dayStats(data, today(record.at)).classified++;
+      break;
+    case 'correction':
+      data.corrections.push(record);
+      if (data.corrections.length > MAX_CORRECTIONS) data.corrections.shift();
+      // Count against the day the mistake was made so daily accuracy is comparable
+      dayStats(data, today(record.classifiedAt)).corrected++;
+      break;
+    default:
+      logger.warn('Skipping unknown classification feedback event', { type });
+  }
+}
+
+function pruneDays(data) {
+  const days = Object.keys(data.daily).sort();
+  for (const day of days.slice(0, Math.max(0, days.length - MAX_DAYS))) {
+    delete data.daily[day];
+  }
+}
+
+/**
+ * Replace the log with a single snapshot of the current state
+ * @private
+ */
+function compact(path, data) {
+  mkdirSync(dirname(path), { recursive: true });
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ type: 'snapshot', ...data }) + '\n');
+  renameSync(tmp, path);
+}
+
+/**
+ * Load the feedback store by replaying the log (cached per path)
+ * @returns {Object}
+ */
+function load() {
+  const path = getPath();
+  if (store && storePath === path) {
+    return store;
+  }
+
+  store = emptyStore();
+  storePath = path;
+
+  if (!existsSync(path)) {
+    if (path === DEFAULT_PATH && existsSync(LEGACY_PATH)) {
+      try {
+        const { decisions = [], corrections = [], daily = {} } = JSON.parse(readFileSync(LEGACY_PATH, 'utf8'));
+        store = { decisions, corrections, daily };
+        compact(path, store);
+        logger.info('Imported legacy classification feedback', { from: LEGACY_PATH });
+      } catch (error) {
+        logger.warn('Failed to import legacy classification feedback', { error: error.message });
+      }
+    }
+    return store;
+  }
+
+  let lines = 0;
+  for (const line of readFileSync(path, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      apply(store, JSON.parse(line));
+    } catch (error) {
+      // A crash mid-append can leave a partial last line
+      logger.warn('Skipping unreadable classification feedback line', { error: error.message });
+    }
+  }
+  pruneDays(store);
+
+  if (lines > store.decisions.length + store.corrections.length + COMPACT_SLACK) {
+    try {
+      compact(path, store);
+    } catch (error) {
+      logger.warn('Failed to compact classification feedback', { error: error.message });
+    }
+  }
+
+  return store;
+}
+
+/**
+ * Apply an event and append it to the log. Appends are queued so they
+ * land in order; a failed append is logged and the in-memory state kept.
+ * @private
+ */
+function record(event) {
+  const data = load();
+  const path = storePath;
+  apply(data, event);
+
+  appendQueue = appendQueue
+    .then(async () => {
+      mkdirSync(dirname(path), { recursive: true });
+      await appendFile(path, JSON.stringify(event) + '\n');
+    })
+    .catch(error => {
+      logger.error('Failed to append classification feedback', { type: event.type, error: error.message });
+    });
+}
+
+/**
+ * Wait for queued log appends to reach disk
+ * @returns {Promise<void>}
+ */
+export function flushFeedback() {
+  return appendQueue;
+}
+
+/**
+ * Sender and subject features used to match corrections to new emails
+ * @param {Object} content - { sender, subject }
+ * @returns {{sender: string, senderDomain: string, subject: string, subjectPattern: string}}
+ */
+export function extractFeatures(content = {}) {
+  const sender = String(content.sender || '').trim();
+  const address = sender.match(/<([^>]+)>/)?.[1] || sender;
+  const subject = String(content.subject || '').trim();
+
+  return {
+    sender: address.toLowerCase(),
+    senderDomain: address.toLowerCase().split('@')[1] || '',
+    subject,
+    // Recurring mail differs only in numbers and dates ("Weekly deals #41")
+    subjectPattern: subject.toLowerCase().replace(/#?\d+/g, '#').replace(/\s+/g, ' ')
+  };
+}
+
+/**
+ * Record a classification so it can be corrected later
+ * @param {Object} content - Classified content { subject, sender }
+ * @param {Object} result - Hub classification
+ * @returns {string} Classification ID
+ */
+export function recordClassification(content, result) {
+  const id = `cls-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const { sender, senderDomain, subject } = extractFeatures(content);
+
+  record({
+    type: 'decision',
+    id,
+    at: new Date().toISOString(),
+    category: result.category,
+    source: result.ruleId ? 'rule' : /^Fallback/.test(result.reasoning || '') ? 'fallback' : 'llm',
+    ...(result.ruleId && { ruleId: result.ruleId }),
+    sender,
+    senderDomain,
+    subject
+  });
+
+  return id;
+}
+
+/**
+ * Record a human correction
+ *
+ * @param {Object} override
+ * @param {string} [override.classificationId] - ID from the original classification
+ * @param {string} [override.originalCategory] - Required without classificationId
+ * @param {string} [override.correctedCategory] - Required unless taskDeleted
+ * @param {boolean} [override.taskDeleted] - The triage-created task was deleted
+ * @param {string} [override.sender]
+ * @param {string} [override.subject]
+ * @param {string} [override.reason]
+ * @param {string[]} [categories] - Valid category names
+ * @returns {Object} Stored correction
+ */
+export function recordOverride(override = {}, categories = []) {
+  const data = load();
+
+  let decision = null;
+  if (override.classificationId) {
+    decision = data.decisions.find(d => d.id === override.classificationId);
+    if (!decision) {
+      throw new NotFoundError('Classification', override.classificationId);
+    }
+  }
+
+  const originalCategory = (override.originalCategory || decision?.category || '').toUpperCase();
+  const correctedCategory = (override.correctedCategory ||
+    (override.taskDeleted ? TASK_DELETED_CATEGORY : '')).toUpperCase();
+
+  const fields = {};
+  if (!originalCategory) fields.originalCategory = 'required without classificationId';
+  if (!correctedCategory) fields.correctedCategory = 'required';
+  for (const [key, value] of Object.entries({ originalCategory, correctedCategory })) {
+    if (value && categories.length > 0 && !categories.includes(value)) {
+      fields[key] = `must be one of ${categories.join(', ')}`;
+    }
+  }
+  if (!fields.correctedCategory && correctedCategory === originalCategory) {
+    fields.correctedCategory = 'same as original category';
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError('Invalid classification override', fields);
+  }
+
+  const features = extractFeatures({
+    sender: override.sender ?? decision?.sender,
+    subject: override.subject ?? decision?.subject
+  });
+
+  const classifiedAt = decision?.at || new Date().toISOString();
+  const correction = {
+    id: `corr-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    at: new Date().toISOString(),
+    classificationId: decision?.id || null,
+    classifiedAt,
+    originalCategory,
+    correctedCategory,
+    source: override.taskDeleted ? 'task_deleted' : 'override',
+    ...features,
+    reason: override.reason || null
+  };
+
+  record({ type: 'correction', ...correction });
+
+  logger.info('Classification corrected', {
+    classificationId: correction.classificationId,
+    from: originalCategory,
+    to: correctedCategory,
+    senderDomain: features.senderDomain
+  });
+
+  return correction;
+}
+
+/**
+ * Record the deletion of a task triage created as a correction to FYI.
+ * Tasks without a classification ID, or whose classification has aged
+ * out of the store or was already FYI, carry no signal and are ignored.
+ *
+ * @param {Object} task - Deleted task; the ID is read from
+ *   `metadata.classificationId` or the Asana notes footer
+ * @param {string[]} [categories] - Valid category names
+ * @returns {Object|null} Stored correction
+ */
+export function recordTaskDeletion(task = {}, categories = []) {
+  const classificationId = task.metadata?.classificationId ||
+    String(task.notes || '').match(NOTES_CLASSIFICATION_ID)?.[1];
+  if (!classificationId) {
+    return null;
+  }
+
+  const decision = load().decisions.find(d => d.id === classificationId);
+  if (!decision || decision.category === TASK_DELETED_CATEGORY) {
+    logger.debug('Deleted task carries no classification signal', { classificationId, taskId: task.id });
+    return null;
+  }
+
+  return recordOverride({ classificationId, taskDeleted: true, reason: 'Task deleted' }, categories);
+}
+
+/**
+ * List corrections, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.senderDomain]
+ * @param {number} [filters.limit=50]
+ * @returns {Object[]}
+ */
+export function getCorrections(filters = {}) {
+  let corrections = [...load().corrections].reverse();
+  if (filters.senderDomain) {
+    corrections = corrections.filter(c => c.senderDomain === filters.senderDomain.toLowerCase());
+  }
+  return corrections.slice(0, filters.limit || 50);
+}
+
+/**
+ * Pick corrections most relevant to an email for few-shot prompting:
+ * same sender, then same domain, then same subject pattern, then most recent
+ *
+ * @param {Object} content - { sender, subject }
+ * @param {number} [limit=5]
+ * @returns {Object[]}
+ */
+export function getFewShotExamples(content, limit = 5) {
+  const features = extractFeatures(content);
+  const score = (c) =>
+    (features.sender && c.sender === features.sender ? 4 : 0) +
+    (features.senderDomain && c.senderDomain === features.senderDomain ? 2 : 0) +
+    (features.subjectPattern && c.subjectPattern === features.subjectPattern ? 1 : 0);
+
+  const seen = new Set();
+  return [...load().corrections]
+    .reverse()
+    .map(c => ({ c, s: score(c) }))
+    .sort((a, b) => b.s - a.s)
+    .map(({ c }) => c)
+    .filter(c => {
+      // One example per sender domain + subject pattern is enough
+      const key = `${c.senderDomain}|${c.subjectPattern}|${c.correctedCategory}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Classifier accuracy over time (1 - corrected / classified)
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @returns {Object}
+ */
+export function getAccuracyReport(options = {}) {
+  const { days = 30 } = options;
+  const data = load();
+  const since = today(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString());
+
+  const accuracy = (classified, corrected) =>
+    classified > 0 ? Math.round(Math.max(0, 1 - corrected / classified) * 1000) / 1000 : null;
+
+  const daily = Object.entries(data.daily)
+    .filter(([day]) => day >= since)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, { classified, corrected }]) => ({
+      date,
+      classified,
+      corrected,
+      accuracy: accuracy(classified, corrected)
+    }));
+
+  const classified = daily.reduce((sum, d) => sum + d.classified, 0);
+  const corrected = daily.reduce((sum, d) => sum + d.corrected, 0);
+
+  const confusions = {};
+  for (const c of data.corrections.filter(c => today(c.classifiedAt) >= since)) {
+    const key = `${c.originalCategory}->${c.correctedCategory}`;
+    confusions[key] = (confusions[key] || 0) + 1;
+  }
+
+  return {
+    days,
+    classified,
+    corrected,
+    accuracy: accuracy(classified, corrected),
+    daily,
+    topConfusions: Object.entries(confusions)
+      .map(([key, count]) => {
+        const [from, to] = key.split('->');
+        return { from, to, count };
+      })
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10)
+  };
+}
+
+export default {
+  extractFeatures,
+  recordClassification,
+  recordOverride,
+  recordTaskDeletion,
+  flushFeedback,
+  getCorrections,
+  getFewShotExamples,
+  getAccuracyReport
+};
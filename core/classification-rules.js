@@ -0,0 +1,247 @@
+/**
+ * Classification Rules - Deterministic email triage before the LLM
+ *
+ * Rules are evaluated in order and the first match decides the category,
+ * so known senders never reach the model. Two sources:
+ * - config/classification-rules.json: user-editable rules (reloaded on change)
+ * - config/portfolio.json: per business unit `classification` block
+ *   ({ senderDomains, keywords, category }) expanded into bu:<id>:* rules,
+ *   recompiled only when the portfolio config is reloaded or saved
+ *
+ * A rule's `match` conditions are ANDed; list values match on any entry:
+ *   senderDomain: "partner.com" | [...]   sender's domain or a subdomain of it
+ *   sender / subject / body: "regex"       case-insensitive
+ *   keywords: [...]                        any keyword in subject or body
+ *
+ * @module core/classification-rules
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+import { ValidationError } from '../lib/errors.js';
+import { getConfigVersion, getBusinessUnits } from './portfolio-manager.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const logger = createLogger({ module: 'classification-rules' });
+
+const DEFAULT_RULES_PATH = join(__dirname, '..', 'config', 'classification-rules.json');
+
+const MATCH_KEYS = ['senderDomain', 'sender', 'subject', 'body', 'keywords'];
+
+/**
+ * @typedef {Object} ClassificationRule
+ * @property {string} id - Unique rule ID, logged on every hit
+ * @property {string} [description]
+ * @property {boolean} [enabled=true]
+ * @property {Object} match - Conditions (see module docs)
+ * @property {string} category - Hub category, e.g. URGENT_CLIENT
+ * @property {number} [confidence=1]
+ * @property {string} [priority] - Override the category's default priority
+ * @property {string} [businessUnitId] - Business unit the email belongs to
+ */
+
+let cache = { path: null, mtimeMs: 0, rules: [] };
+
+// Compiled business unit rules for the portfolio config version they came from
+let unitCache = { version: null, rules: [] };
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function senderDomain(sender) {
+  const match = String(sender || '').toLowerCase().match(/@([^>\s]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Validate a rule and precompile its patterns
+ * @param {ClassificationRule} rule
+ * @returns {ClassificationRule & {test: function(Object): boolean}}
+ * @throws {ValidationError} When the rule is malformed
+ */
+export function compileRule(rule) {
+  const fields = {};
+  if (!rule?.id) fields.id = 'required';
+  if (!rule?.category) fields.category = 'required';
+
+  const match = rule?.match || {};
+  const keys = Object.keys(match);
+  if (keys.length === 0) fields.match = 'at least one condition required';
+  for (const key of keys) {
+    if (!MATCH_KEYS.includes(key)) fields[`match.${key}`] = `unknown condition (use ${MATCH_KEYS.join(', ')})`;
+  }
+
+  const patterns = {};
+  for (const key of ['sender', 'subject', 'body']) {
+    if (match[key] === undefined) continue;
+    try {
+      patterns[key] = new RegExp(match[key], 'i');
+    } catch (error) {
+      fields[`match.${key}`] = error.message;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(`Invalid classification rule: ${rule?.id || '(no id)'}`, fields);
+  }
+
+  const domains = toList(match.senderDomain).map(d => String(d).toLowerCase().replace(/^@/, ''));
+  const keywords = toList(match.keywords).map(k => String(k).toLowerCase()).filter(Boolean);
+
+  return {
+    ...rule,
+    category: rule.category.toUpperCase(),
+    confidence: rule.confidence ?? 1,
+    test(content) {
+      const sender = content.sender || '';
+      const subject = content.subject || '';
+      const body = content.body || '';
+
+      if (domains.length > 0) {
+        const domain = senderDomain(sender);
+        if (!domains.some(d => domain === d || domain.endsWith(`.${d}`))) return false;
+      }
+      if (patterns.sender && !patterns.sender.test(sender)) return false;
+      if (patterns.subject && !patterns.subject.test(subject)) return false;
+      if (patterns.body && !patterns.body.test(body)) return false;
+      if (keywords.length > 0) {
+        const text = `${subject} ${body}`.toLowerCase();
+        if (!keywords.some(k => text.includes(k))) return false;
+      }
+      return true;
+    }
+  };
+}
+
+/**
+ * Expand business unit `classification` blocks into rules
+ * @param {Array<Object>} units - Business units from portfolio config
+ * @returns {ClassificationRule[]}
+ */
+export function buildBusinessUnitRules(units) {
+  const rules = [];
+
+  for (const unit of units) {
+    const { senderDomains, keywords, category = 'ACTION_REQUIRED' } = unit.classification || {};
+
+    if (senderDomains?.length) {
+      rules.push({
+        id: `bu:${unit.id}:domain`,
+        description: `${unit.name} sender domain`,
+        match: { senderDomain: senderDomains },
+        category,
+        businessUnitId: unit.id
+      });
+    }
+
+    if (keywords?.length) {
+      rules.push({
+        id: `bu:${unit.id}:keywords`,
+        description: `${unit.name} keywords`,
+        match: { keywords },
+        category,
+        confidence: 0.8,
+        businessUnitId: unit.id
+      });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Read user rules from disk, reusing the compiled set until the file changes
+ * @param {string} path
+ * @returns {ClassificationRule[]}
+ */
+function loadFileRules(path) {
+  if (!existsSync(path)) {
+    return [];
+  }
+
+  const { mtimeMs } = statSync(path);
+  if (cache.path === path && cache.mtimeMs === mtimeMs) {
+    return cache.rules;
+  }
+
+  let rules = [];
+  try {
+    rules = JSON.parse(readFileSync(path, 'utf8')).rules || [];
+  } catch (error) {
+    logger.error('Failed to load classification rules', { path, error: error.message });
+  }
+
+  cache = { path, mtimeMs, rules: compileAll(rules) };
+  logger.info('Classification rules loaded', { path, count: cache.rules.length });
+  return cache.rules;
+}
+
+/**
+ * Compile enabled rules, skipping (and logging) invalid ones so one typo
+ * does not disable the whole rule set
+ */
+function compileAll(rules) {
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      logger.warn('Skipping invalid classification rule', { ruleId: rule.id, fields: error.details?.fields });
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Load all active rules: user rules first, then business unit rules
+ * @param {Object} [options]
+ * @param {string} [options.path] - Rules file (CLASSIFICATION_RULES_PATH or config/classification-rules.json)
+ * @returns {ClassificationRule[]}
+ */
+export function loadRules(options = {}) {
+  const path = options.path || process.env.CLASSIFICATION_RULES_PATH || DEFAULT_RULES_PATH;
+
+  return [...loadFileRules(path), ...loadBusinessUnitRules()];
+}
+
+/**
+ * Compiled business unit rules, rebuilt when the portfolio config is
+ * reloaded or saved
+ * @returns {ClassificationRule[]}
+ */
+function loadBusinessUnitRules() {
+  try {
+    const version = getConfigVersion();
+    if (unitCache.version !== version) {
+      unitCache = { version, rules: compileAll(buildBusinessUnitRules(getBusinessUnits())) };
+    }
+    return unitCache.rules;
+  } catch (error) {
+    logger.warn('Business unit rules unavailable', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Find the first rule matching the content
+ * @param {Object} content - { subject, body, sender }
+ * @param {ClassificationRule[]} [rules] - Defaults to loadRules()
+ * @returns {ClassificationRule|null}
+ */
+export function matchRule(content, rules = loadRules()) {
+  return rules.find(rule => rule.test(content || {})) || null;
+}
+
+export default {
+  compileRule,
+  buildBusinessUnitRules,
+  loadRules,
+  matchRule
+};
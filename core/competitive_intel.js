@@ -12,8 +12,11 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { createHash } from 'crypto';
 import { createLogger } from '../lib/logger.js';
-import { ExternalServiceError, ValidationError, withRetry } from '../lib/errors.js';
+import { createCache } from '../lib/cache.js';
+import { ExternalServiceError, ValidationError } from '../lib/errors.js';
+import { queryLLMWithRetry, isModelConfigured } from '../lib/llm-client.js';
 import councilContext from '../lib/council-context.js';
 import {
   getCitationPromptRequirements,
@@ -22,6 +25,7 @@ import {
   createCitationTrace,
   CITATION_TYPES
 } from '../lib/citations.js';
+import { tracedFetch } from '../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,9 +34,6 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 
 const logger = createLogger({ module: 'competitive-intel' });
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
-
 const OUTPUT_DIR = join(__dirname, '..', 'memory', 'battlecards');
 const CLIENTS_DIR = join(__dirname, '..', 'clients');
 const PORTFOLIO_PATH = join(__dirname, '..', 'config', 'portfolio.json');
@@ -42,6 +43,16 @@ const LIBRARIAN_MODEL = 'openai/gpt-4o';  // Best for web research synthesis
 const AUDITOR_MODEL = 'anthropic/claude-3.5-sonnet';  // Best for constraint analysis
 const ARCHITECT_MODEL = 'anthropic/claude-3.5-sonnet';  // Best for strategy
 
+// Librarian research is the slowest, priciest and least volatile stage of a
+// battlecard, so it is kept on disk (CACHE_DIR/competitive-research) for a day
+const RESEARCH_TTL_MS = 24 * 60 * 60 * 1000;
+const researchCache = createCache({
+  namespace: 'competitive-research',
+  persistent: true,
+  defaultTTL: RESEARCH_TTL_MS,
+  maxSize: 200
+});
+
 // Depth configurations
 const DEPTH_CONFIG = {
   quick: { competitors: 3, keywords: 5, targets: 0, contentWeeks: 0 },
@@ -57,38 +68,23 @@ function generateTraceId() {
 }
 
 /**
- * Query model via OpenRouter
+ * Query model through the shared LLM client (JSON response)
  */
 async function queryModel(model, messages, options = {}) {
-  const { temperature = 0.7 } = options;
-
-  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://superchase.app',
-      'X-Title': 'SuperChase Competitive Intel'
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      temperature,
-      response_format: { type: 'json_object' }
-    })
-  });
+  const { temperature = 0.7, traceId, operation = 'competitive-intel' } = options;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new ExternalServiceError('OpenRouter', `${model} query failed: ${response.status} - ${errorText}`);
-  }
+  const result = await queryLLMWithRetry({
+    model,
+    messages,
+    temperature,
+    json: true,
+    traceId,
+    operation
+  });
 
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || '';
+  return result.content;
 }
 
-const queryModelWithRetry = withRetry(queryModel, { maxRetries: 2, baseDelayMs: 1000 });
-
 /**
  * Web search via brave/serper (simulated via OpenRouter for now)
  * In production, integrate SerpApi or Brave Search API
@@ -112,10 +108,10 @@ Base your response on your training data about real companies, websites, and mar
 Be specific and accurate. If you don't know, say so.`;
 
   try {
-    const response = await queryModelWithRetry(LIBRARIAN_MODEL, [
+    const response = await queryModel(LIBRARIAN_MODEL, [
       { role: 'system', content: 'You are a market research assistant with deep knowledge of industries and competitors.' },
       { role: 'user', content: searchPrompt }
-    ], { temperature: 0.3 });
+    ], { temperature: 0.3, operation: 'competitive-intel:web-search' });
 
     return JSON.parse(response);
   } catch (e) {
@@ -133,10 +129,10 @@ async function fetchSitemap(domain) {
   const sitemapUrl = `https://${domain}/sitemap.xml`;
 
   try {
-    const response = await fetch(sitemapUrl, {
+    const response = await tracedFetch(sitemapUrl, {
       headers: { 'User-Agent': 'SuperChase-Intel/1.0' },
       signal: AbortSignal.timeout(10000)
-    });
+    }, 'sitemap.fetch');
 
     if (!response.ok) {
       return { found: false, totalPages: 0, categories: {} };
@@ -234,7 +230,7 @@ function loadBusinessConfig(businessId) {
  * Agent 1: Intelligence Librarian
  * External research and competitor analysis
  */
-async function runLibrarian(businessId, config, depth) {
+async function runLibrarian(businessId, config, depth, traceId) {
   logger.info('Agent 1: Librarian starting', { businessId, depth });
   const startTime = Date.now();
 
@@ -323,10 +319,10 @@ Be specific and actionable. Base on real market knowledge.
 EVERY claim must have a source URL or be marked with low confidence.`;
 
   try {
-    const response = await queryModelWithRetry(LIBRARIAN_MODEL, [
+    const response = await queryModel(LIBRARIAN_MODEL, [
       { role: 'system', content: 'You are a competitive intelligence expert with deep market research skills. Return only valid JSON.' },
       { role: 'user', content: researchPrompt }
-    ], { temperature: 0.4 });
+    ], { temperature: 0.4, traceId, operation: 'competitive-intel:librarian' });
 
     let data;
     try {
@@ -390,16 +386,44 @@ EVERY claim must have a source URL or be marked with low confidence.`;
   }
 }
 
+/**
+ * Librarian research, from the research cache when an earlier run of the
+ * same unit, depth and config succeeded within RESEARCH_TTL_MS
+ *
+ * @param {boolean} refresh - Research afresh (the result still replaces the cached one)
+ */
+async function researchCompetitors(businessId, config, depth, traceId, refresh) {
+  const configHash = createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 16);
+  const key = `${businessId}:${depth}:${configHash}`;
+
+  const cached = refresh ? undefined : researchCache.get(key);
+  if (cached) {
+    logger.info('Librarian research served from cache', { businessId, depth, cachedAt: cached.cachedAt });
+    return cached;
+  }
+
+  const results = await runLibrarian(businessId, config, depth, traceId);
+  // A failed run returns empty research; don't keep it for a day
+  if (!results.error) {
+    researchCache.set(key, { ...results, cachedAt: new Date().toISOString() }, { tags: [`business:${businessId}`] });
+  }
+  return results;
+}
+
 /**
  * Agent 2: Audit Analyst
  * Constraint mapping and feasibility analysis
  */
-async function runAuditor(businessId, config, librarianResults, depth) {
+async function runAuditor(businessId, config, librarianResults, depth, traceId) {
   logger.info('Agent 2: Auditor starting', { businessId });
   const startTime = Date.now();
 
   const constraints = config.constraints || {};
 
+  // Only the research goes to the model; timings and generated citation
+  // IDs change every run
+  const { citations, citationQuality, timing: librarianTiming, model, ...research } = librarianResults;
+
   const auditPrompt = `You are the Risk & Feasibility Analyst reviewing competitive intelligence.
 
 **BUSINESS CONSTRAINTS:**
@@ -410,7 +434,7 @@ async function runAuditor(businessId, config, librarianResults, depth) {
 - Team Size: ${config.contacts?.operations?.length || 1}
 
 **LIBRARIAN INTELLIGENCE:**
-${JSON.stringify(librarianResults, null, 2)}
+${JSON.stringify(research, null, 2)}
 
 **YOUR MISSION:**
 Apply traffic light classification and identify Blue Ocean opportunities.
@@ -459,10 +483,10 @@ Return JSON:
 Be realistic about constraints. Flag anything that exceeds budget or capacity as Red.`;
 
   try {
-    const response = await queryModelWithRetry(AUDITOR_MODEL, [
+    const response = await queryModel(AUDITOR_MODEL, [
       { role: 'system', content: 'You are a risk analyst. Be conservative and realistic. Return only valid JSON.' },
       { role: 'user', content: auditPrompt }
-    ], { temperature: 0.3 });
+    ], { temperature: 0.3, traceId, operation: 'competitive-intel:auditor' });
 
     let data;
     try {
@@ -494,7 +518,7 @@ Be realistic about constraints. Flag anything that exceeds budget or capacity as
  * Agent 3: Hormozi Architect
  * Strategy and action plan generation
  */
-async function runArchitect(businessId, config, librarianResults, auditorResults, depth) {
+async function runArchitect(businessId, config, librarianResults, auditorResults, depth, traceId) {
   logger.info('Agent 3: Architect starting', { businessId });
   const startTime = Date.now();
 
@@ -570,10 +594,10 @@ Generate ${depthConfig.targets} outreach targets and ${depthConfig.contentWeeks}
 Make every action item specific and immediately executable.`;
 
   try {
-    const response = await queryModelWithRetry(ARCHITECT_MODEL, [
+    const response = await queryModel(ARCHITECT_MODEL, [
       { role: 'system', content: 'You are a growth strategist using Hormozi principles. Be specific and actionable. Return only valid JSON.' },
       { role: 'user', content: architectPrompt }
-    ], { temperature: 0.5 });
+    ], { temperature: 0.5, traceId, operation: 'competitive-intel:architect' });
 
     let data;
     try {
@@ -604,11 +628,16 @@ Make every action item specific and immediately executable.`;
 
 /**
  * Run full competitive intelligence analysis
+ *
+ * @param {string} businessId
+ * @param {object} [options]
+ * @param {string} [options.depth='standard'] - quick, standard or deep
+ * @param {boolean} [options.refresh=false] - Redo Librarian research even if a cached run exists
  */
 async function runCompetitiveIntel(businessId, options = {}) {
-  const { depth = 'standard' } = options;
+  const { depth = 'standard', refresh = false } = options;
 
-  if (!OPENROUTER_API_KEY || OPENROUTER_API_KEY === 'NEEDS_VALUE') {
+  if (!isModelConfigured(ARCHITECT_MODEL)) {
     throw new ExternalServiceError('OpenRouter', 'API key not configured');
   }
 
@@ -624,9 +653,9 @@ async function runCompetitiveIntel(businessId, options = {}) {
   }
 
   // Run agents sequentially
-  const librarianResults = await runLibrarian(businessId, config, depth);
-  const auditorResults = await runAuditor(businessId, config, librarianResults, depth);
-  const architectResults = await runArchitect(businessId, config, librarianResults, auditorResults, depth);
+  const librarianResults = await researchCompetitors(businessId, config, depth, traceId, refresh);
+  const auditorResults = await runAuditor(businessId, config, librarianResults, depth, traceId);
+  const architectResults = await runArchitect(businessId, config, librarianResults, auditorResults, depth, traceId);
 
   const totalDuration = Date.now() - startTime;
 
@@ -662,6 +691,7 @@ async function runCompetitiveIntel(businessId, options = {}) {
       librarian: {
         model: LIBRARIAN_MODEL,
         timing: librarianResults.timing,
+        cachedAt: librarianResults.cachedAt || null,
         keywordCount: librarianResults.keywordOpportunities?.length || 0,
         contentGaps: librarianResults.contentGaps || [],
         leadSources: librarianResults.leadSources || [],
@@ -746,7 +776,7 @@ function listBattlecards() {
  * HTTP request handler
  */
 async function handleCompetitiveIntelRequest(body) {
-  const { businessId, depth = 'standard' } = body;
+  const { businessId, depth = 'standard', refresh = false } = body;
 
   if (!businessId) {
     throw new ValidationError('businessId is required');
@@ -756,7 +786,7 @@ async function handleCompetitiveIntelRequest(body) {
     throw new ValidationError('depth must be quick, standard, or deep');
   }
 
-  return await runCompetitiveIntel(businessId, { depth });
+  return await runCompetitiveIntel(businessId, { depth, refresh: refresh === true });
 }
 
 // CLI support
@@ -16,12 +16,14 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import { createLogger, generateTraceId } from '../lib/logger.js';
-import { ExternalServiceError, ValidationError, withRetry } from '../lib/errors.js';
+import { ExternalServiceError, ValidationError } from '../lib/errors.js';
+import { queryLLMWithRetry, isModelConfigured } from '../lib/llm-client.js';
 import {
   extractCitations,
   calculateCitationQuality,
   createCitationTrace
 } from '../lib/citations.js';
+import { tracedFetch } from '../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,8 +32,6 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 
 const logger = createLogger({ module: 'content-council' });
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
 const HEYGEN_API_KEY = process.env.HEYGEN_API_KEY;
 
 const OUTPUT_DIR = join(__dirname, '..', 'memory', 'content_sprints');
@@ -54,38 +54,23 @@ const DEPTH_CONFIG = {
 // Note: generateTraceId is imported from lib/logger.js for consistency
 
 /**
- * Query model via OpenRouter
+ * Query model through the shared LLM client (JSON response)
  */
 async function queryModel(model, messages, options = {}) {
-  const { temperature = 0.7 } = options;
-
-  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://superchase.app',
-      'X-Title': 'SuperChase Content Council'
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      temperature,
-      response_format: { type: 'json_object' }
-    })
-  });
+  const { temperature = 0.7, traceId, operation = 'content-council' } = options;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new ExternalServiceError('OpenRouter', `${model} query failed: ${response.status} - ${errorText}`);
-  }
+  const result = await queryLLMWithRetry({
+    model,
+    messages,
+    temperature,
+    json: true,
+    traceId,
+    operation
+  });
 
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || '';
+  return result.content;
 }
 
-const queryModelWithRetry = withRetry(queryModel, { maxRetries: 2, baseDelayMs: 1000 });
-
 /**
  * Load battlecard for business
  */
@@ -126,7 +111,7 @@ function loadConfig(businessId) {
  * Agent 1: Trend Hunter
  * Research and viral seed identification
  */
-async function runTrendHunter(battlecard, brandVoice, depth) {
+async function runTrendHunter(battlecard, brandVoice, depth, traceId) {
   logger.info('Agent 1: Trend Hunter starting', { depth });
   const startTime = Date.now();
 
@@ -174,10 +159,10 @@ Generate ${depthConfig.hooks} hooks in the swipe file.
 Focus on hooks that create curiosity gaps and emotional responses.`;
 
   try {
-    const response = await queryModelWithRetry(TREND_HUNTER_MODEL, [
+    const response = await queryModel(TREND_HUNTER_MODEL, [
       { role: 'system', content: 'You are a viral content strategist. Find angles that create emotional responses. Return only valid JSON.' },
       { role: 'user', content: prompt }
-    ], { temperature: 0.6 });
+    ], { temperature: 0.6, traceId, operation: 'content-council:trend-hunter' });
 
     let data;
     try {
@@ -201,7 +186,7 @@ Focus on hooks that create curiosity gaps and emotional responses.`;
  * Agent 2: Scriptwriter
  * Video and social content generation
  */
-async function runScriptwriter(battlecard, brandVoice, trendHunterResults, depth) {
+async function runScriptwriter(battlecard, brandVoice, trendHunterResults, depth, traceId) {
   logger.info('Agent 2: Scriptwriter starting', { depth });
   const startTime = Date.now();
 
@@ -291,10 +276,10 @@ Generate ${depthConfig.videos} video scripts and ${depthConfig.socialPosts} soci
 Every piece must match the brand voice exactly.`;
 
   try {
-    const response = await queryModelWithRetry(SCRIPTWRITER_MODEL, [
+    const response = await queryModel(SCRIPTWRITER_MODEL, [
       { role: 'system', content: 'You are a viral content writer. Every word must earn its place. Return only valid JSON.' },
       { role: 'user', content: prompt }
-    ], { temperature: 0.7 });
+    ], { temperature: 0.7, traceId, operation: 'content-council:scriptwriter' });
 
     let data;
     try {
@@ -318,7 +303,7 @@ Every piece must match the brand voice exactly.`;
  * Agent 3: Web Architect
  * Landing pages and SEO content
  */
-async function runWebArchitect(battlecard, brandVoice, trendHunterResults, depth) {
+async function runWebArchitect(battlecard, brandVoice, trendHunterResults, depth, traceId) {
   logger.info('Agent 3: Web Architect starting', { depth });
   const startTime = Date.now();
 
@@ -387,10 +372,10 @@ Return JSON:
 }`;
 
   try {
-    const response = await queryModelWithRetry(WEB_ARCHITECT_MODEL, [
+    const response = await queryModel(WEB_ARCHITECT_MODEL, [
       { role: 'system', content: 'You are a conversion-focused copywriter. Every element must drive action. Return only valid JSON.' },
       { role: 'user', content: prompt }
-    ], { temperature: 0.5 });
+    ], { temperature: 0.5, traceId, operation: 'content-council:web-architect' });
 
     let data;
     try {
@@ -414,7 +399,7 @@ Return JSON:
  * Agent 4: Visual Director
  * Image prompts and video scene directions
  */
-async function runVisualDirector(battlecard, brandVoice, scriptwriterResults, depth) {
+async function runVisualDirector(battlecard, brandVoice, scriptwriterResults, depth, traceId) {
   logger.info('Agent 4: Visual Director starting', { depth });
   const startTime = Date.now();
 
@@ -502,10 +487,10 @@ Return JSON:
 Generate ${depthConfig.images} social images and complete video scene breakdowns.`;
 
   try {
-    const response = await queryModelWithRetry(VISUAL_DIRECTOR_MODEL, [
+    const response = await queryModel(VISUAL_DIRECTOR_MODEL, [
       { role: 'system', content: 'You are a visual content strategist. Create scroll-stopping visuals. Return only valid JSON.' },
       { role: 'user', content: prompt }
-    ], { temperature: 0.6 });
+    ], { temperature: 0.6, traceId, operation: 'content-council:visual-director' });
 
     let data;
     try {
@@ -534,7 +519,7 @@ async function generateHeyGenVideo(payload) {
   }
 
   try {
-    const response = await fetch('https://api.heygen.com/v2/video/generate', {
+    const response = await tracedFetch('https://api.heygen.com/v2/video/generate', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -562,7 +547,7 @@ async function generateHeyGenVideo(payload) {
           height: payload.aspectRatio === '9:16' ? 1920 : 1080
         }
       })
-    });
+    }, 'heygen.request');
 
     if (!response.ok) {
       const error = await response.text();
@@ -582,7 +567,7 @@ async function generateHeyGenVideo(payload) {
 async function runContentCouncil(businessId, options = {}) {
   const { depth = 'standard', battlecardId = null } = options;
 
-  if (!OPENROUTER_API_KEY || OPENROUTER_API_KEY === 'NEEDS_VALUE') {
+  if (!isModelConfigured(SCRIPTWRITER_MODEL)) {
     throw new ExternalServiceError('OpenRouter', 'API key not configured');
   }
 
@@ -601,10 +586,10 @@ async function runContentCouncil(businessId, options = {}) {
   const config = loadConfig(businessId);
 
   // Run agents sequentially (each depends on previous)
-  const trendHunterResults = await runTrendHunter(battlecard, brandVoice, depth);
-  const scriptwriterResults = await runScriptwriter(battlecard, brandVoice, trendHunterResults, depth);
-  const webArchitectResults = await runWebArchitect(battlecard, brandVoice, trendHunterResults, depth);
-  const visualDirectorResults = await runVisualDirector(battlecard, brandVoice, scriptwriterResults, depth);
+  const trendHunterResults = await runTrendHunter(battlecard, brandVoice, depth, traceId);
+  const scriptwriterResults = await runScriptwriter(battlecard, brandVoice, trendHunterResults, depth, traceId);
+  const webArchitectResults = await runWebArchitect(battlecard, brandVoice, trendHunterResults, depth, traceId);
+  const visualDirectorResults = await runVisualDirector(battlecard, brandVoice, scriptwriterResults, depth, traceId);
 
   const totalDuration = Date.now() - startTime;
 
@@ -0,0 +1,66 @@
+/**
+ * Cost Scopes - Check who spend is billed to
+ *
+ * Costs and budgets are keyed by business unit (config/portfolio.json) and
+ * tenant (clients/{id}). The cost controller accepts any ID, so the entry
+ * points that take IDs from requests check them here first; otherwise a
+ * typo opens a separate, unlimited budget and its spend never reaches the
+ * unit it was meant for.
+ *
+ * @module core/cost-scopes
+ */
+
+import { isValidBusinessUnit } from './portfolio-manager.js';
+import { tenantExists } from './tenant-manager.js';
+import { ValidationError } from '../lib/errors.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+/**
+ * @param {string} id
+ * @returns {boolean} The ID names a business unit in the portfolio
+ */
+export function isKnownBusinessUnit(id) {
+  return typeof id === 'string' && isValidBusinessUnit(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} The ID names an existing tenant
+ */
+export function isKnownTenant(id) {
+  return typeof id === 'string' && TENANT_ID_PATTERN.test(id) && tenantExists(id);
+}
+
+/**
+ * Throw unless every given business unit and tenant exists. Empty IDs are
+ * skipped: they mean "not attributed".
+ *
+ * @param {Object} scopes - Field name -> ID or IDs, e.g.
+ *   `{ businessUnitId: 's2p', tenantId: 'acme' }`; fields naming tenants
+ *   start with "tenant"
+ * @throws {ValidationError} With one entry per unknown field
+ */
+export function assertCostScopes(scopes) {
+  const fields = {};
+
+  for (const [field, value] of Object.entries(scopes)) {
+    const isTenant = field.startsWith('tenant');
+    const known = isTenant ? isKnownTenant : isKnownBusinessUnit;
+    const unknown = [value].flat().filter(id => id != null && id !== '' && !known(id));
+
+    if (unknown.length > 0) {
+      fields[field] = `unknown ${isTenant ? 'tenant' : 'business unit'}: ${unknown.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError('Unknown cost attribution', fields);
+  }
+}
+
+export default {
+  isKnownBusinessUnit,
+  isKnownTenant,
+  assertCostScopes
+};
@@ -0,0 +1,124 @@
+/**
+ * Execution Store
+ *
+ * Durable snapshots of orchestrator executions so a workflow survives a
+ * server restart. One JSON file per trace ID under memory/executions/,
+ * rewritten after every completed layer and at every HITL checkpoint.
+ *
+ * @module core/execution-store
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../lib/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const logger = createLogger({ module: 'execution-store' });
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'memory', 'executions');
+
+/**
+ * File-backed execution snapshot store
+ */
+export class ExecutionStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory holding snapshot files
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_DIR;
+  }
+
+  /**
+   * Resolve snapshot path, refusing IDs that could escape the store directory
+   * @param {string} traceId
+   * @returns {string}
+   */
+  filePath(traceId) {
+    if (!/^[\w.-]+$/.test(traceId)) {
+      throw new Error(`Invalid trace ID: ${traceId}`);
+    }
+    return path.join(this.dir, `${traceId}.json`);
+  }
+
+  /**
+   * Write a snapshot (atomic via temp file + rename)
+   * @param {object} snapshot - Output of ExecutionContext#toJSON
+   */
+  async save(snapshot) {
+    const target = this.filePath(snapshot.traceId);
+    const tmp = `${target}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(snapshot, null, 2));
+    await fs.rename(tmp, target);
+
+    logger.debug('Execution checkpointed', { traceId: snapshot.traceId, status: snapshot.status });
+  }
+
+  /**
+   * Load a snapshot
+   * @param {string} traceId
+   * @returns {Promise<object|null>} Snapshot or null if not stored
+   */
+  async load(traceId) {
+    try {
+      const content = await fs.readFile(this.filePath(traceId), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load execution snapshot', { traceId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Remove a snapshot
+   * @param {string} traceId
+   */
+  async delete(traceId) {
+    try {
+      await fs.unlink(this.filePath(traceId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to delete execution snapshot', { traceId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * List stored snapshots, most recently updated first
+   * @returns {Promise<object[]>} Snapshot summaries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+
+    const summaries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const snapshot = await this.load(file.slice(0, -5));
+      if (snapshot) {
+        summaries.push({
+          traceId: snapshot.traceId,
+          workflow: snapshot.workflow?.id,
+          status: snapshot.status,
+          pendingCheckpoint: snapshot.pendingCheckpoint,
+          updatedAt: snapshot.updatedAt,
+        });
+      }
+    }
+
+    return summaries.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+}
+
+// Default store instance
+export const executionStore = new ExecutionStore();
+
+export default executionStore;
@@ -1,7 +1,10 @@
 /**
  * SuperChase Hub - Central Orchestrator
  *
- * Uses Gemini 2.0 Flash for intent classification.
+ * Uses Gemini 2.0 Flash (via lib/llm-client) for intent classification.
+ * Deterministic rules (core/classification-rules.js) run first; a rule hit
+ * skips the model call entirely. Human corrections
+ * (core/classification-feedback.js) are fed back as few-shot examples.
  * All spokes connect through this hub; spokes never talk directly.
  *
  * BUSINESS CONTEXT:
@@ -26,15 +29,21 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { queryLLM, isLLMAvailable } from '../lib/llm-client.js';
+import { matchRule } from './classification-rules.js';
+import {
+  recordClassification,
+  recordOverride,
+  recordTaskDeletion,
+  getFewShotExamples
+} from './classification-feedback.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = 'gemini-2.0-flash';
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
 
 // Classification categories for email triage
 const CATEGORIES = {
@@ -48,9 +57,9 @@ const CATEGORIES = {
 };
 
 /**
- * Classify content using Gemini 2.0 Flash
+ * Classify content: rules first, then Gemini 2.0 Flash
  * @param {Object} content - Content to classify { type, subject, body, sender }
- * @returns {Promise<Object>} - { category, confidence, reasoning }
+ * @returns {Promise<Object>} - { category, confidence, reasoning, classificationId, ruleId? }
  */
 export async function classify(content) {
   // Handle null/undefined content
@@ -59,35 +68,59 @@ export async function classify(content) {
     return fallbackClassify({});
   }
 
-  if (!GEMINI_API_KEY || GEMINI_API_KEY === 'NEEDS_VALUE') {
-    console.warn('[Hub] GEMINI_API_KEY not set, using fallback classification');
+  const result = await classifyContent(content);
+
+  // Record the decision so a human override can be traced back to it
+  try {
+    result.classificationId = recordClassification(content, result);
+  } catch (error) {
+    console.warn('[Hub] Failed to record classification:', error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Record a human correction of a classification
+ * @param {Object} override - See recordOverride in core/classification-feedback.js
+ * @returns {Object} Stored correction
+ */
+export function recordCorrection(override) {
+  return recordOverride(override, Object.keys(CATEGORIES));
+}
+
+/**
+ * Learn from a deleted task: if triage created it, its classification
+ * is corrected to FYI
+ * @param {Object} task - Deleted task with `metadata` or Asana `notes`
+ * @returns {Object|null} Stored correction, or null when there is no signal
+ */
+export function recordTaskDeleted(task) {
+  return recordTaskDeletion(task, Object.keys(CATEGORIES));
+}
+
+async function classifyContent(content) {
+  const ruleResult = ruleClassify(content);
+  if (ruleResult) {
+    return ruleResult;
+  }
+
+  if (!isLLMAvailable(GEMINI_MODEL)) {
+    console.warn('[Hub] Classifier model unavailable, using fallback classification');
     return fallbackClassify(content);
   }
 
   const prompt = buildClassificationPrompt(content);
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 256
-        }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.1,
+      maxTokens: 256,
+      operation: 'hub:classify'
     });
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[Hub] Gemini API error:', error);
-      return fallbackClassify(content);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     return parseClassificationResponse(text, content);
   } catch (error) {
     console.error('[Hub] Classification error:', error.message);
@@ -95,10 +128,72 @@ export async function classify(content) {
   }
 }
 
+/**
+ * Classify from the first matching rule
+ * @returns {Object|null} Classification, or null to fall through to the LLM
+ */
+function ruleClassify(content) {
+  let rule;
+  try {
+    rule = matchRule(content);
+  } catch (error) {
+    console.warn('[Hub] Rule evaluation failed:', error.message);
+    return null;
+  }
+
+  if (!rule) {
+    return null;
+  }
+
+  const category = CATEGORIES[rule.category];
+  if (!category) {
+    console.warn(`[Hub] Rule ${rule.id} has unknown category ${rule.category}, ignoring`);
+    return null;
+  }
+
+  console.log(`[Hub] Rule hit: ${rule.id} -> ${rule.category}`);
+
+  return {
+    category: rule.category,
+    confidence: rule.confidence,
+    reasoning: `Rule ${rule.id}${rule.description ? `: ${rule.description}` : ''}`,
+    action: category.action,
+    priority: rule.priority || category.priority,
+    tag: category.tag,
+    ruleId: rule.id,
+    ...(rule.businessUnitId && { businessUnitId: rule.businessUnitId })
+  };
+}
+
+/**
+ * Format past corrections relevant to this email as few-shot examples
+ */
+function buildCorrectionExamples(content) {
+  let examples = [];
+  try {
+    examples = getFewShotExamples(content);
+  } catch (error) {
+    console.warn('[Hub] Failed to load corrections:', error.message);
+  }
+
+  if (examples.length === 0) {
+    return '';
+  }
+
+  const lines = examples.map(e =>
+    `- From: ${e.sender || 'Unknown'} | Subject: ${e.subject || 'No Subject'} -> ${e.correctedCategory} (not ${e.originalCategory})`
+  );
+
+  return `
+The user corrected these past classifications. Classify similar emails the same way:
+${lines.join('\n')}
+`;
+}
+
 /**
  * Build the classification prompt for Gemini
  */
-function buildClassificationPrompt(content) {
+export function buildClassificationPrompt(content) {
   return `You are an email classifier for an executive assistant system.
 
 Classify this ${content.type || 'email'} into ONE of these categories:
@@ -108,7 +203,7 @@ Classify this ${content.type || 'email'} into ONE of these categories:
 - FYI: Informational only
 - SPAM: Junk/unsolicited
 - NEWSLETTER: Subscriptions/marketing
-
+${buildCorrectionExamples(content)}
 Email:
 From: ${content.sender || 'Unknown'}
 Subject: ${content.subject || 'No Subject'}
@@ -325,10 +420,13 @@ function buildPayload(type, data, classification) {
       notes: data.body || data.content || '',
       priority: classification.priority,
       source: type,
+      businessUnitId: classification.businessUnitId,
       metadata: {
         category: classification.category,
         confidence: classification.confidence,
-        originalId: data.id
+        originalId: data.id,
+        classificationId: classification.classificationId,
+        ...(classification.ruleId && { ruleId: classification.ruleId })
       }
     };
   }
@@ -340,28 +438,18 @@ function buildPayload(type, data, classification) {
  * @returns {Promise<Object>} - { success, model, error }
  */
 export async function testConnection() {
-  if (!GEMINI_API_KEY || GEMINI_API_KEY === 'NEEDS_VALUE') {
-    return { success: false, error: 'GEMINI_API_KEY not set' };
+  if (!isLLMAvailable(GEMINI_MODEL)) {
+    return { success: false, error: `No configured provider for ${GEMINI_MODEL} (set GEMINI_API_KEY)` };
   }
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: 'Reply with just: OK' }] }],
-        generationConfig: { maxOutputTokens: 10 }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt: 'Reply with just: OK',
+      maxTokens: 10,
+      operation: 'hub:test-connection'
     });
 
-    if (!response.ok) {
-      const error = await response.text();
-      return { success: false, error: `API error: ${response.status}` };
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     return {
       success: true,
       model: GEMINI_MODEL,
@@ -374,6 +462,9 @@ export async function testConnection() {
 
 export default {
   classify,
+  recordCorrection,
+  recordTaskDeleted,
+  buildClassificationPrompt,
   processEvent,
   testConnection,
   loadPatterns,
@@ -7,7 +7,8 @@
  * - Stage 2: Anonymous peer review with blind ranking
  * - Stage 3: Chairman synthesis with weighted consideration
  *
- * Uses OpenRouter for unified access to diverse LLMs.
+ * Model calls go through lib/llm-client (OpenRouter by default), which
+ * applies circuit breaking, retries, cost recording and budget checks.
  *
  * @module core/llm_council
  */
@@ -17,9 +18,12 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import { createLogger, generateTraceId } from '../lib/logger.js';
-import { ExternalServiceError, ValidationError, withRetry } from '../lib/errors.js';
+import { ExternalServiceError, ValidationError } from '../lib/errors.js';
 import costController from '../lib/cost-controller.js';
+import { queryLLMWithRetry, isModelConfigured } from '../lib/llm-client.js';
+import { startSpan, runWithSpan, withTrace, tracedFetch } from '../lib/observability.js';
 import councilContext from '../lib/council-context.js';
+import { assertCostScopes, isKnownBusinessUnit } from './cost-scopes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,8 +33,9 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 const logger = createLogger({ module: 'llm-council' });
 
 // Configuration
+// Model catalog only; chat calls go through lib/llm-client
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
 
 const DEFAULT_COUNCIL_MODELS = [
   'openai/gpt-4o',
@@ -44,88 +49,42 @@ const DEFAULT_TEMPERATURE = 0.7;
 const OUTPUT_DIR = join(__dirname, '..', 'memory', 'llm_council_outputs');
 
 /**
- * Check if OpenRouter is configured
+ * Check if the provider serving the council models is configured
  * @returns {boolean}
  */
 function isConfigured() {
-  return !!OPENROUTER_API_KEY && OPENROUTER_API_KEY !== 'NEEDS_VALUE';
+  return isModelConfigured(DEFAULT_CHAIRMAN_MODEL);
 }
 
 // Note: generateTraceId is imported from lib/logger.js for consistency
 
 /**
- * Query a single model via OpenRouter
+ * Query a single model through the shared LLM client
  * @param {string} model - Model identifier (e.g., 'openai/gpt-4o')
  * @param {string} query - The user query
  * @param {Object} options - Query options
  * @returns {Promise<{model: string, response: string, timing: number}>}
  */
 async function queryModel(model, query, options = {}) {
-  const { temperature = DEFAULT_TEMPERATURE, systemPrompt } = options;
-  const startTime = Date.now();
-
-  const messages = [];
-  if (systemPrompt) {
-    messages.push({ role: 'system', content: systemPrompt });
-  }
-  messages.push({ role: 'user', content: query });
-
-  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://superchase.app',
-      'X-Title': 'SuperChase LLM Council'
-    },
-    body: JSON.stringify({
-      model,
-      messages,
-      temperature
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new ExternalServiceError('OpenRouter', `${model} query failed: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json();
-  const timing = Date.now() - startTime;
-
-  // Extract token usage from response and record cost
-  const usage = data.usage || {};
-  const inputTokens = usage.prompt_tokens || costController.estimateTokens(query);
-  const outputTokens = usage.completion_tokens || costController.estimateTokens(data.choices?.[0]?.message?.content || '');
+  const { temperature = DEFAULT_TEMPERATURE, systemPrompt, traceId, operation = 'council' } = options;
 
-  // Record the cost
-  costController.recordCost({
+  const result = await queryLLMWithRetry({
     model,
-    inputTokens,
-    outputTokens,
-    operation: 'council'
+    system: systemPrompt,
+    prompt: query,
+    temperature,
+    traceId,
+    operation
   });
 
   return {
     model,
-    response: data.choices?.[0]?.message?.content || '',
-    timing,
-    tokens: { input: inputTokens, output: outputTokens }
+    response: result.content,
+    timing: result.latencyMs,
+    tokens: result.tokens
   };
 }
 
-/**
- * Query model with retry logic
- */
-const queryModelWithRetry = withRetry(queryModel, {
-  maxRetries: 2,
-  baseDelayMs: 1000,
-  shouldRetry: (error) => {
-    // Retry on 5xx errors or network issues
-    return error.message?.includes('5') || error.message?.includes('network');
-  }
-});
-
 /**
  * Stage 1: Parallel Collection
  * Query all models in parallel and collect responses
@@ -139,7 +98,7 @@ async function stage1ParallelCollection(query, models, options = {}) {
   logger.info('Stage 1: Parallel Collection starting', { modelCount: models.length });
 
   const promises = models.map(model =>
-    queryModelWithRetry(model, query, options)
+    queryModel(model, query, options)
       .catch(error => ({
         model,
         response: null,
@@ -167,9 +126,10 @@ async function stage1ParallelCollection(query, models, options = {}) {
  * @param {string} query - Original query
  * @param {Array} stage1Results - Results from Stage 1
  * @param {string[]} reviewerModels - Models to use for review (defaults to same as stage1)
+ * @param {Object} [options] - { traceId }
  * @returns {Promise<{rankings: Object, aggregated: Array, labelToModel: Object}>}
  */
-async function stage2AnonymousReview(query, stage1Results, reviewerModels = null) {
+async function stage2AnonymousReview(query, stage1Results, reviewerModels = null, options = {}) {
   logger.info('Stage 2: Anonymous Peer Review starting');
 
   // Filter successful responses
@@ -228,8 +188,9 @@ Provide your ranking from BEST to WORST. Include ALL responses in your ranking.`
 
   // Collect reviews
   const reviewPromises = reviewers.map(model =>
-    queryModelWithRetry(model, reviewPrompt, {
+    queryModel(model, reviewPrompt, {
       temperature: 0.3,
+      traceId: options.traceId,
       systemPrompt: 'You are an expert evaluator. Be thorough but concise. Always end with FINAL RANKING: [X, Y, Z] format.'
     }).catch(error => ({
       model,
@@ -301,9 +262,10 @@ Provide your ranking from BEST to WORST. Include ALL responses in your ranking.`
  * @param {Array} stage1Results - Results from Stage 1
  * @param {Object} stage2Results - Results from Stage 2
  * @param {string} chairmanModel - Model to use for synthesis
+ * @param {Object} [options] - { traceId }
  * @returns {Promise<{synthesis: string, timing: number}>}
  */
-async function stage3ChairmanSynthesis(query, stage1Results, stage2Results, chairmanModel) {
+async function stage3ChairmanSynthesis(query, stage1Results, stage2Results, chairmanModel, options = {}) {
   logger.info('Stage 3: Chairman Synthesis starting', { chairman: chairmanModel });
 
   const { aggregated, labelToModel } = stage2Results;
@@ -347,8 +309,9 @@ ${rankingsText}
 
 Provide your synthesized answer now:`;
 
-  const result = await queryModelWithRetry(chairmanModel, synthesisPrompt, {
+  const result = await queryModel(chairmanModel, synthesisPrompt, {
     temperature: 0.5,
+    traceId: options.traceId,
     systemPrompt: 'You are the Chairman of an expert council. Synthesize the best insights from all responses, giving more weight to higher-ranked responses. Be comprehensive but concise.'
   });
 
@@ -380,6 +343,23 @@ function saveOutput(traceId, output) {
   return filepath;
 }
 
+/**
+ * Load a saved council output
+ * @param {string} traceId - Council session trace ID
+ * @returns {Object|null} Output, or null if none was saved
+ */
+function getCouncilOutput(traceId) {
+  if (!/^[\w-]+$/.test(traceId)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(join(OUTPUT_DIR, `${traceId}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Run the full LLM Council deliberation
  *
@@ -389,6 +369,8 @@ function saveOutput(traceId, output) {
  * @param {string} [options.chairmanModel] - Model for final synthesis
  * @param {number} [options.temperature] - Temperature for queries
  * @param {boolean} [options.saveOutput] - Whether to save output to file
+ * @param {string} [options.businessUnitId] - Business unit billed for the session
+ * @param {string} [options.tenantId] - Tenant billed for the session
  * @returns {Promise<Object>} Council results
  */
 async function runCouncil(query, options = {}) {
@@ -405,18 +387,24 @@ async function runCouncil(query, options = {}) {
     chairmanModel = DEFAULT_CHAIRMAN_MODEL,
     temperature = DEFAULT_TEMPERATURE,
     saveOutput: shouldSave = true,
-    skipBudgetCheck = false
+    skipBudgetCheck = false,
+    businessUnitId,
+    tenantId
   } = options;
 
   const traceId = generateTraceId('council');
   const startTime = Date.now();
 
+  // Every model call in the session is billed to the same unit/tenant
+  costController.attributeTrace(traceId, { businessUnitId, tenantId });
+
   // Estimate cost and run pre-flight checks
   const costEstimate = costController.estimateCouncilCost(query, models, chairmanModel);
 
   if (!skipBudgetCheck) {
-    const preCheck = costController.preFlightCheck(costEstimate.estimated);
+    const preCheck = costController.preFlightCheck(costEstimate.estimated, { traceId });
     if (!preCheck.allowed) {
+      costController.releaseTrace(traceId);
       logger.warn('Council session blocked by cost controls', { traceId, reason: preCheck.reason });
       throw new ValidationError(`Cost control: ${preCheck.reason}`, {
         estimatedCost: costEstimate.estimated,
@@ -432,23 +420,34 @@ async function runCouncil(query, options = {}) {
   logger.info('LLM Council session starting', {
     traceId,
     query: query.slice(0, 100) + '...',
-    estimatedCost: costEstimate.estimated
+    estimatedCost: costEstimate.estimated,
+    businessUnitId,
+    tenantId
   });
 
+  // One span per session with a child per stage; model calls nest under the stages
+  const span = startSpan('council.session', {
+    attributes: { 'superchase.trace_id': traceId, 'council.models': models.length, 'council.chairman': chairmanModel }
+  });
+  const stage = (name, fn) => runWithSpan(span, () => withTrace(name, fn, { 'superchase.trace_id': traceId }));
+
   try {
     // Stage 1: Parallel Collection
-    const stage1Results = await stage1ParallelCollection(query, models, { temperature });
+    const stage1Results = await stage('council.stage1', () =>
+      stage1ParallelCollection(query, models, { temperature, traceId }));
 
     // Stage 2: Anonymous Peer Review
-    const stage2Results = await stage2AnonymousReview(query, stage1Results);
+    const stage2Results = await stage('council.stage2', () =>
+      stage2AnonymousReview(query, stage1Results, null, { traceId }));
 
     // Stage 3: Chairman Synthesis
-    const stage3Results = await stage3ChairmanSynthesis(
+    const stage3Results = await stage('council.stage3', () => stage3ChairmanSynthesis(
       query,
       stage1Results,
       stage2Results,
-      chairmanModel
-    );
+      chairmanModel,
+      { traceId }
+    ));
 
     const totalDuration = Date.now() - startTime;
 
@@ -529,8 +528,12 @@ async function runCouncil(query, options = {}) {
     };
 
   } catch (error) {
+    span.setStatus('error', error.message);
     logger.error('LLM Council session failed', { traceId, error: error.message });
     throw error;
+  } finally {
+    span.end();
+    costController.releaseTrace(traceId);
   }
 }
 
@@ -546,12 +549,21 @@ async function handleLLMCouncilRequest(body) {
     chairmanModel,
     temperature,
     autoInjectContext = true,  // Enable by default
-    businessContext = null     // Explicit business IDs to include
+    businessContext = null,    // Explicit business IDs to include
+    tenantId
   } = body;
 
   if (!query) {
     throw new ValidationError('query is required');
   }
+  assertCostScopes({ businessUnitId: body.businessUnitId, tenantId });
+
+  // A single-business context bills that unit unless one was named
+  const businessUnitId = body.businessUnitId || (
+    Array.isArray(businessContext) && businessContext.length === 1 && isKnownBusinessUnit(businessContext[0])
+      ? businessContext[0]
+      : undefined
+  );
 
   let finalQuery = query;
   let contextInfo = null;
@@ -585,7 +597,7 @@ async function handleLLMCouncilRequest(body) {
     }
   }
 
-  const councilResult = await runCouncil(finalQuery, { models, chairmanModel, temperature });
+  const councilResult = await runCouncil(finalQuery, { models, chairmanModel, temperature, businessUnitId, tenantId });
 
   // Include context info in response
   return {
@@ -608,6 +620,13 @@ function getCostStatus() {
  * @returns {Object}
  */
 function updateBudgetLimits(newLimits) {
+  // Removing a budget (null) is allowed for units and tenants that no longer exist
+  const budgeted = (limits = {}) => Object.keys(limits).filter(id => limits[id] !== null);
+  assertCostScopes({
+    businessUnits: budgeted(newLimits.businessUnits),
+    tenants: budgeted(newLimits.tenants)
+  });
+
   costController.updateLimits(newLimits);
   return costController.getCostSummary();
 }
@@ -621,11 +640,14 @@ function estimateCost(params) {
   const {
     query,
     models = DEFAULT_COUNCIL_MODELS,
-    chairmanModel = DEFAULT_CHAIRMAN_MODEL
+    chairmanModel = DEFAULT_CHAIRMAN_MODEL,
+    businessUnitId,
+    tenantId
   } = params;
+  assertCostScopes({ businessUnitId, tenantId });
 
   const estimate = costController.estimateCouncilCost(query || '', models, chairmanModel);
-  const preCheck = costController.preFlightCheck(estimate.estimated);
+  const preCheck = costController.preFlightCheck(estimate.estimated, { businessUnitId, tenantId });
 
   return {
     estimate,
@@ -651,11 +673,11 @@ async function getAvailableModels() {
   }
 
   try {
-    const response = await fetch(`${OPENROUTER_BASE_URL}/models`, {
+    const response = await tracedFetch(`${OPENROUTER_BASE_URL}/models`, {
       headers: {
         'Authorization': `Bearer ${OPENROUTER_API_KEY}`
       }
-    });
+    }, 'openrouter.request');
 
     if (!response.ok) {
       throw new Error(`Failed to fetch models: ${response.status}`);
@@ -763,6 +785,7 @@ export default {
   getCostStatus,
   updateBudgetLimits,
   estimateCost,
+  getCouncilOutput,
   DEFAULT_COUNCIL_MODELS,
   DEFAULT_CHAIRMAN_MODEL
 };
@@ -778,6 +801,7 @@ export {
   getCostStatus,
   updateBudgetLimits,
   estimateCost,
+  getCouncilOutput,
   DEFAULT_COUNCIL_MODELS,
   DEFAULT_CHAIRMAN_MODEL
 };
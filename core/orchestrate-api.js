@@ -16,6 +16,8 @@ import { queryLLM, estimateCost } from '../lib/llm-client.js';
 import * as opennotebook from '../lib/opennotebook.js';
 import * as costController from '../lib/cost-controller.js';
 import { ValidationError } from '../lib/errors.js';
+import { withTrace, tracedFetch } from '../lib/observability.js';
+import { assertCostScopes, isKnownBusinessUnit } from './cost-scopes.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -136,7 +138,8 @@ Output as JSON:
     model: 'openai/gpt-4o-mini',
     prompt: briefPrompt,
     temperature: 0.3,
-    maxTokens: 500
+    maxTokens: 500,
+    traceId: context.traceId
   });
 
   // Extract content string from response object
@@ -164,7 +167,7 @@ Output as JSON:
 /**
  * Dispatch question to a single council member
  */
-async function dispatchToCouncilMember(memberId, member, brief, onChunk) {
+async function dispatchToCouncilMember(memberId, member, brief, onChunk, traceId) {
   const prompt = `You are ${member.name}, an AI council member. Your strength is: ${member.strength}
 
 A research brief has been generated for the following question:
@@ -193,7 +196,8 @@ Keep response under 300 words.`;
       prompt,
       temperature: 0.7,
       maxTokens: 600,
-      stream: false // TODO: Add streaming support
+      stream: false, // TODO: Add streaming support
+      traceId
     });
 
     const timing = Date.now() - startTime;
@@ -247,7 +251,7 @@ Keep response under 300 words.`;
 /**
  * Synthesize council responses into final answer
  */
-async function synthesizeResponses(question, brief, councilResponses, onChunk) {
+async function synthesizeResponses(question, brief, councilResponses, onChunk, traceId) {
   const successfulResponses = councilResponses.filter(r => !r.error);
 
   if (successfulResponses.length === 0) {
@@ -302,7 +306,8 @@ Be direct and actionable. This is for a decision-maker who needs to move fast.`;
     model: SYNTHESIZER_MODEL,
     prompt: synthesisPrompt,
     temperature: 0.5,
-    maxTokens: 1000
+    maxTokens: 1000,
+    traceId
   });
 
   const timing = Date.now() - startTime;
@@ -335,6 +340,16 @@ Be direct and actionable. This is for a decision-maker who needs to move fast.`;
  */
 export async function orchestrate(question, options = {}, onEvent = null) {
   const traceId = generateTraceId('orch');
+  return withTrace('orchestrate', () => runOrchestration(traceId, question, options, onEvent), {
+    'superchase.trace_id': traceId,
+  });
+}
+
+/**
+ * Orchestration body, run under the orchestrate span
+ * @private
+ */
+async function runOrchestration(traceId, question, options, onEvent) {
   const startTime = Date.now();
 
   logger.info('Orchestration starting', { traceId, question: question.substring(0, 100) });
@@ -342,6 +357,11 @@ export async function orchestrate(question, options = {}, onEvent = null) {
   if (!question || typeof question !== 'string' || question.trim().length === 0) {
     throw new ValidationError('Question is required');
   }
+  // businessId may name a notebook rather than a unit; it is only billed if it is one
+  assertCostScopes({
+    businessUnitId: options.businessUnitId,
+    tenantId: options.tenantId
+  });
 
   // Detect business from question or options
   const detectedBusiness = options.businessId || detectBusiness(question);
@@ -352,11 +372,19 @@ export async function orchestrate(question, options = {}, onEvent = null) {
     onEvent({ type: 'start', traceId, question, business: detectedBusiness });
   }
 
+  // Bill the run to the business it is about (and the tenant, if given)
+  // Detected names (e.g. "studio-c") aren't always portfolio unit IDs
+  costController.attributeTrace(traceId, {
+    businessUnitId: options.businessUnitId || (isKnownBusinessUnit(detectedBusiness) ? detectedBusiness : null),
+    tenantId: options.tenantId
+  });
+
   // Pre-flight cost check
   const estimatedCost = estimateCost('gpt-4o', 2000, 2000) * 5; // Rough estimate for full council
-  const preFlightResult = costController.preFlightCheck(estimatedCost);
+  const preFlightResult = costController.preFlightCheck(estimatedCost, { traceId });
 
   if (!preFlightResult.allowed) {
+    costController.releaseTrace(traceId);
     throw new ValidationError(`Budget exceeded: ${preFlightResult.reason}`);
   }
 
@@ -382,7 +410,8 @@ export async function orchestrate(question, options = {}, onEvent = null) {
 
     const brief = await generateResearchBrief(question, {
       businessId: options.businessId,
-      additionalContext: options.context
+      additionalContext: options.context,
+      traceId
     });
 
     if (onEvent) {
@@ -395,13 +424,13 @@ export async function orchestrate(question, options = {}, onEvent = null) {
     }
 
     const councilPromises = Object.entries(COUNCIL_MODELS).map(([id, member]) =>
-      dispatchToCouncilMember(id, member, brief, onEvent)
+      dispatchToCouncilMember(id, member, brief, onEvent, traceId)
     );
 
     const councilResponses = await Promise.all(councilPromises);
 
     // Step 3: Synthesize
-    const synthesis = await synthesizeResponses(question, brief, councilResponses, onEvent);
+    const synthesis = await synthesizeResponses(question, brief, councilResponses, onEvent, traceId);
 
     // Calculate total cost
     const totalCost = councilResponses.reduce((sum, r) => {
@@ -471,6 +500,8 @@ export async function orchestrate(question, options = {}, onEvent = null) {
     }
 
     throw error;
+  } finally {
+    costController.releaseTrace(traceId);
   }
 }
 
@@ -530,11 +561,11 @@ ${councilMarkdown}
 
     logger.info('Sending to notebook', { notebookId, contentLength: content.length, titlePreview: payload.title });
 
-    const response = await fetch(`${OPENNOTEBOOK_URL}/api/notes`, {
+    const response = await tracedFetch(`${OPENNOTEBOOK_URL}/api/notes`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
-    });
+    }, 'opennotebook.request');
 
     if (response.ok) {
       logger.info('Stored to business notebook', { notebookId, traceId });
@@ -576,7 +607,7 @@ async function storeOrchestratorSummary(orchestratorId, traceId, question, busin
 ${summary}
 `;
 
-    const response = await fetch(`${OPENNOTEBOOK_URL}/api/notes`, {
+    const response = await tracedFetch(`${OPENNOTEBOOK_URL}/api/notes`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -584,7 +615,7 @@ ${summary}
         title: `[${business.toUpperCase()}] ${question.substring(0, 40)}...`,
         content: content
       })
-    });
+    }, 'opennotebook.request');
 
     if (response.ok) {
       logger.info('Stored summary to Orchestrator', { orchestratorId, business, traceId });
@@ -55,6 +55,7 @@ Options:
   --no-checkpoint        Skip HITL checkpoints
   --depth <level>        Depth for content workflow (quick/standard/deep)
   --template <type>      Template type for microsite (landing/portfolio/service)
+  --tenant <clientId>    Bill LLM spend to a tenant
 
 Examples:
   orchestrate run microsite @tuthill --template landing
@@ -106,6 +107,9 @@ async function main() {
         const templateTypeIdx = args.indexOf('--template');
         const templateType = templateTypeIdx > -1 ? args[templateTypeIdx + 1] : 'landing';
 
+        const tenantIdx = args.indexOf('--tenant');
+        const tenantId = tenantIdx > -1 ? args[tenantIdx + 1] : undefined;
+
         const focusIdx = args.indexOf('--focus');
         const focus = focusIdx > -1 ? args.slice(focusIdx + 1).join(' ') : null;
 
@@ -133,6 +137,8 @@ async function main() {
         // Execute
         const ctx = await orchestrator.execute(workflow, {
           inputs: { businessId },
+          businessUnitId: businessId,
+          tenantId,
           dryRun,
           pauseOnCheckpoint: !noCheckpoint,
         });
@@ -10,10 +10,12 @@
  */
 
 import { createLogger, generateTraceId } from '../lib/logger.js';
-import { ValidationError, ExternalServiceError, withRetry } from '../lib/errors.js';
+import { ValidationError, NotFoundError, ConflictError, ExternalServiceError, withRetry } from '../lib/errors.js';
 import costController from '../lib/cost-controller.js';
 import { EventEmitter } from 'events';
 import * as opennotebook from '../lib/opennotebook.js';
+import { executionStore } from './execution-store.js';
+import { withTrace } from '../lib/observability.js';
 
 /**
  * Check if automation is paused (kill switch active)
@@ -127,6 +129,91 @@ function topologicalLayers(nodes) {
   return layers;
 }
 
+/**
+ * Comparison operators for declarative `when` predicates
+ */
+const WHEN_OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  includes: (a, b) => Array.isArray(a) && a.includes(b),
+  exists: (a) => a !== undefined && a !== null,
+  truthy: (a) => Boolean(a),
+};
+
+/**
+ * Read a value from upstream outputs by "agentId.path.to.key"
+ * @param {object} outputs - Agent outputs keyed by agent ID
+ * @param {string} source - Dotted source spec
+ */
+function resolveSource(outputs, source) {
+  return source.split('.').reduce((value, key) => (value == null ? undefined : value[key]), outputs);
+}
+
+/**
+ * Evaluate a `when` predicate against upstream outputs
+ *
+ * Accepts a function `(outputs, ctx) => boolean` or a serializable spec:
+ *   { source: 'analyst.confidence', op: '>', value: 0.7 }
+ *   { all: [spec, ...] } | { any: [spec, ...] } | { not: spec }
+ *
+ * @param {function|object} when - Predicate
+ * @param {object} outputs - Agent outputs keyed by agent ID
+ * @param {ExecutionContext} [ctx] - Passed through to function predicates
+ * @returns {boolean}
+ */
+export function evaluateWhen(when, outputs, ctx) {
+  if (typeof when === 'function') {
+    return Boolean(when(outputs, ctx));
+  }
+  if (when.all) {
+    return when.all.every(spec => evaluateWhen(spec, outputs, ctx));
+  }
+  if (when.any) {
+    return when.any.some(spec => evaluateWhen(spec, outputs, ctx));
+  }
+  if (when.not) {
+    return !evaluateWhen(when.not, outputs, ctx);
+  }
+
+  const op = WHEN_OPERATORS[when.op || 'truthy'];
+  return op(resolveSource(outputs, when.source), when.value);
+}
+
+/**
+ * Collect validation errors for a declarative `when` spec
+ * @param {string} agentId - Agent the predicate belongs to
+ * @param {object} when - Predicate spec
+ * @param {Set<string>} upstream - Agents guaranteed to run before agentId
+ * @returns {string[]}
+ */
+function validateWhen(agentId, when, upstream) {
+  if (typeof when === 'function') return [];
+  if (!when || typeof when !== 'object') {
+    return [`Agent '${agentId}' has an invalid when predicate`];
+  }
+  if (when.all || when.any) {
+    return (when.all || when.any).flatMap(spec => validateWhen(agentId, spec, upstream));
+  }
+  if (when.not) {
+    return validateWhen(agentId, when.not, upstream);
+  }
+
+  const errors = [];
+  if (when.op && !WHEN_OPERATORS[when.op]) {
+    errors.push(`Agent '${agentId}' uses unknown when operator '${when.op}'`);
+  }
+  const sourceAgent = typeof when.source === 'string' ? when.source.split('.')[0] : null;
+  if (!sourceAgent || !upstream.has(sourceAgent)) {
+    errors.push(`Agent '${agentId}' has a when predicate on '${when.source}', which is not upstream`);
+  }
+  return errors;
+}
+
 /**
  * Workflow Definition
  * Describes a DAG of agents with dependencies
@@ -156,16 +243,94 @@ export class WorkflowDefinition {
       inputMap: config.inputMap || {}, // Dynamic inputs from other agents
       options: config.options || {},
       condition: config.condition,  // Optional condition function
+      when: config.when,            // Optional predicate over upstream outputs
+      join: config.join || 'any',   // 'any': run if any dependency completed; 'all': skip if any was skipped
+      loop: config.loop,            // Optional feedback loop back to upstream agents
       checkpoint: config.checkpoint || false,
     });
     return this;
   }
 
+  /**
+   * Get the agents re-run on each pass of a feedback loop
+   *
+   * The body is the loop agent, its `loop.back` targets, and every agent
+   * on a path between them.
+   *
+   * @param {string} agentId - Agent that owns the loop
+   * @returns {Set<string>}
+   */
+  getLoopBody(agentId) {
+    const { loop } = this.agents.get(agentId);
+    const upstream = this.getUpstream(agentId);
+    const body = new Set([agentId]);
+
+    for (const target of [].concat(loop.back)) {
+      body.add(target);
+      for (const id of this.getDownstream(target)) {
+        if (upstream.has(id)) {
+          body.add(id);
+        }
+      }
+    }
+
+    return body;
+  }
+
   /**
    * Get execution layers (parallel groups)
+   * @param {Iterable<string>} [skipped] - Agents already skipped; omitted from the layers
+   */
+  getExecutionLayers(skipped = []) {
+    const layers = topologicalLayers(this.agents);
+    const exclude = new Set(skipped);
+    if (exclude.size === 0) {
+      return layers;
+    }
+    return layers
+      .map(layer => layer.filter(id => !exclude.has(id)))
+      .filter(layer => layer.length > 0);
+  }
+
+  /**
+   * Get every agent that transitively depends on agentId
+   * @param {string} agentId
+   * @returns {Set<string>}
+   */
+  getDownstream(agentId) {
+    const downstream = new Set();
+    const queue = [agentId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const [id, agent] of this.agents) {
+        if (agent.dependsOn.includes(current) && !downstream.has(id)) {
+          downstream.add(id);
+          queue.push(id);
+        }
+      }
+    }
+
+    return downstream;
+  }
+
+  /**
+   * Get every agent that agentId transitively depends on
+   * @param {string} agentId
+   * @returns {Set<string>}
    */
-  getExecutionLayers() {
-    return topologicalLayers(this.agents);
+  getUpstream(agentId) {
+    const upstream = new Set();
+    const queue = [...(this.agents.get(agentId)?.dependsOn || [])];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (upstream.has(current) || !this.agents.has(current)) continue;
+      upstream.add(current);
+      queue.push(...this.agents.get(current).dependsOn);
+    }
+
+    return upstream;
   }
 
   /**
@@ -184,12 +349,29 @@ export class WorkflowDefinition {
     }
 
     // Check for cycles (topological sort will throw if cycle exists)
+    let acyclic = true;
     try {
       this.getExecutionLayers();
     } catch (e) {
+      acyclic = false;
       errors.push(e.message);
     }
 
+    // Check predicates only reference agents that run first
+    if (acyclic) {
+      for (const [id, agent] of this.agents) {
+        if (agent.when) {
+          errors.push(...validateWhen(id, agent.when, this.getUpstream(id)));
+        }
+        if (agent.join !== 'any' && agent.join !== 'all') {
+          errors.push(`Agent '${id}' has invalid join mode '${agent.join}'`);
+        }
+        if (agent.loop) {
+          errors.push(...this.validateLoop(id, agent.loop));
+        }
+      }
+    }
+
     if (errors.length > 0) {
       throw new ValidationError('Invalid workflow definition', { errors });
     }
@@ -197,6 +379,37 @@ export class WorkflowDefinition {
     return true;
   }
 
+  /**
+   * Collect validation errors for an agent's loop spec
+   * @param {string} agentId
+   * @param {object} loop
+   * @returns {string[]}
+   */
+  validateLoop(agentId, loop) {
+    const errors = [];
+    const targets = [].concat(loop.back || []);
+    const upstream = this.getUpstream(agentId);
+
+    if (targets.length === 0) {
+      errors.push(`Agent '${agentId}' loop has no back targets`);
+    }
+    for (const target of targets) {
+      if (!upstream.has(target)) {
+        errors.push(`Agent '${agentId}' loops back to '${target}', which is not upstream`);
+      }
+    }
+    if (!loop.until) {
+      errors.push(`Agent '${agentId}' loop has no until predicate`);
+    } else {
+      errors.push(...validateWhen(agentId, loop.until, new Set([...upstream, agentId])));
+    }
+    if (!Number.isInteger(loop.maxIterations) || loop.maxIterations < 1) {
+      errors.push(`Agent '${agentId}' loop maxIterations must be a positive integer`);
+    }
+
+    return errors;
+  }
+
   /**
    * Serialize workflow for storage/transmission
    */
@@ -250,6 +463,11 @@ export class ExecutionContext extends EventEmitter {
     this.outputs = new Map();
     this.errors = new Map();
     this.timings = new Map();
+    this.skipReasons = new Map();
+
+    // Feedback loops: passes per loop agent, feedback pending for back targets
+    this.iterations = new Map();
+    this.feedback = new Map();
 
     // Initialize all agents as pending
     for (const [id] of workflow.agents) {
@@ -280,6 +498,8 @@ export class ExecutionContext extends EventEmitter {
     // Checkpoint state
     this.pendingCheckpoint = null;
     this.checkpointData = null;
+    // Agent whose checkpoint was rejected; the run is over and cannot be resumed
+    this.rejectedCheckpoint = null;
   }
 
   /**
@@ -300,6 +520,13 @@ export class ExecutionContext extends EventEmitter {
       }
     }
 
+    // Feedback sent back by a downstream loop
+    const feedback = this.feedback.get(agentId);
+    if (feedback) {
+      inputs[feedback.key] = feedback.value;
+      inputs.iteration = feedback.iteration;
+    }
+
     return inputs;
   }
 
@@ -326,12 +553,104 @@ export class ExecutionContext extends EventEmitter {
     this.states.set(agentId, AgentState.COMPLETED);
     this.outputs.set(agentId, output);
     this.timings.set(agentId, timing);
-    this.costs.byAgent[agentId] = cost;
+    this.costs.byAgent[agentId] = (this.costs.byAgent[agentId] || 0) + cost;
     this.costs.actual += cost;
 
     this.emit('agent:complete', { agentId, output, timing, cost });
   }
 
+  /**
+   * Check whether a loop agent's output will send work back upstream
+   * @param {string} agentId - Loop agent
+   * @param {object} output - Output of the pass being evaluated
+   * @returns {boolean}
+   */
+  willLoop(agentId, output) {
+    const { loop } = this.workflow.agents.get(agentId);
+    if (!loop || this.options.dryRun) {
+      return false;
+    }
+
+    const pass = (this.iterations.get(agentId)?.length || 0) + 1;
+    const passed = evaluateWhen(loop.until, { ...Object.fromEntries(this.outputs), [agentId]: output }, this);
+    return !passed && pass < loop.maxIterations;
+  }
+
+  /**
+   * Record the outcome of a loop pass, with the cost of the agents it ran
+   * @param {string} agentId - Loop agent
+   * @param {Set<string>} body - Agents in the loop body
+   * @param {boolean} passed - Whether the until predicate held
+   * @returns {object} Iteration record
+   */
+  recordIteration(agentId, body, passed) {
+    const history = this.iterations.get(agentId) || [];
+    const bodyCost = [...body].reduce((sum, id) => sum + (this.costs.byAgent[id] || 0), 0);
+    const priorCost = history.reduce((sum, it) => sum + it.cost, 0);
+
+    const record = {
+      iteration: history.length + 1,
+      passed,
+      cost: bodyCost - priorCost,
+      completedAt: Date.now(),
+    };
+
+    history.push(record);
+    this.iterations.set(agentId, history);
+    this.emit('loop:iteration', { agentId, ...record });
+
+    return record;
+  }
+
+  /**
+   * Send work back to a loop's targets: reset the body and attach feedback
+   * @param {string} agentId - Loop agent
+   * @param {Set<string>} body - Agents in the loop body
+   */
+  sendBack(agentId, body) {
+    const { loop } = this.workflow.agents.get(agentId);
+    const outputs = Object.fromEntries(this.outputs);
+    const value = loop.feedbackFrom ? resolveSource(outputs, loop.feedbackFrom) : outputs[agentId];
+    const iteration = this.iterations.get(agentId).length + 1;
+
+    for (const target of [].concat(loop.back)) {
+      this.feedback.set(target, { key: loop.feedbackKey || 'feedback', value, iteration });
+    }
+    for (const id of body) {
+      this.states.set(id, AgentState.PENDING);
+      this.errors.delete(id);
+      this.skipReasons.delete(id);
+    }
+
+    this.emit('loop:sendBack', { agentId, targets: [].concat(loop.back), iteration });
+  }
+
+  /**
+   * Record agent skip (condition not met or upstream branch skipped)
+   */
+  skip(agentId, reason) {
+    this.states.set(agentId, AgentState.SKIPPED);
+    this.skipReasons.set(agentId, reason);
+
+    this.emit('agent:skipped', { agentId, reason });
+  }
+
+  /**
+   * Check whether an agent's upstream branch was skipped
+   * @returns {boolean} True if the agent should be skipped with its branch
+   */
+  isUpstreamSkipped(agentId) {
+    const agentDef = this.workflow.agents.get(agentId);
+    if (agentDef.dependsOn.length === 0) {
+      return false;
+    }
+
+    const skipped = agentDef.dependsOn.filter(dep => this.states.get(dep) === AgentState.SKIPPED);
+    return agentDef.join === 'all'
+      ? skipped.length > 0
+      : skipped.length === agentDef.dependsOn.length;
+  }
+
   /**
    * Record agent failure
    */
@@ -367,11 +686,15 @@ export class ExecutionContext extends EventEmitter {
 
     if (approved) {
       // Mark as completed with checkpoint data
-      this.states.set(agentId, AgentState.COMPLETED);
+      const { output, timing = 0, cost = 0 } = this.checkpointData || {};
+      this.complete(agentId, output, timing, cost);
+      this.checkpointData = null;
       this.emit('checkpoint:approved', { agentId, feedback });
     } else {
       this.states.set(agentId, AgentState.FAILED);
       this.errors.set(agentId, new Error(`Checkpoint rejected: ${feedback || 'No reason'}`));
+      this.rejectedCheckpoint = agentId;
+      this.checkpointData = null;
       this.emit('checkpoint:rejected', { agentId, feedback });
     }
 
@@ -384,20 +707,104 @@ export class ExecutionContext extends EventEmitter {
   getSummary() {
     const completed = [...this.states.values()].filter(s => s === AgentState.COMPLETED).length;
     const failed = [...this.states.values()].filter(s => s === AgentState.FAILED).length;
+    const skipped = [...this.states.values()].filter(s => s === AgentState.SKIPPED).length;
     const total = this.workflow.agents.size;
 
+    let status;
+    if (this.rejectedCheckpoint) {
+      status = 'rejected';
+    } else if (this.pendingCheckpoint) {
+      status = 'paused';
+    } else {
+      status = failed > 0 ? 'failed' : (completed + skipped === total ? 'completed' : 'running');
+    }
+
     return {
       traceId: this.traceId,
       workflow: this.workflow.id,
-      status: this.pendingCheckpoint ? 'paused' : (failed > 0 ? 'failed' : (completed === total ? 'completed' : 'running')),
-      progress: { completed, failed, total },
+      status,
+      progress: { completed, failed, skipped, total },
       duration: this.endTime ? this.endTime - this.startTime : Date.now() - this.startTime,
       costs: this.costs,
       outputs: Object.fromEntries(this.outputs),
       errors: Object.fromEntries([...this.errors].map(([k, v]) => [k, v.message])),
       timings: Object.fromEntries(this.timings),
+      skipped: Object.fromEntries(this.skipReasons),
+      iterations: Object.fromEntries(this.iterations),
+    };
+  }
+
+  /**
+   * Serialize execution state for durable storage
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      workflow: this.workflow.toJSON(),
+      status: this.getSummary().status,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      updatedAt: Date.now(),
+      notebookId: this.notebookId || null,
+      options: this.options,
+      states: Object.fromEntries(this.states),
+      outputs: Object.fromEntries(this.outputs),
+      errors: Object.fromEntries([...this.errors].map(([k, v]) => [k, v.message])),
+      timings: Object.fromEntries(this.timings),
+      skipReasons: Object.fromEntries(this.skipReasons),
+      iterations: Object.fromEntries(this.iterations),
+      feedback: Object.fromEntries(this.feedback),
+      costs: this.costs,
+      pendingCheckpoint: this.pendingCheckpoint,
+      checkpointData: this.checkpointData,
+      rejectedCheckpoint: this.rejectedCheckpoint,
     };
   }
+
+  /**
+   * Restore an execution from a stored snapshot
+   * @param {object} snapshot - Output of toJSON()
+   * @param {WorkflowDefinition} [workflow] - Definition to bind (defaults to the stored one)
+   */
+  static fromJSON(snapshot, workflow = WorkflowDefinition.fromJSON(snapshot.workflow)) {
+    const ctx = new ExecutionContext(workflow, snapshot.options);
+    ctx.traceId = snapshot.traceId;
+    ctx.startTime = snapshot.startTime;
+    ctx.endTime = snapshot.endTime;
+    ctx.notebookId = snapshot.notebookId || undefined;
+
+    for (const [id, state] of Object.entries(snapshot.states || {})) {
+      if (ctx.states.has(id)) {
+        // An agent caught mid-run by a restart never finished; run it again
+        ctx.states.set(id, state === AgentState.RUNNING ? AgentState.PENDING : state);
+      }
+    }
+    for (const [id, output] of Object.entries(snapshot.outputs || {})) {
+      ctx.outputs.set(id, output);
+    }
+    for (const [id, message] of Object.entries(snapshot.errors || {})) {
+      ctx.errors.set(id, new Error(message));
+    }
+    for (const [id, timing] of Object.entries(snapshot.timings || {})) {
+      ctx.timings.set(id, timing);
+    }
+    for (const [id, reason] of Object.entries(snapshot.skipReasons || {})) {
+      ctx.skipReasons.set(id, reason);
+    }
+    for (const [id, history] of Object.entries(snapshot.iterations || {})) {
+      ctx.iterations.set(id, history);
+    }
+    for (const [id, feedback] of Object.entries(snapshot.feedback || {})) {
+      ctx.feedback.set(id, feedback);
+    }
+
+    ctx.costs = snapshot.costs || ctx.costs;
+    ctx.pendingCheckpoint = snapshot.pendingCheckpoint || null;
+    ctx.checkpointData = snapshot.checkpointData || null;
+    ctx.rejectedCheckpoint = snapshot.rejectedCheckpoint || null;
+
+    return ctx;
+  }
 }
 
 /**
@@ -473,12 +880,78 @@ export class Orchestrator {
   constructor(options = {}) {
     this.registry = options.registry || agentRegistry;
     this.activeExecutions = new Map();
+    // Pass store: null to keep executions in memory only
+    this.store = options.store === undefined ? executionStore : options.store;
+  }
+
+  /**
+   * Checkpoint execution state to the store (dry runs are never persisted)
+   * @param {ExecutionContext} ctx
+   */
+  async persist(ctx) {
+    if (!this.store || ctx.options.dryRun) {
+      return;
+    }
+
+    try {
+      if (ctx.getSummary().status === 'completed') {
+        await this.store.delete(ctx.traceId);
+      } else {
+        await this.store.save(ctx.toJSON());
+      }
+    } catch (error) {
+      logger.warn('Failed to checkpoint execution', { traceId: ctx.traceId, error: error.message });
+    }
+  }
+
+  /**
+   * Run layers in order, checkpointing after each one
+   * @param {ExecutionContext} ctx - Execution context
+   * @param {string[][]} layers - Layers still to run
+   */
+  async runLayers(ctx, layers) {
+    for (const layer of layers) {
+      // Check for paused state (checkpoint)
+      if (ctx.pendingCheckpoint) {
+        logger.info('Workflow paused at checkpoint', {
+          traceId: ctx.traceId,
+          checkpoint: ctx.pendingCheckpoint,
+        });
+        return;
+      }
+
+      // Run all agents in this layer in parallel
+      await this.executeLayer(ctx, layer);
+      await this.persist(ctx);
+
+      // Re-run feedback loops owned by agents in this layer
+      for (const id of layer) {
+        if (ctx.workflow.agents.get(id).loop && ctx.states.get(id) === AgentState.COMPLETED) {
+          await this.runLoop(ctx, id);
+        }
+      }
+      if (ctx.pendingCheckpoint) {
+        continue;
+      }
+
+      // Check if any failures should stop execution
+      const failedAgents = layer.filter(id => ctx.states.get(id) === AgentState.FAILED);
+      if (failedAgents.length > 0 && !ctx.options.continueOnError) {
+        logger.warn('Workflow stopping due to agent failure', {
+          traceId: ctx.traceId,
+          failedAgents,
+        });
+        return;
+      }
+    }
   }
 
   /**
    * Execute a workflow
    * @param {WorkflowDefinition} workflow - Workflow to execute
    * @param {object} options - Execution options
+   * @param {string} [options.businessUnitId] - Business unit billed for the run
+   * @param {string} [options.tenantId] - Tenant billed for the run
    * @returns {Promise<ExecutionContext>}
    */
   async execute(workflow, options = {}) {
@@ -490,10 +963,12 @@ export class Orchestrator {
     // Validate workflow
     workflow.validate();
 
+    const attribution = { businessUnitId: options.businessUnitId, tenantId: options.tenantId };
+
     // CRITICAL: Cost pre-flight check (skip for dry runs)
     if (!options.dryRun) {
       const estimatedCost = this.estimateWorkflowCost(workflow, options);
-      const preFlightResult = costController.preFlightCheck(estimatedCost);
+      const preFlightResult = costController.preFlightCheck(estimatedCost, attribution);
 
       if (!preFlightResult.allowed) {
         throw new ValidationError(`Budget check failed: ${preFlightResult.reason}`);
@@ -511,6 +986,7 @@ export class Orchestrator {
     ctx.startTime = Date.now();
 
     this.activeExecutions.set(ctx.traceId, ctx);
+    costController.attributeTrace(ctx.traceId, attribution);
 
     // Initialize workflow notebook for persistence (non-blocking)
     if (!options.dryRun) {
@@ -529,36 +1005,21 @@ export class Orchestrator {
       agents: workflow.agents.size,
     });
 
-    try {
-      // Get execution layers
-      const layers = workflow.getExecutionLayers();
-
-      // Execute layer by layer
-      for (const layer of layers) {
-        // Check for paused state (checkpoint)
-        if (ctx.pendingCheckpoint) {
-          logger.info('Workflow paused at checkpoint', {
-            traceId: ctx.traceId,
-            checkpoint: ctx.pendingCheckpoint,
-          });
-          return ctx;
-        }
+    await this.persist(ctx);
 
-        // Run all agents in this layer in parallel
-        await this.executeLayer(ctx, layer);
+    try {
+      // Execute layer by layer; agent and model calls nest under this span
+      await withTrace('workflow.execute', () => this.runLayers(ctx, workflow.getExecutionLayers()), {
+        'superchase.trace_id': ctx.traceId,
+        'workflow.id': workflow.id,
+      });
 
-        // Check if any failures should stop execution
-        const failedAgents = layer.filter(id => ctx.states.get(id) === AgentState.FAILED);
-        if (failedAgents.length > 0 && !options.continueOnError) {
-          logger.warn('Workflow stopping due to agent failure', {
-            traceId: ctx.traceId,
-            failedAgents,
-          });
-          break;
-        }
+      if (ctx.pendingCheckpoint) {
+        return ctx;
       }
 
       ctx.endTime = Date.now();
+      await this.persist(ctx);
 
       const summary = ctx.getSummary();
       logger.info('Workflow execution complete', {
@@ -580,6 +1041,7 @@ export class Orchestrator {
     } finally {
       if (!ctx.pendingCheckpoint) {
         this.activeExecutions.delete(ctx.traceId);
+        costController.releaseTrace(ctx.traceId);
 
         // Update workflow status in OpenNotebook
         if (ctx.notebookId) {
@@ -591,6 +1053,62 @@ export class Orchestrator {
     }
   }
 
+  /**
+   * Run a feedback loop until its until predicate holds or maxIterations passes
+   *
+   * Each pass re-runs the loop body with the loop agent's feedback attached
+   * to the back targets' inputs. Passes are budget-checked before they start.
+   *
+   * @param {ExecutionContext} ctx - Execution context
+   * @param {string} agentId - Agent that owns the loop
+   */
+  async runLoop(ctx, agentId) {
+    if (ctx.options.dryRun) {
+      return;
+    }
+
+    const { loop } = ctx.workflow.agents.get(agentId);
+    const body = ctx.workflow.getLoopBody(agentId);
+    const bodyLayers = ctx.workflow.getExecutionLayers()
+      .map(layer => layer.filter(id => body.has(id)))
+      .filter(layer => layer.length > 0);
+
+    while (ctx.states.get(agentId) === AgentState.COMPLETED) {
+      const passed = evaluateWhen(loop.until, Object.fromEntries(ctx.outputs), ctx);
+      const record = ctx.recordIteration(agentId, body, passed);
+
+      logger.info('Loop pass complete', {
+        traceId: ctx.traceId,
+        agentId,
+        iteration: record.iteration,
+        passed,
+        cost: record.cost,
+      });
+
+      if (passed || record.iteration >= loop.maxIterations) {
+        return;
+      }
+
+      const preFlightResult = costController.preFlightCheck(this.estimateAgentsCost(ctx, body), { traceId: ctx.traceId });
+      if (!preFlightResult.allowed) {
+        record.stoppedReason = `Budget check failed: ${preFlightResult.reason}`;
+        logger.warn('Loop stopped by budget check', { traceId: ctx.traceId, agentId, reason: preFlightResult.reason });
+        return;
+      }
+
+      ctx.sendBack(agentId, body);
+
+      for (const layer of bodyLayers) {
+        await this.executeLayer(ctx, layer);
+        if (ctx.pendingCheckpoint || layer.some(id => ctx.states.get(id) === AgentState.FAILED)) {
+          await this.persist(ctx);
+          return;
+        }
+      }
+      await this.persist(ctx);
+    }
+  }
+
   /**
    * Execute a layer of agents in parallel
    */
@@ -614,20 +1132,43 @@ export class Orchestrator {
     const agentDef = ctx.workflow.agents.get(agentId);
     const agentType = this.registry.get(agentDef.type);
 
+    // Propagate skipped branches downstream
+    if (ctx.isUpstreamSkipped(agentId)) {
+      ctx.skip(agentId, 'upstream skipped');
+      logger.debug('Agent skipped with upstream branch', { agentId });
+      return;
+    }
+
+    // Check dependencies
+    if (!ctx.canRun(agentId)) {
+      ctx.states.set(agentId, AgentState.BLOCKED);
+      return;
+    }
+
     // Check condition
     if (agentDef.condition) {
       const shouldRun = agentDef.condition(ctx);
       if (!shouldRun) {
-        ctx.states.set(agentId, AgentState.SKIPPED);
+        ctx.skip(agentId, 'condition not met');
         logger.debug('Agent skipped by condition', { agentId });
         return;
       }
     }
 
-    // Check dependencies
-    if (!ctx.canRun(agentId)) {
-      ctx.states.set(agentId, AgentState.BLOCKED);
-      return;
+    // Check predicate over upstream outputs
+    if (agentDef.when) {
+      let shouldRun;
+      try {
+        shouldRun = evaluateWhen(agentDef.when, Object.fromEntries(ctx.outputs), ctx);
+      } catch (error) {
+        ctx.fail(agentId, new Error(`when predicate failed: ${error.message}`), 0);
+        return;
+      }
+      if (!shouldRun) {
+        ctx.skip(agentId, 'when predicate not met');
+        logger.debug('Agent skipped by when predicate', { agentId });
+        return;
+      }
     }
 
     ctx.states.set(agentId, AgentState.RUNNING);
@@ -648,7 +1189,11 @@ export class Orchestrator {
 
       // Run agent with retry and timeout
       const runWithRetry = withRetry(
-        () => agentType.run(inputs, { ...agentDef.options, traceId: ctx.traceId }),
+        () => withTrace(`agent.${agentId}`, () => agentType.run(inputs, {
+          ...agentDef.options,
+          traceId: ctx.traceId,
+          iteration: inputs.iteration,
+        }), { 'superchase.trace_id': ctx.traceId, 'agent.type': agentDef.type }),
         { maxRetries: ctx.options.maxRetries, baseDelayMs: ctx.options.retryDelayMs }
       );
 
@@ -662,8 +1207,8 @@ export class Orchestrator {
       const timing = Date.now() - startTime;
       const cost = agentType.estimateCost(inputs, output);
 
-      // Check for checkpoint
-      if (agentDef.checkpoint && ctx.options.pauseOnCheckpoint) {
+      // Check for checkpoint (loop agents only pause once they stop looping)
+      if (agentDef.checkpoint && ctx.options.pauseOnCheckpoint && !ctx.willLoop(agentId, output)) {
         ctx.pause(agentId, { output, timing, cost });
         return;
       }
@@ -694,53 +1239,144 @@ export class Orchestrator {
    * Resume a paused workflow
    */
   async resume(traceId, approved = true, feedback = null) {
+    return this.resumeExecution(traceId, { approved, feedback });
+  }
+
+  /**
+   * Resume an execution, from memory or from its stored snapshot
+   *
+   * A pending checkpoint is approved or rejected first; failed or interrupted
+   * agents are reset, and execution picks up at the first layer that has not
+   * fully completed. A run whose checkpoint was rejected is final: resuming
+   * it would run the rejected agent again, and a run still in progress
+   * cannot be resumed until it stops.
+   *
+   * @param {string} traceId - Execution trace ID
+   * @param {object} [options]
+   * @param {boolean} [options.approved=true] - Checkpoint decision
+   * @param {string} [options.feedback] - Checkpoint feedback
+   * @param {WorkflowDefinition} [options.workflow] - Definition to bind when restoring
+   *   from storage (needed for workflows whose agents use condition functions)
+   * @returns {Promise<ExecutionContext>}
+   * @throws {NotFoundError} When the execution is neither active nor stored
+   * @throws {ConflictError} While the execution is still running
+   */
+  async resumeExecution(traceId, options = {}) {
+    const { approved = true, feedback = null } = options;
+
     // CRITICAL: Check kill switch before resuming
     if (isAutomationPaused()) {
       throw new ValidationError('Automation is paused - emergency kill switch is active. Resume via POST /api/emergency/resume');
     }
 
-    const ctx = this.activeExecutions.get(traceId);
+    let ctx = this.activeExecutions.get(traceId);
+    // In memory without a checkpoint means its layers are still running;
+    // resetting them here would run (and bill) the same agents twice
+    if (ctx && !ctx.pendingCheckpoint) {
+      throw new ConflictError(`Execution ${traceId} is still running`);
+    }
+    if (!ctx && this.store) {
+      const snapshot = await this.store.load(traceId);
+      if (snapshot) {
+        ctx = ExecutionContext.fromJSON(snapshot, options.workflow);
+        logger.info('Execution restored from snapshot', { traceId, status: snapshot.status });
+      }
+    }
     if (!ctx) {
-      throw new ValidationError(`No active execution found: ${traceId}`);
+      throw new NotFoundError('Execution', traceId);
+    }
+    if (ctx.rejectedCheckpoint) {
+      throw new ValidationError(`Execution ${traceId} was rejected at checkpoint '${ctx.rejectedCheckpoint}' and cannot be resumed`);
     }
 
+    // A restored execution bills the same unit/tenant as before the restart
+    costController.attributeTrace(traceId, { businessUnitId: ctx.options.businessUnitId, tenantId: ctx.options.tenantId });
+
     // CRITICAL: Re-check budget before resuming (budget may have changed since pause)
     if (!ctx.options.dryRun) {
       const remainingCost = this.estimateRemainingCost(ctx);
-      const preFlightResult = costController.preFlightCheck(remainingCost);
+      const preFlightResult = costController.preFlightCheck(remainingCost, { traceId });
 
       if (!preFlightResult.allowed) {
         throw new ValidationError(`Budget check failed on resume: ${preFlightResult.reason}`);
       }
     }
 
-    const resumedAgent = ctx.resume(approved, feedback);
+    this.activeExecutions.set(traceId, ctx);
 
-    if (!approved) {
-      ctx.endTime = Date.now();
-      this.activeExecutions.delete(traceId);
-      return ctx;
-    }
+    try {
+      if (ctx.pendingCheckpoint) {
+        const resumedAgent = ctx.resume(approved, feedback);
 
-    // Continue execution from where we left off
-    const layers = ctx.workflow.getExecutionLayers();
-    let foundResumePoint = false;
+        if (!approved) {
+          ctx.endTime = Date.now();
+          await this.persist(ctx);
+          return ctx;
+        }
 
-    for (const layer of layers) {
-      if (!foundResumePoint) {
-        if (layer.includes(resumedAgent)) {
-          foundResumePoint = true;
+        // Record the final pass of a loop that paused for approval
+        if (ctx.workflow.agents.get(resumedAgent).loop) {
+          await this.runLoop(ctx, resumedAgent);
         }
-        continue;
+      } else {
+        // Retry whatever did not finish last time
+        for (const [id, state] of ctx.states) {
+          if (state === AgentState.FAILED || state === AgentState.BLOCKED || state === AgentState.RUNNING) {
+            ctx.states.set(id, AgentState.PENDING);
+            ctx.errors.delete(id);
+          }
+        }
+        ctx.endTime = null;
       }
 
-      await this.executeLayer(ctx, layer);
-    }
+      // Continue execution from the first layer with unfinished agents
+      const layers = ctx.workflow.getExecutionLayers(ctx.skipReasons.keys());
+      const resumeIndex = layers.findIndex(layer => layer.some(id => ctx.states.get(id) !== AgentState.COMPLETED));
 
-    ctx.endTime = Date.now();
-    this.activeExecutions.delete(traceId);
+      logger.info('Workflow execution resuming', {
+        traceId,
+        layer: resumeIndex,
+        layers: layers.length,
+      });
 
-    return ctx;
+      if (resumeIndex !== -1) {
+        await withTrace('workflow.resume', () => this.runLayers(ctx, layers.slice(resumeIndex)), {
+          'superchase.trace_id': traceId,
+          'workflow.id': ctx.workflow.id,
+        });
+      }
+
+      if (!ctx.pendingCheckpoint) {
+        ctx.endTime = Date.now();
+      }
+      await this.persist(ctx);
+
+      return ctx;
+
+    } finally {
+      if (!ctx.pendingCheckpoint) {
+        this.activeExecutions.delete(traceId);
+        costController.releaseTrace(traceId);
+
+        if (ctx.notebookId) {
+          const summary = ctx.getSummary();
+          opennotebook.updateWorkflowStatus(ctx.notebookId, summary.status, summary)
+            .catch(() => {});
+        }
+      }
+    }
+  }
+
+  /**
+   * List stored executions that can be resumed after a restart
+   * @returns {Promise<object[]>}
+   */
+  async listResumable() {
+    if (!this.store) {
+      return [];
+    }
+    const executions = await this.store.list();
+    return executions.filter(execution => execution.status !== 'rejected');
   }
 
   /**
@@ -786,29 +1422,40 @@ export class Orchestrator {
     return totalEstimate;
   }
 
+  /**
+   * Estimate cost of running a set of agents with their current inputs
+   * @param {ExecutionContext} ctx - Execution context
+   * @param {Iterable<string>} agentIds - Agents to estimate
+   * @returns {number} Estimated cost in USD
+   */
+  estimateAgentsCost(ctx, agentIds) {
+    let cost = 0;
+
+    for (const id of agentIds) {
+      try {
+        const agentType = this.registry.get(ctx.workflow.agents.get(id).type);
+        cost += agentType.estimateCost(ctx.getAgentInputs(id));
+      } catch (e) {
+        cost += 0.01; // Conservative default
+      }
+    }
+
+    return cost;
+  }
+
   /**
    * Estimate remaining cost for a paused workflow
    * @param {ExecutionContext} ctx - Execution context
    * @returns {number} Estimated remaining cost in USD
    */
   estimateRemainingCost(ctx) {
-    let remainingCost = 0;
-
-    for (const [id, agentDef] of ctx.workflow.agents) {
+    // Only estimate for agents not yet completed
+    const remaining = [...ctx.workflow.agents.keys()].filter(id => {
       const state = ctx.states.get(id);
-      // Only estimate for agents not yet completed
-      if (state !== AgentState.COMPLETED && state !== AgentState.SKIPPED) {
-        try {
-          const agentType = this.registry.get(agentDef.type);
-          const inputs = ctx.getAgentInputs(id);
-          remainingCost += agentType.estimateCost(inputs);
-        } catch (e) {
-          remainingCost += 0.01; // Conservative default
-        }
-      }
-    }
+      return state !== AgentState.COMPLETED && state !== AgentState.SKIPPED;
+    });
 
-    return remainingCost;
+    return this.estimateAgentsCost(ctx, remaining);
   }
 }
 
@@ -820,6 +1467,7 @@ export default {
   WorkflowDefinition,
   ExecutionContext,
   AgentState,
+  evaluateWhen,
   agentRegistry,
   orchestrator,
 };
@@ -24,6 +24,9 @@ const CACHE_TTL = 60 * 1000; // 1 minute cache
 let cachedConfig = null;
 let cacheTimestamp = 0;
 
+// Bumped whenever the config is re-read or saved, so derived caches know to rebuild
+let configVersion = 0;
+
 /**
  * @typedef {Object} BusinessUnit
  * @property {string} id - Unique identifier (e.g., 's2p', 'studio')
@@ -59,6 +62,7 @@ export function loadConfig(forceReload = false) {
   try {
     cachedConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
     cacheTimestamp = now;
+    configVersion++;
     return cachedConfig;
   } catch (error) {
     logger.error('Failed to load portfolio config', { error: error.message });
@@ -75,9 +79,19 @@ export function saveConfig(config) {
   writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
   cachedConfig = config;
   cacheTimestamp = Date.now();
+  configVersion++;
   logger.info('Portfolio config saved');
 }
 
+/**
+ * Version of the loaded config; changes on every reload or save
+ * @returns {number}
+ */
+export function getConfigVersion() {
+  loadConfig();
+  return configVersion;
+}
+
 /**
  * Get all business units
  * @param {Object} [options]
@@ -294,6 +308,7 @@ export function getBusinessUnitColor(id) {
 export default {
   loadConfig,
   saveConfig,
+  getConfigVersion,
   getBusinessUnits,
   getBusinessUnit,
   addBusinessUnit,
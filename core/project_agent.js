@@ -20,14 +20,14 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { queryLLM } from '../lib/llm-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 // Project configurations
 const PROJECTS = {
@@ -199,25 +199,14 @@ async function runAgent(projectId, agentType, task, options = {}) {
   const prompt = buildAgentPrompt(context, persona, task, conversationHistory);
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 2000
-        }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.7,
+      maxTokens: 2000,
+      operation: 'project-agent:run'
     });
 
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     // Try to parse as JSON
     try {
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -16,15 +16,14 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, existsSync } from 'fs';
 import { getTaskProvider } from '../lib/providers/task-provider.js';
+import { queryLLM, isLLMAvailable } from '../lib/llm-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 const PATHS = {
   dailySummary: join(__dirname, '..', 'memory', 'daily_summary.json'),
@@ -210,32 +209,21 @@ function getRecentAuditEntries(limit = 10) {
  * Use Gemini to synthesize an answer
  */
 async function synthesizeAnswer(query, context, conversationHistory = []) {
-  if (!GEMINI_API_KEY) {
+  if (!isLLMAvailable(GEMINI_MODEL)) {
     return generateFallbackAnswer(query, context);
   }
 
   const prompt = buildQueryPrompt(query, context, conversationHistory);
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 500
-        }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.3,
+      maxTokens: 500,
+      operation: 'query-hub:answer'
     });
 
-    if (!response.ok) {
-      return generateFallbackAnswer(query, context);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     // Try to parse as JSON, fall back to text
     try {
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -7,7 +7,11 @@
  * Flow:
  *   Research ──> Analyst (trends) ──┐
  *                                   ├──> Architect (plan) ──> Copywriter (batch) ──> Editor
- *   Research ──> Analyst (audience) ┘
+ *   Research ──> Analyst (audience) ┘                              ^                    │
+ *                                                                  └──── feedback ──────┘
+ *
+ * The editor sends copy back with its feedback until the overall score
+ * reaches minEditorScore or maxEditorPasses is used up.
  *
  * @module core/workflows/content
  */
@@ -21,6 +25,8 @@ import { AgentTypes } from '../agents/index.js';
  * @param {string} options.businessId - Business unit ID
  * @param {string} options.depth - Depth level (quick, standard, deep)
  * @param {string[]} options.formats - Content formats to generate
+ * @param {number} [options.minEditorScore=7] - Editor score (1-10) the copy must reach
+ * @param {number} [options.maxEditorPasses=3] - Maximum Copywriter → Editor passes
  * @returns {WorkflowDefinition}
  */
 export function createContentWorkflow(options = {}) {
@@ -28,13 +34,15 @@ export function createContentWorkflow(options = {}) {
     businessId,
     depth = 'standard',
     formats = ['social', 'blog', 'email'],
+    minEditorScore = 7,
+    maxEditorPasses = 3,
   } = options;
 
   const workflow = new WorkflowDefinition({
     id: 'content-sprint',
     name: 'Content Sprint',
     description: `Generate content sprint for ${businessId}`,
-    metadata: { businessId, depth, formats },
+    metadata: { businessId, depth, formats, minEditorScore, maxEditorPasses },
   });
 
   // Stage 1: Research (foundation)
@@ -153,6 +161,13 @@ export function createContentWorkflow(options = {}) {
       inputMap: {
         brandVoice: 'research.brandVoice',
       },
+      // Send copy back to the writers until it scores well enough
+      loop: {
+        back: copyDeps,
+        until: { source: 'editor.scores.overall', op: '>=', value: minEditorScore },
+        maxIterations: maxEditorPasses,
+        feedbackFrom: 'editor.feedback',
+      },
       checkpoint: true, // HITL: Final approval
     });
   }
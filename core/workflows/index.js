@@ -46,7 +46,7 @@ export function createResearchWorkflow(options = {}) {
     id: 'research-brief',
     name: 'Research Brief',
     description: `Generate research brief for ${businessId}`,
-    metadata: { businessId },
+    metadata: { businessId, focus },
   });
 
   workflow.addAgent('research', {
@@ -147,6 +147,32 @@ export function createWorkflow(templateName, options = {}) {
   return factory(options);
 }
 
+/**
+ * Template that builds each workflow ID (microsite IDs carry the template type)
+ */
+const TemplateByWorkflowId = {
+  'content-sprint': 'content',
+  'research-brief': 'research',
+  'competitive-analysis': 'competitive',
+};
+
+/**
+ * Rebuild a stored workflow definition from the template that created it
+ *
+ * Stored snapshots keep a definition's data but lose its condition functions,
+ * so a restored execution should be bound to a freshly built definition.
+ *
+ * @param {object} json - Stored definition (output of WorkflowDefinition#toJSON)
+ * @returns {WorkflowDefinition|undefined} Undefined when no template builds that ID
+ */
+export function resolveWorkflow(json) {
+  const templateName = json?.id?.startsWith('microsite-') ? 'microsite' : TemplateByWorkflowId[json?.id];
+  if (!templateName) {
+    return undefined;
+  }
+  return createWorkflow(templateName, json.metadata);
+}
+
 /**
  * List available templates
  */
@@ -171,5 +197,6 @@ export default {
   createCompetitiveWorkflow,
   WorkflowTemplates,
   createWorkflow,
+  resolveWorkflow,
   listWorkflowTemplates,
 };
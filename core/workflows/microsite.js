@@ -29,7 +29,7 @@ export function createMicrositeWorkflow(options = {}) {
     id: `microsite-${templateType}`,
     name: `Microsite Generation (${templateType})`,
     description: `Generate ${templateType} microsite content for ${businessId}`,
-    metadata: { businessId, templateType },
+    metadata: { businessId, templateType, customContent },
   });
 
   // Stage 1: Parallel research (runs concurrently)
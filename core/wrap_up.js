@@ -14,14 +14,14 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, writeFileSync, existsSync, appendFileSync } from 'fs';
+import { queryLLM, isLLMAvailable } from '../lib/llm-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 const PATHS = {
   constructionLog: join(__dirname, '..', 'CONSTRUCTION_LOG.md'),
@@ -225,33 +225,21 @@ function analyzeAuditData(entries) {
  * Generate learnings using Gemini
  */
 async function generateLearnings(constructionLog, analysis, existingPatterns) {
-  if (!GEMINI_API_KEY) {
+  if (!isLLMAvailable(GEMINI_MODEL)) {
     return generateFallbackLearnings(constructionLog, analysis);
   }
 
   const prompt = buildLearningsPrompt(constructionLog, analysis, existingPatterns);
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 1000
-        }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.3,
+      maxTokens: 1000,
+      operation: 'wrap-up:learnings'
     });
 
-    if (!response.ok) {
-      console.warn('[Wrap-up] Gemini API error, using fallback');
-      return generateFallbackLearnings(constructionLog, analysis);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     return parseLearningsResponse(text, analysis);
 
   } catch (error) {
@@ -10,17 +10,38 @@ import {
   AlertCircle,
   FileText,
   ChevronDown,
-  Clock
+  Clock,
+  Download,
+  ShieldCheck,
+  ShieldAlert,
+  User
 } from 'lucide-react'
-import { getLogs } from '../services/api'
+import { getLogs, getAuditTrail, verifyAuditTrail, exportAuditCsv } from '../services/api'
 
 /**
  * Audit Log Component
  *
  * Displays system audit trail for human oversight.
- * Shows email classifications, task creations, and agent actions.
+ * Privileged actions: every mutating API request with its actor, target
+ * and before/after diff, from the hash-chained trail (/api/audit).
+ * Triage: email classifications, task creations, and agent actions.
  */
 
+const SINCE_OPTIONS = [
+  { value: '1h', label: 'Last hour' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '', label: 'All time' }
+]
+
+const METHOD_COLORS = {
+  POST: '#10b981',
+  PUT: '#3b82f6',
+  PATCH: '#3b82f6',
+  DELETE: '#ef4444',
+  GET: '#a855f7'
+}
+
 const CATEGORY_CONFIG = {
   URGENT_CLIENT: { icon: AlertCircle, color: '#ef4444', label: 'Urgent Client' },
   ACTION_REQUIRED: { icon: Mail, color: '#f59e0b', label: 'Action Required' },
@@ -109,23 +130,179 @@ function LogEntry({ entry, isExpanded, onToggle }) {
   )
 }
 
+function formatValue(value) {
+  if (value === null || value === undefined) return '—'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function AuditEntry({ entry, isExpanded, onToggle }) {
+  const [method, ...route] = entry.action.split(' ')
+  const color = entry.success ? (METHOD_COLORS[method] || '#6b7280') : '#ef4444'
+  const changes = Object.entries(entry.diff || {})
+
+  return (
+    <motion.div
+      layout
+      className="border-b border-zinc-800/50 last:border-0"
+    >
+      <button
+        onClick={onToggle}
+        className="w-full py-3 px-4 flex items-start gap-3 text-left hover:bg-zinc-800/30 transition-colors"
+      >
+        <div
+          className="w-8 h-8 rounded-lg flex items-center justify-center flex-shrink-0 mt-0.5"
+          style={{ backgroundColor: `${color}20` }}
+        >
+          {entry.success
+            ? <History className="w-4 h-4" style={{ color }} />
+            : <AlertCircle className="w-4 h-4" style={{ color }} />}
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <span
+              className="px-2 py-0.5 text-xs font-medium rounded"
+              style={{ backgroundColor: `${color}20`, color }}
+            >
+              {method}
+            </span>
+            <span className="text-sm text-zinc-200 truncate font-mono">{route.join(' ')}</span>
+            {entry.status && (
+              <span className="text-xs text-zinc-500">{entry.status}</span>
+            )}
+          </div>
+
+          <div className="text-sm text-zinc-400 mt-1 truncate">
+            {entry.resource}{entry.resourceId ? ` · ${entry.resourceId}` : ''}
+            {changes.length > 0 && ` · ${changes.length} field${changes.length === 1 ? '' : 's'} changed`}
+          </div>
+
+          <div className="flex items-center gap-2 mt-1 text-xs text-zinc-500">
+            <Clock className="w-3 h-3" />
+            {new Date(entry.timestamp).toLocaleString()}
+            <span>•</span>
+            <User className="w-3 h-3" />
+            <span className="truncate">{entry.actor}</span>
+            <span>•</span>
+            <span className="font-mono">#{entry.seq}</span>
+          </div>
+        </div>
+
+        <motion.div
+          animate={{ rotate: isExpanded ? 180 : 0 }}
+          className="mt-2"
+        >
+          <ChevronDown className="w-4 h-4 text-zinc-500" />
+        </motion.div>
+      </button>
+
+      <AnimatePresence>
+        {isExpanded && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 pl-16 space-y-3">
+              {changes.length > 0 && (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-zinc-500">
+                      <th className="py-1 pr-4 font-medium">Field</th>
+                      <th className="py-1 pr-4 font-medium">Before</th>
+                      <th className="py-1 font-medium">After</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono text-zinc-400">
+                    {changes.map(([field, { before, after }]) => (
+                      <tr key={field} className="border-t border-zinc-800/50 align-top">
+                        <td className="py-1 pr-4 text-zinc-300">{field}</td>
+                        <td className="py-1 pr-4 text-red-400/80 break-all">{formatValue(before)}</td>
+                        <td className="py-1 text-emerald-400/80 break-all">{formatValue(after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <div className="p-3 bg-zinc-900/50 rounded-lg text-sm font-mono text-zinc-400 overflow-x-auto">
+                <pre>{JSON.stringify({
+                  requestId: entry.requestId,
+                  actorKeyId: entry.actorKeyId,
+                  details: entry.details,
+                  hash: entry.hash,
+                  prevHash: entry.prevHash
+                }, null, 2)}</pre>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  )
+}
+
 export default function AuditLog({ limit = 50 }) {
+  const [source, setSource] = useState('actions')
   const [logs, setLogs] = useState([])
+  const [entries, setEntries] = useState([])
+  const [chain, setChain] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState(null)
   const [expandedId, setExpandedId] = useState(null)
   const [filter, setFilter] = useState('all')
+  const [auditFilters, setAuditFilters] = useState({ actor: '', resource: '', since: '24h', success: '' })
 
+  // Debounced so typing in a filter doesn't send a request per keystroke
   useEffect(() => {
-    fetchLogs()
-  }, [])
+    const timer = setTimeout(fetchLogs, 300)
+    return () => clearTimeout(timer)
+  }, [source, auditFilters])
+
+  // Verification walks the whole chain, so it runs per view rather than per filter
+  useEffect(() => {
+    if (source === 'actions') checkChain()
+  }, [source])
+
+  async function checkChain() {
+    setChain(await verifyAuditTrail())
+  }
 
   async function fetchLogs() {
     setLoading(true)
-    const data = await getLogs(limit)
-    setLogs(data.logs || [])
+    setExpandedId(null)
+    setError(null)
+    if (source === 'actions') {
+      const data = await getAuditTrail({ ...auditFilters, limit })
+      setEntries(data.entries || [])
+      setError(data.error || null)
+    } else {
+      const data = await getLogs(limit)
+      setLogs(data.logs || [])
+    }
     setLoading(false)
   }
 
+  async function handleExport() {
+    setExporting(true)
+    try {
+      const blob = await exportAuditCsv(auditFilters)
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(blob)
+      link.download = `audit-trail-${new Date().toISOString().slice(0, 10)}.csv`
+      link.click()
+      URL.revokeObjectURL(link.href)
+    } catch (err) {
+      setError(err.message)
+    }
+    setExporting(false)
+  }
+
+  function updateFilter(key, value) {
+    setAuditFilters(current => ({ ...current, [key]: value }))
+  }
+
   const categories = [...new Set(logs.map(l => l.category))].filter(Boolean)
 
   const filteredLogs = filter === 'all'
@@ -142,54 +319,158 @@ export default function AuditLog({ limit = 50 }) {
           </div>
           <div>
             <h1 className="text-2xl font-bold text-white">Audit Log</h1>
-            <p className="text-sm text-zinc-500">{logs.length} entries</p>
+            <p className="text-sm text-zinc-500">
+              {source === 'actions' ? entries.length : logs.length} entries
+            </p>
           </div>
         </div>
 
-        <button
-          onClick={fetchLogs}
-          disabled={loading}
-          className="flex items-center gap-2 px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-xl text-zinc-300 transition-colors"
-        >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </button>
-      </div>
-
-      {/* Filters */}
-      <div className="flex items-center gap-2 mb-6 overflow-x-auto pb-2">
-        <Filter className="w-4 h-4 text-zinc-500 flex-shrink-0" />
-        <button
-          onClick={() => setFilter('all')}
-          className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
-            filter === 'all' ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-zinc-300'
-          }`}
-        >
-          All ({logs.length})
-        </button>
-        {categories.map(cat => {
-          const config = CATEGORY_CONFIG[cat] || { color: '#6b7280', label: cat }
-          const count = logs.filter(l => l.category === cat).length
-          return (
+        <div className="flex items-center gap-2">
+          {source === 'actions' && (
             <button
-              key={cat}
-              onClick={() => setFilter(cat)}
-              className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
-                filter === cat ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-zinc-300'
-              }`}
+              onClick={handleExport}
+              disabled={exporting}
+              className="flex items-center gap-2 px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-xl text-zinc-300 transition-colors"
             >
-              {config.label} ({count})
+              <Download className={`w-4 h-4 ${exporting ? 'animate-pulse' : ''}`} />
+              Export CSV
             </button>
-          )
-        })}
+          )}
+          <button
+            onClick={() => {
+              fetchLogs()
+              if (source === 'actions') checkChain()
+            }}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-xl text-zinc-300 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Source */}
+      <div className="flex items-center gap-2 mb-4">
+        {[['actions', 'Privileged Actions'], ['triage', 'Triage']].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setSource(value)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
+              source === value ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-zinc-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+
+        {source === 'actions' && chain && chain.valid !== null && (
+          <span
+            className={`ml-auto flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium ${
+              chain.valid ? 'bg-emerald-500/10 text-emerald-400' : 'bg-red-500/10 text-red-400'
+            }`}
+            title={chain.valid ? chain.head || '' : chain.brokenAt?.reason}
+          >
+            {chain.valid
+              ? <><ShieldCheck className="w-4 h-4" /> Chain intact ({chain.checked} entries)</>
+              : <><ShieldAlert className="w-4 h-4" /> Chain broken at #{chain.brokenAt?.seq}</>}
+          </span>
+        )}
       </div>
 
+      {error && (
+        <div className="flex items-center gap-2 mb-4 px-4 py-3 rounded-xl bg-red-500/10 text-sm text-red-400">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {/* Filters */}
+      {source === 'actions' ? (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <Filter className="w-4 h-4 text-zinc-500 flex-shrink-0" />
+          <input
+            value={auditFilters.actor}
+            onChange={e => updateFilter('actor', e.target.value)}
+            placeholder="Actor (key name)"
+            className="px-3 py-1.5 bg-zinc-800 rounded-lg text-sm text-zinc-200 placeholder-zinc-500 outline-none"
+          />
+          <input
+            value={auditFilters.resource}
+            onChange={e => updateFilter('resource', e.target.value)}
+            placeholder="Resource"
+            className="px-3 py-1.5 bg-zinc-800 rounded-lg text-sm text-zinc-200 placeholder-zinc-500 outline-none"
+          />
+          <select
+            value={auditFilters.since}
+            onChange={e => updateFilter('since', e.target.value)}
+            className="px-3 py-1.5 bg-zinc-800 rounded-lg text-sm text-zinc-200 outline-none"
+          >
+            {SINCE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={auditFilters.success}
+            onChange={e => updateFilter('success', e.target.value)}
+            className="px-3 py-1.5 bg-zinc-800 rounded-lg text-sm text-zinc-200 outline-none"
+          >
+            <option value="">Any outcome</option>
+            <option value="true">Succeeded</option>
+            <option value="false">Failed or refused</option>
+          </select>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 mb-6 overflow-x-auto pb-2">
+          <Filter className="w-4 h-4 text-zinc-500 flex-shrink-0" />
+          <button
+            onClick={() => setFilter('all')}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
+              filter === 'all' ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-zinc-300'
+            }`}
+          >
+            All ({logs.length})
+          </button>
+          {categories.map(cat => {
+            const config = CATEGORY_CONFIG[cat] || { color: '#6b7280', label: cat }
+            const count = logs.filter(l => l.category === cat).length
+            return (
+              <button
+                key={cat}
+                onClick={() => setFilter(cat)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium whitespace-nowrap transition-colors ${
+                  filter === cat ? 'bg-zinc-700 text-white' : 'text-zinc-500 hover:text-zinc-300'
+                }`}
+              >
+                {config.label} ({count})
+              </button>
+            )
+          })}
+        </div>
+      )}
+
       {/* Log List */}
       <div className="glass rounded-xl overflow-hidden">
         {loading ? (
           <div className="flex items-center justify-center py-12">
             <RefreshCw className="w-6 h-6 text-zinc-500 animate-spin" />
           </div>
+        ) : source === 'actions' ? (
+          entries.length > 0 ? (
+            entries.map((entry, i) => (
+              <AuditEntry
+                key={entry.seq}
+                entry={entry}
+                isExpanded={expandedId === i}
+                onToggle={() => setExpandedId(expandedId === i ? null : i)}
+              />
+            ))
+          ) : (
+            <div className="text-center py-12 text-zinc-500">
+              <History className="w-12 h-12 mx-auto mb-3 opacity-50" />
+              <p>No privileged actions recorded</p>
+            </div>
+          )
         ) : filteredLogs.length > 0 ? (
           filteredLogs.map((entry, i) => (
             <LogEntry
@@ -193,7 +193,48 @@ export async function searchTwitter(query, action = 'search') {
  * Fetch audit logs
  */
 export async function getLogs(limit = 20) {
-  return apiRequest(`/api/logs?limit=${limit}`, {}, { logs: [], count: 0, total: 0 });
+  return apiRequest(`/api/logs?source=audit&limit=${limit}`, {}, { logs: [], count: 0, total: 0 });
+}
+
+/**
+ * Query string for audit trail filters, skipping empty values
+ */
+function auditQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Fetch privileged actions from the audit trail
+ * @param {Object} filters - actor, action, resource, resourceId, requestId, success, since, until, limit
+ */
+export async function getAuditTrail(filters = {}) {
+  return apiRequest(`/api/audit${auditQuery(filters)}`, {}, { entries: [], count: 0 });
+}
+
+/**
+ * Check the audit trail's hash chain
+ */
+export async function verifyAuditTrail() {
+  return apiRequest('/api/audit/verify', {}, { valid: null, checked: 0 });
+}
+
+/**
+ * Download the audit trail as CSV, with the same filters as getAuditTrail
+ * @returns {Promise<Blob>}
+ */
+export async function exportAuditCsv(filters = {}) {
+  const response = await fetchWithRetry(`${API_BASE}/api/audit/export${auditQuery(filters)}`, { headers });
+  if (!response.ok) {
+    throw new Error(`Export failed: ${response.status}`);
+  }
+  return response.blob();
 }
 
 /**
@@ -551,6 +592,9 @@ export default {
   searchTwitter,
   // Phase 2
   getLogs,
+  getAuditTrail,
+  verifyAuditTrail,
+  exportAuditCsv,
   getStrategy,
   getSpokeStatus,
   triggerBriefing,
@@ -0,0 +1,573 @@
+/**
+ * Alert Rules - declarative alerting over the metrics registry
+ *
+ * Rules live in config/alert-rules.json (ALERT_RULES_PATH overrides) and
+ * are reloaded when the file changes, so thresholds can be tuned without
+ * a deploy. A rule selects metric series, reduces them to one number and
+ * compares it with a threshold:
+ *
+ *   metric: "superchase_http_requests_total"   Prometheus metric name
+ *   labels: { status: { regex: "^5" } }         exact value, list of values or { regex }
+ *   aggregate: "sum" | "max" | "min"            across matching series (default sum)
+ *   function: "value" | "increase" | "rate" | "avg" | "quantile"
+ *   window: "5m"                                required by increase and rate
+ *   quantile: 0.95                              required by quantile
+ *   divideBy: { metric, labels }                ratio of two selectors
+ *   op: ">" | ">=" | "<" | "<=" | "==" | "!="
+ *   threshold: 0.05
+ *   for: "2m"                                   condition must hold this long
+ *
+ * `value` is a counter or gauge's current value, or a histogram's mean;
+ * `avg` is a histogram's mean over the window; `quantile` estimates a
+ * histogram quantile over the histogram's own sliding window (10 minutes
+ * by default) across all matching series. A rule with no data (e.g. no
+ * window history yet, or a zero denominator) does not fire.
+ *
+ * Fired and resolved alerts are routed to notification channels (the
+ * rule's `channels`, else the first matching route, else defaultChannels)
+ * unless a silence covers them.
+ *
+ * @module lib/alert-rules
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+import { ValidationError } from './errors.js';
+import { notifyAlert } from './notifications.js';
+import { mergeWindows } from './quantiles.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = createLogger({ module: 'alert-rules' });
+
+const DEFAULT_RULES_PATH = join(__dirname, '..', 'config', 'alert-rules.json');
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+const FUNCTIONS = ['value', 'increase', 'rate', 'avg', 'quantile'];
+const AGGREGATES = ['sum', 'max', 'min'];
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * @typedef {Object} AlertRuleConfig
+ * @property {string} id
+ * @property {string} [description]
+ * @property {boolean} [enabled=true]
+ * @property {string} severity - critical | warning | info
+ * @property {string} metric
+ * @property {Object} [labels]
+ * @property {string} [aggregate='sum']
+ * @property {string} [function='value']
+ * @property {string} [window]
+ * @property {number} [quantile] - 0..1, for function quantile
+ * @property {{metric: string, labels?: Object}} [divideBy]
+ * @property {string} op
+ * @property {number} threshold
+ * @property {string} [for]
+ * @property {string} [message] - {{value}}, {{threshold}} and {{id}} are substituted
+ * @property {string[]} [channels] - Overrides routing
+ * @property {boolean} [notifyResolved=true]
+ */
+
+let cache = { path: null, mtimeMs: 0, config: null };
+
+/** @type {Array<Object>} Silences added at runtime */
+const runtimeSilences = [];
+
+/**
+ * Parse a duration such as "90s", "5m" or "1h" (numbers are milliseconds)
+ * @param {string|number} value
+ * @returns {number} Milliseconds, or NaN when malformed
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/);
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : NaN;
+}
+
+function compileMatchers(labels = {}, fields, prefix) {
+  return Object.entries(labels).map(([name, expected]) => {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+      try {
+        const pattern = new RegExp(expected.regex);
+        return (series) => pattern.test(series.labels[name] ?? '');
+      } catch (error) {
+        fields[`${prefix}.${name}`] = error.message;
+        return () => false;
+      }
+    }
+    const values = (Array.isArray(expected) ? expected : [expected]).map(String);
+    return (series) => values.includes(series.labels[name] ?? '');
+  });
+}
+
+/**
+ * Validate a rule and precompile its selectors
+ * @param {AlertRuleConfig} rule
+ * @returns {Object} Compiled rule
+ * @throws {ValidationError} When the rule is malformed
+ */
+export function compileAlertRule(rule) {
+  const fields = {};
+  if (!rule?.id) fields.id = 'required';
+  if (!SEVERITIES.includes(rule?.severity)) fields.severity = `one of ${SEVERITIES.join(', ')}`;
+  if (!rule?.metric) fields.metric = 'required';
+  if (!COMPARATORS[rule?.op]) fields.op = `one of ${Object.keys(COMPARATORS).join(' ')}`;
+  if (typeof rule?.threshold !== 'number') fields.threshold = 'number required';
+
+  const fn = rule?.function || 'value';
+  if (!FUNCTIONS.includes(fn)) fields.function = `one of ${FUNCTIONS.join(', ')}`;
+
+  const aggregate = rule?.aggregate || 'sum';
+  if (!AGGREGATES.includes(aggregate)) fields.aggregate = `one of ${AGGREGATES.join(', ')}`;
+
+  const windowMs = rule?.window === undefined ? null : parseDuration(rule.window);
+  if (Number.isNaN(windowMs)) fields.window = 'duration such as 30s, 5m or 1h';
+  if (['increase', 'rate'].includes(fn) && !windowMs) fields.window = `required by ${fn}`;
+  if (fn === 'quantile') {
+    if (!(rule.quantile > 0 && rule.quantile < 1)) fields.quantile = 'number between 0 and 1 required';
+    if (windowMs) fields.window = "not used by quantile (the histogram's sliding window applies)";
+  }
+
+  const forMs = rule?.for === undefined ? 0 : parseDuration(rule.for);
+  if (Number.isNaN(forMs)) fields.for = 'duration such as 30s, 5m or 1h';
+
+  if (rule?.divideBy && !rule.divideBy.metric) fields['divideBy.metric'] = 'required';
+
+  const matchers = compileMatchers(rule?.labels, fields, 'labels');
+  const divideMatchers = rule?.divideBy ? compileMatchers(rule.divideBy.labels, fields, 'divideBy.labels') : null;
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(`Invalid alert rule: ${rule?.id || '(no id)'}`, fields);
+  }
+
+  // Rules selecting the same series share window history
+  const selector = (metric, labels, list) => ({
+    metric,
+    key: JSON.stringify([metric, labels || {}, aggregate]),
+    matches: (series) => list.every(match => match(series)),
+  });
+
+  return {
+    ...rule,
+    function: fn,
+    aggregate,
+    windowMs,
+    forMs,
+    compare: COMPARATORS[rule.op],
+    selector: selector(rule.metric, rule.labels, matchers),
+    divideSelector: divideMatchers ? selector(rule.divideBy.metric, rule.divideBy.labels, divideMatchers) : null,
+  };
+}
+
+/**
+ * Compile enabled rules, skipping (and logging) invalid ones so one typo
+ * does not disable every alert
+ * @private
+ */
+function compileAll(rules) {
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    try {
+      compiled.push(compileAlertRule(rule));
+    } catch (error) {
+      logger.warn('Skipping invalid alert rule', { ruleId: rule.id, fields: error.details?.fields });
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Load the alert configuration, reusing the compiled rules until the file changes
+ * @param {Object} [options]
+ * @param {string} [options.path] - Config file (ALERT_RULES_PATH or config/alert-rules.json)
+ * @returns {{rules: Array<Object>, routes: Array<Object>, defaultChannels: string[], silences: Array<Object>}}
+ */
+export function loadAlertConfig(options = {}) {
+  const path = options.path || process.env.ALERT_RULES_PATH || DEFAULT_RULES_PATH;
+  const empty = { rules: [], routes: [], defaultChannels: [], silences: [] };
+
+  if (!existsSync(path)) {
+    return empty;
+  }
+
+  const { mtimeMs } = statSync(path);
+  if (cache.path === path && cache.mtimeMs === mtimeMs) {
+    return cache.config;
+  }
+
+  let raw = {};
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to load alert rules', { path, error: error.message });
+  }
+
+  const config = {
+    rules: compileAll(raw.rules || []),
+    routes: raw.routes || [],
+    defaultChannels: raw.defaultChannels || [],
+    silences: raw.silences || [],
+  };
+  cache = { path, mtimeMs, config };
+  logger.info('Alert rules loaded', { path, count: config.rules.length });
+  return config;
+}
+
+/**
+ * Reduce a metric snapshot to { value, sum, count } for the matching series
+ * @private
+ */
+function sample(snapshot, selector, aggregate) {
+  const series = (snapshot?.series || []).filter(selector.matches);
+  if (series.length === 0) return null;
+
+  if (snapshot.type === 'histogram') {
+    // A histogram counts observations; increase and rate apply to the count
+    return {
+      histogram: true,
+      value: series.reduce((total, s) => total + s.count, 0),
+      sum: series.reduce((total, s) => total + s.sum, 0),
+      count: series.reduce((total, s) => total + s.count, 0),
+      windows: series.map(s => s.window).filter(Boolean),
+    };
+  }
+
+  const values = series.map(s => s.value);
+  const value = aggregate === 'max' ? Math.max(...values)
+    : aggregate === 'min' ? Math.min(...values)
+      : values.reduce((total, v) => total + v, 0);
+  return { histogram: false, value, sum: value, count: series.length };
+}
+
+/**
+ * Create an evaluator that tracks window history and pending/firing state
+ *
+ * @param {Object} options
+ * @param {function(string): ({type: string, series: Array<Object>}|null)} options.readMetric -
+ *   Snapshot of a metric by name; counter and gauge series carry { labels, value },
+ *   histogram series { labels, sum, count }
+ * @param {function(): number} [options.now=Date.now]
+ * @returns {Object} Evaluator
+ */
+export function createAlertEvaluator(options) {
+  const { readMetric, now = Date.now } = options;
+
+  /** @type {Map<string, {keepMs: number, samples: Array<{t: number, value: number, sum: number, count: number}>}>} */
+  const history = new Map();
+
+  /** @type {Map<string, {state: string, activeAt: number, value: number|null}>} */
+  const states = new Map();
+
+  function record(selector, aggregate, windowMs, t) {
+    const current = sample(readMetric(selector.metric), selector, aggregate);
+    if (!windowMs) {
+      return current;
+    }
+
+    // One sample per evaluation, kept for the longest window that uses it
+    const entry = history.get(selector.key) || { keepMs: 0, samples: [] };
+    entry.keepMs = Math.max(entry.keepMs, windowMs);
+    const baseline = entry.samples.find(s => s.t >= t - windowMs && s.t < t);
+    if (current && entry.samples.at(-1)?.t !== t) {
+      entry.samples.push({ t, ...current });
+    }
+    entry.samples = entry.samples.filter(s => s.t >= t - entry.keepMs);
+    history.set(selector.key, entry);
+
+    if (!current || !baseline) return null;
+
+    // A drop means the series was reset; count from zero
+    const delta = (field) => (current[field] >= baseline[field] ? current[field] - baseline[field] : current[field]);
+    return {
+      histogram: current.histogram,
+      value: delta('value'),
+      sum: delta('sum'),
+      count: delta('count'),
+      seconds: (t - baseline.t) / 1000,
+    };
+  }
+
+  function compute(rule, selector, t) {
+    const data = record(selector, rule.aggregate, rule.windowMs, t);
+    if (!data) return null;
+
+    switch (rule.function) {
+      case 'increase':
+        return data.value;
+      case 'rate':
+        return data.seconds > 0 ? data.value / data.seconds : null;
+      case 'avg':
+        return data.count > 0 ? data.sum / data.count : null;
+      case 'quantile':
+        return data.windows?.length ? mergeWindows(data.windows).quantile(rule.quantile) : null;
+      default:
+        // A histogram's value is its mean
+        if (data.histogram) return data.count > 0 ? data.sum / data.count : null;
+        return data.value;
+    }
+  }
+
+  return {
+    /**
+     * Evaluate rules and return state transitions
+     * @param {Array<Object>} rules - Compiled rules
+     * @returns {Array<Object>} Alerts whose state changed to firing or resolved
+     */
+    evaluate(rules) {
+      const t = now();
+      const transitions = [];
+
+      for (const rule of rules) {
+        let value = null;
+        try {
+          value = compute(rule, rule.selector, t);
+          if (rule.divideSelector) {
+            // Always sampled so the denominator's window history stays in step
+            const denominator = compute(rule, rule.divideSelector, t);
+            value = value !== null && denominator ? value / denominator : null;
+          }
+        } catch (error) {
+          logger.error(`Alert rule ${rule.id} failed`, { error: error.message });
+        }
+
+        const active = value !== null && Number.isFinite(value) && rule.compare(value, rule.threshold);
+        const previous = states.get(rule.id);
+
+        if (!active) {
+          states.delete(rule.id);
+          if (previous?.state === 'firing') {
+            transitions.push(toAlert(rule, 'resolved', value, previous.activeAt, t));
+          }
+          continue;
+        }
+
+        const activeAt = previous?.activeAt ?? t;
+        if (previous?.state === 'firing') {
+          states.set(rule.id, { ...previous, value });
+        } else if (t - activeAt >= rule.forMs) {
+          states.set(rule.id, { state: 'firing', activeAt, value });
+          transitions.push(toAlert(rule, 'firing', value, activeAt, t));
+        } else {
+          states.set(rule.id, { state: 'pending', activeAt, value });
+        }
+      }
+
+      // Forget rules removed from the config
+      const ids = new Set(rules.map(rule => rule.id));
+      for (const id of states.keys()) {
+        if (!ids.has(id)) states.delete(id);
+      }
+
+      return transitions;
+    },
+
+    /**
+     * Pending and firing rules
+     * @returns {Array<Object>}
+     */
+    active() {
+      return [...states.entries()].map(([name, s]) => ({
+        name,
+        state: s.state,
+        value: s.value,
+        activeSince: new Date(s.activeAt).toISOString(),
+      }));
+    },
+
+    reset() {
+      history.clear();
+      states.clear();
+    },
+  };
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 10000) / 10000);
+}
+
+function toAlert(rule, state, value, activeAt, t) {
+  const template = rule.message || `${rule.metric} ${rule.op} ${rule.threshold}`;
+  return {
+    name: rule.id,
+    severity: rule.severity,
+    state,
+    message: template
+      .replaceAll('{{value}}', formatValue(value))
+      .replaceAll('{{threshold}}', formatValue(rule.threshold))
+      .replaceAll('{{id}}', rule.id),
+    value,
+    threshold: rule.threshold,
+    activeSince: new Date(activeAt).toISOString(),
+    timestamp: new Date(t).toISOString(),
+    channels: rule.channels,
+    notifyResolved: rule.notifyResolved !== false,
+  };
+}
+
+function matchesList(expected, actual) {
+  if (expected === undefined) return true;
+  return (Array.isArray(expected) ? expected : [expected]).includes(actual);
+}
+
+/**
+ * Notification channels for an alert
+ * @param {Object} alert
+ * @param {Object} config - From loadAlertConfig()
+ * @returns {string[]}
+ */
+export function resolveChannels(alert, config) {
+  if (alert.channels) return alert.channels;
+
+  const route = (config.routes || []).find(r =>
+    matchesList(r.match?.severity, alert.severity) && matchesList(r.match?.rule, alert.name)
+  );
+  return route ? route.channels || [] : config.defaultChannels || [];
+}
+
+/**
+ * Silence covering an alert at a point in time
+ * @param {Object} alert
+ * @param {Array<Object>} silences - { rule?, severity?, startsAt?, endsAt }
+ * @param {number} [at=Date.now()]
+ * @returns {Object|null}
+ */
+export function findSilence(alert, silences, at = Date.now()) {
+  return silences.find(silence =>
+    (!silence.startsAt || Date.parse(silence.startsAt) <= at) &&
+    Date.parse(silence.endsAt) > at &&
+    matchesList(silence.rule, alert.name) &&
+    matchesList(silence.severity, alert.severity)
+  ) || null;
+}
+
+/**
+ * Silence alerts until a time
+ * @param {Object} silence
+ * @param {string|string[]} [silence.rule] - Rule IDs (default all)
+ * @param {string|string[]} [silence.severity]
+ * @param {string} [silence.startsAt] - ISO time (default now)
+ * @param {string} [silence.endsAt] - ISO time
+ * @param {string} [silence.duration] - Alternative to endsAt, e.g. "2h"
+ * @param {string} [silence.comment]
+ * @param {string} [silence.createdBy]
+ * @returns {Object} Stored silence
+ * @throws {ValidationError} When no valid end time is given
+ */
+export function addSilence(silence = {}) {
+  const startsAt = silence.startsAt ? Date.parse(silence.startsAt) : Date.now();
+  const endsAt = silence.endsAt ? Date.parse(silence.endsAt) : startsAt + parseDuration(silence.duration);
+
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt) || endsAt <= startsAt) {
+    throw new ValidationError('Silence needs an end time after its start', {
+      endsAt: 'ISO time after startsAt, or duration such as 2h',
+    });
+  }
+
+  const stored = {
+    id: randomUUID(),
+    rule: silence.rule,
+    severity: silence.severity,
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    comment: silence.comment || null,
+    createdBy: silence.createdBy || null,
+  };
+  runtimeSilences.push(stored);
+  logger.info('Alert silence added', { id: stored.id, rule: stored.rule, endsAt: stored.endsAt });
+  return stored;
+}
+
+/**
+ * Remove a runtime silence
+ * @param {string} id
+ * @returns {boolean} Whether it existed
+ */
+export function removeSilence(id) {
+  const index = runtimeSilences.findIndex(s => s.id === id);
+  if (index === -1) return false;
+  runtimeSilences.splice(index, 1);
+  return true;
+}
+
+/**
+ * Silences from the config file and runtime that have not ended
+ * @param {Object} [config] - From loadAlertConfig()
+ * @returns {Array<Object>}
+ */
+export function listSilences(config = loadAlertConfig()) {
+  const now = Date.now();
+  for (let i = runtimeSilences.length - 1; i >= 0; i--) {
+    if (Date.parse(runtimeSilences[i].endsAt) <= now) runtimeSilences.splice(i, 1);
+  }
+  return [
+    ...config.silences.filter(s => Date.parse(s.endsAt) > now).map(s => ({ ...s, source: 'config' })),
+    ...runtimeSilences.map(s => ({ ...s, source: 'runtime' })),
+  ];
+}
+
+/**
+ * Route an alert to its channels unless silenced
+ *
+ * Sets `silenced` or `routedTo` on the alert. Delivery happens in the
+ * background; failures are logged.
+ *
+ * @param {Object} alert
+ * @param {Object} config - From loadAlertConfig()
+ * @param {Object} [options]
+ * @param {Function} [options.notify] - (alert, channels) => Promise, defaults to notifyAlert
+ * @returns {Promise<Object|null>} Delivery results, or null when nothing was sent
+ */
+export async function dispatchAlert(alert, config, options = {}) {
+  const { notify = notifyAlert } = options;
+
+  if (alert.state === 'resolved' && alert.notifyResolved === false) {
+    return null;
+  }
+
+  const silence = findSilence(alert, listSilences(config));
+  if (silence) {
+    alert.silenced = silence.id || silence.comment || true;
+    logger.info(`Alert silenced: ${alert.name}`, { state: alert.state, silence: alert.silenced });
+    return null;
+  }
+
+  const channels = resolveChannels(alert, config);
+  alert.routedTo = channels;
+  if (channels.length === 0) {
+    return null;
+  }
+
+  try {
+    return await notify(alert, channels);
+  } catch (error) {
+    logger.error(`Alert notification failed: ${alert.name}`, { channels, error: error.message });
+    return null;
+  }
+}
+
+export default {
+  parseDuration,
+  compileAlertRule,
+  loadAlertConfig,
+  createAlertEvaluator,
+  resolveChannels,
+  findSilence,
+  addSilence,
+  removeSilence,
+  listSilences,
+  dispatchAlert,
+};
@@ -0,0 +1,583 @@
+/**
+ * Audit Trail
+ *
+ * Tamper-evident record of privileged actions. The request pipeline
+ * records every mutating request: actor (API key name), action (route),
+ * target, outcome and request ID. Handlers that change state describe the
+ * change with auditChange(req, ...), and the before/after snapshots are
+ * stored as a field-level diff.
+ *
+ * Entries form a hash chain: each stores the SHA-256 of its own content
+ * and of the previous entry, so editing, deleting or reordering an entry
+ * breaks verifyAuditChain() from that point on.
+ *
+ * Removing entries from the end leaves a shorter chain that is still
+ * valid, so the chain alone cannot show it. Each append logs the new head
+ * (seq and hash) through the log transports, outside the store; passing a
+ * head kept from there to verifyAuditChain({ expect }) detects truncation
+ * back past it.
+ *
+ * Entries go to the Prisma `AuditLog` table when DATABASE_URL is set,
+ * otherwise to a JSONL file.
+ *
+ * Environment:
+ * - AUDIT_TRAIL_PATH: JSONL file used without a database
+ *   (default memory/audit/audit-trail.jsonl)
+ *
+ * @module lib/audit-trail
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = createLogger({ module: 'audit-trail' });
+
+const DEFAULT_PATH = join(__dirname, '..', 'memory', 'audit', 'audit-trail.jsonl');
+const MAX_DIFF_DEPTH = 4;
+const MAX_APPEND_ATTEMPTS = 3;
+
+/** prevHash of the first entry */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/** Fields covered by an entry's hash, in hashing order */
+const HASHED_FIELDS = [
+  'seq', 'timestamp', 'actor', 'actorKeyId', 'userId', 'action', 'resource', 'resourceId',
+  'requestId', 'status', 'success', 'diff', 'details', 'prevHash'
+];
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} seq - Position in the chain, from 1
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} actor - API key name
+ * @property {string|null} actorKeyId
+ * @property {string|null} userId - Key owner (database keys)
+ * @property {string} action - Route, e.g. "POST /api/emergency/kill-switch"
+ * @property {string} resource - Target type
+ * @property {string|null} resourceId
+ * @property {string|null} requestId
+ * @property {number|null} status - HTTP status
+ * @property {boolean} success
+ * @property {Object|null} diff - { field: { before, after } } for changed fields
+ * @property {Object} details
+ * @property {string} prevHash
+ * @property {string} hash
+ */
+
+// ============================================
+// Hashing and diffs
+// ============================================
+
+/**
+ * JSON with object keys sorted at every level, so a hash does not depend
+ * on key order (Postgres jsonb does not keep it)
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an entry's content and its predecessor's hash
+ * @param {AuditEntry} entry
+ * @returns {string}
+ */
+export function hashEntry(entry) {
+  const content = Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field] ?? null]));
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Field-level differences between two snapshots
+ *
+ * Nested objects are compared field by field (paths joined with "."),
+ * arrays and values as a whole.
+ *
+ * @param {*} before
+ * @param {*} after
+ * @returns {Object|null} { path: { before, after } }, or null when nothing changed
+ */
+export function diffObjects(before, after) {
+  const changes = {};
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const walk = (a, b, path, depth) => {
+    // Creations and deletions are listed field by field too
+    if (isObject(a) && b == null && depth === 0) b = {};
+    if (isObject(b) && a == null && depth === 0) a = {};
+
+    if (isObject(a) && isObject(b) && depth < MAX_DIFF_DEPTH) {
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        walk(a[key], b[key], path ? `${path}.${key}` : key, depth + 1);
+      }
+    } else if (canonicalJson(a) !== canonicalJson(b)) {
+      changes[path || '(value)'] = { before: a ?? null, after: b ?? null };
+    }
+  };
+
+  walk(before, after, '', 0);
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// ============================================
+// Stores
+// ============================================
+
+/**
+ * Whether an entry passes query filters
+ * @private
+ */
+function matchesFilters(entry, filters) {
+  const { actor, action, resource, resourceId, requestId, success, since, until } = filters;
+  const time = Date.parse(entry.timestamp);
+
+  if (actor && entry.actor !== actor) return false;
+  if (action && entry.action !== action) return false;
+  if (resource && entry.resource !== resource) return false;
+  if (resourceId && entry.resourceId !== resourceId) return false;
+  if (requestId && entry.requestId !== requestId) return false;
+  if (success !== undefined && entry.success !== success) return false;
+  if (since !== undefined && time < since) return false;
+  if (until !== undefined && time > until) return false;
+  return true;
+}
+
+/**
+ * Audit store backed by an append-only JSONL file
+ * @param {Object} [options]
+ * @param {string} [options.path] - Default AUDIT_TRAIL_PATH or memory/audit/audit-trail.jsonl
+ * @returns {Object} Audit store
+ */
+export function createFileAuditStore(options = {}) {
+  const { path = process.env.AUDIT_TRAIL_PATH || DEFAULT_PATH } = options;
+
+  const readAll = () => {
+    if (!fs.existsSync(path)) return [];
+    return fs.readFileSync(path, 'utf8').split('\n').filter(Boolean).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // Kept so verification reports the damaged line
+        return { seq: null, corrupt: true, line: index + 1 };
+      }
+    });
+  };
+
+  return {
+    name: 'file',
+    path,
+
+    async last() {
+      return readAll().at(-1) || null;
+    },
+
+    async insert(entry) {
+      fs.mkdirSync(dirname(path), { recursive: true });
+      fs.appendFileSync(path, JSON.stringify(entry) + '\n');
+    },
+
+    async query(filters = {}) {
+      const { limit = 100 } = filters;
+      const entries = [];
+      const all = readAll();
+      for (let i = all.length - 1; i >= 0 && entries.length < limit; i--) {
+        if (!all[i].corrupt && matchesFilters(all[i], filters)) {
+          entries.push(all[i]);
+        }
+      }
+      return entries;
+    },
+
+    async* scan() {
+      yield* readAll();
+    }
+  };
+}
+
+/**
+ * Audit store backed by the Prisma `AuditLog` table
+ * @param {Object} prisma - PrismaClient
+ * @returns {Object} Audit store
+ */
+export function createPrismaAuditStore(prisma) {
+  const toEntry = (row) => row && {
+    seq: row.seq,
+    timestamp: row.createdAt.toISOString(),
+    actor: row.actor,
+    actorKeyId: row.actorKeyId,
+    userId: row.userId,
+    action: row.action,
+    resource: row.resource,
+    resourceId: row.resourceId,
+    requestId: row.requestId,
+    status: row.status,
+    success: row.success,
+    diff: row.diff ?? null,
+    details: row.details ?? {},
+    prevHash: row.prevHash,
+    hash: row.hash
+  };
+
+  // Rows written by logAudit in lib/providers/prisma-provider are not chained
+  const chained = { seq: { not: null } };
+
+  const toWhere = (filters) => {
+    const where = { ...chained };
+    for (const field of ['actor', 'action', 'resource', 'resourceId', 'requestId', 'success']) {
+      if (filters[field] !== undefined && filters[field] !== null) where[field] = filters[field];
+    }
+    if (filters.since !== undefined || filters.until !== undefined) {
+      where.createdAt = {
+        ...(filters.since !== undefined && { gte: new Date(filters.since) }),
+        ...(filters.until !== undefined && { lte: new Date(filters.until) })
+      };
+    }
+    return where;
+  };
+
+  return {
+    name: 'prisma',
+
+    async last() {
+      return toEntry(await prisma.auditLog.findFirst({ where: chained, orderBy: { seq: 'desc' } }));
+    },
+
+    async insert(entry) {
+      await prisma.auditLog.create({
+        data: {
+          seq: entry.seq,
+          createdAt: new Date(entry.timestamp),
+          actor: entry.actor,
+          actorKeyId: entry.actorKeyId,
+          userId: entry.userId,
+          action: entry.action,
+          resource: entry.resource,
+          resourceId: entry.resourceId,
+          requestId: entry.requestId,
+          status: entry.status,
+          success: entry.success,
+          diff: entry.diff ?? undefined,
+          details: entry.details,
+          prevHash: entry.prevHash,
+          hash: entry.hash
+        }
+      });
+    },
+
+    async query(filters = {}) {
+      const rows = await prisma.auditLog.findMany({
+        where: toWhere(filters),
+        orderBy: { seq: 'desc' },
+        take: filters.limit || 100
+      });
+      return rows.map(toEntry);
+    },
+
+    async* scan() {
+      const pageSize = 500;
+      let after = 0;
+      for (;;) {
+        const rows = await prisma.auditLog.findMany({
+          where: { seq: { gt: after } },
+          orderBy: { seq: 'asc' },
+          take: pageSize
+        });
+        yield* rows.map(toEntry);
+        if (rows.length < pageSize) return;
+        after = rows.at(-1).seq;
+      }
+    }
+  };
+}
+
+let store = null;
+let head = null;
+let appendQueue = Promise.resolve();
+
+/**
+ * Audit store in use: Prisma when DATABASE_URL is set, otherwise a file
+ * @returns {Promise<Object>}
+ */
+export async function getAuditStore() {
+  if (!store) {
+    if (process.env.DATABASE_URL) {
+      const { getPrismaClient } = await import('./providers/prisma-provider.js');
+      store = createPrismaAuditStore(getPrismaClient());
+    } else {
+      store = createFileAuditStore();
+    }
+  }
+  return store;
+}
+
+/**
+ * Replace the audit store (tests, or a custom backend)
+ * @param {Object|null} auditStore - null restores the default on next use
+ */
+export function setAuditStore(auditStore) {
+  store = auditStore;
+  head = null;
+}
+
+// ============================================
+// Recording
+// ============================================
+
+/**
+ * Append an entry to the chain
+ *
+ * Appends are serialized within the process. Another instance writing to
+ * the same database can take the next seq first; the unique seq then
+ * rejects the insert and the entry is chained again on the new head.
+ *
+ * @param {Object} record
+ * @param {Object} [record.actor] - User context from lib/auth ({ name, keyId, userId })
+ * @param {string} record.action
+ * @param {string} [record.resource]
+ * @param {string} [record.resourceId]
+ * @param {string} [record.requestId]
+ * @param {number} [record.status]
+ * @param {boolean} [record.success=true]
+ * @param {*} [record.before] - Snapshot before the change
+ * @param {*} [record.after] - Snapshot after the change
+ * @param {Object} [record.details]
+ * @returns {Promise<AuditEntry>}
+ */
+export function recordAudit(record) {
+  const run = async () => {
+    const auditStore = await getAuditStore();
+    const diff = record.before !== undefined || record.after !== undefined
+      ? diffObjects(record.before, record.after)
+      : null;
+
+    for (let attempt = 1; ; attempt++) {
+      if (!head) {
+        head = await auditStore.last() || { seq: 0, hash: GENESIS_HASH };
+      }
+
+      const entry = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        actor: record.actor?.name || 'anonymous',
+        actorKeyId: record.actor?.keyId ?? null,
+        userId: record.actor?.userId ?? null,
+        action: record.action,
+        resource: record.resource || record.action.split(' ')[1] || record.action,
+        resourceId: record.resourceId ?? null,
+        requestId: record.requestId ?? null,
+        status: record.status ?? null,
+        success: record.success !== false,
+        diff,
+        details: record.details || {},
+        prevHash: head.hash
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        await auditStore.insert(entry);
+        head = entry;
+        logger.info('Audit entry recorded', { seq: entry.seq, hash: entry.hash, action: entry.action });
+        return entry;
+      } catch (error) {
+        head = null;
+        // P2002: unique constraint, i.e. another writer took this seq
+        if (error.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  const result = appendQueue.then(run);
+  appendQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Describe the change a request makes, for the pipeline's audit entry
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} change
+ * @param {string} [change.resource] - Target type, e.g. "business_unit"
+ * @param {string} [change.resourceId]
+ * @param {*} [change.before]
+ * @param {*} [change.after]
+ * @param {boolean} [change.success] - For handlers that report failure with a 200
+ * @param {Object} [change.details]
+ */
+export function auditChange(req, change) {
+  req.audit = { ...req.audit, ...change };
+}
+
+/**
+ * Record a finished request, merging anything its handler passed to
+ * auditChange. Failures are logged, never thrown: the request has
+ * already been answered.
+ *
+ * Requests without an authenticated actor are logged instead: anyone can
+ * send them, and chaining each one would let them grow the trail unbounded.
+ *
+ * @param {Object} req - HTTP request with `user` and optional `audit`
+ * @param {Object} outcome
+ * @param {string} outcome.action - Route pattern
+ * @param {Object} [outcome.params] - Route parameters; the last one is the default target ID
+ * @param {string} [outcome.requestId]
+ * @param {number} outcome.status - HTTP status
+ * @returns {Promise<AuditEntry|null>} Null when not recorded
+ */
+export async function recordRequestAudit(req, outcome) {
+  const { action, params = {}, requestId, status } = outcome;
+  const change = req.audit || {};
+
+  if (!req.user) {
+    logger.debug('Unauthenticated request not audited', { action, requestId, status });
+    return null;
+  }
+
+  try {
+    return await recordAudit({
+      actor: req.user,
+      action,
+      resource: change.resource,
+      resourceId: change.resourceId ?? Object.values(params).at(-1) ?? null,
+      requestId,
+      status,
+      success: change.success ?? status < 400,
+      before: change.before,
+      after: change.after,
+      details: change.details
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, requestId, error: error.message });
+    return null;
+  }
+}
+
+// ============================================
+// Querying and verification
+// ============================================
+
+/**
+ * Audit entries, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.actor]
+ * @param {string} [filters.action]
+ * @param {string} [filters.resource]
+ * @param {string} [filters.resourceId]
+ * @param {string} [filters.requestId]
+ * @param {boolean} [filters.success]
+ * @param {number} [filters.since] - Epoch ms, inclusive
+ * @param {number} [filters.until] - Epoch ms, inclusive
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<AuditEntry[]>}
+ */
+export async function queryAudit(filters = {}) {
+  await appendQueue;
+  const auditStore = await getAuditStore();
+  return auditStore.query(filters);
+}
+
+/**
+ * Walk the chain from the first entry and check every link
+ * @param {Object} [options]
+ * @param {{seq: number, hash: string}} [options.expect] - A head recorded
+ *   earlier, e.g. from the "Audit entry recorded" log; the chain must still
+ *   contain it, which catches entries removed from the end
+ * @returns {Promise<{valid: boolean, checked: number, head: string|null, brokenAt: Object|null}>}
+ *   brokenAt: { seq, reason } for the first bad entry
+ */
+export async function verifyAuditChain(options = {}) {
+  const { expect } = options;
+  await appendQueue;
+  const auditStore = await getAuditStore();
+
+  let previous = { seq: 0, hash: GENESIS_HASH };
+  let checked = 0;
+  const broken = (entry, reason) => ({
+    valid: false,
+    checked,
+    head: previous.seq > 0 ? previous.hash : null,
+    brokenAt: { seq: entry.seq ?? previous.seq + 1, ...(entry.line && { line: entry.line }), reason }
+  });
+
+  for await (const entry of auditStore.scan()) {
+    if (entry.corrupt) return broken(entry, 'unreadable entry');
+    if (entry.seq !== previous.seq + 1) return broken(entry, `expected seq ${previous.seq + 1}`);
+    if (entry.prevHash !== previous.hash) return broken(entry, 'prevHash does not match the previous entry');
+    if (hashEntry(entry) !== entry.hash) return broken(entry, 'content does not match its hash');
+
+    if (expect && entry.seq === expect.seq && entry.hash !== expect.hash) {
+      return broken(entry, 'hash does not match the expected head');
+    }
+
+    previous = entry;
+    checked++;
+  }
+
+  if (expect && previous.seq < expect.seq) {
+    return broken({ seq: expect.seq }, `chain ends at seq ${previous.seq}; entries after it were removed`);
+  }
+
+  return { valid: true, checked, head: checked > 0 ? previous.hash : null, brokenAt: null };
+}
+
+/** CSV columns, in order */
+export const CSV_COLUMNS = [
+  'seq', 'timestamp', 'actor', 'actorKeyId', 'action', 'resource', 'resourceId',
+  'requestId', 'status', 'success', 'diff', 'details', 'prevHash', 'hash'
+];
+
+/**
+ * Entries as CSV (RFC 4180), objects as JSON. Cells that a spreadsheet
+ * would read as a formula (starting with = + - @, tab or CR) get a leading
+ * apostrophe, since actor names and targets come from API callers.
+ * @param {AuditEntry[]} entries
+ * @returns {string}
+ */
+export function toCsv(entries) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+export default {
+  GENESIS_HASH,
+  CSV_COLUMNS,
+  canonicalJson,
+  hashEntry,
+  diffObjects,
+  createFileAuditStore,
+  createPrismaAuditStore,
+  getAuditStore,
+  setAuditStore,
+  recordAudit,
+  auditChange,
+  recordRequestAudit,
+  queryAudit,
+  verifyAuditChain,
+  toCsv
+};
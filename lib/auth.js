@@ -4,12 +4,24 @@
  * Provides API key authentication with role-based access control.
  * Supports both simple API keys and database-backed keys with permissions.
  *
+ * The API_KEY environment key is registered in memory as an ADMIN key.
+ * Issued keys live in a key store: the Prisma `ApiKey` table when
+ * DATABASE_URL is set, otherwise process memory. Only SHA-256 hashes are
+ * stored; the plain key is returned once, when issued or rotated.
+ * Rotation issues a replacement and lets the old key keep working until
+ * the end of an overlap window, so clients can switch without downtime.
+ *
+ * Keys can be bound to tenants (client IDs from core/tenant-manager), for
+ * handing a client portal key to a client: tenant-aware routes call
+ * assertTenantAccess and refuse any other clientId. A key with no tenants
+ * is unscoped and reaches every tenant.
+ *
  * @module lib/auth
  */
 
 import crypto from 'crypto';
 import { createLogger } from './logger.js';
-import { AuthenticationError, ValidationError } from './errors.js';
+import { AuthenticationError, AuthorizationError, ValidationError } from './errors.js';
 
 const logger = createLogger({ module: 'auth' });
 
@@ -21,10 +33,22 @@ const API_KEY_PREFIX = 'sc_';
 const API_KEY_HEADER = 'x-api-key';
 const BEARER_PREFIX = 'Bearer ';
 
-// Roles and their permissions
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const DEFAULT_ROTATION_OVERLAP_MINUTES = 60;
+const PERMISSION_PATTERN = /^(\*|[a-z]+:[a-z0-9-]+)$/;
+const TENANT_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+// Roles with their permissions and request rate limits. Each route class
+// has a token bucket per key: `burst` requests at once, refilled at
+// `perMinute` (see lib/rate-limiter).
 export const ROLES = {
   ADMIN: {
     permissions: ['*'], // All permissions
+    rateLimits: {
+      standard: { burst: 600, perMinute: 600 },
+      expensive: { burst: 20, perMinute: 10 }
+    },
     description: 'Full system access'
   },
   USER: {
@@ -32,10 +56,29 @@ export const ROLES = {
       'read:tasks',
       'write:tasks',
       'read:briefing',
+      'write:briefing',
       'read:portfolio',
       'query:context',
-      'search:twitter'
+      'search:twitter',
+      'read:status',
+      'read:costs',
+      'read:council',
+      'read:clients',
+      'write:clients',
+      'read:artifacts',
+      'write:artifacts',
+      'read:reviews',
+      'write:reviews',
+      'read:marketing',
+      'write:marketing',
+      'read:s2p',
+      'write:s2p',
+      'read:limitless'
     ],
+    rateLimits: {
+      standard: { burst: 120, perMinute: 120 },
+      expensive: { burst: 5, perMinute: 2 }
+    },
     description: 'Standard user access'
   },
   SERVICE: {
@@ -43,10 +86,31 @@ export const ROLES = {
       'read:tasks',
       'write:tasks',
       'read:briefing',
+      'write:briefing',
+      'read:portfolio',
       'query:context',
       'council:run',
-      'publish:content'
+      'publish:content',
+      'read:status',
+      'read:costs',
+      'read:council',
+      'read:clients',
+      'write:clients',
+      'read:artifacts',
+      'write:artifacts',
+      'read:reviews',
+      'write:reviews',
+      'read:marketing',
+      'write:marketing',
+      'read:s2p',
+      'write:s2p',
+      'read:limitless',
+      'write:limitless'
     ],
+    rateLimits: {
+      standard: { burst: 300, perMinute: 300 },
+      expensive: { burst: 10, perMinute: 5 }
+    },
     description: 'Service account for automation'
   },
   READONLY: {
@@ -54,32 +118,270 @@ export const ROLES = {
       'read:tasks',
       'read:briefing',
       'read:portfolio',
-      'query:context'
+      'query:context',
+      'read:status',
+      'read:costs',
+      'read:council',
+      'read:clients',
+      'read:artifacts',
+      'read:reviews',
+      'read:marketing',
+      'read:s2p',
+      'read:limitless'
     ],
+    rateLimits: {
+      standard: { burst: 60, perMinute: 60 },
+      expensive: { burst: 2, perMinute: 1 }
+    },
     description: 'Read-only access'
   }
 };
 
-// Permission to endpoint mapping
+// Permission to endpoint mapping. Every route server.js registers must
+// appear here or in PUBLIC_ROUTES (checked at startup); `:param` matches
+// one path segment.
 export const ENDPOINT_PERMISSIONS = {
+  // Core operations
+  'POST /query': 'query:context',
+  'POST /api/notebook/query': 'query:context',
   'GET /tasks': 'read:tasks',
-  'POST /tasks': 'write:tasks',
+  'DELETE /tasks/:id': 'write:tasks',
+  'GET /api/tasks/sync': 'read:tasks',
+  'POST /api/tasks/sync': 'write:tasks',
+  'GET /api/today-focus': 'read:tasks',
+  'GET /api/projects': 'read:tasks',
+  'GET /api/classification/overrides': 'read:tasks',
+  'POST /api/classification/overrides': 'write:tasks',
+  'GET /api/classification/accuracy': 'read:tasks',
   'GET /briefing': 'read:briefing',
-  'POST /query': 'query:context',
+  'GET /api/strategy': 'read:briefing',
+  'POST /api/briefing/trigger': 'write:briefing',
   'POST /search-x': 'search:twitter',
+  'GET /search-x/status': 'read:status',
+  'GET /api/status': 'read:status',
+
+  // Logs and API keys
+  'GET /api/logs': 'read:logs',
+  'GET /api/logs/levels': 'read:logs',
+  'PUT /api/logs/levels': 'admin:logs',
+  'GET /api/auth/keys': 'admin:keys',
+  'POST /api/auth/keys': 'admin:keys',
+  'POST /api/auth/keys/:id/rotate': 'admin:keys',
+  'DELETE /api/auth/keys/:id': 'admin:keys',
+
+  // Audit trail
+  'GET /api/audit': 'admin:audit',
+  'GET /api/audit/export': 'admin:audit',
+  'GET /api/audit/verify': 'admin:audit',
+
+  // Multi-model AI
   'POST /api/llm-council': 'council:run',
+  'POST /api/llm-council/estimate': 'read:costs',
   'GET /api/llm-council/models': 'read:config',
+  'GET /api/llm-council/costs': 'read:costs',
+  'PUT /api/llm-council/costs/limits': 'admin:costs',
+  'GET /api/costs/breakdown': 'read:costs',
+  'GET /api/costs/history': 'read:costs',
+  'GET /api/costs/forecast': 'read:costs',
+  'GET /api/costs/calibration': 'read:costs',
+  'POST /api/project-agent': 'council:run',
+  'POST /api/project-agent/team': 'council:run',
+  'POST /api/orchestrate': 'council:run',
+  'POST /api/orchestrate/stream': 'council:run',
+  'GET /api/orchestrate/council': 'read:config',
+  'GET /api/orchestrate/sessions': 'read:council',
+  'GET /api/orchestrate/sessions/:traceId': 'read:council',
+  'POST /api/orchestrate/sessions/:traceId/resume': 'council:run',
+  'POST /api/competitive-intel/run': 'council:run',
+  'GET /api/competitive-intel': 'read:council',
+  'GET /api/competitive-intel/:businessId': 'read:council',
+  'POST /api/content-council/run': 'council:run',
+  'GET /api/content-council': 'read:council',
+  'GET /api/content-council/:id': 'read:council',
+  'GET /api/content-council/:id/heygen': 'read:council',
+  'POST /api/content-council/:id/heygen/generate': 'publish:content',
+  'POST /api/citations/verify': 'query:context',
+  'POST /api/citations/quality': 'query:context',
+  'GET /api/citations/battlecard/:businessId': 'read:council',
+
+  // Portfolio, governance, context and onboarding
   'GET /api/portfolio/units': 'read:portfolio',
+  'GET /api/portfolio/units/:id': 'read:portfolio',
   'POST /api/portfolio/units': 'write:portfolio',
-  'PUT /api/portfolio/units': 'write:portfolio',
-  'DELETE /api/portfolio/units': 'write:portfolio',
+  'PUT /api/portfolio/units/:id': 'write:portfolio',
+  'DELETE /api/portfolio/units/:id': 'write:portfolio',
+  'GET /api/portfolio/summary': 'read:portfolio',
+  'GET /api/governance/:businessId': 'read:portfolio',
+  'GET /api/governance/:businessId/config': 'read:portfolio',
+  'POST /api/governance/:businessId/verify': 'read:portfolio',
+  'GET /api/governance/:businessId/whales': 'read:portfolio',
+  'GET /api/governance/:businessId/personas': 'read:portfolio',
+  'GET /api/context/businesses': 'read:portfolio',
+  'POST /api/context/preview': 'query:context',
+  'GET /api/context/:businessId': 'read:portfolio',
+  'GET /api/context/:businessId/validate': 'read:portfolio',
+  'GET /api/onboard/research': 'write:portfolio',
+  'POST /api/onboard/complete': 'write:portfolio',
+  'GET /api/discover/:businessId': 'read:portfolio',
+  'GET /api/discover/:businessId/status': 'read:portfolio',
+  'GET /api/discover/:businessId/questions': 'read:portfolio',
+  'POST /api/discover/:businessId/upload': 'write:portfolio',
+  'POST /api/discover/:businessId/extract': 'write:portfolio',
+  'POST /api/discover/:businessId/answers': 'write:portfolio',
+  'POST /api/discover/:businessId/commit': 'write:portfolio',
+
+  // Clients, tenants and the client portal
+  'GET /api/portal/clients': 'read:clients',
+  'GET /api/portal/:clientId': 'read:clients',
+  'GET /api/portal/:clientId/queue': 'read:clients',
+  'POST /api/portal/:clientId/upload': 'write:clients',
+  'POST /api/portal/:clientId/approve': 'write:clients',
+  'POST /api/portal/:clientId/process': 'write:clients',
+  'POST /api/portal/:clientId/send-to-client': 'write:clients',
+  'POST /api/portal/:clientId/move': 'write:clients',
+  'POST /api/portal/:clientId/gbp': 'write:clients',
+  'GET /api/clients/:clientId/gst': 'read:clients',
+  'GET /api/clients/:clientId/config': 'read:clients',
+  'GET /api/clients/:clientId/brand': 'read:clients',
+  'GET /api/tenants': 'read:clients',
+  'POST /api/tenants': 'admin:tenants',
+  'GET /api/tenants/:tenantId': 'read:clients',
+  'PUT /api/tenants/:tenantId': 'admin:tenants',
+
+  // Agency review
+  'GET /api/review': 'read:reviews',
+  'POST /api/review': 'write:reviews',
+  'GET /api/review/pulse': 'read:reviews',
+  'GET /api/review/list/:clientId': 'read:reviews',
+  'GET /api/review/:reviewId': 'read:reviews',
+  'GET /api/review/:reviewId/approve': 'write:reviews',
+  'GET /api/review/:reviewId/reject': 'write:reviews',
+  'POST /api/review/:reviewId/client-approve': 'write:reviews',
+  'POST /api/review/:reviewId/revision': 'write:reviews',
+  'POST /api/review/:reviewId/publish': 'publish:content',
+
+  // Artifacts
+  'POST /api/artifacts/generate': 'write:artifacts',
+  'GET /api/artifacts': 'read:artifacts',
+  'GET /api/artifacts/templates': 'read:artifacts',
+  'GET /api/artifacts/:id': 'read:artifacts',
+  'PUT /api/artifacts/:id': 'write:artifacts',
+  'DELETE /api/artifacts/:id': 'write:artifacts',
+  'POST /api/artifacts/:id/publish': 'publish:content',
+  'POST /api/artifacts/:id/feedback': 'write:artifacts',
+
+  // Publishing and marketing
   'POST /api/publish/x': 'publish:content',
+  'GET /api/publish/x/status': 'read:status',
+  'POST /api/marketing/brief': 'write:marketing',
+  'POST /api/marketing/draft': 'write:marketing',
+  'POST /api/marketing/publish': 'publish:content',
+  'GET /api/marketing/queue': 'read:marketing',
+
+  // Limitless pendant
+  'GET /api/limitless/feed': 'read:limitless',
+  'GET /api/limitless/search': 'read:limitless',
+  'GET /api/limitless/status': 'read:limitless',
+  'POST /api/limitless/scout': 'write:limitless',
+
+  // S2P command center
+  'GET /api/s2p': 'read:s2p',
+  'GET /api/s2p/signals': 'read:s2p',
+  'GET /api/s2p/leads': 'read:s2p',
+  'GET /api/s2p/leads/:leadId': 'read:s2p',
+  'PATCH /api/s2p/leads/:leadId/tier': 'write:s2p',
+  'POST /api/s2p/leads/ingest': 'write:s2p',
+  'POST /api/s2p/leads/score': 'write:s2p',
+  'GET /api/s2p/pipeline/deals': 'read:s2p',
+  'GET /api/s2p/pipeline/stages': 'read:s2p',
+  'POST /api/s2p/pipeline/advance': 'write:s2p',
+  'GET /api/s2p/pipeline/audit/:dealId': 'read:s2p',
+  'GET /api/s2p/proof': 'read:s2p',
+  'GET /api/s2p/proof/:proofId': 'read:s2p',
+  'POST /api/s2p/proof/:proofId/use': 'write:s2p',
+  'GET /api/s2p/proof/match/:leadId': 'read:s2p',
+  'GET /api/s2p/waves': 'read:s2p',
+  'GET /api/s2p/waves/:waveId': 'read:s2p',
+  'POST /api/s2p/waves/create': 'write:s2p',
+  'POST /api/s2p/waves/target-action': 'write:s2p',
+  'POST /api/s2p/signals/create': 'write:s2p',
+  'POST /api/s2p/signals/action': 'write:s2p',
+  'GET /api/s2p/prospects': 'read:s2p',
+  'GET /api/s2p/prospects/:prospectId': 'read:s2p',
+  'POST /api/s2p/prospects/:prospectId/outreach': 'write:s2p',
+  'GET /api/s2p/dashboard': 'read:s2p',
+  'GET /api/s2p/kpi/summary': 'read:s2p',
+  'GET /api/s2p/vendor/status': 'read:s2p',
+  'POST /api/s2p/vendor/apply': 'write:s2p',
+  'POST /api/s2p/vendor/approve': 'write:s2p',
+  'GET /api/s2p/council/status': 'read:s2p',
+  'POST /api/s2p/council/score': 'council:run',
+  'POST /api/s2p/council/match': 'council:run',
+  'POST /api/s2p/council/audit': 'council:run',
+  'POST /api/s2p/council/signals': 'council:run',
+  'POST /api/s2p/council/full': 'council:run',
+  'POST /api/s2p/brief/generate': 'council:run',
+
+  // Observability
+  'GET /api/observability/traces': 'read:observability',
+  'GET /api/observability/traces/:traceId': 'read:observability',
+  'GET /api/observability/alerts': 'read:observability',
+  'GET /api/observability/alerts/silences': 'read:observability',
+  'POST /api/observability/alerts/silences': 'admin:alerts',
+  'DELETE /api/observability/alerts/silences': 'admin:alerts',
+  'GET /api/observability/dashboard': 'read:observability',
+
+  // Operations
   'POST /api/emergency/kill-switch': 'admin:emergency',
   'POST /api/emergency/resume': 'admin:emergency',
-  'GET /api/emergency/status': 'read:status'
+  'GET /api/emergency/status': 'read:status',
+  'GET /api/memory/status': 'read:status',
+  'POST /api/memory/cleanup': 'admin:memory',
+  'POST /api/memory/emergency-cleanup': 'admin:memory',
+  'POST /api/demo/seed': 'admin:demo',
+  'GET /api/demo/reset': 'admin:demo'
 };
 
-// In-memory API key store (for simple deployments without database)
+// Routes served without an API key. `:param` matches one path segment.
+export const PUBLIC_ROUTES = [
+  'GET /health',
+  'GET /api/health',
+  'GET /api/metrics',
+  'GET /openapi.json',
+  'GET /api/observability/prometheus',
+  'GET /api/observability/metrics',
+  // Published artifacts are shared by link and shown in iframes
+  'GET /api/artifacts/:id/preview'
+];
+
+// Routes that run LLM councils, orchestration or research, rate limited
+// as the `expensive` class; everything else is `standard`
+export const EXPENSIVE_ROUTES = [
+  'POST /query',
+  'POST /api/notebook/query',
+  'POST /api/briefing/trigger',
+  'POST /api/llm-council',
+  'POST /api/orchestrate',
+  'POST /api/orchestrate/stream',
+  'POST /api/orchestrate/sessions/:traceId/resume',
+  'POST /api/competitive-intel/run',
+  'POST /api/content-council/run',
+  'GET /api/onboard/research',
+  'POST /api/onboard/complete',
+  'POST /api/artifacts/generate',
+  'POST /api/marketing/brief',
+  'POST /api/marketing/draft',
+  'POST /api/limitless/scout',
+  'POST /api/discover/:businessId/extract',
+  'POST /api/s2p/council/score',
+  'POST /api/s2p/council/match',
+  'POST /api/s2p/council/audit',
+  'POST /api/s2p/council/signals',
+  'POST /api/s2p/council/full',
+  'POST /api/s2p/brief/generate'
+];
+
+// Keys registered from the environment (API_KEY), by hash
 const inMemoryKeys = new Map();
 
 // ============================================
@@ -155,6 +457,219 @@ export function initializeDefaultKey() {
 // Initialize on module load
 initializeDefaultKey();
 
+// ============================================
+// Key Stores
+// ============================================
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id
+ * @property {string} hash - SHA-256 of the plain key
+ * @property {string} name
+ * @property {string} role
+ * @property {string[]} permissions
+ * @property {string[]} tenants - Tenant IDs the key is bound to; empty for all tenants
+ * @property {string|null} userId
+ * @property {string} createdAt
+ * @property {string|null} expiresAt
+ * @property {string|null} lastUsedAt
+ */
+
+/**
+ * Key store kept in process memory (keys are lost on restart)
+ * @returns {Object} Key store
+ */
+export function createMemoryKeyStore() {
+  /** @type {Map<string, ApiKeyRecord>} id -> record */
+  const keys = new Map();
+
+  return {
+    name: 'memory',
+
+    async findByHash(hash) {
+      return [...keys.values()].find(record => record.hash === hash) || null;
+    },
+
+    async findById(id) {
+      return keys.get(id) || null;
+    },
+
+    async create({ email, ...record }) {
+      const created = { ...record, id: `key_${crypto.randomBytes(8).toString('hex')}` };
+      keys.set(created.id, created);
+      return created;
+    },
+
+    async list() {
+      return [...keys.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async update(id, changes) {
+      const record = keys.get(id);
+      if (!record) return null;
+      Object.assign(record, changes);
+      return record;
+    },
+
+    async remove(id) {
+      return keys.delete(id);
+    }
+  };
+}
+
+/**
+ * Key store backed by the Prisma `ApiKey` table
+ *
+ * Each key stores its own role (rows from before the column fall back to
+ * the owner's); `permissions` on the key narrow or replace the role's
+ * defaults. Keys are owned by an existing user (`userId`) or by the user
+ * with `email`, created if needed.
+ *
+ * @param {Object} prisma - PrismaClient
+ * @returns {Object} Key store
+ */
+export function createPrismaKeyStore(prisma) {
+  const iso = (date) => (date ? new Date(date).toISOString() : null);
+  const toRecord = (row) => row && {
+    id: row.id,
+    hash: row.key,
+    name: row.name,
+    // The key's own role; older rows without one fall back to the owner's
+    role: row.role || row.user?.role || 'USER',
+    permissions: row.permissions,
+    tenants: row.tenants || [],
+    userId: row.userId,
+    createdAt: iso(row.createdAt),
+    expiresAt: iso(row.expiresAt),
+    lastUsedAt: iso(row.lastUsedAt)
+  };
+  const include = { user: true };
+
+  return {
+    name: 'prisma',
+
+    async findByHash(hash) {
+      return toRecord(await prisma.apiKey.findUnique({ where: { key: hash }, include }));
+    },
+
+    async findById(id) {
+      return toRecord(await prisma.apiKey.findUnique({ where: { id }, include }));
+    },
+
+    async create(record) {
+      const email = record.email || process.env.ADMIN_EMAIL;
+      if (!record.userId && !email) {
+        throw new ValidationError('API keys stored in the database need an owner', {
+          email: 'required (or set ADMIN_EMAIL)'
+        });
+      }
+
+      // The key carries its own role: a READONLY key issued under the admin's
+      // email must not inherit ADMIN from its owner
+      const user = record.userId
+        ? { connect: { id: record.userId } }
+        : { connectOrCreate: { where: { email }, create: { email, role: record.role } } };
+
+      return toRecord(await prisma.apiKey.create({
+        data: {
+          key: record.hash,
+          name: record.name,
+          role: record.role,
+          permissions: record.permissions,
+          tenants: record.tenants,
+          expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+          user
+        },
+        include
+      }));
+    },
+
+    async list() {
+      const rows = await prisma.apiKey.findMany({ include, orderBy: { createdAt: 'desc' } });
+      return rows.map(toRecord);
+    },
+
+    async update(id, changes) {
+      const data = {};
+      if ('expiresAt' in changes) data.expiresAt = changes.expiresAt ? new Date(changes.expiresAt) : null;
+      if ('lastUsedAt' in changes) data.lastUsedAt = new Date(changes.lastUsedAt);
+      try {
+        return toRecord(await prisma.apiKey.update({ where: { id }, data, include }));
+      } catch (error) {
+        // P2025: record to update not found
+        if (error.code === 'P2025') return null;
+        throw error;
+      }
+    },
+
+    async remove(id) {
+      try {
+        await prisma.apiKey.delete({ where: { id } });
+        return true;
+      } catch (error) {
+        if (error.code === 'P2025') return false;
+        throw error;
+      }
+    }
+  };
+}
+
+let keyStore = null;
+
+/**
+ * Key store in use: Prisma when DATABASE_URL is set, otherwise memory
+ * @returns {Promise<Object>}
+ */
+export async function getKeyStore() {
+  if (!keyStore) {
+    if (process.env.DATABASE_URL) {
+      const { getPrismaClient } = await import('./providers/prisma-provider.js');
+      keyStore = createPrismaKeyStore(getPrismaClient());
+    } else {
+      keyStore = createMemoryKeyStore();
+    }
+  }
+  return keyStore;
+}
+
+/**
+ * Replace the key store (tests, or a custom backend)
+ * @param {Object|null} store - null restores the default on next use
+ */
+export function setKeyStore(store) {
+  keyStore = store;
+}
+
+/**
+ * Whether a key record is past its expiry
+ * @param {ApiKeyRecord} record
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+/**
+ * Key metadata safe to return from the API (never the hash)
+ * @param {ApiKeyRecord} record
+ * @returns {Object}
+ */
+export function describeApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    role: record.role,
+    permissions: record.permissions,
+    tenants: record.tenants || [],
+    userId: record.userId ?? null,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt,
+    expired: isExpired(record)
+  };
+}
+
 // ============================================
 // Authentication
 // ============================================
@@ -212,15 +727,104 @@ export async function validateApiKey(key) {
       authenticated: true,
       role: keyData.role,
       permissions: keyData.permissions,
+      tenants: [],
       name: keyData.name
     };
   }
 
-  // TODO: Check database if Prisma is configured
-  // const prisma = getPrismaClient();
-  // const apiKey = await prisma.apiKey.findUnique({ where: { key: hash } });
+  const store = await getKeyStore();
+  const record = await store.findByHash(hash);
+  if (!record) {
+    throw new AuthenticationError('Invalid API key');
+  }
+  if (isExpired(record)) {
+    throw new AuthenticationError('API key expired');
+  }
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+    // Bookkeeping only; a slow or failed write must not hold up the request
+    store.update(record.id, { lastUsedAt: new Date(now).toISOString() }).catch(error => {
+      logger.warn('Failed to update API key lastUsedAt', { keyId: record.id, error: error.message });
+    });
+  }
+
+  return {
+    authenticated: true,
+    keyId: record.id,
+    userId: record.userId ?? null,
+    role: record.role,
+    permissions: record.permissions.length > 0 ? record.permissions : ROLES[record.role]?.permissions || [],
+    tenants: record.tenants || [],
+    name: record.name,
+    expiresAt: record.expiresAt
+  };
+}
+
+/**
+ * Match a request against a route key such as 'GET /api/review/:reviewId'
+ * @private
+ * @returns {number} Literal segments matched (more is more specific), or -1
+ */
+function matchRoute(route, method, path) {
+  const [routeMethod, routePath] = route.split(' ');
+  if (routeMethod !== method) return -1;
+
+  const segments = (path.length > 1 ? path.replace(/\/$/, '') : path).split('/');
+  const routeSegments = routePath.split('/');
+  if (routeSegments.length !== segments.length) return -1;
+
+  let literals = 0;
+  for (let i = 0; i < routeSegments.length; i++) {
+    if (routeSegments[i].startsWith(':')) {
+      if (segments[i] === '') return -1;
+    } else if (routeSegments[i] === segments[i]) {
+      literals++;
+    } else {
+      return -1;
+    }
+  }
+  return literals;
+}
+
+/**
+ * Whether a route is served without an API key
+ * @param {string} method
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isPublicRoute(method, path) {
+  return PUBLIC_ROUTES.some(route => matchRoute(route, method, path) !== -1);
+}
+
+/**
+ * Authenticate an HTTP request by its API key
+ *
+ * In development mode (no API_KEY configured) requests without a valid
+ * key run as a local administrator, as before keys were enforced.
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} [options]
+ * @param {boolean} [options.devMode=false]
+ * @returns {Promise<Object>} User context
+ * @throws {AuthenticationError}
+ */
+export async function authenticateRequest(req, options = {}) {
+  const { devMode = false } = options;
 
-  throw new AuthenticationError('Invalid API key');
+  try {
+    return await validateApiKey(extractApiKey(req));
+  } catch (error) {
+    if (devMode && error instanceof AuthenticationError) {
+      return {
+        authenticated: true,
+        role: 'ADMIN',
+        permissions: ROLES.ADMIN.permissions,
+        name: 'Local development'
+      };
+    }
+    throw error;
+  }
 }
 
 /**
@@ -239,37 +843,127 @@ export function hasPermission(user, permission) {
   return user.permissions.includes(permission);
 }
 
+/**
+ * Throw unless the user has a permission
+ * @param {Object} user - User context from validateApiKey
+ * @param {string} permission
+ * @throws {AuthorizationError}
+ */
+export function assertPermission(user, permission) {
+  if (!hasPermission(user, permission)) {
+    throw new AuthorizationError(`Permission denied: ${permission}`);
+  }
+}
+
+/**
+ * Whether a user may act on a tenant's data
+ * @param {Object} user - User context from validateApiKey
+ * @param {string} tenantId - Client ID
+ * @returns {boolean} Always true for unscoped keys
+ */
+export function canAccessTenant(user, tenantId) {
+  if (!user?.tenants || user.tenants.length === 0) return true;
+  return user.tenants.includes(tenantId);
+}
+
+/**
+ * Throw unless the user may act on a tenant's data
+ * @param {Object} user - User context from validateApiKey
+ * @param {string} tenantId - Client ID
+ * @throws {AuthorizationError}
+ */
+export function assertTenantAccess(user, tenantId) {
+  if (!canAccessTenant(user, tenantId)) {
+    throw new AuthorizationError(`No access to tenant: ${tenantId}`);
+  }
+}
+
 /**
  * Get required permission for endpoint
+ *
+ * Exact entries win; otherwise the parameterized entry with the most
+ * literal segments. There is no prefix matching, so a route missing from
+ * ENDPOINT_PERMISSIONS returns null rather than borrowing a neighbour's
+ * permission.
+ *
  * @param {string} method - HTTP method
  * @param {string} path - Request path
  * @returns {string|null}
  */
 export function getEndpointPermission(method, path) {
-  // Normalize path (remove trailing slash, params)
-  const normalizedPath = path.replace(/\/[^/]+$/, '').replace(/\/$/, '') || path;
-
-  // Check exact match first
   const key = `${method} ${path}`;
   if (ENDPOINT_PERMISSIONS[key]) {
     return ENDPOINT_PERMISSIONS[key];
   }
 
-  // Check with normalized path
-  const normalizedKey = `${method} ${normalizedPath}`;
-  if (ENDPOINT_PERMISSIONS[normalizedKey]) {
-    return ENDPOINT_PERMISSIONS[normalizedKey];
-  }
+  const match = findRoute(Object.keys(ENDPOINT_PERMISSIONS), method, path);
+  return match ? ENDPOINT_PERMISSIONS[match.route] : null;
+}
 
-  // Check pattern matches
-  for (const [pattern, perm] of Object.entries(ENDPOINT_PERMISSIONS)) {
-    const [patternMethod, patternPath] = pattern.split(' ');
-    if (patternMethod === method && path.startsWith(patternPath.replace(/:\w+/g, ''))) {
-      return perm;
+/**
+ * Route key a request matches, with its parameters
+ *
+ * Among several matching keys the one with the most literal segments wins,
+ * so 'GET /api/review/pulse' beats 'GET /api/review/:reviewId'.
+ *
+ * @param {string[]} routeKeys - e.g. ['GET /api/review/:reviewId']
+ * @param {string} method
+ * @param {string} path
+ * @returns {{route: string, params: Object<string, string>}|null}
+ */
+export function findRoute(routeKeys, method, path) {
+  let best = null;
+  let bestLiterals = -1;
+  for (const route of routeKeys) {
+    const literals = matchRoute(route, method, path);
+    if (literals > bestLiterals) {
+      best = route;
+      bestLiterals = literals;
     }
   }
+  if (!best) return null;
 
-  return null;
+  const segments = (path.length > 1 ? path.replace(/\/$/, '') : path).split('/');
+  const params = {};
+  best.split(' ')[1].split('/').forEach((segment, i) => {
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = segments[i];
+    }
+  });
+  return { route: best, params };
+}
+
+/**
+ * Rate limit class of a request
+ * @param {string} method
+ * @param {string} path
+ * @returns {'standard'|'expensive'}
+ */
+export function getRouteClass(method, path) {
+  return EXPENSIVE_ROUTES.some(route => matchRoute(route, method, path) !== -1) ? 'expensive' : 'standard';
+}
+
+/**
+ * Token bucket settings for a user and route class
+ *
+ * Roles without their own limits get READONLY's, the strictest.
+ *
+ * @param {Object} user - User context from validateApiKey
+ * @param {'standard'|'expensive'} routeClass
+ * @returns {{burst: number, perMinute: number}}
+ */
+export function getRateLimit(user, routeClass) {
+  const role = ROLES[user?.role]?.rateLimits ? ROLES[user.role] : ROLES.READONLY;
+  return role.rateLimits[routeClass];
+}
+
+/**
+ * Registered routes with neither a permission nor a public entry
+ * @param {string[]} routeKeys - e.g. ['GET /tasks', 'GET /api/review/:reviewId']
+ * @returns {string[]}
+ */
+export function findUnmappedRoutes(routeKeys) {
+  return routeKeys.filter(route => !ENDPOINT_PERMISSIONS[route] && !PUBLIC_ROUTES.includes(route));
 }
 
 // ============================================
@@ -346,38 +1040,180 @@ export function requirePermission(permission) {
 }
 
 // ============================================
-// Utilities
+// Key Management
 // ============================================
 
+/**
+ * Validate issuance options
+ * @private
+ */
+function validateKeyOptions(options) {
+  const fields = {};
+  const { name, role = 'USER', permissions, tenants, expiresInDays, expiresAt } = options;
+
+  if (!name || typeof name !== 'string') {
+    fields.name = 'required';
+  }
+  if (!ROLES[role]) {
+    fields.role = `one of ${Object.keys(ROLES).join(', ')}`;
+  }
+  if (permissions !== undefined
+    && (!Array.isArray(permissions) || !permissions.every(p => typeof p === 'string' && PERMISSION_PATTERN.test(p)))) {
+    fields.permissions = 'array of permissions such as "read:tasks", or "*"';
+  }
+  if (tenants !== undefined
+    && (!Array.isArray(tenants) || !tenants.every(t => typeof t === 'string' && TENANT_ID_PATTERN.test(t)))) {
+    fields.tenants = 'array of tenant IDs such as "bigmuddy"';
+  }
+  if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+    fields.expiresInDays = 'positive number required';
+  }
+  if (expiresAt !== undefined && expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+    fields.expiresAt = 'future ISO timestamp required';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError('Invalid API key options', fields);
+  }
+}
+
+/**
+ * Expiry from expiresAt or expiresInDays
+ * @private
+ */
+function resolveExpiry({ expiresAt, expiresInDays }) {
+  if (expiresAt) return new Date(expiresAt).toISOString();
+  if (expiresInDays) return new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000).toISOString();
+  return null;
+}
+
+/**
+ * Issue a key in the key store
+ * @param {Object} options
+ * @param {string} options.name - Key name/description
+ * @param {string} [options.role='USER']
+ * @param {string[]} [options.permissions] - Defaults to the role's permissions
+ * @param {string[]} [options.tenants] - Tenant IDs the key is limited to; omit for all tenants
+ * @param {number} [options.expiresInDays]
+ * @param {string} [options.expiresAt] - ISO timestamp; wins over expiresInDays
+ * @param {string} [options.userId] - Owner (database store)
+ * @param {string} [options.email] - Owner by email, created if missing (database store)
+ * @param {Object} [options.issuer] - User context of the caller; a key cannot get permissions or tenants its issuer lacks
+ * @returns {Promise<{key: string, apiKey: Object}>} The plain key (shown once) and its metadata
+ */
+export async function issueApiKey(options = {}) {
+  validateKeyOptions(options);
+
+  const { key, hash, metadata } = generateApiKey(options);
+
+  const { issuer } = options;
+  const tenants = [...new Set(options.tenants || [])];
+  if (issuer) {
+    const missing = metadata.permissions.filter(p => !hasPermission(issuer, p));
+    if (missing.length > 0) {
+      throw new AuthorizationError(`Cannot grant permissions you do not hold: ${missing.join(', ')}`);
+    }
+    // A tenant-bound issuer cannot hand out an unscoped key
+    const outside = tenants.length > 0 ? tenants.filter(t => !canAccessTenant(issuer, t)) : issuer.tenants || [];
+    if (outside.length > 0) {
+      throw new AuthorizationError(`Cannot grant tenants you do not hold: ${outside.join(', ')}`);
+    }
+  }
+  const store = await getKeyStore();
+  const record = await store.create({
+    hash,
+    name: metadata.name,
+    role: metadata.role,
+    permissions: metadata.permissions,
+    tenants,
+    userId: options.userId ?? null,
+    email: options.email,
+    createdAt: metadata.createdAt,
+    expiresAt: resolveExpiry(options),
+    lastUsedAt: null
+  });
+
+  logger.info('API key issued', { keyId: record.id, name: record.name, role: record.role, tenants, expiresAt: record.expiresAt });
+  return { key, apiKey: describeApiKey(record) };
+}
+
+/**
+ * Replace a key, keeping the old one valid for an overlap window
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {number} [options.overlapMinutes=60] - How long the old key keeps working (0 revokes it now)
+ * @param {number} [options.expiresInDays] - Expiry of the new key
+ * @param {Object} [options.issuer] - Caller; must hold every permission of the key
+ * @returns {Promise<{key: string, apiKey: Object, previous: Object}|null>} null when the key does not exist
+ */
+export async function rotateApiKey(id, options = {}) {
+  const { overlapMinutes = DEFAULT_ROTATION_OVERLAP_MINUTES, expiresInDays, issuer } = options;
+  if (!(Number(overlapMinutes) >= 0)) {
+    throw new ValidationError('Invalid rotation options', { overlapMinutes: 'non-negative number required' });
+  }
+
+  const store = await getKeyStore();
+  const old = await store.findById(id);
+  if (!old) {
+    return null;
+  }
+  if (isExpired(old)) {
+    throw new ValidationError('Cannot rotate an expired API key', { id: 'key has expired' });
+  }
+
+  const { key, apiKey } = await issueApiKey({
+    name: old.name,
+    role: old.role,
+    permissions: old.permissions,
+    tenants: old.tenants,
+    userId: old.userId,
+    expiresInDays,
+    issuer
+  });
+
+  // Never extend the old key beyond an expiry it already had
+  const overlapEnd = Date.now() + Number(overlapMinutes) * 60 * 1000;
+  const expiresAt = new Date(old.expiresAt ? Math.min(overlapEnd, Date.parse(old.expiresAt)) : overlapEnd).toISOString();
+  const previous = await store.update(id, { expiresAt });
+
+  logger.info('API key rotated', { keyId: id, replacedBy: apiKey.id, oldKeyExpiresAt: expiresAt });
+  return { key, apiKey, previous: describeApiKey(previous) };
+}
+
 /**
  * Get all registered API keys (names and roles only, not the actual keys)
- * @returns {Array}
+ * @returns {Promise<Array>} Environment keys, then stored keys (newest first)
  */
-export function listApiKeys() {
+export async function listApiKeys() {
   const keys = [];
   for (const [hash, data] of inMemoryKeys) {
     keys.push({
       hash: hash.slice(0, 8) + '...',
       name: data.name,
       role: data.role,
+      source: 'env',
       createdAt: data.createdAt,
       lastUsedAt: data.lastUsedAt
     });
   }
+
+  const store = await getKeyStore();
+  for (const record of await store.list()) {
+    keys.push({ ...describeApiKey(record), source: store.name });
+  }
   return keys;
 }
 
 /**
- * Revoke an API key
- * @param {string} key - Plain API key to revoke
- * @returns {boolean} Whether key was found and revoked
+ * Revoke a stored API key
+ * @param {string} id - Key ID
+ * @returns {Promise<boolean>} Whether key was found and revoked
  */
-export function revokeApiKey(key) {
-  const hash = hashApiKey(key);
-  const existed = inMemoryKeys.has(hash);
-  inMemoryKeys.delete(hash);
+export async function revokeApiKey(id) {
+  const store = await getKeyStore();
+  const existed = await store.remove(id);
   if (existed) {
-    logger.info('API key revoked', { hash: hash.slice(0, 8) + '...' });
+    logger.info('API key revoked', { keyId: id });
   }
   return existed;
 }
@@ -385,15 +1221,33 @@ export function revokeApiKey(key) {
 export default {
   ROLES,
   ENDPOINT_PERMISSIONS,
+  PUBLIC_ROUTES,
+  EXPENSIVE_ROUTES,
+  createMemoryKeyStore,
+  createPrismaKeyStore,
+  getKeyStore,
+  setKeyStore,
+  describeApiKey,
   generateApiKey,
   hashApiKey,
   registerApiKey,
   extractApiKey,
   validateApiKey,
+  isPublicRoute,
+  authenticateRequest,
   hasPermission,
+  assertPermission,
+  canAccessTenant,
+  assertTenantAccess,
   getEndpointPermission,
+  findRoute,
+  getRouteClass,
+  getRateLimit,
+  findUnmappedRoutes,
   authMiddleware,
   requirePermission,
+  issueApiKey,
+  rotateApiKey,
   listApiKeys,
   revokeApiKey
 };
@@ -1,116 +1,364 @@
 /**
  * SuperChase Simple Cache
- * 
- * In-memory cache with TTL support for caching API responses
- * and expensive computations.
- * 
+ *
+ * TTL cache for API responses and expensive computations, with
+ * pluggable storage:
+ * - MemoryStore: process-local, least-recently-used eviction
+ * - FileStore: one JSON file per entry, survives restarts and is
+ *   shared by every process pointing at the same directory
+ *
+ * Caches can be split into namespaces, entries can be tagged and
+ * invalidated by tag, and getOrCompute can serve a stale value while
+ * refreshing it in the background.
+ *
  * @module lib/cache
  */
 
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const logger = createLogger({ module: 'cache' });
+
+const DEFAULT_CACHE_DIR = join(__dirname, '..', 'cache');
+
 /**
  * @typedef {Object} CacheEntry
+ * @property {string} key - Full (namespaced) key
  * @property {any} value - Cached value
- * @property {number} expiresAt - Expiration timestamp
+ * @property {number} expiresAt - Fresh until this timestamp
+ * @property {number} staleUntil - May be served stale until this timestamp
  * @property {number} createdAt - Creation timestamp
+ * @property {string[]} tags - Invalidation tags
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} kind - Backend name, reported in stats
+ * @property {number} maxSize
+ * @property {function(string): CacheEntry|undefined} get - Read and mark as recently used
+ * @property {function(string, CacheEntry): void} set
+ * @property {function(string): boolean} delete
+ * @property {function(): Iterable<[string, CacheEntry]>} entries - Read without touching recency
+ * @property {function(): void} clear
+ */
+
+// ============================================
+// Stores
+// ============================================
+
+/**
+ * In-memory store. A Map keeps insertion order, so re-inserting on
+ * read keeps the least recently used entry first.
+ */
+class MemoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=1000] - Maximum entries
+     */
+    constructor(options = {}) {
+        this.kind = 'memory';
+        this.maxSize = options.maxSize ?? 1000;
+
+        /** @type {Map<string, CacheEntry>} */
+        this.map = new Map();
+    }
+
+    get(key) {
+        const entry = this.map.get(key);
+        if (entry) {
+            this.map.delete(key);
+            this.map.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.map.delete(key);
+        this.map.set(key, entry);
+
+        while (this.map.size > this.maxSize) {
+            this.map.delete(this.map.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    entries() {
+        return [...this.map.entries()];
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+/**
+ * File-backed store: one JSON file per entry. Values must be
+ * JSON-serializable. Recency is the file's mtime, bumped on read, so
+ * eviction stays least-recently-used across processes.
  */
+class FileStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dir] - Directory (default CACHE_DIR or ./cache)
+     * @param {number} [options.maxSize=1000] - Maximum entries
+     */
+    constructor(options = {}) {
+        this.kind = 'file';
+        this.dir = options.dir || process.env.CACHE_DIR || DEFAULT_CACHE_DIR;
+        this.maxSize = options.maxSize ?? 1000;
+        this._lastTouch = 0;
+    }
+
+    _path(key) {
+        return join(this.dir, `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+    }
+
+    _files() {
+        try {
+            return fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+        } catch {
+            return [];
+        }
+    }
+
+    _read(path) {
+        try {
+            return JSON.parse(fs.readFileSync(path, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Dropping unreadable cache file', { path, error: error.message });
+                fs.rmSync(path, { force: true });
+            }
+            return undefined;
+        }
+    }
+
+    _touch(path) {
+        // Strictly increasing so back-to-back writes keep their order
+        this._lastTouch = Math.max(Date.now(), this._lastTouch + 1);
+        const time = new Date(this._lastTouch);
+        try {
+            fs.utimesSync(path, time, time);
+        } catch {
+            // Removed by another process
+        }
+    }
+
+    get(key) {
+        const path = this._path(key);
+        const entry = this._read(path);
+        if (entry?.key !== key) {
+            return undefined;
+        }
+        this._touch(path);
+        return entry;
+    }
+
+    set(key, entry) {
+        const path = this._path(key);
+        const tmpPath = `${path}.${process.pid}.tmp`;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(entry));
+        fs.renameSync(tmpPath, path);
+        this._touch(path);
+
+        this._evict();
+    }
+
+    _evict() {
+        const files = this._files();
+        if (files.length <= this.maxSize) {
+            return;
+        }
+
+        const byAge = files
+            .map(f => {
+                const path = join(this.dir, f);
+                try {
+                    return { path, mtime: fs.statSync(path).mtimeMs };
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.mtime - b.mtime);
+
+        for (const { path } of byAge.slice(0, byAge.length - this.maxSize)) {
+            fs.rmSync(path, { force: true });
+        }
+    }
+
+    delete(key) {
+        const path = this._path(key);
+        const exists = fs.existsSync(path);
+        fs.rmSync(path, { force: true });
+        return exists;
+    }
+
+    entries() {
+        return this._files()
+            .map(f => this._read(join(this.dir, f)))
+            .filter(Boolean)
+            .map(entry => [entry.key, entry]);
+    }
+
+    clear() {
+        for (const f of this._files()) {
+            fs.rmSync(join(this.dir, f), { force: true });
+        }
+    }
+}
+
+// ============================================
+// Cache
+// ============================================
 
 class SimpleCache {
     /**
      * @param {Object} options
      * @param {number} [options.defaultTTL=300000] - Default TTL in milliseconds (5 min)
+     * @param {number} [options.staleTTL=0] - How long past its TTL getOrCompute may serve an entry while refreshing it
      * @param {number} [options.maxSize=1000] - Maximum cache entries
-     * @param {number} [options.cleanupInterval=60000] - Cleanup interval in ms
+     * @param {number} [options.cleanupInterval=60000] - Cleanup interval in ms (0 disables)
+     * @param {string} [options.namespace] - Key prefix; clear() and tag invalidation stay inside it
+     * @param {CacheStore} [options.store] - Storage backend (default MemoryStore)
      */
     constructor(options = {}) {
         this.defaultTTL = options.defaultTTL ?? 5 * 60 * 1000; // 5 minutes
+        this.staleTTL = options.staleTTL ?? 0;
         this.maxSize = options.maxSize ?? 1000;
         this.cleanupInterval = options.cleanupInterval ?? 60 * 1000;
+        this.namespaceName = options.namespace || null;
 
-        /** @type {Map<string, CacheEntry>} */
-        this.cache = new Map();
+        /** @type {CacheStore} */
+        this.store = options.store || new MemoryStore({ maxSize: this.maxSize });
 
-        /** @type {Map<string, number>} */
-        this.hits = new Map();
+        this._prefix = this.namespaceName ? `${this.namespaceName}:` : '';
+        this._namespaces = new Map();
+        this._pending = new Map();
+        this._counters = { hits: 0, misses: 0, staleHits: 0 };
 
         // Start cleanup timer
         this._startCleanup();
     }
 
     /**
-     * Get a cached value
-     * @param {string} key 
+     * Get a fresh cached value
+     * @param {string} key
      * @returns {any|undefined}
      */
     get(key) {
-        const entry = this.cache.get(key);
+        const entry = this._lookup(key);
 
-        if (!entry) {
+        if (!entry || entry.state !== 'fresh') {
+            this._counters.misses++;
             return undefined;
         }
 
-        if (Date.now() > entry.expiresAt) {
-            this.cache.delete(key);
-            return undefined;
-        }
-
-        // Track hits
-        this.hits.set(key, (this.hits.get(key) || 0) + 1);
-
+        this._counters.hits++;
         return entry.value;
     }
 
     /**
      * Set a cached value
-     * @param {string} key 
-     * @param {any} value 
-     * @param {number} [ttl] - TTL in milliseconds
+     * @param {string} key
+     * @param {any} value
+     * @param {number|Object} [ttl] - TTL in milliseconds, or options
+     * @param {number} [ttl.ttl] - TTL in milliseconds
+     * @param {number} [ttl.staleTTL] - Stale-while-revalidate window in milliseconds
+     * @param {string[]} [ttl.tags] - Tags for invalidateTag()
      */
     set(key, value, ttl) {
-        // Evict if at capacity
-        if (this.cache.size >= this.maxSize) {
-            this._evictLRU();
-        }
+        const options = this._options(ttl);
+        const now = Date.now();
+        const expiresAt = now + options.ttl;
 
-        this.cache.set(key, {
+        this.store.set(this._prefix + key, {
+            key: this._prefix + key,
             value,
-            expiresAt: Date.now() + (ttl ?? this.defaultTTL),
-            createdAt: Date.now()
+            expiresAt,
+            staleUntil: expiresAt + options.staleTTL,
+            createdAt: now,
+            tags: options.tags
         });
-
-        this.hits.set(key, 0);
     }
 
     /**
      * Delete a cached value
-     * @param {string} key 
+     * @param {string} key
      * @returns {boolean}
      */
     delete(key) {
-        this.hits.delete(key);
-        return this.cache.delete(key);
+        return this.store.delete(this._prefix + key);
     }
 
     /**
      * Check if key exists and is not expired
-     * @param {string} key 
+     * @param {string} key
      * @returns {boolean}
      */
     has(key) {
-        const entry = this.cache.get(key);
-        if (!entry) return false;
-        if (Date.now() > entry.expiresAt) {
-            this.cache.delete(key);
-            return false;
-        }
-        return true;
+        return this._lookup(key)?.state === 'fresh';
     }
 
     /**
-     * Clear all cached entries
+     * Clear all cached entries (only this namespace's, if namespaced)
      */
     clear() {
-        this.cache.clear();
-        this.hits.clear();
+        if (!this._prefix) {
+            this.store.clear();
+            return;
+        }
+
+        for (const [key] of this._entries()) {
+            this.store.delete(key);
+        }
+    }
+
+    /**
+     * Get a cache that shares this one's store under a key prefix
+     * @param {string} name
+     * @returns {SimpleCache}
+     */
+    namespace(name) {
+        if (!this._namespaces.has(name)) {
+            this._namespaces.set(name, new SimpleCache({
+                defaultTTL: this.defaultTTL,
+                staleTTL: this.staleTTL,
+                maxSize: this.maxSize,
+                cleanupInterval: 0, // This cache's timer already covers the store
+                namespace: this._prefix + name,
+                store: this.store
+            }));
+        }
+        return this._namespaces.get(name);
+    }
+
+    /**
+     * Delete every entry carrying any of the tags
+     * @param {...string} tags
+     * @returns {number} Entries removed
+     */
+    invalidateTag(...tags) {
+        let removed = 0;
+
+        for (const [key, entry] of this._entries()) {
+            if (entry.tags?.some(tag => tags.includes(tag))) {
+                this.store.delete(key);
+                removed++;
+            }
+        }
+
+        return removed;
     }
 
     /**
@@ -119,44 +367,69 @@ class SimpleCache {
      */
     stats() {
         let expired = 0;
+        let stale = 0;
         let totalAge = 0;
+        let size = 0;
         const now = Date.now();
 
-        for (const [key, entry] of this.cache) {
-            if (now > entry.expiresAt) {
+        for (const [, entry] of this._entries()) {
+            size++;
+            if (now > entry.staleUntil) {
                 expired++;
+            } else if (now > entry.expiresAt) {
+                stale++;
             } else {
                 totalAge += now - entry.createdAt;
             }
         }
 
-        const activeEntries = this.cache.size - expired;
+        const activeEntries = size - expired - stale;
 
         return {
-            size: this.cache.size,
+            backend: this.store.kind,
+            namespace: this.namespaceName,
+            size,
             activeEntries,
+            staleEntries: stale,
             expiredEntries: expired,
             averageAgeMs: activeEntries > 0 ? Math.round(totalAge / activeEntries) : 0,
-            maxSize: this.maxSize
+            maxSize: this.store.maxSize,
+            ...this._counters
         };
     }
 
     /**
-     * Get or compute a cached value
-     * @param {string} key 
+     * Get or compute a cached value. Within the stale window the old
+     * value is returned at once and recomputed in the background.
+     * Concurrent callers for the same key share one computation.
+     * @param {string} key
      * @param {Function} compute - Async function to compute value if not cached
-     * @param {number} [ttl] - TTL in milliseconds
+     * @param {number|Object} [ttl] - TTL in milliseconds, or options as for set()
      * @returns {Promise<any>}
      */
     async getOrCompute(key, compute, ttl) {
-        const cached = this.get(key);
-        if (cached !== undefined) {
-            return cached;
+        const entry = this._lookup(key);
+
+        if (entry?.state === 'fresh') {
+            this._counters.hits++;
+            return entry.value;
         }
 
-        const value = await compute();
-        this.set(key, value, ttl);
-        return value;
+        if (entry?.state === 'stale') {
+            this._counters.staleHits++;
+            if (!this._pending.has(key)) {
+                this._compute(key, compute, ttl).catch(error => {
+                    logger.warn('Cache revalidation failed, serving stale value', {
+                        key: this._prefix + key,
+                        error: error.message
+                    });
+                });
+            }
+            return entry.value;
+        }
+
+        this._counters.misses++;
+        return this._compute(key, compute, ttl);
     }
 
     /**
@@ -165,48 +438,97 @@ class SimpleCache {
      * @param {Object} options
      * @param {Function} [options.keyFn] - Function to generate cache key from args
      * @param {number} [options.ttl] - TTL in milliseconds
+     * @param {number} [options.staleTTL] - Stale-while-revalidate window in milliseconds
+     * @param {string[]} [options.tags] - Tags for invalidateTag()
      * @returns {Function}
      */
     memoize(fn, options = {}) {
-        const { keyFn = JSON.stringify, ttl } = options;
+        const { keyFn = JSON.stringify, ...entryOptions } = options;
 
         return async (...args) => {
             const key = keyFn(args);
-            return this.getOrCompute(key, () => fn(...args), ttl);
+            return this.getOrCompute(key, () => fn(...args), entryOptions);
         };
     }
 
     /**
-     * Evict least recently used entry
+     * Look up an entry and classify it as fresh or stale; drops it once
+     * past the stale window
      * @private
      */
-    _evictLRU() {
-        let minHits = Infinity;
-        let minKey = null;
+    _lookup(key) {
+        const entry = this.store.get(this._prefix + key);
+        if (!entry) {
+            return null;
+        }
 
-        for (const [key, hits] of this.hits) {
-            if (hits < minHits) {
-                minHits = hits;
-                minKey = key;
-            }
+        const now = Date.now();
+        if (now <= entry.expiresAt) {
+            return { value: entry.value, state: 'fresh' };
+        }
+        if (now <= entry.staleUntil) {
+            return { value: entry.value, state: 'stale' };
         }
 
-        if (minKey) {
-            this.delete(minKey);
+        this.store.delete(this._prefix + key);
+        return null;
+    }
+
+    /**
+     * Compute and store a value, sharing one in-flight call per key
+     * @private
+     */
+    _compute(key, compute, ttl) {
+        if (this._pending.has(key)) {
+            return this._pending.get(key);
         }
+
+        const promise = (async () => {
+            const value = await compute();
+            this.set(key, value, ttl);
+            return value;
+        })().finally(() => this._pending.delete(key));
+
+        this._pending.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Normalize a TTL number or options object
+     * @private
+     */
+    _options(ttl) {
+        const options = typeof ttl === 'object' && ttl !== null ? ttl : { ttl };
+        return {
+            ttl: options.ttl ?? this.defaultTTL,
+            staleTTL: options.staleTTL ?? this.staleTTL,
+            tags: options.tags || []
+        };
     }
 
     /**
-     * Start periodic cleanup of expired entries
+     * Entries in this cache's namespace
+     * @private
+     */
+    _entries() {
+        const entries = this.store.entries();
+        return this._prefix ? entries.filter(([key]) => key.startsWith(this._prefix)) : entries;
+    }
+
+    /**
+     * Start periodic cleanup of entries past their stale window
      * @private
      */
     _startCleanup() {
+        if (!this.cleanupInterval) {
+            return;
+        }
+
         this._cleanupTimer = setInterval(() => {
             const now = Date.now();
-            for (const [key, entry] of this.cache) {
-                if (now > entry.expiresAt) {
-                    this.cache.delete(key);
-                    this.hits.delete(key);
+            for (const [key, entry] of this._entries()) {
+                if (now > entry.staleUntil) {
+                    this.store.delete(key);
                 }
             }
         }, this.cleanupInterval);
@@ -225,6 +547,26 @@ class SimpleCache {
     }
 }
 
+/**
+ * Create a cache, optionally persisted to disk
+ * @param {Object} [options] - SimpleCache options, plus:
+ * @param {boolean} [options.persistent=false] - Use a FileStore
+ * @param {string} [options.dir] - FileStore directory (default CACHE_DIR/<namespace>)
+ * @returns {SimpleCache}
+ */
+function createCache(options = {}) {
+    const { persistent = false, dir, ...cacheOptions } = options;
+
+    if (persistent && !cacheOptions.store) {
+        cacheOptions.store = new FileStore({
+            dir: dir || join(process.env.CACHE_DIR || DEFAULT_CACHE_DIR, cacheOptions.namespace || 'default'),
+            maxSize: cacheOptions.maxSize
+        });
+    }
+
+    return new SimpleCache(cacheOptions);
+}
+
 // Singleton instance for app-wide caching
 const appCache = new SimpleCache();
 
@@ -235,5 +577,5 @@ const spokeCache = {
     strategy: new SimpleCache({ defaultTTL: 10 * 60 * 1000 }) // 10 min
 };
 
-export { SimpleCache, appCache, spokeCache };
+export { SimpleCache, MemoryStore, FileStore, createCache, appCache, spokeCache };
 export default appCache;
@@ -8,6 +8,7 @@
  */
 
 import { createLogger } from './logger.js';
+import { tracedFetch } from './observability.js';
 
 const logger = createLogger({ module: 'citations' });
 
@@ -127,11 +128,11 @@ export async function verifyCitation(citation) {
   }
 
   try {
-    const response = await fetch(citation.url, {
+    const response = await tracedFetch(citation.url, {
       method: 'GET',
       headers: { 'User-Agent': 'SuperChase-Verifier/1.0' },
       signal: AbortSignal.timeout(10000)
-    });
+    }, 'citation.verify');
 
     if (!response.ok) {
       return {
@@ -4,6 +4,15 @@
  * Provides budget tracking, cost estimation, spend alerts, and rate limiting
  * for LLM API usage (OpenRouter, direct APIs, etc.).
  *
+ * Spend can be attributed to a business unit (config/portfolio.json id) and a
+ * tenant (core/tenant-manager.js client id), either per call or for a whole
+ * council session / workflow run via attributeTrace(). Each unit and tenant
+ * can carry its own daily/monthly budget in `limits.businessUnits` and
+ * `limits.tenants`.
+ *
+ * Each finished day is appended to a cost ledger (memory/cost_ledger.jsonl)
+ * that feeds the month-end forecast and per-model anomaly detection.
+ *
  * @module lib/cost-controller
  */
 
@@ -12,6 +21,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createLogger } from './logger.js';
 import { ValidationError } from './errors.js';
+import { countTokens } from './tokenizer.js';
 
 // Lazy import to avoid circular dependencies
 let opennotebook = null;
@@ -36,6 +46,7 @@ const logger = createLogger({ module: 'cost-controller' });
 // ============================================
 
 const COST_FILE = join(__dirname, '..', 'memory', 'cost_tracking.json');
+const DEFAULT_LEDGER_FILE = join(__dirname, '..', 'memory', 'cost_ledger.jsonl');
 
 // OpenRouter pricing per 1M tokens (as of Jan 2026)
 // Source: https://openrouter.ai/docs#models
@@ -54,6 +65,7 @@ const MODEL_PRICING = {
 
   // Google
   'google/gemini-2.0-flash-exp': { input: 0.00, output: 0.00 }, // Free during preview
+  'google/gemini-2.0-flash': { input: 0.10, output: 0.40 },
   'google/gemini-pro': { input: 0.125, output: 0.375 },
   'google/gemini-1.5-pro': { input: 1.25, output: 5.00 },
 
@@ -72,9 +84,29 @@ const DEFAULT_LIMITS = {
   daily: 10.00,      // $10/day default
   monthly: 200.00,   // $200/month default
   perSession: 2.00,  // $2/council session max
-  alertThreshold: 0.75 // Alert at 75% of budget
+  alertThreshold: 0.75, // Alert at 75% of budget
+  businessUnits: {}, // { [unitId]: { daily?, monthly? } }
+  tenants: {}        // { [clientId]: { daily?, monthly? } }
+};
+
+// Attribution scopes: limits key and per-period spend key
+const SCOPES = {
+  businessUnit: { limitsKey: 'businessUnits', spendKey: 'byBusinessUnit', idKey: 'businessUnitId', label: 'Business unit' },
+  tenant: { limitsKey: 'tenants', spendKey: 'byTenant', idKey: 'tenantId', label: 'Tenant' }
 };
 
+// Traces remembered for attribution (oldest dropped first)
+const MAX_ATTRIBUTED_TRACES = 1000;
+
+// Anomaly detection and forecasting over the daily ledger
+const ANOMALY_DEFAULTS = {
+  windowDays: 14,  // Trailing days compared against
+  sigma: 3,        // Flag spend above mean + sigma * stddev
+  minAmount: 1.00, // ...and at least $1 above the mean
+  minHistory: 3    // Days of history needed before flagging anything
+};
+const FORECAST_TRAILING_DAYS = 7;
+
 // Rate limiting
 const RATE_LIMITS = {
   requestsPerMinute: 30,
@@ -86,21 +118,35 @@ const RATE_LIMITS = {
 // Cost Tracking State
 // ============================================
 
-let costState = {
-  daily: {
-    date: new Date().toISOString().split('T')[0],
-    totalCost: 0,
-    sessionCount: 0,
-    requestCount: 0,
-    byModel: {}
-  },
-  monthly: {
-    month: new Date().toISOString().slice(0, 7),
+/**
+ * Empty spend counters for a day or month
+ * @param {'date'|'month'} key
+ * @param {string} value - e.g. 2026-01-31 or 2026-01
+ */
+function newPeriod(key, value) {
+  return {
+    [key]: value,
     totalCost: 0,
     sessionCount: 0,
     requestCount: 0,
-    byModel: {}
-  },
+    byModel: {},
+    byOperation: {},
+    byBusinessUnit: {},
+    byTenant: {}
+  };
+}
+
+function newDaily() {
+  return newPeriod('date', new Date().toISOString().split('T')[0]);
+}
+
+function newMonthly() {
+  return newPeriod('month', new Date().toISOString().slice(0, 7));
+}
+
+let costState = {
+  daily: newDaily(),
+  monthly: newMonthly(),
   limits: { ...DEFAULT_LIMITS },
   rateTracking: {
     minute: { timestamp: Date.now(), count: 0 },
@@ -109,6 +155,9 @@ let costState = {
   alerts: []
 };
 
+// traceId -> { businessUnitId, tenantId }
+const traceAttribution = new Map();
+
 // ============================================
 // Persistence
 // ============================================
@@ -125,27 +174,21 @@ function loadCostState() {
       const today = new Date().toISOString().split('T')[0];
       const thisMonth = new Date().toISOString().slice(0, 7);
 
-      if (data.daily?.date !== today) {
-        data.daily = {
-          date: today,
-          totalCost: 0,
-          sessionCount: 0,
-          requestCount: 0,
-          byModel: {}
-        };
+      // Keep the finished day's totals before starting a new one
+      const staleDay = data.daily?.date && data.daily.date !== today;
+      if (staleDay) {
+        appendLedger(data.daily);
       }
 
-      if (data.monthly?.month !== thisMonth) {
-        data.monthly = {
-          month: thisMonth,
-          totalCost: 0,
-          sessionCount: 0,
-          requestCount: 0,
-          byModel: {}
-        };
-      }
+      // Files written before attribution existed lack the newer breakdowns
+      data.daily = data.daily?.date === today ? { ...newDaily(), ...data.daily } : newDaily();
+      data.monthly = data.monthly?.month === thisMonth ? { ...newMonthly(), ...data.monthly } : newMonthly();
+      data.limits = { ...DEFAULT_LIMITS, ...data.limits };
 
       costState = { ...costState, ...data };
+      if (staleDay) {
+        saveCostState();
+      }
       logger.debug('Cost state loaded', { daily: costState.daily.totalCost, monthly: costState.monthly.totalCost });
     }
   } catch (error) {
@@ -168,6 +211,134 @@ function saveCostState() {
   }
 }
 
+/**
+ * Start a new day/month when the server runs across midnight
+ * @returns {boolean} Whether a period rolled over
+ */
+function rollOver() {
+  const today = new Date().toISOString().split('T')[0];
+  const thisMonth = new Date().toISOString().slice(0, 7);
+  let rolled = false;
+
+  if (costState.daily.date !== today) {
+    appendLedger(costState.daily);
+    costState.daily = newDaily();
+    rolled = true;
+  }
+
+  if (costState.monthly.month !== thisMonth) {
+    costState.monthly = newMonthly();
+    rolled = true;
+  }
+
+  if (rolled) {
+    saveCostState();
+  }
+  return rolled;
+}
+
+// ============================================
+// Cost Ledger
+// ============================================
+
+// Parsed ledger, keyed by date (reloaded when the path changes)
+let ledgerCache = { path: null, days: new Map() };
+
+function getLedgerPath() {
+  return process.env.COST_LEDGER_PATH || DEFAULT_LEDGER_FILE;
+}
+
+/**
+ * Sum two ledger entries for the same day
+ * @private
+ */
+function mergeDay(a, b) {
+  const sumMaps = (x = {}, y = {}) => {
+    const merged = { ...x };
+    for (const [key, value] of Object.entries(y)) {
+      merged[key] = (merged[key] || 0) + value;
+    }
+    return merged;
+  };
+
+  return {
+    date: b.date,
+    totalCost: a.totalCost + b.totalCost,
+    requestCount: a.requestCount + b.requestCount,
+    sessionCount: a.sessionCount + b.sessionCount,
+    byModel: sumMaps(a.byModel, b.byModel),
+    byOperation: sumMaps(a.byOperation, b.byOperation),
+    byBusinessUnit: sumMaps(a.byBusinessUnit, b.byBusinessUnit),
+    byTenant: sumMaps(a.byTenant, b.byTenant)
+  };
+}
+
+/**
+ * Load the ledger; several lines for one date (a day closed early by
+ * resetDaily, then again at midnight) are summed
+ * @returns {Map<string, Object>}
+ */
+function loadLedger() {
+  const path = getLedgerPath();
+  if (ledgerCache.path === path) {
+    return ledgerCache.days;
+  }
+
+  const days = new Map();
+  if (fs.existsSync(path)) {
+    for (const line of fs.readFileSync(path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        days.set(entry.date, days.has(entry.date) ? mergeDay(days.get(entry.date), entry) : entry);
+      } catch {
+        logger.warn('Skipping malformed cost ledger line', { path });
+      }
+    }
+  }
+
+  ledgerCache = { path, days };
+  return days;
+}
+
+/**
+ * Append a finished day to the ledger
+ * @param {Object} day - Daily counters from costState
+ */
+function appendLedger(day) {
+  if (!day?.date || (!day.totalCost && !day.requestCount)) {
+    return;
+  }
+
+  // Unit/tenant spend is kept as totals; the per-model detail lives at the top level
+  const totals = (scoped = {}) => Object.fromEntries(
+    Object.entries(scoped).map(([id, spend]) => [id, spend.totalCost])
+  );
+
+  const entry = {
+    date: day.date,
+    totalCost: day.totalCost,
+    requestCount: day.requestCount,
+    sessionCount: day.sessionCount,
+    byModel: day.byModel || {},
+    byOperation: day.byOperation || {},
+    byBusinessUnit: totals(day.byBusinessUnit),
+    byTenant: totals(day.byTenant)
+  };
+
+  try {
+    const path = getLedgerPath();
+    fs.mkdirSync(dirname(path), { recursive: true });
+    fs.appendFileSync(path, JSON.stringify(entry) + '\n');
+
+    const days = loadLedger();
+    days.set(entry.date, days.has(entry.date) ? mergeDay(days.get(entry.date), entry) : entry);
+    logger.info('Cost ledger day closed', { date: entry.date, totalCost: entry.totalCost.toFixed(4) });
+  } catch (error) {
+    logger.error('Failed to append cost ledger', { error: error.message });
+  }
+}
+
 // Load state on module init
 loadCostState();
 
@@ -176,14 +347,13 @@ loadCostState();
 // ============================================
 
 /**
- * Estimate token count from text (rough approximation)
+ * Estimate token count from text with the model family's tokenizer
  * @param {string} text
+ * @param {string} [model] - Full model ID
  * @returns {number} Estimated token count
  */
-function estimateTokens(text) {
-  if (!text) return 0;
-  // Rough estimate: ~4 chars per token for English
-  return Math.ceil(text.length / 4);
+function estimateTokens(text, model) {
+  return countTokens(text, model);
 }
 
 /**
@@ -251,21 +421,26 @@ function estimateCouncilCost(query, models, chairmanModel) {
   const breakdown = {};
   let totalCost = 0;
 
+  // Each model tokenizes the query differently
+  const queryTokensFor = (model) => estimateTokens(query, model);
+
   for (const model of models) {
-    const cost = calculateCost(model, queryTokens, 500);
+    const cost = calculateCost(model, queryTokensFor(model), 500);
     breakdown[model] = { stage: 'response', cost };
     totalCost += cost;
   }
 
   // Add review costs (using first two council models)
   for (let i = 0; i < 2 && i < models.length; i++) {
-    const reviewCost = calculateCost(models[i], reviewPromptTokens, 300);
+    const reviewTokens = reviewPromptTokens - queryTokens + queryTokensFor(models[i]);
+    const reviewCost = calculateCost(models[i], reviewTokens, 300);
     breakdown[`${models[i]}_review`] = { stage: 'review', cost: reviewCost };
     totalCost += reviewCost;
   }
 
   // Add chairman cost
-  const chairmanCost = calculateCost(chairmanModel, synthesisPromptTokens, 800);
+  const chairmanTokens = synthesisPromptTokens - queryTokens + queryTokensFor(chairmanModel);
+  const chairmanCost = calculateCost(chairmanModel, chairmanTokens, 800);
   breakdown[chairmanModel + '_chairman'] = { stage: 'synthesis', cost: chairmanCost };
   totalCost += chairmanCost;
 
@@ -278,6 +453,87 @@ function estimateCouncilCost(query, models, chairmanModel) {
   };
 }
 
+// ============================================
+// Attribution
+// ============================================
+
+/**
+ * Attribute every cost recorded under a trace (council session, workflow
+ * run) to a business unit and/or tenant
+ * @param {string} traceId
+ * @param {{businessUnitId?: string, tenantId?: string}} attribution
+ */
+function attributeTrace(traceId, attribution = {}) {
+  if (!traceId || (!attribution.businessUnitId && !attribution.tenantId)) {
+    return;
+  }
+
+  traceAttribution.delete(traceId);
+  traceAttribution.set(traceId, {
+    businessUnitId: attribution.businessUnitId || null,
+    tenantId: attribution.tenantId || null
+  });
+
+  if (traceAttribution.size > MAX_ATTRIBUTED_TRACES) {
+    traceAttribution.delete(traceAttribution.keys().next().value);
+  }
+}
+
+/**
+ * Stop attributing costs for a finished trace
+ * @param {string} traceId
+ */
+function releaseTrace(traceId) {
+  traceAttribution.delete(traceId);
+}
+
+/**
+ * Resolve who pays for a request; explicit IDs win over the trace's attribution
+ * @param {{businessUnitId?: string, tenantId?: string, traceId?: string}} [scope]
+ * @returns {{businessUnitId: string|null, tenantId: string|null}}
+ */
+function resolveAttribution(scope = {}) {
+  const traced = (scope.traceId && traceAttribution.get(scope.traceId)) || {};
+  return {
+    businessUnitId: scope.businessUnitId || traced.businessUnitId || null,
+    tenantId: scope.tenantId || traced.tenantId || null
+  };
+}
+
+/**
+ * Check a business unit's or tenant's own budget
+ * @param {'businessUnit'|'tenant'} scope
+ * @param {string} id
+ * @param {number} estimatedCost
+ * @returns {{allowed: boolean, reason?: string, remaining: Object}}
+ */
+function checkScopeBudget(scope, id, estimatedCost) {
+  const { limitsKey, spendKey, label } = SCOPES[scope];
+  const limits = costState.limits[limitsKey]?.[id] || {};
+  const spent = {
+    daily: costState.daily[spendKey][id]?.totalCost || 0,
+    monthly: costState.monthly[spendKey][id]?.totalCost || 0
+  };
+
+  const remaining = {
+    id,
+    daily: limits.daily != null ? limits.daily - spent.daily : null,
+    monthly: limits.monthly != null ? limits.monthly - spent.monthly : null
+  };
+
+  for (const period of ['daily', 'monthly']) {
+    if (limits[period] != null && spent[period] + estimatedCost > limits[period]) {
+      return {
+        allowed: false,
+        reason: `${label} '${id}' would exceed ${period} budget. Current: $${spent[period].toFixed(2)}, Limit: $${limits[period]}`,
+        remaining
+      };
+    }
+  }
+
+  return { allowed: true, remaining };
+}
+
 // ============================================
 // Budget Enforcement
 // ============================================
@@ -285,9 +541,12 @@ function estimateCouncilCost(query, models, chairmanModel) {
 /**
  * Check if a request can proceed within budget
  * @param {number} estimatedCost - Estimated cost of the request
+ * @param {Object} [scope] - Who pays: { businessUnitId, tenantId, traceId }
  * @returns {{allowed: boolean, reason?: string, remaining?: Object}}
  */
-function checkBudget(estimatedCost) {
+function checkBudget(estimatedCost, scope = {}) {
+  rollOver();
+
   const result = {
     allowed: true,
     remaining: {
@@ -318,6 +577,20 @@ function checkBudget(estimatedCost) {
     return result;
   }
 
+  // Check the paying business unit's and tenant's own budgets
+  const attribution = resolveAttribution(scope);
+  for (const [name, { idKey }] of Object.entries(SCOPES)) {
+    if (!attribution[idKey]) continue;
+
+    const scopeCheck = checkScopeBudget(name, attribution[idKey], estimatedCost);
+    result.remaining[name] = scopeCheck.remaining;
+    if (!scopeCheck.allowed) {
+      result.allowed = false;
+      result.reason = scopeCheck.reason;
+      return result;
+    }
+  }
+
   return result;
 }
 
@@ -372,9 +645,10 @@ function checkRateLimits() {
 /**
  * Pre-flight check before making an LLM request
  * @param {number} estimatedCost - Estimated cost
+ * @param {Object} [scope] - Who pays: { businessUnitId, tenantId, traceId }
  * @returns {{allowed: boolean, reason?: string, warnings?: string[]}}
  */
-function preFlightCheck(estimatedCost) {
+function preFlightCheck(estimatedCost, scope = {}) {
   const warnings = [];
 
   // Check rate limits
@@ -384,7 +658,7 @@ function preFlightCheck(estimatedCost) {
   }
 
   // Check budget
-  const budgetCheck = checkBudget(estimatedCost);
+  const budgetCheck = checkBudget(estimatedCost, scope);
   if (!budgetCheck.allowed) {
     return budgetCheck;
   }
@@ -400,6 +674,18 @@ function preFlightCheck(estimatedCost) {
     warnings.push(`Monthly budget ${Math.round(monthlyUsage * 100)}% used ($${costState.monthly.totalCost.toFixed(2)}/$${costState.limits.monthly})`);
   }
 
+  for (const [name, { limitsKey, label }] of Object.entries(SCOPES)) {
+    const remaining = budgetCheck.remaining[name];
+    if (!remaining) continue;
+
+    for (const period of ['daily', 'monthly']) {
+      const limit = costState.limits[limitsKey][remaining.id]?.[period];
+      if (limit && (limit - remaining[period]) / limit >= costState.limits.alertThreshold) {
+        warnings.push(`${label} '${remaining.id}' ${period} budget ${Math.round(((limit - remaining[period]) / limit) * 100)}% used`);
+      }
+    }
+  }
+
   return {
     allowed: true,
     warnings: warnings.length > 0 ? warnings : undefined,
@@ -420,22 +706,29 @@ function preFlightCheck(estimatedCost) {
  * @param {number} [data.actualCost] - Actual cost if known from API response
  * @param {string} [data.traceId] - Session trace ID
  * @param {string} [data.operation] - Operation type (council, query, etc.)
+ * @param {string} [data.businessUnitId] - Paying business unit (defaults to the trace's)
+ * @param {string} [data.tenantId] - Paying tenant (defaults to the trace's)
  */
 function recordCost(data) {
   const { model, inputTokens, outputTokens, actualCost, traceId, operation = 'unknown' } = data;
 
+  rollOver();
+
   // Calculate or use actual cost
   const cost = actualCost ?? calculateCost(model, inputTokens, outputTokens);
+  const attribution = resolveAttribution(data);
 
-  // Update daily stats
-  costState.daily.totalCost += cost;
-  costState.daily.requestCount++;
-  costState.daily.byModel[model] = (costState.daily.byModel[model] || 0) + cost;
+  // Update daily and monthly stats
+  for (const period of [costState.daily, costState.monthly]) {
+    addSpend(period, model, operation, cost);
 
-  // Update monthly stats
-  costState.monthly.totalCost += cost;
-  costState.monthly.requestCount++;
-  costState.monthly.byModel[model] = (costState.monthly.byModel[model] || 0) + cost;
+    for (const { idKey, spendKey } of Object.values(SCOPES)) {
+      const id = attribution[idKey];
+      if (!id) continue;
+      period[spendKey][id] = period[spendKey][id] || { totalCost: 0, requestCount: 0, byModel: {}, byOperation: {} };
+      addSpend(period[spendKey][id], model, operation, cost);
+    }
+  }
 
   // Update rate tracking
   costState.rateTracking.minute.count++;
@@ -447,11 +740,12 @@ function recordCost(data) {
     cost: cost.toFixed(6),
     inputTokens,
     outputTokens,
-    traceId
+    traceId,
+    ...attribution
   });
 
   // Check for alerts
-  checkAndSendAlerts();
+  checkAndSendAlerts(attribution);
 
   // Persist locally
   saveCostState();
@@ -464,11 +758,23 @@ function recordCost(data) {
     cost,
     traceId,
     operation,
+    ...attribution,
   })).catch(() => {});
 
   return { cost, recorded: true };
 }
 
+/**
+ * Add a request's cost to a set of spend counters
+ * @private
+ */
+function addSpend(counters, model, operation, cost) {
+  counters.totalCost += cost;
+  counters.requestCount++;
+  counters.byModel[model] = (counters.byModel[model] || 0) + cost;
+  counters.byOperation[operation] = (counters.byOperation[operation] || 0) + cost;
+}
+
 /**
  * Record a council session
  * @param {string} traceId - Session trace ID
@@ -494,8 +800,9 @@ function recordSession(traceId, totalCost) {
 
 /**
  * Check thresholds and queue alerts
+ * @param {{businessUnitId?: string, tenantId?: string}} [attribution] - Scopes the last cost was charged to
  */
-function checkAndSendAlerts() {
+function checkAndSendAlerts(attribution = {}) {
   const dailyUsage = costState.daily.totalCost / costState.limits.daily;
   const monthlyUsage = costState.monthly.totalCost / costState.limits.monthly;
 
@@ -524,6 +831,49 @@ function checkAndSendAlerts() {
       });
     }
   }
+
+  // Business unit / tenant alerts
+  for (const [name, { idKey, limitsKey, spendKey, label }] of Object.entries(SCOPES)) {
+    const id = attribution[idKey];
+    const limits = id && costState.limits[limitsKey][id];
+    if (!limits) continue;
+
+    for (const [period, stamp] of [['daily', costState.daily.date], ['monthly', costState.monthly.month]]) {
+      const spent = costState[period][spendKey][id]?.totalCost || 0;
+      if (!limits[period] || spent / limits[period] < costState.limits.alertThreshold) continue;
+
+      const alertKey = `${name}_${id}_${period}_${stamp}`;
+      if (!costState.alerts.includes(alertKey)) {
+        costState.alerts.push(alertKey);
+        emitAlert(`${name}_${period}_threshold`, {
+          service: `LLM API (${label} ${id}, ${period === 'daily' ? 'Daily' : 'Monthly'})`,
+          [idKey]: id,
+          usage: spent / limits[period],
+          spent,
+          limit: limits[period]
+        });
+      }
+    }
+  }
+
+  // Unusual spend today, overall or for one model
+  for (const anomaly of detectAnomalies()) {
+    const alertKey = `anomaly_${anomaly.date}_${anomaly.model || 'total'}`;
+    if (!costState.alerts.includes(alertKey)) {
+      costState.alerts.push(alertKey);
+      emitAlert('cost_anomaly', anomaly);
+    }
+  }
+
+  // Month-end projection over budget
+  const forecast = forecastMonthEnd();
+  if (forecast.basis === 'trailing' && forecast.overBudget) {
+    const alertKey = `forecast_${forecast.month}`;
+    if (!costState.alerts.includes(alertKey)) {
+      costState.alerts.push(alertKey);
+      emitAlert('forecast_over_budget', forecast);
+    }
+  }
 }
 
 /**
@@ -536,9 +886,15 @@ async function emitAlert(type, data) {
 
   // Try to send notification if available
   try {
-    const { notifyCostAlert } = await import('./notifications.js');
-    const service = type === 'daily_threshold' ? 'LLM API (Daily)' : 'LLM API (Monthly)';
-    await notifyCostAlert(service, data.spent, data.limit);
+    const notifications = await import('./notifications.js');
+    if (type === 'cost_anomaly') {
+      await notifications.notifyCostAnomaly(data);
+    } else if (type === 'forecast_over_budget') {
+      await notifications.notifyCostForecast(data);
+    } else {
+      const service = data.service || (type === 'daily_threshold' ? 'LLM API (Daily)' : 'LLM API (Monthly)');
+      await notifications.notifyCostAlert(service, data.spent, data.limit);
+    }
   } catch (error) {
     // Notifications not configured, just log
     logger.debug('Could not send cost alert notification', { error: error.message });
@@ -549,14 +905,46 @@ async function emitAlert(type, data) {
 // Configuration
 // ============================================
 
+/**
+ * Merge per-unit or per-tenant limits; a null entry removes that budget
+ * @private
+ */
+function mergeScopeLimits(current = {}, updates, field) {
+  if (!updates) {
+    return current;
+  }
+
+  const merged = { ...current };
+  for (const [id, limits] of Object.entries(updates)) {
+    if (limits === null) {
+      delete merged[id];
+      continue;
+    }
+
+    for (const [period, value] of Object.entries(limits)) {
+      if (!['daily', 'monthly'].includes(period) || (value !== null && !(value >= 0))) {
+        throw new ValidationError('Invalid budget limit', {
+          [`${field}.${id}.${period}`]: 'daily/monthly must be a non-negative number or null'
+        });
+      }
+    }
+    merged[id] = { ...merged[id], ...limits };
+  }
+  return merged;
+}
+
 /**
  * Update budget limits
- * @param {Object} newLimits - New limit values
+ * @param {Object} newLimits - New limit values; `businessUnits` and `tenants`
+ *   are merged per ID ({ s2p: { daily: 5 } }, or { s2p: null } to remove)
  */
 function updateLimits(newLimits) {
+  const { businessUnits, tenants, ...rest } = newLimits;
   costState.limits = {
     ...costState.limits,
-    ...newLimits
+    ...rest,
+    businessUnits: mergeScopeLimits(costState.limits.businessUnits, businessUnits, 'businessUnits'),
+    tenants: mergeScopeLimits(costState.limits.tenants, tenants, 'tenants')
   };
   saveCostState();
   logger.info('Budget limits updated', costState.limits);
@@ -606,16 +994,226 @@ function getCostSummary() {
 }
 
 /**
- * Reset daily costs (for testing)
+ * Date string N days before a YYYY-MM-DD date
+ * @private
  */
-function resetDaily() {
-  costState.daily = {
-    date: new Date().toISOString().split('T')[0],
-    totalCost: 0,
-    sessionCount: 0,
-    requestCount: 0,
-    byModel: {}
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+}
+
+/**
+ * Ledger entry for a date; today comes from the live counters
+ * @private
+ */
+function getDay(date) {
+  if (date === costState.daily.date) {
+    return snapshotDay(costState.daily);
+  }
+  return loadLedger().get(date) || null;
+}
+
+/**
+ * Ledger-shaped copy of the live daily counters
+ * @private
+ */
+function snapshotDay(day) {
+  return {
+    date: day.date,
+    totalCost: day.totalCost,
+    requestCount: day.requestCount,
+    sessionCount: day.sessionCount,
+    byModel: day.byModel,
+    byOperation: day.byOperation
   };
+}
+
+/**
+ * Daily cost history from the ledger, oldest first; today is included as partial
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @returns {Object[]}
+ */
+function getCostHistory(options = {}) {
+  const { days = 30 } = options;
+  const today = costState.daily.date;
+  const since = shiftDate(today, -(days - 1));
+
+  const history = [...loadLedger().values()]
+    .filter(day => day.date >= since && day.date < today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return [...history, { ...snapshotDay(costState.daily), partial: true }];
+}
+
+/**
+ * Flag a day whose spend (overall or for one model) is far above the
+ * trailing mean: more than `sigma` standard deviations and at least
+ * `minAmount` dollars. Days missing from the ledger count as zero spend.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.date] - Day to check (default: today so far)
+ * @param {number} [options.windowDays=14]
+ * @param {number} [options.sigma=3]
+ * @param {number} [options.minAmount=1]
+ * @param {number} [options.minHistory=3] - Ledger days required in the window
+ * @returns {Array<{date: string, model: string|null, spent: number, mean: number, stdDev: number, zScore: number|null}>}
+ */
+function detectAnomalies(options = {}) {
+  const { date = costState.daily.date, windowDays, sigma, minAmount, minHistory } = { ...ANOMALY_DEFAULTS, ...options };
+
+  const target = getDay(date);
+  if (!target) {
+    return [];
+  }
+
+  const window = [];
+  for (let i = 1; i <= windowDays; i++) {
+    window.push(getDay(shiftDate(date, -i)));
+  }
+  if (window.filter(Boolean).length < minHistory) {
+    return [];
+  }
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const anomalies = [];
+
+  const check = (model, spent, values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+    if (spent - mean >= minAmount && spent > mean + sigma * stdDev) {
+      anomalies.push({
+        date,
+        model,
+        spent: round(spent),
+        mean: round(mean),
+        stdDev: round(stdDev),
+        zScore: stdDev > 0 ? Math.round(((spent - mean) / stdDev) * 10) / 10 : null
+      });
+    }
+  };
+
+  check(null, target.totalCost, window.map(day => day?.totalCost || 0));
+  for (const [model, spent] of Object.entries(target.byModel || {})) {
+    check(model, spent, window.map(day => day?.byModel?.[model] || 0));
+  }
+
+  return anomalies;
+}
+
+/**
+ * Project month-end spend from the trailing daily run rate
+ * @param {Object} [options]
+ * @param {number} [options.trailingDays=7]
+ * @returns {Object} { month, spentToDate, dailyRunRate, basis, daysRemaining, projected, limit, projectedUsage, overBudget }
+ */
+function forecastMonthEnd(options = {}) {
+  const { trailingDays = FORECAST_TRAILING_DAYS } = options;
+  const today = costState.daily.date;
+  const [year, month] = today.split('-').map(Number);
+  const dayOfMonth = Number(today.split('-')[2]);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  // Trailing complete days, but not from before the ledger starts
+  const ledgerDates = [...loadLedger().keys()].sort();
+  const firstDate = ledgerDates[0];
+  const trailing = [];
+  for (let i = 1; i <= trailingDays; i++) {
+    const date = shiftDate(today, -i);
+    if (!firstDate || date < firstDate) break;
+    trailing.push(getDay(date)?.totalCost || 0);
+  }
+
+  const basis = trailing.length >= ANOMALY_DEFAULTS.minHistory ? 'trailing' : 'month_to_date';
+  const dailyRunRate = basis === 'trailing'
+    ? trailing.reduce((sum, v) => sum + v, 0) / trailing.length
+    : costState.monthly.totalCost / dayOfMonth;
+
+  const daysRemaining = daysInMonth - dayOfMonth;
+  const restOfToday = Math.max(0, dailyRunRate - costState.daily.totalCost);
+  const projected = costState.monthly.totalCost + restOfToday + dailyRunRate * daysRemaining;
+  const round = (n) => Math.round(n * 100) / 100;
+
+  return {
+    month: costState.monthly.month,
+    spentToDate: round(costState.monthly.totalCost),
+    dailyRunRate: round(dailyRunRate),
+    basis,
+    daysRemaining,
+    projected: round(projected),
+    limit: costState.limits.monthly,
+    projectedUsage: Math.round((projected / costState.limits.monthly) * 100),
+    overBudget: projected > costState.limits.monthly
+  };
+}
+
+/**
+ * Spend breakdown by business unit, tenant, model and operation
+ * @param {Object} [options]
+ * @param {'daily'|'monthly'} [options.period='monthly']
+ * @param {string} [options.businessUnitId] - Only this unit in `businessUnits`
+ * @param {string} [options.tenantId] - Only this tenant in `tenants`
+ * @returns {Object}
+ */
+function getCostBreakdown(options = {}) {
+  const { period = 'monthly', businessUnitId, tenantId } = options;
+  if (!['daily', 'monthly'].includes(period)) {
+    throw new ValidationError(`Unknown period: ${period}`, { period: 'must be daily or monthly' });
+  }
+
+  const state = costState[period];
+  const round = (n) => Math.round(n * 10000) / 10000;
+  const roundAll = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [k, round(v)]));
+
+  const scopeBreakdown = ({ limitsKey, spendKey }) => {
+    const limits = costState.limits[limitsKey];
+    const ids = new Set([...Object.keys(state[spendKey]), ...Object.keys(limits)]);
+
+    return [...ids]
+      .map(id => {
+        const spend = state[spendKey][id] || { totalCost: 0, requestCount: 0, byModel: {}, byOperation: {} };
+        const limit = limits[id]?.[period] ?? null;
+        return {
+          id,
+          spent: round(spend.totalCost),
+          requests: spend.requestCount,
+          limit,
+          remaining: limit != null ? round(limit - spend.totalCost) : null,
+          usage: limit ? Math.round((spend.totalCost / limit) * 100) : null,
+          byModel: roundAll(spend.byModel),
+          byOperation: roundAll(spend.byOperation)
+        };
+      })
+      .sort((a, b) => b.spent - a.spent);
+  };
+
+  const businessUnits = scopeBreakdown(SCOPES.businessUnit);
+  const tenants = scopeBreakdown(SCOPES.tenant);
+  const sum = (entries) => entries.reduce((total, e) => total + e.spent, 0);
+  const only = (entries, id) => (id ? entries.filter(e => e.id === id) : entries);
+
+  return {
+    period,
+    [period === 'daily' ? 'date' : 'month']: state[period === 'daily' ? 'date' : 'month'],
+    total: round(state.totalCost),
+    requests: state.requestCount,
+    byModel: roundAll(state.byModel),
+    byOperation: roundAll(state.byOperation),
+    businessUnits: only(businessUnits, businessUnitId),
+    tenants: only(tenants, tenantId),
+    unattributed: {
+      businessUnit: round(Math.max(0, state.totalCost - sum(businessUnits))),
+      tenant: round(Math.max(0, state.totalCost - sum(tenants)))
+    }
+  };
+}
+
+/**
+ * Close today's counters into the ledger and start from zero
+ */
+function resetDaily() {
+  appendLedger(costState.daily);
+  costState.daily = newDaily();
   saveCostState();
 }
 
@@ -624,20 +1222,9 @@ function resetDaily() {
  */
 function resetForTesting() {
   const now = Date.now();
-  costState.daily = {
-    date: new Date().toISOString().split('T')[0],
-    totalCost: 0,
-    sessionCount: 0,
-    requestCount: 0,
-    byModel: {}
-  };
-  costState.monthly = {
-    month: new Date().toISOString().slice(0, 7),
-    totalCost: 0,
-    sessionCount: 0,
-    requestCount: 0,
-    byModel: {}
-  };
+  costState.daily = newDaily();
+  costState.monthly = newMonthly();
+  traceAttribution.clear();
   costState.rateTracking = {
     minute: { timestamp: now, count: 0 },
     hour: { timestamp: now, count: 0 }
@@ -669,12 +1256,20 @@ export default {
   recordCost,
   recordSession,
 
+  // Attribution
+  attributeTrace,
+  releaseTrace,
+
   // Configuration
   updateLimits,
   getLimits,
 
   // Reporting
   getCostSummary,
+  getCostBreakdown,
+  getCostHistory,
+  detectAnomalies,
+  forecastMonthEnd,
   resetDaily,
   resetForTesting,
 
@@ -694,9 +1289,15 @@ export {
   preFlightCheck,
   recordCost,
   recordSession,
+  attributeTrace,
+  releaseTrace,
   updateLimits,
   getLimits,
   getCostSummary,
+  getCostBreakdown,
+  getCostHistory,
+  detectAnomalies,
+  forecastMonthEnd,
   resetDaily,
   resetForTesting,
   DEFAULT_LIMITS,
@@ -94,6 +94,15 @@ export class NotFoundError extends AppError {
     }
 }
 
+/**
+ * Conflict error (409), e.g. acting on something that is still in progress
+ */
+export class ConflictError extends AppError {
+    constructor(message = 'Conflict') {
+        super(message, 409, 'CONFLICT');
+    }
+}
+
 /**
  * External service error (502 Bad Gateway)
  */
@@ -218,6 +227,7 @@ export default {
     AuthenticationError,
     AuthorizationError,
     NotFoundError,
+    ConflictError,
     ExternalServiceError,
     RateLimitError,
     ServiceUnavailableError,
@@ -9,6 +9,7 @@
 
 import { createLogger } from './logger.js';
 import { ServiceUnavailableError } from './errors.js';
+import { SlidingQuantiles } from './quantiles.js';
 
 const logger = createLogger({ module: 'health' });
 
@@ -197,7 +198,6 @@ export function withCircuitBreaker(spokeName, fn) {
  * @property {number} successfulRequests
  * @property {number} failedRequests
  * @property {Object<string, number>} requestsByEndpoint
- * @property {number[]} responseTimes
  * @property {string} startedAt
  */
 
@@ -207,10 +207,12 @@ const metrics = {
     successfulRequests: 0,
     failedRequests: 0,
     requestsByEndpoint: {},
-    responseTimes: [],
     startedAt: new Date().toISOString()
 };
 
+/** Response times over the last 10 minutes */
+let responseTimes = new SlidingQuantiles();
+
 /**
  * Record a request
  * @param {string} endpoint 
@@ -228,11 +230,7 @@ export function recordRequest(endpoint, responseTimeMs, success) {
 
     metrics.requestsByEndpoint[endpoint] = (metrics.requestsByEndpoint[endpoint] || 0) + 1;
 
-    // Keep last 1000 response times
-    metrics.responseTimes.push(responseTimeMs);
-    if (metrics.responseTimes.length > 1000) {
-        metrics.responseTimes.shift();
-    }
+    responseTimes.add(responseTimeMs);
 }
 
 /**
@@ -240,18 +238,15 @@ export function recordRequest(endpoint, responseTimeMs, success) {
  * @returns {Object}
  */
 export function getMetrics() {
-    const responseTimes = metrics.responseTimes;
-    const sortedTimes = [...responseTimes].sort((a, b) => a - b);
+    const { mean, quantiles } = responseTimes.summary();
 
     return {
         ...metrics,
         uptime: Date.now() - new Date(metrics.startedAt).getTime(),
-        averageResponseTime: responseTimes.length > 0
-            ? Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length)
-            : 0,
-        p50ResponseTime: sortedTimes[Math.floor(sortedTimes.length * 0.5)] || 0,
-        p95ResponseTime: sortedTimes[Math.floor(sortedTimes.length * 0.95)] || 0,
-        p99ResponseTime: sortedTimes[Math.floor(sortedTimes.length * 0.99)] || 0,
+        averageResponseTime: Math.round(mean || 0),
+        p50ResponseTime: Math.round(quantiles.p50 || 0),
+        p95ResponseTime: Math.round(quantiles.p95 || 0),
+        p99ResponseTime: Math.round(quantiles.p99 || 0),
         successRate: metrics.totalRequests > 0
             ? (metrics.successfulRequests / metrics.totalRequests * 100).toFixed(2)
             : 100,
@@ -272,7 +267,7 @@ export function resetMetrics() {
     metrics.successfulRequests = 0;
     metrics.failedRequests = 0;
     metrics.requestsByEndpoint = {};
-    metrics.responseTimes = [];
+    responseTimes = new SlidingQuantiles();
     metrics.startedAt = new Date().toISOString();
 }
 
@@ -0,0 +1,174 @@
+/**
+ * LLM Cassettes
+ *
+ * Record-and-replay of LLM calls for deterministic tests and offline runs.
+ * Each request/response pair is stored as one JSON file keyed by model plus
+ * a hash of the normalized messages, so cosmetic prompt differences
+ * (whitespace, embedded timestamps) replay the same recording.
+ *
+ * Modes (LLM_CASSETTE):
+ * - off: call the provider (default)
+ * - record: call the provider and save every response
+ * - replay: answer only from recordings; a miss is an error
+ * - auto: replay when a recording exists, record otherwise
+ *
+ * @module lib/llm-cassette
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+import { ExternalServiceError, ValidationError } from './errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = createLogger({ module: 'llm-cassette' });
+
+export const DEFAULT_CASSETTE_DIR = join(__dirname, '..', 'tests', 'fixtures', 'llm');
+
+export const CassetteMode = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+  AUTO: 'auto',
+};
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g;
+
+/**
+ * Normalize messages so equivalent prompts hash identically
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function normalizeMessages(messages = []) {
+  return messages.map(({ role, content }) => ({
+    role: String(role).toLowerCase(),
+    content: (typeof content === 'string' ? content : JSON.stringify(content))
+      .replace(/\r\n/g, '\n')
+      .replace(ISO_TIMESTAMP, '<timestamp>')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+  }));
+}
+
+/**
+ * Cassette key: model + normalized messages hash
+ * @param {{model: string, messages: Array}} request
+ * @returns {string} File-safe key, e.g. "openai-gpt-4o-3f2a..."
+ */
+export function cassetteKey(request) {
+  const hash = createHash('sha256')
+    .update(JSON.stringify(normalizeMessages(request.messages)))
+    .digest('hex')
+    .slice(0, 24);
+  const model = String(request.model).replace(/[^\w.-]+/g, '-');
+  return `${model}-${hash}`;
+}
+
+/**
+ * Create a cassette over a fixtures directory
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - Fixtures directory
+ * @param {string} [options.mode='off'] - One of CassetteMode
+ * @returns {object} Cassette
+ */
+export function createCassette(options = {}) {
+  const { dir = DEFAULT_CASSETTE_DIR, mode = CassetteMode.OFF } = options;
+
+  if (!Object.values(CassetteMode).includes(mode)) {
+    throw new ValidationError(`Unknown cassette mode: ${mode}`);
+  }
+
+  const pathFor = (request) => join(dir, `${cassetteKey(request)}.json`);
+
+  /**
+   * Read a recording
+   * @returns {object|null} Stored entry or null
+   */
+  function read(request) {
+    const file = pathFor(request);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Save a recording
+   */
+  function write(request, response, chunks) {
+    const file = pathFor(request);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key: cassetteKey(request),
+      model: request.model,
+      messages: normalizeMessages(request.messages),
+      response,
+      ...(chunks && { chunks }),
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+    logger.debug('LLM call recorded', { model: request.model, file });
+  }
+
+  return {
+    mode,
+    dir,
+    read,
+    write,
+
+    /**
+     * Play a request through the cassette
+     *
+     * @param {object} request - Chat request ({ model, messages, ... })
+     * @param {function(function=): Promise<object>} live - Calls the provider;
+     *   receives the chunk callback when streaming
+     * @param {function(string): void} [onChunk] - Stream callback; set for streamed calls
+     * @returns {Promise<{response: object, replayed: boolean}>}
+     */
+    async play(request, live, onChunk) {
+      if (mode === CassetteMode.OFF) {
+        return { response: await live(onChunk), replayed: false };
+      }
+
+      if (mode === CassetteMode.REPLAY || mode === CassetteMode.AUTO) {
+        const entry = read(request);
+        if (entry) {
+          if (onChunk) {
+            for (const chunk of entry.chunks || [entry.response.content]) {
+              onChunk(chunk);
+            }
+          }
+          return { response: entry.response, replayed: true };
+        }
+
+        if (mode === CassetteMode.REPLAY) {
+          throw new ExternalServiceError(
+            'Cassette',
+            `No recorded response for ${request.model} (${cassetteKey(request)}). Re-run with LLM_CASSETTE=record`
+          );
+        }
+      }
+
+      // Record (or auto miss): call through and save
+      const chunks = onChunk ? [] : undefined;
+      const response = await live(onChunk && ((chunk) => {
+        chunks.push(chunk);
+        onChunk(chunk);
+      }));
+      write(request, response, chunks);
+
+      return { response, replayed: false };
+    },
+  };
+}
+
+export default {
+  CassetteMode,
+  DEFAULT_CASSETTE_DIR,
+  normalizeMessages,
+  cassetteKey,
+  createCassette,
+};
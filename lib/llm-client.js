@@ -2,8 +2,10 @@
  * Unified LLM Client
  *
  * Shared LLM client for all modules (agents, councils, intel).
- * Consolidates OpenRouter API calls with:
- * - Circuit breaker protection
+ * Consolidates model calls with:
+ * - Pluggable providers (OpenRouter, local OpenAI-compatible, replay)
+ * - Cassette record/replay for deterministic tests (LLM_CASSETTE)
+ * - Circuit breaker protection per provider
  * - Cost tracking via cost-controller
  * - Consistent retry logic
  * - Request tracing
@@ -12,17 +14,22 @@
  */
 
 import { createLogger } from './logger.js';
-import { ExternalServiceError, withRetry } from './errors.js';
-import { withCircuitBreaker, recordSuccess, recordFailure } from './health.js';
+import { ExternalServiceError, ValidationError, withRetry } from './errors.js';
+import { withCircuitBreaker, isAvailable, getCircuitState } from './health.js';
 import costController from './cost-controller.js';
+import { getProvider, listProviders } from './llm-providers.js';
+import { createCassette, CassetteMode, DEFAULT_CASSETTE_DIR } from './llm-cassette.js';
+import { countTokens, countMessageTokens, recordCalibrationSample } from './tokenizer.js';
+import { createResponseCache, responseCacheOptionsFromEnv } from './llm-response-cache.js';
+import { recordLLMCacheLookup, recordLLMRequest, withTrace } from './observability.js';
 
 const logger = createLogger({ module: 'llm-client' });
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+// Provider used when a model has no explicit routing
+const DEFAULT_PROVIDER = 'openrouter';
 
-// Circuit breaker name for OpenRouter
-const CIRCUIT_NAME = 'openrouter';
+// Output tokens assumed for budget checks when maxTokens is not set
+const DEFAULT_OUTPUT_ESTIMATE = 1000;
 
 /**
  * Model aliases mapping friendly names to OpenRouter model IDs
@@ -43,6 +50,7 @@ export const MODEL_ALIASES = {
 
   // Google
   'gemini-flash': 'google/gemini-2.0-flash-exp',
+  'gemini-2.0-flash': 'google/gemini-2.0-flash',
   'gemini-pro': 'google/gemini-pro',
   'gemini-1.5-pro': 'google/gemini-1.5-pro',
 
@@ -53,8 +61,233 @@ export const MODEL_ALIASES = {
   // Mistral
   'mistral-large': 'mistralai/mistral-large',
   'mixtral': 'mistralai/mixtral-8x7b-instruct',
+
+  // Local (OpenAI-compatible server, see LOCAL_LLM_BASE_URL)
+  'local-llama': 'local/llama3.1',
+  'local-qwen': 'local/qwen2.5-coder',
+};
+
+/**
+ * Provider routing per model alias or model ID
+ *
+ * Models not listed here use LLM_PROVIDER (default: openrouter). Model IDs
+ * prefixed `local/` always go to the local provider. LLM_MODEL_PROVIDERS
+ * overrides entries at deploy time, e.g. "claude-sonnet=local,gpt-4o=replay".
+ */
+export const MODEL_PROVIDERS = {
+  // Hub, analyzer, wrap-up and S2P spokes bill against GEMINI_API_KEY directly
+  'gemini-2.0-flash': 'gemini',
+  'local-llama': 'local',
+  'local-qwen': 'local',
 };
 
+/**
+ * Parse LLM_MODEL_PROVIDERS into a routing map
+ * @returns {Object<string, string>}
+ */
+function envModelProviders() {
+  const raw = process.env.LLM_MODEL_PROVIDERS;
+  if (!raw) return {};
+
+  return Object.fromEntries(
+    raw.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([model, provider]) => model && provider)
+  );
+}
+
+/**
+ * Route a model alias (or ID) to a provider at runtime
+ * @param {string} model - Model alias or full ID
+ * @param {string} provider - Registered provider name
+ */
+export function setModelProvider(model, provider) {
+  getProvider(provider); // Throws on unknown provider
+  MODEL_PROVIDERS[model] = provider;
+}
+
+/**
+ * Resolve which provider serves a model
+ * @param {string} model - Model name or alias
+ * @param {string} [explicit] - Provider requested by the caller
+ * @returns {string} Provider name
+ */
+export function resolveProvider(model, explicit) {
+  if (explicit) return explicit;
+
+  const modelId = resolveModel(model);
+  const envMap = envModelProviders();
+
+  return envMap[model]
+    || envMap[modelId]
+    || MODEL_PROVIDERS[model]
+    || MODEL_PROVIDERS[modelId]
+    || (modelId.startsWith('local/') ? 'local' : null)
+    || process.env.LLM_PROVIDER
+    || DEFAULT_PROVIDER;
+}
+
+// Cassette set by useCassette(); null means read LLM_CASSETTE from the environment
+let cassetteOverride = null;
+
+/**
+ * Use a cassette for every call through this client
+ *
+ * @param {object|null} options - { mode, dir }, or null to fall back to
+ *   LLM_CASSETTE / LLM_CASSETTE_DIR
+ * @returns {object} The active cassette
+ */
+export function useCassette(options) {
+  cassetteOverride = options ? createCassette(options) : null;
+  return getCassette();
+}
+
+/**
+ * Get the active cassette
+ * @returns {object}
+ */
+export function getCassette() {
+  return cassetteOverride || createCassette({
+    mode: process.env.LLM_CASSETTE || CassetteMode.OFF,
+    dir: process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
+  });
+}
+
+// Response cache set by useResponseCache(); null means read LLM_RESPONSE_CACHE from the environment
+let responseCacheOverride = null;
+let envResponseCache = null;
+
+/**
+ * Use a response cache for queryLLM calls through this client
+ *
+ * @param {object|null} options - createResponseCache() options, or null to
+ *   fall back to LLM_RESPONSE_CACHE and related variables
+ * @returns {object} The active response cache
+ */
+export function useResponseCache(options) {
+  responseCacheOverride?.dispose();
+  responseCacheOverride = options ? createResponseCache(options) : null;
+  return getResponseCache();
+}
+
+/**
+ * Get the active response cache
+ * @returns {object}
+ */
+export function getResponseCache() {
+  if (responseCacheOverride) {
+    return responseCacheOverride;
+  }
+
+  // Rebuilt only when the environment changes, so entries survive between calls
+  const options = responseCacheOptionsFromEnv();
+  const signature = JSON.stringify(options);
+  if (envResponseCache?.signature !== signature) {
+    envResponseCache?.cache.dispose();
+    envResponseCache = { signature, cache: createResponseCache(options) };
+  }
+  return envResponseCache.cache;
+}
+
+/**
+ * Build the messages array from prompt/system or pass through messages
+ * @private
+ */
+function buildMessages({ system, prompt, messages }) {
+  if (messages) {
+    return messages;
+  }
+
+  const built = [];
+  if (system) {
+    built.push({ role: 'system', content: system });
+  }
+  built.push({ role: 'user', content: prompt });
+  return built;
+}
+
+/**
+ * Get a provider, failing early when it cannot serve requests
+ * @private
+ */
+function getConfiguredProvider(providerName) {
+  const provider = getProvider(providerName);
+  if (!provider.isConfigured()) {
+    throw new ExternalServiceError(provider.label, 'API key not configured');
+  }
+  return provider;
+}
+
+/**
+ * Enforce the kill switch and budget before a call reaches the provider.
+ * Runs outside the circuit breaker so refusals don't count as provider
+ * failures; calls the cassette will answer are free and always allowed.
+ * @private
+ */
+function guardLiveCall(provider, request, cassette, scope) {
+  if (cassette.mode === CassetteMode.REPLAY
+    || (cassette.mode === CassetteMode.AUTO && cassette.read(request))) {
+    return;
+  }
+
+  if (globalThis.AUTOMATION_PAUSED === true) {
+    throw new ValidationError('Automation is paused - emergency kill switch is active. Resume via POST /api/emergency/resume');
+  }
+
+  if (!provider.billable) {
+    return;
+  }
+
+  const inputTokens = countMessageTokens(request.messages, request.model);
+  const estimatedCost = costController.calculateCost(
+    request.model,
+    inputTokens,
+    request.maxTokens || DEFAULT_OUTPUT_ESTIMATE
+  );
+  const budget = costController.checkBudget(estimatedCost, scope);
+  if (!budget.allowed) {
+    throw new ValidationError(`Budget check failed: ${budget.reason}`, {
+      model: request.model,
+      estimatedCost,
+    });
+  }
+}
+
+/**
+ * Turn provider usage into token counts and record the cost
+ * @param {object} context - { traceId, operation, businessUnitId, tenantId }
+ * @private
+ */
+function recordUsage(provider, modelId, messages, response, context) {
+  // Get token counts (from API or estimate)
+  const tokens = {
+    input: response.usage?.input || countMessageTokens(messages, modelId),
+    output: response.usage?.output || countTokens(response.content, modelId),
+  };
+
+  // Track how far our estimates drift from what the provider counted
+  recordCalibrationSample(modelId, { messages, content: response.content, usage: response.usage });
+
+  // Local and replayed calls cost nothing
+  const cost = provider.billable
+    ? costController.calculateCost(modelId, tokens.input, tokens.output)
+    : 0;
+
+  // Record cost with cost-controller
+  costController.recordCost({
+    model: modelId,
+    inputTokens: tokens.input,
+    outputTokens: tokens.output,
+    actualCost: provider.billable ? response.usage?.totalCost : 0, // Use API-reported cost if available
+    traceId: context.traceId,
+    operation: context.operation,
+    businessUnitId: context.businessUnitId,
+    tenantId: context.tenantId,
+  });
+
+  return { tokens, cost };
+}
+
 /**
  * Resolve model alias to full OpenRouter model ID
  * @param {string} model - Model name or alias
@@ -74,14 +307,13 @@ export function resolveModel(model) {
 }
 
 /**
- * Estimate token count from text (rough approximation)
- * Uses ~4 characters per token for English text
+ * Estimate token count from text with the model family's BPE tokenizer
  * @param {string} text - Text to estimate
+ * @param {string} [model] - Model ID or alias (defaults to cl100k_base)
  * @returns {number} Estimated token count
  */
-export function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+export function estimateTokens(text, model) {
+  return countTokens(text, model ? resolveModel(model) : undefined);
 }
 
 /**
@@ -97,123 +329,139 @@ export function estimateCost(model, inputTokens, outputTokens) {
 }
 
 /**
- * Core LLM query function (internal, no circuit breaker)
+ * Run an LLM call as a client span; providers forward its traceparent.
+ * Live calls are timed per model, with the span as exemplar.
+ * @private
+ */
+function traceLLMCall(name, options, providerName, fn) {
+  const model = resolveModel(options.model || 'claude-sonnet');
+
+  return withTrace(name, async (span) => {
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      recordLLMRequest(model, options.operation, 'error', Date.now() - startTime);
+      throw error;
+    }
+
+    if (!result.cached) {
+      recordLLMRequest(model, options.operation, 'success', Date.now() - startTime);
+    }
+    span.setAttributes({
+      'gen_ai.usage.input_tokens': result.tokens?.input,
+      'gen_ai.usage.output_tokens': result.tokens?.output,
+      'superchase.cost_usd': result.cost,
+      'superchase.cached': Boolean(result.cached),
+    });
+    return result;
+  }, {
+    'gen_ai.system': providerName,
+    'gen_ai.request.model': model,
+    'superchase.operation': options.operation,
+    'superchase.trace_id': options.traceId,
+  }, { kind: 'client' });
+}
+
+/**
+ * Core LLM query function (internal; the circuit breaker wraps only the provider call)
  * @private
  */
 async function _queryLLM(options) {
   const {
     model = 'claude-sonnet',
-    system,
-    prompt,
-    messages: providedMessages,
+    provider: providerName = resolveProvider(model),
     temperature = 0.7,
     maxTokens,
     json = false,
     traceId,
     operation = 'query',
+    businessUnitId,
+    tenantId,
+    noCache = false,
   } = options;
 
   const modelId = resolveModel(model);
+  const provider = getProvider(providerName);
+  const messages = buildMessages(options);
+  const request = { model: modelId, messages, temperature, maxTokens, json };
 
-  if (!OPENROUTER_API_KEY || OPENROUTER_API_KEY === 'NEEDS_VALUE') {
-    throw new ExternalServiceError('OpenRouter', 'API key not configured');
-  }
-
-  // Build messages array
-  let messages;
-  if (providedMessages) {
-    messages = providedMessages;
-  } else {
-    messages = [];
-    if (system) {
-      messages.push({ role: 'system', content: system });
-    }
-    messages.push({ role: 'user', content: prompt });
-  }
-
-  const body = {
-    model: modelId,
-    messages,
-    temperature,
-  };
+  const startTime = Date.now();
 
-  if (maxTokens) {
-    body.max_tokens = maxTokens;
+  // Cached answers are not live calls: no budget check, no cost
+  const responseCache = getResponseCache();
+  const cacheLookup = await responseCache.lookup({ ...request, provider: provider.name }, { operation, noCache });
+  if (cacheLookup.status !== 'off') {
+    recordLLMCacheLookup(cacheLookup.status, operation, modelId, cacheLookup.result?.cost);
   }
-
-  if (json) {
-    body.response_format = { type: 'json_object' };
+  if (cacheLookup.result) {
+    logger.debug('LLM response served from cache', {
+      model: modelId,
+      status: cacheLookup.status,
+      similarity: cacheLookup.similarity,
+      traceId,
+    });
+    return {
+      ...cacheLookup.result,
+      cost: 0,
+      latencyMs: Date.now() - startTime,
+      provider: provider.name,
+      cached: true,
+    };
   }
 
-  const startTime = Date.now();
-
   logger.debug('LLM request', {
     model: modelId,
+    provider: provider.name,
     messagesCount: messages.length,
     traceId,
   });
 
-  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://superchase.app',
-      'X-Title': 'SuperChase AI',
-    },
-    body: JSON.stringify(body),
-  });
+  const cassette = getCassette();
+  guardLiveCall(provider, request, cassette, { traceId, businessUnitId, tenantId });
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    const error = new ExternalServiceError(
-      'OpenRouter',
-      `${model} query failed: ${response.status} - ${errorText}`
-    );
-    error.statusCode = response.status;
-    throw error;
-  }
+  // Replayed responses need no credentials and cost nothing
+  const play = withCircuitBreaker(providerName, () => cassette.play(
+    request,
+    () => getConfiguredProvider(providerName).chat(request)
+  ));
+  const { response, replayed } = await play();
 
-  const data = await response.json();
-  const content = data.choices?.[0]?.message?.content || '';
   const latencyMs = Date.now() - startTime;
-
-  // Get token counts (from API or estimate)
-  const tokens = {
-    input: data.usage?.prompt_tokens || estimateTokens(
-      messages.map(m => m.content).join('')
-    ),
-    output: data.usage?.completion_tokens || estimateTokens(content),
-  };
-
-  // Calculate cost using cost-controller's pricing
-  const cost = costController.calculateCost(modelId, tokens.input, tokens.output);
-
-  // Record cost with cost-controller
-  costController.recordCost({
-    model: modelId,
-    inputTokens: tokens.input,
-    outputTokens: tokens.output,
-    actualCost: data.usage?.total_cost, // Use API-reported cost if available
+  const billedBy = replayed ? { ...provider, billable: false } : provider;
+  const { tokens, cost } = recordUsage(billedBy, modelId, messages, response, {
     traceId,
     operation,
+    businessUnitId,
+    tenantId,
   });
 
   logger.debug('LLM response', {
     model: modelId,
+    provider: provider.name,
     tokens,
     cost: cost.toFixed(6),
     latencyMs,
     traceId,
   });
 
+  responseCache.store(cacheLookup, {
+    content: response.content,
+    tokens,
+    cost,
+    model: modelId,
+    finishReason: response.finishReason,
+  }, { operation });
+
   return {
-    content,
+    content: response.content,
     tokens,
     cost,
     latencyMs,
     model: modelId,
-    finishReason: data.choices?.[0]?.finish_reason,
+    provider: provider.name,
+    finishReason: response.finishReason,
   };
 }
 
@@ -222,6 +470,7 @@ async function _queryLLM(options) {
  *
  * @param {object} options - Query options
  * @param {string} [options.model='claude-sonnet'] - Model name or alias
+ * @param {string} [options.provider] - Provider name (defaults to the model's routing)
  * @param {string} [options.system] - System prompt
  * @param {string} [options.prompt] - User prompt (use this OR messages)
  * @param {Array} [options.messages] - Full messages array (use this OR prompt)
@@ -230,19 +479,23 @@ async function _queryLLM(options) {
  * @param {boolean} [options.json=false] - Request JSON response format
  * @param {string} [options.traceId] - Trace ID for logging
  * @param {string} [options.operation='query'] - Operation type for cost tracking
- * @returns {Promise<{content: string, tokens: object, cost: number, latencyMs: number}>}
+ * @param {string} [options.businessUnitId] - Business unit billed for the call (defaults to the trace's)
+ * @param {string} [options.tenantId] - Tenant billed for the call (defaults to the trace's)
+ * @param {boolean} [options.noCache=false] - Skip the response cache for this call
+ * @returns {Promise<{content: string, tokens: object, cost: number, latencyMs: number, cached?: boolean}>}
  */
 export async function queryLLM(options) {
-  const wrappedQuery = withCircuitBreaker(CIRCUIT_NAME, _queryLLM);
+  const providerName = resolveProvider(options.model || 'claude-sonnet', options.provider);
 
   try {
-    const result = await wrappedQuery(options);
+    const result = await traceLLMCall('llm.chat', { operation: 'query', ...options }, providerName,
+      () => _queryLLM({ ...options, provider: providerName }));
     return result;
   } catch (error) {
     // Re-throw with more context
-    if (error.message?.includes('Circuit')) {
+    if (error.message?.includes('Circuit') || error.code === 'SERVICE_UNAVAILABLE') {
       throw new ExternalServiceError(
-        'OpenRouter',
+        getProvider(providerName).label,
         'Service temporarily unavailable (circuit breaker open). Try again later.'
       );
     }
@@ -349,118 +602,81 @@ export function parseJSON(text) {
  * @returns {Promise<{content: string, tokens: object, cost: number}>}
  */
 export async function streamLLM(options, onChunk) {
+  const providerName = resolveProvider(options.model || 'claude-sonnet', options.provider);
+  return traceLLMCall('llm.stream', { operation: 'stream', ...options }, providerName,
+    () => _streamLLM({ ...options, provider: providerName }, onChunk));
+}
+
+/**
+ * Streaming query (internal)
+ * @private
+ */
+async function _streamLLM(options, onChunk) {
   const {
     model = 'claude-sonnet',
-    system,
-    prompt,
-    messages: providedMessages,
     temperature = 0.7,
+    maxTokens,
     traceId,
+    operation = 'stream',
+    businessUnitId,
+    tenantId,
   } = options;
 
+  const providerName = resolveProvider(model, options.provider);
   const modelId = resolveModel(model);
+  const messages = buildMessages(options);
 
-  if (!OPENROUTER_API_KEY || OPENROUTER_API_KEY === 'NEEDS_VALUE') {
-    throw new ExternalServiceError('OpenRouter', 'API key not configured');
-  }
-
-  let messages;
-  if (providedMessages) {
-    messages = providedMessages;
-  } else {
-    messages = [];
-    if (system) {
-      messages.push({ role: 'system', content: system });
-    }
-    messages.push({ role: 'user', content: prompt });
-  }
-
-  const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://superchase.app',
-      'X-Title': 'SuperChase AI',
-    },
-    body: JSON.stringify({
-      model: modelId,
-      messages,
-      temperature,
-      stream: true,
-    }),
-  });
+  const request = { model: modelId, messages, temperature, maxTokens };
+  const provider = getProvider(providerName);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new ExternalServiceError('OpenRouter', `Stream failed: ${response.status}`);
-  }
+  const cassette = getCassette();
+  guardLiveCall(provider, request, cassette, { traceId, businessUnitId, tenantId });
 
-  let fullContent = '';
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
+  const stream = withCircuitBreaker(providerName, () => cassette.play(
+    request,
+    (chunkCallback) => getConfiguredProvider(providerName).stream(request, chunkCallback),
+    onChunk || (() => {})
+  ));
 
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.startsWith('data: '));
-
-      for (const line of lines) {
-        const data = line.slice(6);
-        if (data === '[DONE]') continue;
-
-        try {
-          const parsed = JSON.parse(data);
-          const content = parsed.choices?.[0]?.delta?.content || '';
-          if (content) {
-            fullContent += content;
-            if (onChunk) onChunk(content);
-          }
-        } catch {
-          // Skip unparseable chunks
-        }
-      }
-    }
-  } finally {
-    reader.releaseLock();
-  }
-
-  const tokens = {
-    input: estimateTokens(messages.map(m => m.content).join('')),
-    output: estimateTokens(fullContent),
-  };
-
-  const cost = costController.calculateCost(modelId, tokens.input, tokens.output);
-
-  costController.recordCost({
-    model: modelId,
-    inputTokens: tokens.input,
-    outputTokens: tokens.output,
+  const { response, replayed } = await stream();
+  const billedBy = replayed ? { ...provider, billable: false } : provider;
+  const { tokens, cost } = recordUsage(billedBy, modelId, messages, response, {
     traceId,
-    operation: 'stream',
+    operation,
+    businessUnitId,
+    tenantId,
   });
 
-  recordSuccess(CIRCUIT_NAME);
-
-  return { content: fullContent, tokens, cost };
+  return { content: response.content, tokens, cost, provider: provider.name };
 }
 
 /**
  * Check if LLM service is available
+ * @param {string} [model] - Check the provider serving this model
  * @returns {boolean}
  */
-export function isLLMAvailable() {
-  // Check API key
-  if (!OPENROUTER_API_KEY || OPENROUTER_API_KEY === 'NEEDS_VALUE') {
+export function isLLMAvailable(model = 'claude-sonnet') {
+  const providerName = resolveProvider(model);
+
+  // Check provider configuration (API key etc.)
+  if (!getProvider(providerName).isConfigured()) {
     return false;
   }
 
   // Check circuit breaker
-  const { isAvailable } = require('./health.js');
-  return isAvailable(CIRCUIT_NAME);
+  return isAvailable(providerName);
+}
+
+/**
+ * Check if the provider serving a model has its credentials configured
+ * (unlike isLLMAvailable, ignores the circuit breaker). A replaying
+ * cassette answers without credentials, so it counts as configured.
+ * @param {string} [model]
+ * @returns {boolean}
+ */
+export function isModelConfigured(model = 'claude-sonnet') {
+  return getCassette().mode === CassetteMode.REPLAY
+    || getProvider(resolveProvider(model)).isConfigured();
 }
 
 /**
@@ -468,15 +684,17 @@ export function isLLMAvailable() {
  * @returns {object}
  */
 export function getLLMStatus() {
-  const { getCircuitState } = require('./health.js');
-  const circuitState = getCircuitState(CIRCUIT_NAME);
+  const providerName = resolveProvider('claude-sonnet');
+  const circuitState = getCircuitState(providerName);
 
   return {
     available: isLLMAvailable(),
-    apiKeyConfigured: !!OPENROUTER_API_KEY && OPENROUTER_API_KEY !== 'NEEDS_VALUE',
+    provider: providerName,
+    apiKeyConfigured: getProvider(providerName).isConfigured(),
     circuitState: circuitState.state,
     failures: circuitState.failures,
     lastSuccess: circuitState.lastSuccess,
+    providers: listProviders(),
   };
 }
 
@@ -488,7 +706,15 @@ export default {
   estimateTokens,
   estimateCost,
   resolveModel,
+  resolveProvider,
+  setModelProvider,
+  useCassette,
+  getCassette,
+  useResponseCache,
+  getResponseCache,
   isLLMAvailable,
+  isModelConfigured,
   getLLMStatus,
   MODEL_ALIASES,
+  MODEL_PROVIDERS,
 };
@@ -0,0 +1,364 @@
+/**
+ * LLM Providers
+ *
+ * Backends that lib/llm-client.js sends chat requests to. Every provider
+ * speaks the same small contract so a model alias can be pointed at the
+ * cloud, a local server, or recorded fixtures without callers changing:
+ *
+ *   chat(request)            -> { content, usage, finishReason, model }
+ *   stream(request, onChunk) -> { content, usage, model }
+ *   isConfigured()           -> boolean
+ *
+ * Built-in providers:
+ * - openrouter: OpenRouter cloud API (default)
+ * - gemini: Google AI Studio via its OpenAI-compatible endpoint (GEMINI_API_KEY)
+ * - local: any OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio)
+ * - replay: deterministic responses recorded as cassettes
+ *
+ * @module lib/llm-providers
+ */
+
+import { ExternalServiceError, ValidationError } from './errors.js';
+import { createCassette, CassetteMode, DEFAULT_CASSETTE_DIR } from './llm-cassette.js';
+import { traceHeaders } from './observability.js';
+
+/**
+ * @typedef {Object} ChatRequest
+ * @property {string} model - Resolved model ID
+ * @property {Array<{role: string, content: string}>} messages
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {boolean} [json]
+ */
+
+/**
+ * @typedef {Object} ChatResponse
+ * @property {string} content
+ * @property {{input?: number, output?: number, totalCost?: number}} usage - Provider-reported usage
+ * @property {string} [finishReason]
+ * @property {string} model - Model that served the request
+ */
+
+// ============================================
+// OpenAI-compatible provider
+// ============================================
+
+/**
+ * Read an option that may be a value or a getter (for env vars read at call time)
+ */
+function read(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+/**
+ * Create a provider for any OpenAI-compatible /chat/completions endpoint
+ *
+ * @param {object} config
+ * @param {string} config.name - Provider name (also its circuit breaker name)
+ * @param {string} [config.label] - Service name used in errors
+ * @param {string|function} config.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string|function} [config.apiKey] - Bearer token
+ * @param {boolean} [config.requiresApiKey=true] - Refuse requests when no key is set
+ * @param {string|function} [config.model] - Model to send instead of the requested one,
+ *   or function(requestedModel) => model
+ * @param {object} [config.headers] - Extra request headers
+ * @param {boolean} [config.billable=true] - Whether calls cost money
+ * @returns {object} Provider
+ */
+export function createOpenAICompatibleProvider(config) {
+  const {
+    name,
+    label = name,
+    baseUrl,
+    apiKey,
+    requiresApiKey = true,
+    model: modelOverride,
+    headers = {},
+    billable = true,
+  } = config;
+
+  function getApiKey() {
+    const key = read(apiKey);
+    return key && key !== 'NEEDS_VALUE' ? key : null;
+  }
+
+  function buildRequest(request, extra = {}) {
+    const key = getApiKey();
+    if (requiresApiKey && !key) {
+      throw new ExternalServiceError(label, 'API key not configured');
+    }
+
+    const model = typeof modelOverride === 'function' ? modelOverride(request.model) : modelOverride;
+    const body = {
+      model: model || request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      ...extra,
+    };
+
+    if (request.maxTokens) {
+      body.max_tokens = request.maxTokens;
+    }
+
+    if (request.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return {
+      url: `${read(baseUrl).replace(/\/$/, '')}/chat/completions`,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(key && { 'Authorization': `Bearer ${key}` }),
+          ...headers,
+          ...traceHeaders(),
+        },
+        body: JSON.stringify(body),
+      },
+      model: body.model,
+    };
+  }
+
+  async function checkResponse(response, model) {
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new ExternalServiceError(
+        label,
+        `${model} query failed: ${response.status} - ${errorText}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  return {
+    name,
+    label,
+    billable,
+
+    isConfigured() {
+      return !requiresApiKey || Boolean(getApiKey());
+    },
+
+    /**
+     * @param {ChatRequest} request
+     * @returns {Promise<ChatResponse>}
+     */
+    async chat(request) {
+      const { url, init, model } = buildRequest(request);
+      const response = await fetch(url, init);
+      await checkResponse(response, model);
+
+      const data = await response.json();
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        usage: {
+          input: data.usage?.prompt_tokens,
+          output: data.usage?.completion_tokens,
+          totalCost: data.usage?.total_cost,
+        },
+        finishReason: data.choices?.[0]?.finish_reason,
+        model: data.model || model,
+      };
+    },
+
+    /**
+     * Stream a response over SSE
+     * @param {ChatRequest} request
+     * @param {function(string): void} onChunk - Called with each content delta
+     * @returns {Promise<ChatResponse>}
+     */
+    async stream(request, onChunk) {
+      const { url, init, model } = buildRequest(request, { stream: true });
+      const response = await fetch(url, init);
+      await checkResponse(response, model);
+
+      let content = '';
+      let buffer = '';
+      let usage = {};
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          // SSE lines can be split across network chunks
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.startsWith('data: ')) continue;
+            const data = line.slice(6).trim();
+            if (data === '[DONE]') continue;
+
+            try {
+              const parsed = JSON.parse(data);
+              const delta = parsed.choices?.[0]?.delta?.content || '';
+              if (parsed.usage) {
+                usage = {
+                  input: parsed.usage.prompt_tokens,
+                  output: parsed.usage.completion_tokens,
+                  totalCost: parsed.usage.total_cost,
+                };
+              }
+              if (delta) {
+                content += delta;
+                if (onChunk) onChunk(delta);
+              }
+            } catch {
+              // Skip unparseable chunks
+            }
+          }
+        }
+      } finally {
+        reader.releaseLock();
+      }
+
+      return { content, usage, model };
+    },
+  };
+}
+
+// ============================================
+// Replay provider
+// ============================================
+
+/**
+ * Create a provider that answers from recorded cassettes
+ *
+ * In `replay` mode a request without a recording fails. In `record` mode the
+ * request goes to the upstream provider and the response is saved. Shares
+ * its recordings with the client-wide cassette mode (see lib/llm-cassette.js).
+ *
+ * @param {object} [config]
+ * @param {string|function} [config.dir] - Cassette directory
+ * @param {string|function} [config.mode='replay'] - 'replay' or 'record'
+ * @param {function(): object} [config.upstream] - Provider to record from
+ * @returns {object} Provider
+ */
+export function createReplayProvider(config = {}) {
+  const {
+    dir = () => process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
+    mode = () => process.env.LLM_REPLAY_MODE || 'replay',
+    upstream = () => getProvider(process.env.LLM_RECORD_PROVIDER || 'openrouter'),
+  } = config;
+
+  function cassette() {
+    const cassetteMode = read(mode) === 'record' ? CassetteMode.RECORD : CassetteMode.REPLAY;
+    return createCassette({ dir: read(dir), mode: cassetteMode });
+  }
+
+  return {
+    name: 'replay',
+    label: 'Replay',
+    billable: false,
+
+    isConfigured() {
+      return true;
+    },
+
+    async chat(request) {
+      const { response } = await cassette().play(request, () => upstream().chat(request));
+      return response;
+    },
+
+    async stream(request, onChunk) {
+      const { response } = await cassette().play(
+        request,
+        (chunkCallback) => upstream().stream(request, chunkCallback),
+        onChunk || (() => {})
+      );
+      return response;
+    },
+  };
+}
+
+// ============================================
+// Registry
+// ============================================
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider
+ * @param {string} name
+ * @param {object} provider - Object implementing chat/stream/isConfigured
+ */
+export function registerProvider(name, provider) {
+  for (const method of ['chat', 'stream', 'isConfigured']) {
+    if (typeof provider[method] !== 'function') {
+      throw new ValidationError(`LLM provider '${name}' must implement ${method}()`);
+    }
+  }
+  providers.set(name, { name, label: name, billable: true, ...provider });
+}
+
+/**
+ * Get a registered provider
+ * @param {string} name
+ * @returns {object}
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new ValidationError(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * List registered provider names with configuration status
+ * @returns {Array<{name: string, configured: boolean, billable: boolean}>}
+ */
+export function listProviders() {
+  return [...providers.values()].map(p => ({
+    name: p.name,
+    configured: p.isConfigured(),
+    billable: p.billable,
+  }));
+}
+
+registerProvider('openrouter', createOpenAICompatibleProvider({
+  name: 'openrouter',
+  label: 'OpenRouter',
+  baseUrl: () => process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+  apiKey: () => process.env.OPENROUTER_API_KEY,
+  headers: {
+    'HTTP-Referer': 'https://superchase.app',
+    'X-Title': 'SuperChase AI',
+  },
+}));
+
+registerProvider('gemini', createOpenAICompatibleProvider({
+  name: 'gemini',
+  label: 'Gemini',
+  baseUrl: () => process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/openai',
+  apiKey: () => process.env.GEMINI_API_KEY,
+  // google/<name> IDs map to the bare Gemini model name
+  model: (requested) => requested.replace(/^google\//, ''),
+}));
+
+registerProvider('local', createOpenAICompatibleProvider({
+  name: 'local',
+  label: 'Local LLM',
+  baseUrl: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKey: () => process.env.LOCAL_LLM_API_KEY,
+  requiresApiKey: false,
+  // local/<name> aliases carry the server's own model name
+  model: (requested) => process.env.LOCAL_LLM_MODEL || requested.replace(/^local\//, ''),
+  billable: false,
+}));
+
+registerProvider('replay', createReplayProvider());
+
+export default {
+  createOpenAICompatibleProvider,
+  createReplayProvider,
+  registerProvider,
+  getProvider,
+  listProviders,
+};
@@ -0,0 +1,332 @@
+/**
+ * LLM Response Cache
+ *
+ * Opt-in cache of LLM answers so repeated questions to the query hub and
+ * council are not paid for again. Entries are keyed by provider, model,
+ * response format and a fingerprint of the prompt. The prompt must match
+ * exactly except for trailing whitespace and punctuation on the final user
+ * message ("What is our pipeline?" repeats "What is our pipeline"); any other
+ * difference can change the answer. With an embedding function
+ * configured, a question whose preceding messages match exactly and whose
+ * last user message is similar enough (cosine similarity at or above the
+ * threshold) reuses the cached answer too.
+ *
+ * Calls bypass the cache when their temperature is above maxTemperature,
+ * when the caller passes noCache, or when their operation's TTL is 0.
+ *
+ * Modes (LLM_RESPONSE_CACHE):
+ * - off: no caching (default)
+ * - memory: process-local LRU
+ * - file: persisted under CACHE_DIR/llm-responses, shared across processes
+ *
+ * @module lib/llm-response-cache
+ */
+
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+import { ValidationError } from './errors.js';
+import { createCache } from './cache.js';
+
+const logger = createLogger({ module: 'llm-response-cache' });
+
+export const ResponseCacheMode = {
+  OFF: 'off',
+  MEMORY: 'memory',
+  FILE: 'file',
+};
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_TEMPERATURE = 0.7;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.95;
+
+// Embeddings kept per prompt context for similarity matching
+const MAX_EMBEDDINGS = 500;
+
+function messageText(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+/**
+ * Drop trailing whitespace and punctuation, which don't change a question
+ * @private
+ */
+function trimQuestion(text) {
+  return text.replace(/[\s?!.]+$/, '');
+}
+
+/**
+ * Messages as fingerprinted: verbatim, except the final user message's
+ * trailing whitespace and punctuation
+ * @private
+ */
+function keyMessages(messages = []) {
+  const lastUser = messages.findLastIndex(m => m.role === 'user');
+  return messages.map((m, i) => ({
+    role: m.role,
+    content: i === lastUser ? trimQuestion(messageText(m.content)) : messageText(m.content),
+  }));
+}
+
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 32);
+}
+
+/**
+ * Fingerprint a request's prompt
+ * @param {{messages: Array}} request
+ * @returns {string}
+ */
+export function fingerprint(request) {
+  return hash(JSON.stringify(keyMessages(request.messages)));
+}
+
+/**
+ * Provider, model and output shape; the same model served by another
+ * provider (or a local stand-in) may answer differently
+ * @private
+ */
+function requestScope(request) {
+  return [request.provider || '', request.model, request.json ? 'json' : 'text', request.maxTokens || ''].join('|');
+}
+
+/**
+ * Request scope and everything before the last message; a semantic match
+ * may only differ in the last message
+ * @private
+ */
+function contextKey(request) {
+  return `${requestScope(request)}|${fingerprint({ messages: request.messages.slice(0, -1) })}`;
+}
+
+function cacheKey(request) {
+  return `${requestScope(request)}|${fingerprint(request)}`;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Read response cache options from the environment
+ *
+ * LLM_RESPONSE_CACHE: off | memory | file
+ * LLM_RESPONSE_CACHE_TTL: default TTL in seconds
+ * LLM_RESPONSE_CACHE_TTLS: per-operation TTLs in seconds, e.g. "query-hub=3600,council=0"
+ * LLM_RESPONSE_CACHE_MAX_TEMPERATURE: highest temperature still cached
+ *
+ * @param {object} [env=process.env]
+ * @returns {object} Options for createResponseCache()
+ */
+export function responseCacheOptionsFromEnv(env = process.env) {
+  const seconds = (value) => Number(value) * 1000;
+
+  const operationTTLs = Object.fromEntries(
+    (env.LLM_RESPONSE_CACHE_TTLS || '').split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([operation, ttl]) => operation && ttl && !Number.isNaN(Number(ttl)))
+      .map(([operation, ttl]) => [operation, seconds(ttl)])
+  );
+
+  return {
+    mode: env.LLM_RESPONSE_CACHE || ResponseCacheMode.OFF,
+    ...(env.LLM_RESPONSE_CACHE_TTL && { ttl: seconds(env.LLM_RESPONSE_CACHE_TTL) }),
+    operationTTLs,
+    ...(env.LLM_RESPONSE_CACHE_MAX_TEMPERATURE && {
+      maxTemperature: Number(env.LLM_RESPONSE_CACHE_MAX_TEMPERATURE),
+    }),
+  };
+}
+
+/**
+ * Create a response cache
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode='memory'] - One of ResponseCacheMode
+ * @param {number} [options.ttl=3600000] - Default TTL in milliseconds
+ * @param {Object<string, number>} [options.operationTTLs] - TTL per operation in
+ *   milliseconds; "council" also covers "council:review". 0 disables caching.
+ * @param {number} [options.maxTemperature=0.7] - Calls above this bypass the cache
+ * @param {Function} [options.embed] - async (text) => number[]; enables similarity matching
+ * @param {number} [options.similarityThreshold=0.95] - Minimum cosine similarity for a match
+ * @param {number} [options.maxSize=1000] - Maximum cached responses
+ * @param {string} [options.dir] - Directory for file mode
+ * @returns {object} Response cache
+ */
+export function createResponseCache(options = {}) {
+  const {
+    mode = ResponseCacheMode.MEMORY,
+    ttl = DEFAULT_TTL_MS,
+    operationTTLs = {},
+    maxTemperature = DEFAULT_MAX_TEMPERATURE,
+    embed = null,
+    similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD,
+    maxSize = 1000,
+    dir,
+  } = options;
+
+  if (!Object.values(ResponseCacheMode).includes(mode)) {
+    throw new ValidationError(`Unknown LLM response cache mode: ${mode}`, {
+      valid: Object.values(ResponseCacheMode),
+    });
+  }
+
+  const store = mode === ResponseCacheMode.OFF ? null : createCache({
+    namespace: 'llm-responses',
+    persistent: mode === ResponseCacheMode.FILE,
+    dir,
+    maxSize,
+    defaultTTL: ttl,
+  });
+
+  /** @type {Map<string, Array<{key: string, vector: number[]}>>} */
+  const embeddings = new Map();
+
+  // Longest matching operation prefix wins
+  function ttlFor(operation = '') {
+    const match = Object.keys(operationTTLs)
+      .filter(op => operation === op || operation.startsWith(`${op}:`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? operationTTLs[match] : ttl;
+  }
+
+  function bypassReason(request, context) {
+    if (context.noCache) return 'no_cache';
+    if ((request.temperature ?? 0) > maxTemperature) return 'temperature';
+    if (ttlFor(context.operation) <= 0) return 'operation';
+    return null;
+  }
+
+  async function findSimilar(request) {
+    const last = request.messages.at(-1);
+    if (!last) return null;
+
+    const scope = contextKey(request);
+    let vector;
+    try {
+      vector = await embed(trimQuestion(messageText(last.content)));
+    } catch (error) {
+      logger.warn('Embedding failed, using exact matching only', { error: error.message });
+      return null;
+    }
+
+    let best = null;
+    for (const candidate of embeddings.get(scope) || []) {
+      const similarity = cosineSimilarity(vector, candidate.vector);
+      if (similarity >= similarityThreshold && similarity > (best?.similarity ?? -1)) {
+        best = { key: candidate.key, similarity };
+      }
+    }
+
+    return { scope, vector, best };
+  }
+
+  return {
+    mode,
+
+    /**
+     * Look up a cached response for a request
+     * @param {object} request - { provider, model, messages, temperature, maxTokens, json }
+     * @param {object} [context] - { operation, noCache }
+     * @returns {Promise<{status: string, result?: object, similarity?: number, reason?: string}>}
+     *   status is off, bypass, hit, semantic_hit or miss
+     */
+    async lookup(request, context = {}) {
+      if (!store) {
+        return { status: 'off' };
+      }
+
+      const reason = bypassReason(request, context);
+      if (reason) {
+        return { status: 'bypass', reason };
+      }
+
+      const key = cacheKey(request);
+      const exact = store.get(key);
+      if (exact) {
+        return { status: 'hit', key, result: exact };
+      }
+
+      if (embed) {
+        const similar = await findSimilar(request);
+        if (similar?.best) {
+          const result = store.get(similar.best.key);
+          if (result) {
+            return { status: 'semantic_hit', key: similar.best.key, similarity: similar.best.similarity, result };
+          }
+          // Evicted or expired; forget its embedding
+          embeddings.set(similar.scope, embeddings.get(similar.scope).filter(e => e.key !== similar.best.key));
+        }
+        return { status: 'miss', key, scope: similar?.scope, vector: similar?.vector };
+      }
+
+      return { status: 'miss', key };
+    },
+
+    /**
+     * Store a response after a miss
+     * @param {object} lookup - Result of lookup()
+     * @param {object} result - { content, tokens, cost, model, finishReason }
+     * @param {object} [context] - { operation }
+     */
+    store(lookup, result, context = {}) {
+      if (lookup.status !== 'miss' || !result.content) {
+        return;
+      }
+
+      store.set(lookup.key, result, {
+        ttl: ttlFor(context.operation),
+        tags: [`model:${result.model}`, `operation:${context.operation || 'query'}`],
+      });
+
+      if (lookup.vector) {
+        const list = (embeddings.get(lookup.scope) || []).filter(e => e.key !== lookup.key);
+        list.push({ key: lookup.key, vector: lookup.vector });
+        embeddings.set(lookup.scope, list.slice(-MAX_EMBEDDINGS));
+      }
+    },
+
+    /**
+     * Drop cached responses for a model or operation
+     * @param {{model?: string, operation?: string}} filter
+     * @returns {number} Entries removed
+     */
+    invalidate({ model, operation } = {}) {
+      if (!store) return 0;
+      const tags = [model && `model:${model}`, operation && `operation:${operation}`].filter(Boolean);
+      return tags.length > 0 ? store.invalidateTag(...tags) : 0;
+    },
+
+    clear() {
+      store?.clear();
+      embeddings.clear();
+    },
+
+    /**
+     * Stop the store's cleanup timer; call before dropping the cache
+     */
+    dispose() {
+      store?.destroy();
+    },
+
+    stats() {
+      return store ? { mode, ...store.stats() } : { mode };
+    },
+  };
+}
+
+export default {
+  ResponseCacheMode,
+  createResponseCache,
+  responseCacheOptionsFromEnv,
+  fingerprint,
+};
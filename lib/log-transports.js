@@ -0,0 +1,463 @@
+/**
+ * Log Transports
+ *
+ * Destinations for log entries written by lib/logger. A transport is an
+ * object with a `name`, an optional minimum `level` and a `write(entry)`
+ * method; `flush()` and `close()` are optional. Entries arrive already
+ * filtered by level and redacted.
+ *
+ * - stdout: human-readable lines, or JSON in production
+ * - file: JSONL with size-based rotation (app.jsonl, app.1.jsonl, ...),
+ *   queried by GET /api/logs
+ * - http: batches of entries POSTed as a JSON array to a log collector
+ *
+ * This module must not log through lib/logger: a failing transport would
+ * feed its own errors back into itself. Problems go to stderr instead.
+ *
+ * @module lib/log-transports
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ExternalServiceError, withRetry } from './errors.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DIR = join(__dirname, '..', 'memory', 'logs');
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_FILES = 5;
+const BASE_NAME = 'app';
+const LOG_FILE = /^app(?:\.(\d+))?\.jsonl$/;
+
+const LEVEL_ORDER = { debug: 0, info: 1, warn: 2, error: 3 };
+
+// Queries read files backwards in chunks of this size
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Console transport
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - JSON lines instead of the readable format (default in production)
+ * @param {string} [options.level]
+ * @returns {Object} Transport
+ */
+export function createConsoleTransport(options = {}) {
+  const { json = process.env.NODE_ENV === 'production', level } = options;
+
+  const format = (entry) => {
+    if (json) {
+      return JSON.stringify(entry);
+    }
+
+    const { timestamp, level: entryLevel, message, ...context } = entry;
+    const prefix = {
+      debug: '🔍',
+      info: '📘',
+      warn: '⚠️',
+      error: '❌'
+    }[entryLevel] || '📝';
+
+    const contextStr = Object.keys(context).length > 0
+      ? ` ${JSON.stringify(context)}`
+      : '';
+
+    return `${prefix} [${timestamp.split('T')[1].slice(0, 8)}] ${message}${contextStr}`;
+  };
+
+  return {
+    name: 'stdout',
+    level,
+    write(entry) {
+      const formatted = format(entry);
+      switch (entry.level) {
+        case 'error':
+          console.error(formatted);
+          break;
+        case 'warn':
+          console.warn(formatted);
+          break;
+        default:
+          console.log(formatted);
+      }
+    }
+  };
+}
+
+/**
+ * Rotated log files in a directory, newest first
+ * @private
+ */
+function logFiles(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .map(file => ({ file, match: file.match(LOG_FILE) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => Number(a.match[1] || 0) - Number(b.match[1] || 0))
+      .map(({ file }) => join(dir, file));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Rotating JSONL file transport
+ *
+ * Writes to app.jsonl; once it passes maxBytes it becomes app.1.jsonl,
+ * older files shift up and anything beyond maxFiles is deleted.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory (default LOG_DIR or memory/logs)
+ * @param {number} [options.maxBytes=10485760] - Size that triggers rotation
+ * @param {number} [options.maxFiles=5] - Rotated files kept besides the current one
+ * @param {string} [options.level]
+ * @returns {Object} Transport
+ */
+export function createFileTransport(options = {}) {
+  const {
+    dir = process.env.LOG_DIR || DEFAULT_DIR,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxFiles = DEFAULT_MAX_FILES,
+    level
+  } = options;
+
+  const current = join(dir, `${BASE_NAME}.jsonl`);
+  const rotated = (n) => join(dir, `${BASE_NAME}.${n}.jsonl`);
+  let size = null;
+  let failed = false;
+
+  function rotate() {
+    fs.rmSync(rotated(maxFiles), { force: true });
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      if (fs.existsSync(rotated(n))) {
+        fs.renameSync(rotated(n), rotated(n + 1));
+      }
+    }
+    fs.renameSync(current, rotated(1));
+    size = 0;
+  }
+
+  return {
+    name: 'file',
+    level,
+    dir,
+
+    write(entry) {
+      const line = JSON.stringify(entry) + '\n';
+      const bytes = Buffer.byteLength(line);
+      try {
+        if (size === null) {
+          fs.mkdirSync(dir, { recursive: true });
+          size = fs.existsSync(current) ? fs.statSync(current).size : 0;
+        }
+        if (size > 0 && size + bytes > maxBytes) {
+          rotate();
+        }
+        fs.appendFileSync(current, line);
+        size += bytes;
+        failed = false;
+      } catch (error) {
+        // Report once per outage rather than once per line
+        if (!failed) {
+          failed = true;
+          process.stderr.write(`Log file transport failed: ${error.message}\n`);
+        }
+        size = null;
+      }
+    },
+
+    /**
+     * Files this transport has written, newest first
+     * @returns {string[]}
+     */
+    files() {
+      return logFiles(dir);
+    }
+  };
+}
+
+/**
+ * HTTP batch transport
+ *
+ * Entries are queued and POSTed as a JSON array; failed batches are
+ * retried with backoff and then dropped, so a collector outage never
+ * blocks logging.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Collector endpoint
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.batchSize=100]
+ * @param {number} [options.flushIntervalMs=5000]
+ * @param {number} [options.maxQueueSize=1000] - Entries beyond this are dropped
+ * @param {number} [options.maxRetries=2]
+ * @param {number} [options.retryDelayMs=1000]
+ * @param {string} [options.level]
+ * @returns {Object} Transport
+ */
+export function createHttpTransport(options) {
+  const {
+    url,
+    headers = {},
+    batchSize = 100,
+    flushIntervalMs = 5000,
+    maxQueueSize = 1000,
+    maxRetries = 2,
+    retryDelayMs = 1000,
+    level
+  } = options;
+
+  const queue = [];
+  const stats = { sent: 0, dropped: 0, failedBatches: 0 };
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  async function post(entries) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(entries)
+    });
+
+    if (!response.ok) {
+      const error = new ExternalServiceError('Log collector', `Export failed: ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  const postWithRetry = withRetry(post, {
+    maxRetries,
+    baseDelayMs: retryDelayMs,
+    shouldRetry: (error) => !error.statusCode || error.statusCode === 429 || error.statusCode >= 500
+  });
+
+  async function sendBatch(entries) {
+    try {
+      await postWithRetry(entries);
+      stats.sent += entries.length;
+    } catch (error) {
+      stats.failedBatches++;
+      stats.dropped += entries.length;
+      process.stderr.write(`Dropping ${entries.length} log entries after failed export to ${url}: ${error.message}\n`);
+    }
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    while (queue.length > 0) {
+      const batch = queue.splice(0, batchSize);
+      inFlight = inFlight.then(() => sendBatch(batch));
+    }
+    return inFlight;
+  }
+
+  return {
+    name: 'http',
+    level,
+    url,
+
+    write(entry) {
+      if (queue.length >= maxQueueSize) {
+        stats.dropped++;
+        return;
+      }
+
+      queue.push(entry);
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          flush();
+        }, flushIntervalMs);
+        timer.unref?.();
+      }
+    },
+
+    flush,
+
+    async close() {
+      await flush();
+    },
+
+    stats() {
+      return { url, queued: queue.length, ...stats };
+    }
+  };
+}
+
+/**
+ * Build transports from the environment
+ *
+ * - LOG_TRANSPORTS: comma-separated list of stdout, file, http (default `fallback`)
+ * - LOG_DIR / LOG_FILE_MAX_BYTES / LOG_FILE_MAX_FILES: file transport
+ * - LOG_HTTP_URL / LOG_HTTP_HEADERS: http transport, headers as "key=value,key=value"
+ *
+ * @param {Object} [env=process.env]
+ * @param {string} [fallback='stdout'] - Used when LOG_TRANSPORTS is unset
+ * @returns {Array<Object>} Transports
+ */
+export function transportsFromEnv(env = process.env, fallback = 'stdout') {
+  const names = (env.LOG_TRANSPORTS || fallback).split(',').map(s => s.trim()).filter(Boolean);
+  const number = (value) => (value ? Number(value) : undefined);
+  const transports = [];
+
+  for (const name of names) {
+    switch (name) {
+      case 'stdout':
+        transports.push(createConsoleTransport());
+        break;
+      case 'file':
+        transports.push(createFileTransport({
+          dir: env.LOG_DIR || DEFAULT_DIR,
+          maxBytes: number(env.LOG_FILE_MAX_BYTES),
+          maxFiles: number(env.LOG_FILE_MAX_FILES)
+        }));
+        break;
+      case 'http':
+        if (!env.LOG_HTTP_URL) {
+          process.stderr.write('LOG_TRANSPORTS includes http but LOG_HTTP_URL is not set\n');
+          break;
+        }
+        transports.push(createHttpTransport({
+          url: env.LOG_HTTP_URL,
+          headers: Object.fromEntries(
+            (env.LOG_HTTP_HEADERS || '').split(',')
+              .map(pair => pair.split('=').map(part => decodeURIComponent(part.trim())))
+              .filter(([key, value]) => key && value)
+          )
+        }));
+        break;
+      default:
+        process.stderr.write(`Unknown log transport "${name}" ignored\n`);
+    }
+  }
+
+  return transports;
+}
+
+/**
+ * Lines of an open file, last first
+ *
+ * Reads fixed-size chunks from the end, so a caller that stops early
+ * never reads the rest of the file. Lines are split on the newline byte,
+ * which never occurs inside a multi-byte UTF-8 character.
+ *
+ * @private
+ * @param {number} fd - File descriptor
+ * @returns {Generator<string>}
+ */
+function* linesBackwards(fd) {
+  let position = fs.fstatSync(fd).size;
+  // Bytes of a line whose start lies in a chunk not read yet
+  let partial = Buffer.alloc(0);
+
+  while (position > 0) {
+    const length = Math.min(READ_CHUNK_BYTES, position);
+    position -= length;
+    const chunk = Buffer.alloc(length);
+    fs.readSync(fd, chunk, 0, length, position);
+
+    const buffer = Buffer.concat([chunk, partial]);
+    let end = buffer.length;
+    let newline;
+    while (end > 0 && (newline = buffer.lastIndexOf(0x0a, end - 1)) !== -1) {
+      yield buffer.toString('utf8', newline + 1, end);
+      end = newline;
+    }
+    partial = buffer.subarray(0, end);
+  }
+
+  yield partial.toString('utf8');
+}
+
+/**
+ * Query JSONL log files, newest entries first
+ *
+ * Files are read backwards and only as far as the query needs: until
+ * `limit` matches are found or entries fall before `since`.
+ *
+ * @param {string[]} files - Newest file first
+ * @param {Object} [filters]
+ * @param {string} [filters.level] - Minimum level
+ * @param {string|string[]} [filters.module] - Module name(s)
+ * @param {string} [filters.traceId] - Application or W3C trace ID
+ * @param {number} [filters.since] - Epoch ms, inclusive
+ * @param {number} [filters.until] - Epoch ms, inclusive
+ * @param {string} [filters.search] - Case-insensitive substring of the message
+ * @param {number} [filters.limit=100]
+ * @returns {{entries: Array<Object>, scanned: number, truncated: boolean}}
+ */
+export function queryLogFiles(files, filters = {}) {
+  const { level, module, traceId, since, until, search, limit = 100 } = filters;
+  const minLevel = level ? LEVEL_ORDER[level] : undefined;
+  const modules = module ? new Set([].concat(module)) : null;
+  const needle = search?.toLowerCase();
+
+  const matches = (entry) => {
+    if (minLevel !== undefined && (LEVEL_ORDER[entry.level] ?? 0) < minLevel) return false;
+    if (modules && !modules.has(entry.module)) return false;
+    if (traceId && entry.traceId !== traceId && entry.spanTraceId !== traceId) return false;
+    if (needle && !String(entry.message).toLowerCase().includes(needle)) return false;
+    return true;
+  };
+
+  const entries = [];
+  let scanned = 0;
+
+  for (const file of files) {
+    let fd;
+    try {
+      fd = fs.openSync(file, 'r');
+    } catch {
+      // Rotated away since the listing
+      continue;
+    }
+
+    try {
+      for (const line of linesBackwards(fd)) {
+        // Cheap substring test before parsing
+        if (!line || (traceId && !line.includes(traceId))) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // Partially written line
+          continue;
+        }
+        scanned++;
+
+        const time = Date.parse(entry.timestamp);
+        if (until !== undefined && time > until) continue;
+        // Files are in time order, so everything further back is older still
+        if (since !== undefined && time < since) {
+          return { entries, scanned, truncated: false };
+        }
+
+        if (matches(entry)) {
+          entries.push(entry);
+          if (entries.length >= limit) {
+            return { entries, scanned, truncated: true };
+          }
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return { entries, scanned, truncated: false };
+}
+
+export default {
+  createConsoleTransport,
+  createFileTransport,
+  createHttpTransport,
+  transportsFromEnv,
+  queryLogFiles
+};
@@ -2,15 +2,26 @@
  * SuperChase Structured Logger
  * 
  * Provides consistent, JSON-structured logging with:
- * - Log levels (debug, info, warn, error)
+ * - Log levels (debug, info, warn, error), with per-module overrides
+ *   that can be changed at runtime
+ * - Pluggable transports: stdout, rotating JSONL files, HTTP batches
+ *   (see lib/log-transports)
+ * - Redaction of secret and PII fields before any transport sees them
  * - Request tracing with correlation IDs
  * - Performance timing
  * - Context enrichment
+ *
+ * Environment:
+ * - LOG_LEVEL: global minimum level (default info)
+ * - LOG_MODULE_LEVELS: per-module levels, e.g. "cache=debug,trace-store=warn"
+ * - LOG_REDACT_FIELDS: extra field names to redact
+ * - LOG_TRANSPORTS and transport settings: see lib/log-transports
  * 
  * @module lib/logger
  */
 
 import { randomUUID } from 'crypto';
+import { transportsFromEnv, queryLogFiles } from './log-transports.js';
 
 /**
  * @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel
@@ -32,41 +43,196 @@ const LOG_LEVELS = {
   error: 3
 };
 
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
-const isProduction = process.env.NODE_ENV === 'production';
+/**
+ * Parse "module=level,module=level" into per-module overrides
+ * @param {string} [value]
+ * @returns {Map<string, number>}
+ */
+function parseModuleLevels(value = '') {
+  return new Map(value.split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([module, level]) => module && LOG_LEVELS[level] !== undefined)
+    .map(([module, level]) => [module, LOG_LEVELS[level]]));
+}
+
+let currentLevel = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
+const moduleLevels = parseModuleLevels(process.env.LOG_MODULE_LEVELS);
+
+/** @type {Array<Object>} See lib/log-transports */
+let transports = transportsFromEnv();
+
+/** @type {Array<function(): Object>} Extra fields for every entry, e.g. the active span */
+const contextProviders = [];
+
+// ============================================
+// Redaction
+// ============================================
+
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 6;
+
+// Matched against keys lowercased with _ and - removed. Suffixes catch
+// githubToken or ASANA_ACCESS_TOKEN but not counts such as totalTokens.
+const SECRET_KEY = /(password|passwd|secret|token|apikey|authorization|cookie|privatekey|credentials)$/;
+const PII_KEYS = new Set(['email', 'phone', 'phonenumber', 'ssn', 'creditcard', 'cardnumber', 'dateofbirth']);
+const extraRedactKeys = new Set((process.env.LOG_REDACT_FIELDS || '')
+  .split(',').map(normalizeKey).filter(Boolean));
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[_\-\s]/g, '');
+}
 
 /**
- * Format a log entry as JSON (production) or human-readable (development)
- * @param {LogLevel} level 
- * @param {string} message 
- * @param {LogContext} context 
+ * Whether a field's value is withheld from logs
+ * @param {string} key
+ * @returns {boolean}
  */
-function formatLog(level, message, context = {}) {
-  const timestamp = new Date().toISOString();
-  const entry = {
-    timestamp,
-    level,
-    message,
-    ...context
-  };
+function isRedactedField(key) {
+  const normalized = normalizeKey(key);
+  return SECRET_KEY.test(normalized) || PII_KEYS.has(normalized) || extraRedactKeys.has(normalized);
+}
+
+/**
+ * Copy a log context with secret and PII fields replaced
+ * @param {*} value
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_REDACT_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
 
-  if (isProduction) {
-    return JSON.stringify(entry);
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isRedactedField(key) && item !== undefined && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
   }
+  return copy;
+}
 
-  // Human-readable format for development
-  const prefix = {
-    debug: '🔍',
-    info: '📘',
-    warn: '⚠️',
-    error: '❌'
-  }[level] || '📝';
+// ============================================
+// Levels and Transports
+// ============================================
 
-  const contextStr = Object.keys(context).length > 0
-    ? ` ${JSON.stringify(context)}`
-    : '';
+/**
+ * Effective minimum level for a module
+ * @param {string} [module]
+ * @returns {number}
+ */
+function levelFor(module) {
+  return moduleLevels.get(module) ?? currentLevel;
+}
 
-  return `${prefix} [${timestamp.split('T')[1].slice(0, 8)}] ${message}${contextStr}`;
+/**
+ * Change the global level, or one module's level at runtime
+ * @param {LogLevel} level
+ * @param {string} [module] - Module name as passed to createLogger({ module })
+ */
+function setLogLevel(level, module) {
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  if (module) {
+    moduleLevels.set(module, LOG_LEVELS[level]);
+  } else {
+    currentLevel = LOG_LEVELS[level];
+  }
+}
+
+/**
+ * Remove a module's override so it follows the global level again
+ * @param {string} module
+ * @returns {boolean} Whether an override existed
+ */
+function clearLogLevel(module) {
+  return moduleLevels.delete(module);
+}
+
+/**
+ * Global level and per-module overrides
+ * @returns {{level: LogLevel, modules: Object<string, LogLevel>}}
+ */
+function getLogLevels() {
+  const name = (value) => Object.keys(LOG_LEVELS).find(l => LOG_LEVELS[l] === value);
+  return {
+    level: name(currentLevel),
+    modules: Object.fromEntries([...moduleLevels].map(([module, value]) => [module, name(value)]))
+  };
+}
+
+/**
+ * Add a transport
+ * @param {Object} transport - { name, level?, write(entry), flush?, close? }
+ */
+function addTransport(transport) {
+  transports.push(transport);
+}
+
+/**
+ * Remove transports by name
+ * @param {string} name
+ * @returns {number} Transports removed
+ */
+function removeTransport(name) {
+  const before = transports.length;
+  transports = transports.filter(t => t.name !== name);
+  return before - transports.length;
+}
+
+/**
+ * Replace every transport (tests, or reconfiguring at startup)
+ * @param {Array<Object>} next
+ * @returns {Array<Object>} The previous transports
+ */
+function setTransports(next) {
+  const previous = transports;
+  transports = [...next];
+  return previous;
+}
+
+/**
+ * @returns {Array<Object>}
+ */
+function getTransports() {
+  return [...transports];
+}
+
+/**
+ * Register a function whose fields are added to every entry
+ * (lib/observability adds the active span's IDs)
+ * @param {function(): Object|null} provider
+ */
+function addContextProvider(provider) {
+  contextProviders.push(provider);
+}
+
+/**
+ * Wait for buffered transports (http) to send what they hold
+ * @returns {Promise<void>}
+ */
+async function flushLogs() {
+  await Promise.all(transports.map(t => t.flush?.()));
+}
+
+/**
+ * Query entries written by the file transport, newest first
+ * @param {Object} [filters] - See queryLogFiles in lib/log-transports
+ * @returns {{entries: Array<Object>, scanned: number, truncated: boolean}}
+ */
+function queryLogs(filters = {}) {
+  const files = transports.filter(t => t.name === 'file').flatMap(t => t.files());
+  return queryLogFiles(files, filters);
 }
 
 /**
@@ -76,19 +242,31 @@ function formatLog(level, message, context = {}) {
  * @param {LogContext} context 
  */
 function log(level, message, context = {}) {
-  if (LOG_LEVELS[level] < currentLevel) return;
-
-  const formatted = formatLog(level, message, context);
-  
-  switch (level) {
-    case 'error':
-      console.error(formatted);
-      break;
-    case 'warn':
-      console.warn(formatted);
-      break;
-    default:
-      console.log(formatted);
+  if (LOG_LEVELS[level] < levelFor(context.module)) return;
+
+  const extra = {};
+  for (const provider of contextProviders) {
+    try {
+      Object.assign(extra, provider());
+    } catch {
+      // A broken provider must not stop logging
+    }
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...redact({ ...extra, ...context })
+  };
+
+  for (const transport of transports) {
+    if (transport.level && LOG_LEVELS[level] < LOG_LEVELS[transport.level]) continue;
+    try {
+      transport.write(entry);
+    } catch (error) {
+      process.stderr.write(`Log transport ${transport.name} failed: ${error.message}\n`);
+    }
   }
 }
 
@@ -177,5 +355,16 @@ export {
   generateTraceId,
   requestLogger,
   log,
+  setLogLevel,
+  clearLogLevel,
+  getLogLevels,
+  addTransport,
+  removeTransport,
+  setTransports,
+  getTransports,
+  addContextProvider,
+  flushLogs,
+  queryLogs,
+  redact,
   LOG_LEVELS
 };
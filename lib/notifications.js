@@ -9,6 +9,7 @@
 
 import { createLogger } from './logger.js';
 import { ExternalServiceError, withRetry } from './errors.js';
+import { tracedFetch } from './observability.js';
 
 const logger = createLogger({ module: 'notifications' });
 
@@ -55,7 +56,7 @@ export async function sendEmail(options) {
   const { to, subject, html, text } = options;
 
   try {
-    const response = await fetch(RESEND_API_URL, {
+    const response = await tracedFetch(RESEND_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -68,7 +69,7 @@ export async function sendEmail(options) {
         html,
         text: text || html.replace(/<[^>]*>/g, '') // Strip HTML for text version
       })
-    });
+    }, 'resend.request');
 
     if (!response.ok) {
       const error = await response.text();
@@ -117,11 +118,11 @@ export async function sendSlack(options) {
   try {
     // Use webhook if available (simpler)
     if (SLACK_WEBHOOK_URL) {
-      const response = await fetch(SLACK_WEBHOOK_URL, {
+      const response = await tracedFetch(SLACK_WEBHOOK_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ text, blocks, attachments })
-      });
+      }, 'slack.webhook');
 
       if (!response.ok) {
         throw new Error(`Webhook failed: ${response.status}`);
@@ -133,7 +134,7 @@ export async function sendSlack(options) {
 
     // Use Bot API if token available
     if (SLACK_BOT_TOKEN) {
-      const response = await fetch('https://slack.com/api/chat.postMessage', {
+      const response = await tracedFetch('https://slack.com/api/chat.postMessage', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -145,7 +146,7 @@ export async function sendSlack(options) {
           blocks,
           attachments
         })
-      });
+      }, 'slack.request');
 
       const data = await response.json();
 
@@ -333,6 +334,90 @@ export async function notifyCostAlert(service, cost, threshold) {
   });
 }
 
+/**
+ * Send cost anomaly alert (a day far above its trailing average)
+ * @param {Object} anomaly - From costController.detectAnomalies()
+ */
+export async function notifyCostAnomaly(anomaly) {
+  const scope = anomaly.model ? `${anomaly.model} spend` : 'LLM spend';
+  const sigma = anomaly.zScore ? ` (${anomaly.zScore}σ)` : '';
+  const message = `📈 *Cost Anomaly*\n${scope} on ${anomaly.date} is $${anomaly.spent.toFixed(2)}, vs. a trailing average of $${anomaly.mean.toFixed(2)}/day${sigma}`;
+
+  const results = await Promise.allSettled([
+    ADMIN_EMAIL ? sendEmail({
+      to: ADMIN_EMAIL,
+      subject: `[COST] Unusual ${scope} on ${anomaly.date}`,
+      html: `<h2 style="color: #f59e0b;">Unusual ${scope}</h2><p>$${anomaly.spent.toFixed(2)} on ${anomaly.date}; trailing average $${anomaly.mean.toFixed(2)}/day${sigma}.</p>`
+    }) : Promise.resolve({ success: false }),
+    sendSlack({
+      text: message,
+      attachments: [{ color: '#f59e0b', text: message }]
+    })
+  ]);
+
+  return {
+    email: results[0].status === 'fulfilled' ? results[0].value : { success: false },
+    slack: results[1].status === 'fulfilled' ? results[1].value : { success: false }
+  };
+}
+
+/**
+ * Send month-end forecast alert (projected spend over the monthly budget)
+ * @param {Object} forecast - From costController.forecastMonthEnd()
+ */
+export async function notifyCostForecast(forecast) {
+  const message = `🔮 *Cost Forecast*\n${forecast.month} LLM spend is projected at $${forecast.projected.toFixed(2)} (${forecast.projectedUsage}% of the $${forecast.limit} budget) at $${forecast.dailyRunRate.toFixed(2)}/day`;
+
+  return sendSlack({
+    text: message,
+    attachments: [{
+      color: '#f59e0b',
+      text: message
+    }]
+  });
+}
+
+/**
+ * Send an alert from lib/alert-rules to its routed channels
+ * @param {Object} alert - { name, severity, state, message, value, threshold, activeSince }
+ * @param {string[]} channels - slack, slack:#channel, email (ADMIN_EMAIL) or email:address
+ * @returns {Promise<Object>} Result per channel
+ */
+export async function notifyAlert(alert, channels) {
+  const resolved = alert.state === 'resolved';
+  const color = resolved ? '#10b981' : alert.severity === 'critical' ? '#ef4444' : '#f59e0b';
+  const emoji = resolved ? '✅' : alert.severity === 'critical' ? '🚨' : '⚠️';
+  const title = `${resolved ? 'Resolved' : 'Alert'}: ${alert.name}`;
+  const message = `${emoji} *${title}* (${alert.severity})\n${alert.message}`;
+
+  const send = (channel) => {
+    const [type, target] = channel.split(/:(.*)/s);
+    if (type === 'slack') {
+      return sendSlack({
+        text: message,
+        ...(target && { channel: target }),
+        attachments: [{ color, text: message }]
+      });
+    }
+    if (type === 'email') {
+      const to = target || ADMIN_EMAIL;
+      if (!to) return Promise.resolve({ success: false, reason: 'no_recipient' });
+      return sendEmail({
+        to,
+        subject: `[${resolved ? 'RESOLVED' : alert.severity.toUpperCase()}] ${alert.name}`,
+        html: `<h2 style="color: ${color};">${title}</h2><p>${alert.message}</p><p style="color: #6b7280;">Active since ${alert.activeSince || alert.timestamp}</p>`
+      });
+    }
+    return Promise.resolve({ success: false, reason: 'unknown_channel' });
+  };
+
+  const results = await Promise.allSettled(channels.map(send));
+  return Object.fromEntries(channels.map((channel, i) => [
+    channel,
+    results[i].status === 'fulfilled' ? results[i].value : { success: false, error: results[i].reason?.message }
+  ]));
+}
+
 // ============================================
 // Notification Status
 // ============================================
@@ -365,5 +450,8 @@ export default {
   notifyContentRejected,
   notifyEmergencyAlert,
   notifyCostAlert,
+  notifyCostAnomaly,
+  notifyCostForecast,
+  notifyAlert,
   getNotificationStatus
 };
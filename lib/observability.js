@@ -3,15 +3,22 @@
  *
  * Comprehensive observability infrastructure:
  * - Prometheus-format metrics export
- * - Distributed tracing with spans
+ * - Sliding-window quantiles and trace exemplars on histograms
+ * - Distributed tracing with spans, W3C traceparent propagation and OTLP export
  * - Business metrics (LLM costs, council sessions, tasks)
- * - Alert rules and thresholds
+ * - Alert rules (config/alert-rules.json) routed to Slack and email
  *
  * @module lib/observability
  */
 
-import { createLogger } from './logger.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import { createLogger, addContextProvider } from './logger.js';
 import { getMetrics as getHealthMetrics, getHealth } from './health.js';
+import { createOtlpExporter, otlpOptionsFromEnv } from './otlp-exporter.js';
+import { appendSpan, flushSpans, findTraceSpans, buildTraceTree } from './trace-store.js';
+import { loadAlertConfig, createAlertEvaluator, dispatchAlert } from './alert-rules.js';
+import { SlidingQuantiles, mergeWindows, summarize, DEFAULT_QUANTILES } from './quantiles.js';
 
 const logger = createLogger({ module: 'observability' });
 
@@ -19,19 +26,60 @@ const logger = createLogger({ module: 'observability' });
 // Metrics Types
 // ============================================
 
+/**
+ * Label values from a series key built by _labelKey
+ * @param {string} key
+ * @returns {Object}
+ */
+function parseLabelKey(key) {
+  if (key === '__default__') return {};
+  return Object.fromEntries([...key.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+}
+
+/** Label sets per metric before new ones fold into the overflow series */
+const DEFAULT_MAX_SERIES = 500;
+const OVERFLOW_LABEL_VALUE = '__overflow__';
+
+/**
+ * Series key for a write, folding label sets beyond the metric's limit
+ * into one overflow series so an unbounded label (a path with IDs, say)
+ * cannot grow memory without bound
+ * @param {Counter|Gauge|Histogram} metric
+ * @param {Map} store - The metric's series map
+ * @param {Object} labelValues
+ * @returns {string}
+ */
+function seriesKey(metric, store, labelValues) {
+  const key = metric._labelKey(labelValues);
+  if (store.has(key) || store.size < metric.maxSeries) {
+    return key;
+  }
+
+  if (metric.overflowed === 0) {
+    logger.warn('Metric series limit reached; extra label sets are merged', {
+      metric: metric.name,
+      maxSeries: metric.maxSeries
+    });
+  }
+  metric.overflowed++;
+  return metric._labelKey(Object.fromEntries(metric.labels.map(l => [l, OVERFLOW_LABEL_VALUE])));
+}
+
 /**
  * Counter - monotonically increasing value
  */
-class Counter {
-  constructor(name, help, labels = []) {
+export class Counter {
+  constructor(name, help, labels = [], options = {}) {
     this.name = name;
     this.help = help;
     this.labels = labels;
     this.values = new Map();
+    this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+    this.overflowed = 0;
   }
 
   inc(labelValues = {}, value = 1) {
-    const key = this._labelKey(labelValues);
+    const key = seriesKey(this, this.values, labelValues);
     const current = this.values.get(key) || 0;
     this.values.set(key, current + value);
   }
@@ -40,6 +88,10 @@ class Counter {
     return this.values.get(this._labelKey(labelValues)) || 0;
   }
 
+  series() {
+    return [...this.values].map(([key, value]) => ({ labels: parseLabelKey(key), value }));
+  }
+
   _labelKey(labelValues) {
     if (this.labels.length === 0) return '__default__';
     return this.labels.map(l => `${l}="${labelValues[l] || ''}"`).join(',');
@@ -61,26 +113,28 @@ class Counter {
 /**
  * Gauge - value that can go up and down
  */
-class Gauge {
-  constructor(name, help, labels = []) {
+export class Gauge {
+  constructor(name, help, labels = [], options = {}) {
     this.name = name;
     this.help = help;
     this.labels = labels;
     this.values = new Map();
+    this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+    this.overflowed = 0;
   }
 
   set(labelValues = {}, value) {
-    this.values.set(this._labelKey(labelValues), value);
+    this.values.set(seriesKey(this, this.values, labelValues), value);
   }
 
   inc(labelValues = {}, value = 1) {
-    const key = this._labelKey(labelValues);
+    const key = seriesKey(this, this.values, labelValues);
     const current = this.values.get(key) || 0;
     this.values.set(key, current + value);
   }
 
   dec(labelValues = {}, value = 1) {
-    const key = this._labelKey(labelValues);
+    const key = seriesKey(this, this.values, labelValues);
     const current = this.values.get(key) || 0;
     this.values.set(key, current - value);
   }
@@ -89,6 +143,10 @@ class Gauge {
     return this.values.get(this._labelKey(labelValues)) || 0;
   }
 
+  series() {
+    return [...this.values].map(([key, value]) => ({ labels: parseLabelKey(key), value }));
+  }
+
   _labelKey(labelValues) {
     if (this.labels.length === 0) return '__default__';
     return this.labels.map(l => `${l}="${labelValues[l] || ''}"`).join(',');
@@ -109,33 +167,120 @@ class Gauge {
 
 /**
  * Histogram - distribution of values in buckets
+ *
+ * Besides Prometheus buckets, each series keeps a sliding-window t-digest
+ * for p50/p95/p99 and, per bucket, the latest exemplar: the value and the
+ * trace that produced it, so a slow bucket links to a trace to inspect.
  */
-class Histogram {
-  constructor(name, help, labels = [], buckets = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000]) {
+export class Histogram {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labels]
+   * @param {number[]} [buckets]
+   * @param {Object} [options]
+   * @param {number} [options.maxSeries=500] - Label sets before overflow
+   * @param {number} [options.windowMs=600000] - Quantile window
+   */
+  constructor(name, help, labels = [], buckets = [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000], options = {}) {
     this.name = name;
     this.help = help;
     this.labels = labels;
     this.buckets = buckets.sort((a, b) => a - b);
-    this.data = new Map(); // key -> { buckets: [], sum: 0, count: 0 }
+    this.data = new Map(); // key -> { buckets: [], sum, count, window, exemplars: [] }
+    this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+    this.windowMs = options.windowMs;
+    this.overflowed = 0;
   }
 
-  observe(labelValues = {}, value) {
-    const key = this._labelKey(labelValues);
+  /**
+   * @param {Object} labelValues
+   * @param {number} value
+   * @param {{traceId: string, spanId?: string}|null} [exemplar] - Defaults to the active span
+   */
+  observe(labelValues = {}, value, exemplar = getActiveSpan()) {
+    const key = seriesKey(this, this.data, labelValues);
     if (!this.data.has(key)) {
       this.data.set(key, {
         buckets: this.buckets.map(() => 0),
         sum: 0,
-        count: 0
+        count: 0,
+        window: new SlidingQuantiles({ windowMs: this.windowMs }),
+        // One slot per bucket plus +Inf
+        exemplars: [...this.buckets, Infinity].map(() => null)
       });
     }
     const data = this.data.get(key);
     data.sum += value;
     data.count++;
-    for (let i = 0; i < this.buckets.length; i++) {
-      if (value <= this.buckets[i]) {
-        data.buckets[i]++;
-      }
+    data.window.add(value);
+
+    // Counts are per bucket; toPrometheus() makes them cumulative
+    const index = this.buckets.findIndex(le => value <= le);
+    if (index !== -1) {
+      data.buckets[index]++;
     }
+
+    if (exemplar?.traceId) {
+      data.exemplars[index === -1 ? this.buckets.length : index] = {
+        value,
+        traceId: exemplar.traceId,
+        spanId: exemplar.spanId,
+        timestamp: Date.now()
+      };
+    }
+  }
+
+  series() {
+    return [...this.data].map(([key, data]) => ({
+      labels: parseLabelKey(key),
+      sum: data.sum,
+      count: data.count,
+      window: data.window
+    }));
+  }
+
+  /**
+   * Exemplars of a series, slowest bucket first
+   * @private
+   */
+  _exemplars(data) {
+    return data.exemplars
+      .map((exemplar, i) => exemplar && { le: i < this.buckets.length ? this.buckets[i] : '+Inf', ...exemplar })
+      .filter(Boolean)
+      .reverse();
+  }
+
+  /**
+   * Windowed count, mean and quantiles, overall or grouped by labels
+   * @param {Object} [options]
+   * @param {string|string[]} [options.by] - Labels to group series by
+   * @param {number[]} [options.quantiles]
+   * @returns {Object|Array<Object>} One summary, or one per label combination when grouped
+   */
+  summary(options = {}) {
+    const { by, quantiles = DEFAULT_QUANTILES } = options;
+
+    if (!by) {
+      return summarize(mergeWindows([...this.data.values()].map(d => d.window)), quantiles);
+    }
+
+    const groupLabels = Array.isArray(by) ? by : [by];
+    const groups = new Map();
+    for (const [key, data] of this.data) {
+      const labels = parseLabelKey(key);
+      const group = JSON.stringify(groupLabels.map(l => labels[l] ?? ''));
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(data);
+    }
+
+    return [...groups].map(([group, list]) => ({
+      ...Object.fromEntries(JSON.parse(group).map((value, i) => [groupLabels[i], value])),
+      ...summarize(mergeWindows(list.map(d => d.window)), quantiles),
+      exemplars: list.flatMap(d => this._exemplars(d))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, 3)
+    }));
   }
 
   _labelKey(labelValues) {
@@ -177,6 +322,14 @@ const metrics = {
     ['method', 'endpoint']
   ),
 
+  // Rate limiting (lib/rate-limiter). Labelled by role, never by key: the
+  // Prometheus routes are public and key IDs must not leak through them
+  rateLimitRequestsTotal: new Counter(
+    'superchase_rate_limit_requests_total',
+    'Requests checked against a rate limit, by role and result (allowed or limited)',
+    ['role', 'route_class', 'result']
+  ),
+
   // LLM Council metrics
   councilSessionsTotal: new Counter(
     'superchase_council_sessions_total',
@@ -194,6 +347,26 @@ const metrics = {
     []
   ),
 
+  // LLM call latency (live calls only; cache hits are not timed)
+  llmRequestDuration: new Histogram(
+    'superchase_llm_request_duration_ms',
+    'LLM request duration in milliseconds',
+    ['model', 'operation', 'status'],
+    [250, 500, 1000, 2500, 5000, 10000, 20000, 30000, 60000, 120000]
+  ),
+
+  // LLM response cache metrics
+  llmCacheRequestsTotal: new Counter(
+    'superchase_llm_cache_requests_total',
+    'LLM response cache lookups',
+    ['result', 'operation']
+  ),
+  llmCacheSavedDollars: new Counter(
+    'superchase_llm_cache_saved_dollars',
+    'LLM spend avoided by response cache hits',
+    ['model']
+  ),
+
   // Task provider metrics
   taskOperationsTotal: new Counter(
     'superchase_task_operations_total',
@@ -260,15 +433,44 @@ const completedTraces = [];
 const MAX_COMPLETED_TRACES = 100;
 
 /**
- * Create a new trace span
+ * Span the current async call chain runs under
+ * @type {AsyncLocalStorage<Object>}
+ */
+const spanStorage = new AsyncLocalStorage();
+
+/**
+ * OTLP exporter; undefined until first use, null when export is off
+ */
+let traceExporter;
+
+function getTraceExporter() {
+  if (traceExporter === undefined) {
+    const options = otlpOptionsFromEnv();
+    traceExporter = options ? createOtlpExporter(options) : null;
+    if (traceExporter) {
+      logger.info('Exporting traces over OTLP', { endpoint: traceExporter.endpoint });
+    }
+  }
+  return traceExporter;
+}
+
+/**
+ * Create a new trace span. Without an explicit traceId or parent it
+ * continues the active span's trace (see withTrace/runWithSpan).
  * @param {string} name - Span name
  * @param {Object} options - Span options
+ * @param {string} [options.traceId] - 32 hex chars
+ * @param {string} [options.parentSpanId] - 16 hex chars
+ * @param {string} [options.kind='internal'] - internal | server | client
+ * @param {Object} [options.attributes]
  * @returns {Object} Span object with end() method
  */
 export function startSpan(name, options = {}) {
+  const parent = options.traceId ? null : spanStorage.getStore();
   const {
-    traceId = generateTraceId(),
-    parentSpanId = null,
+    traceId = parent?.traceId || generateTraceId(),
+    parentSpanId = parent?.spanId || null,
+    kind = 'internal',
     attributes = {}
   } = options;
 
@@ -280,6 +482,7 @@ export function startSpan(name, options = {}) {
     spanId,
     parentSpanId,
     name,
+    kind,
     startTime,
     endTime: null,
     duration: null,
@@ -324,18 +527,22 @@ export function startSpan(name, options = {}) {
       activeSpans.delete(this.spanId);
 
       // Store completed trace
-      completedTraces.push({
+      const completed = {
         traceId: this.traceId,
         spanId: this.spanId,
         parentSpanId: this.parentSpanId,
         name: this.name,
+        kind: this.kind,
         startTime: this.startTime,
         endTime: this.endTime,
         duration: this.duration,
         status: this.status,
         attributes: this.attributes,
         events: this.events
-      });
+      };
+      completedTraces.push(completed);
+      appendSpan(completed);
+      getTraceExporter()?.export(completed);
 
       // Trim old traces
       while (completedTraces.length > MAX_COMPLETED_TRACES) {
@@ -369,16 +576,18 @@ export function startSpan(name, options = {}) {
 }
 
 /**
- * Wrap an async function with tracing
+ * Wrap an async function with tracing. Spans started inside fn, and
+ * outgoing requests using traceHeaders(), become children of this span.
  * @param {string} name - Span name
  * @param {Function} fn - Function to wrap
  * @param {Object} attributes - Span attributes
+ * @param {Object} [options] - startSpan options (traceId, parentSpanId, kind)
  * @returns {Promise<any>}
  */
-export async function withTrace(name, fn, attributes = {}) {
-  const span = startSpan(name, { attributes });
+export async function withTrace(name, fn, attributes = {}, options = {}) {
+  const span = startSpan(name, { ...options, attributes });
   try {
-    const result = await fn(span);
+    const result = await runWithSpan(span, () => fn(span));
     span.setStatus('ok');
     return result;
   } catch (error) {
@@ -390,16 +599,123 @@ export async function withTrace(name, fn, attributes = {}) {
   }
 }
 
+/**
+ * Run fn with span as the active span
+ * @param {Object} span
+ * @param {Function} fn
+ * @returns {any} fn's return value
+ */
+export function runWithSpan(span, fn) {
+  return spanStorage.run(span, fn);
+}
+
+/**
+ * Get the span the current async call chain runs under
+ * @returns {Object|undefined}
+ */
+export function getActiveSpan() {
+  return spanStorage.getStore();
+}
+
+// Log entries written inside a span carry its IDs, so GET /api/logs?traceId=
+// finds them by W3C trace ID as well as by application trace ID
+addContextProvider(() => {
+  const span = spanStorage.getStore();
+  return span ? { spanTraceId: span.traceId, spanId: span.spanId } : null;
+});
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} [header] - e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+ * @returns {{traceId: string, parentSpanId: string}|null} null when absent or invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentSpanId] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) {
+    return null;
+  }
+  return { traceId, parentSpanId };
+}
+
+/**
+ * Format a span as a W3C traceparent header value
+ * @param {Object} span
+ * @returns {string}
+ */
+export function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+/**
+ * Headers that carry the active trace to another service
+ * @param {Object} [span] - Defaults to the active span
+ * @returns {Object} { traceparent } or {} outside a trace
+ */
+export function traceHeaders(span = getActiveSpan()) {
+  return span ? { traceparent: formatTraceparent(span) } : {};
+}
+
+/**
+ * fetch() as a client span, propagating the trace to the callee
+ * @param {string} url
+ * @param {Object} [init] - fetch options
+ * @param {string} [spanName] - Defaults to "HTTP <method>"
+ * @returns {Promise<Response>}
+ */
+export async function tracedFetch(url, init = {}, spanName) {
+  const method = (init.method || 'GET').toUpperCase();
+  const { origin, pathname } = new URL(url);
+
+  return withTrace(spanName || `HTTP ${method}`, async (span) => {
+    const response = await fetch(url, {
+      ...init,
+      headers: { ...init.headers, ...traceHeaders(span) }
+    });
+    span.setAttributes({ 'http.response.status_code': response.status });
+    if (response.status >= 500) {
+      span.setStatus('error', `HTTP ${response.status}`);
+    }
+    return response;
+  }, { 'http.request.method': method, 'server.address': origin, 'url.path': pathname }, { kind: 'client' });
+}
+
+/**
+ * Configure OTLP export in code (overrides OTEL_EXPORTER_OTLP_* variables)
+ * @param {Object|null} options - createOtlpExporter() options, or null to turn export off
+ * @returns {Object|null} The exporter
+ */
+export function configureTraceExport(options) {
+  traceExporter = options ? createOtlpExporter(options) : null;
+  return traceExporter;
+}
+
+/**
+ * Send any queued spans now, to the collector and the trace store
+ * @returns {Promise<void>}
+ */
+export async function flushTraces() {
+  await Promise.all([getTraceExporter()?.flush(), flushSpans()]);
+}
+
+/**
+ * Export statistics, or null when export is off
+ * @returns {Object|null}
+ */
+export function getTraceExportStats() {
+  return getTraceExporter()?.stats() || null;
+}
+
 function generateTraceId() {
-  return Array.from({ length: 32 }, () =>
-    Math.floor(Math.random() * 16).toString(16)
-  ).join('');
+  return randomBytes(16).toString('hex');
 }
 
 function generateSpanId() {
-  return Array.from({ length: 16 }, () =>
-    Math.floor(Math.random() * 16).toString(16)
-  ).join('');
+  return randomBytes(8).toString('hex');
 }
 
 // ============================================
@@ -407,6 +723,8 @@ function generateSpanId() {
 // ============================================
 
 /**
+ * Rule registered in code with addAlertRule(); declarative rules live in
+ * config/alert-rules.json (see lib/alert-rules)
  * @typedef {Object} AlertRule
  * @property {string} name
  * @property {string} severity - 'critical' | 'warning' | 'info'
@@ -416,48 +734,22 @@ function generateSpanId() {
  */
 
 /** @type {AlertRule[]} */
-const alertRules = [
-  {
-    name: 'high_error_rate',
-    severity: 'critical',
-    condition: () => {
-      const health = getHealth();
-      return parseFloat(health.metrics.successRate) < 95;
-    },
-    message: 'Error rate exceeded 5% threshold',
-    cooldownMs: 5 * 60 * 1000 // 5 minutes
-  },
-  {
-    name: 'circuit_breaker_open',
-    severity: 'warning',
-    condition: () => {
-      const health = getHealth();
-      return Object.values(health.circuits || {}).some(c => c.state === 'open');
-    },
-    message: 'One or more circuit breakers are open',
-    cooldownMs: 10 * 60 * 1000 // 10 minutes
-  },
-  {
-    name: 'slow_response_time',
-    severity: 'warning',
-    condition: () => {
-      const health = getHealth();
-      return health.metrics.p95ResponseTime > 5000; // 5 seconds
-    },
-    message: 'P95 response time exceeded 5 seconds',
-    cooldownMs: 5 * 60 * 1000
-  },
-  {
-    name: 'memory_high',
-    severity: 'warning',
-    condition: () => {
-      const used = process.memoryUsage();
-      return used.heapUsed > 500 * 1024 * 1024; // 500MB
-    },
-    message: 'Heap memory usage exceeded 500MB',
-    cooldownMs: 15 * 60 * 1000
-  }
-];
+const alertRules = [];
+
+/**
+ * Snapshot of a registry metric by its Prometheus name
+ * @param {string} name
+ * @returns {{type: string, series: Array<Object>}|null}
+ */
+function readMetric(name) {
+  const metric = Object.values(metrics).find(m => m.name === name);
+  if (!metric) return null;
+
+  const type = metric instanceof Histogram ? 'histogram' : metric instanceof Gauge ? 'gauge' : 'counter';
+  return { type, series: metric.series() };
+}
+
+const ruleEvaluator = createAlertEvaluator({ readMetric });
 
 /** @type {Map<string, number>} Last fired time per rule */
 const alertCooldowns = new Map();
@@ -467,12 +759,39 @@ const firedAlerts = [];
 const MAX_FIRED_ALERTS = 50;
 
 /**
- * Check all alert rules and return active alerts
+ * Record a fired or resolved alert and route it to its channels
+ * @private
+ */
+function raiseAlert(alert, config) {
+  firedAlerts.push(alert);
+
+  const log = alert.state === 'resolved' ? logger.info : logger.warn;
+  log.call(logger, `Alert ${alert.state || 'fired'}: ${alert.name}`, {
+    severity: alert.severity,
+    message: alert.message
+  });
+
+  dispatchAlert(alert, config).catch(error => {
+    logger.error(`Alert dispatch failed: ${alert.name}`, { error: error.message });
+  });
+}
+
+/**
+ * Check all alert rules and return alerts that fired or resolved
  * @returns {Array<Object>}
  */
 export function checkAlerts() {
   const now = Date.now();
   const newAlerts = [];
+  const config = loadAlertConfig();
+
+  // Gauges sampled on demand must be current before rules read them
+  updateSystemMetrics();
+
+  for (const alert of ruleEvaluator.evaluate(config.rules)) {
+    newAlerts.push(alert);
+    raiseAlert(alert, config);
+  }
 
   for (const rule of alertRules) {
     try {
@@ -482,17 +801,13 @@ export function checkAlerts() {
           const alert = {
             name: rule.name,
             severity: rule.severity,
+            state: 'firing',
             message: rule.message,
             timestamp: new Date().toISOString()
           };
           newAlerts.push(alert);
-          firedAlerts.push(alert);
           alertCooldowns.set(rule.name, now);
-
-          logger.warn(`Alert fired: ${rule.name}`, {
-            severity: rule.severity,
-            message: rule.message
-          });
+          raiseAlert(alert, config);
         }
       }
     } catch (error) {
@@ -508,6 +823,38 @@ export function checkAlerts() {
   return newAlerts;
 }
 
+/**
+ * Pending and firing declarative rules
+ * @returns {Array<Object>}
+ */
+export function getActiveAlerts() {
+  return ruleEvaluator.active();
+}
+
+/**
+ * All alert rules: declarative rules from config, then code rules
+ * @returns {Array<Object>}
+ */
+export function getAlertRules() {
+  return [
+    ...loadAlertConfig().rules.map(r => ({
+      name: r.id,
+      severity: r.severity,
+      message: r.description || r.message,
+      source: 'config',
+      expression: `${r.function}(${r.metric})${r.divideBy ? ` / ${r.divideBy.metric}` : ''} ${r.op} ${r.threshold}`,
+      window: r.window,
+      for: r.for
+    })),
+    ...alertRules.map(r => ({
+      name: r.name,
+      severity: r.severity,
+      message: r.message,
+      source: 'code'
+    }))
+  ];
+}
+
 /**
  * Get recent alerts
  * @param {number} limit
@@ -537,6 +884,13 @@ export function recordHttpRequest(method, endpoint, status, durationMs) {
   metrics.httpRequestDuration.observe({ method, endpoint }, durationMs);
 }
 
+/**
+ * Record a rate limit decision for a key with the given role
+ */
+export function recordRateLimit(role, routeClass, allowed) {
+  metrics.rateLimitRequestsTotal.inc({ role, route_class: routeClass, result: allowed ? 'allowed' : 'limited' });
+}
+
 /**
  * Record an LLM council session
  */
@@ -548,6 +902,23 @@ export function recordCouncilSession(status, durationMs, modelCosts = {}) {
   }
 }
 
+/**
+ * Record a live LLM call's latency (status: success or error)
+ */
+export function recordLLMRequest(model, operation, status, durationMs) {
+  metrics.llmRequestDuration.observe({ model, operation, status }, durationMs);
+}
+
+/**
+ * Record an LLM response cache lookup (hit, semantic_hit, miss or bypass)
+ */
+export function recordLLMCacheLookup(result, operation, model, savedCost = 0) {
+  metrics.llmCacheRequestsTotal.inc({ result, operation });
+  if (savedCost > 0) {
+    metrics.llmCacheSavedDollars.inc({ model }, savedCost);
+  }
+}
+
 /**
  * Record a task operation
  */
@@ -607,6 +978,10 @@ export function updateSystemMetrics() {
 
   metrics.processUptimeSeconds.set({}, process.uptime());
   metrics.nodeVersion.set({ version: process.version }, 1);
+
+  for (const [spoke, circuit] of Object.entries(getHealth().circuits || {})) {
+    updateCircuitState(spoke, circuit.state);
+  }
 }
 
 // ============================================
@@ -650,7 +1025,9 @@ export function getMetricsJson() {
         [...metric.data.entries()].map(([key, data]) => [key, {
           count: data.count,
           sum: data.sum,
-          avg: data.count > 0 ? data.sum / data.count : 0
+          avg: data.count > 0 ? data.sum / data.count : 0,
+          window: data.window.summary(),
+          exemplars: metric._exemplars(data)
         }])
       );
     }
@@ -673,12 +1050,21 @@ export function getRecentTraces(limit = 50) {
 }
 
 /**
- * Get traces by trace ID
- * @param {string} traceId
+ * Get spans by trace ID, including spans persisted to the trace store
+ * @param {string} traceId - W3C trace ID or application trace ID (superchase.trace_id)
  * @returns {Array<Object>}
  */
 export function getTraceById(traceId) {
-  return completedTraces.filter(t => t.traceId === traceId);
+  return findTraceSpans(traceId, completedTraces);
+}
+
+/**
+ * Get a trace as a parent/child span tree with cost and critical path
+ * @param {string} traceId - W3C trace ID or application trace ID (superchase.trace_id)
+ * @returns {Object|null} Tree, or null when no spans are found
+ */
+export function getTraceTree(traceId) {
+  return buildTraceTree(getTraceById(traceId));
 }
 
 /**
@@ -718,7 +1104,17 @@ export function getObservabilityDashboard() {
                        metrics.httpRequestsTotal.get({ method: 'POST', endpoint: '/query', status: '200' }),
         successRate: health.metrics.successRate,
         avgResponseTime: health.metrics.avgResponseTime,
-        p95ResponseTime: health.metrics.p95ResponseTime
+        p95ResponseTime: health.metrics.p95ResponseTime,
+        latency: metrics.httpRequestDuration.summary(),
+        // Slowest first; exemplars link to /api/observability/traces/:traceId
+        endpoints: metrics.httpRequestDuration.summary({ by: ['method', 'endpoint'] })
+          .sort((a, b) => (b.quantiles.p95 ?? -1) - (a.quantiles.p95 ?? -1))
+          .slice(0, 20)
+      },
+      llm: {
+        latency: metrics.llmRequestDuration.summary(),
+        models: metrics.llmRequestDuration.summary({ by: 'model' })
+          .sort((a, b) => (b.quantiles.p95 ?? -1) - (a.quantiles.p95 ?? -1))
       },
       council: {
         totalSessions: metrics.councilSessionsTotal.get({ status: 'success' }) +
@@ -788,11 +1184,8 @@ export async function handleObservabilityRequest(req) {
     case 'alerts':
       return {
         alerts: getRecentAlerts(req.limit || 20),
-        rules: alertRules.map(r => ({
-          name: r.name,
-          severity: r.severity,
-          message: r.message
-        })),
+        active: getActiveAlerts(),
+        rules: getAlertRules(),
         status: 200
       };
 
@@ -830,11 +1223,17 @@ export function stopAlertChecker() {
 
 export default {
   // Metrics
+  Counter,
+  Gauge,
+  Histogram,
   metrics,
   getPrometheusMetrics,
   getMetricsJson,
   recordHttpRequest,
+  recordRateLimit,
   recordCouncilSession,
+  recordLLMRequest,
+  recordLLMCacheLookup,
   recordTaskOperation,
   recordSpokeRequest,
   updateCircuitState,
@@ -845,13 +1244,25 @@ export default {
   // Tracing
   startSpan,
   withTrace,
+  runWithSpan,
+  getActiveSpan,
+  parseTraceparent,
+  formatTraceparent,
+  traceHeaders,
+  tracedFetch,
+  configureTraceExport,
+  flushTraces,
+  getTraceExportStats,
   getRecentTraces,
   getTraceById,
+  getTraceTree,
   getActiveSpans,
 
   // Alerting
   checkAlerts,
   getRecentAlerts,
+  getActiveAlerts,
+  getAlertRules,
   addAlertRule,
   startAlertChecker,
   stopAlertChecker,
@@ -15,6 +15,7 @@
  */
 
 import { createLogger } from './logger.js';
+import { tracedFetch } from './observability.js';
 
 const logger = createLogger({ module: 'opennotebook' });
 
@@ -53,10 +54,10 @@ async function verifyConnection() {
 
   try {
     // OpenNotebook doesn't have /api/health, so check /api/notebooks instead
-    const response = await fetch(`${OPENNOTEBOOK_URL}/api/notebooks`, {
+    const response = await tracedFetch(`${OPENNOTEBOOK_URL}/api/notebooks`, {
       method: 'GET',
       signal: AbortSignal.timeout(5000),
-    });
+    }, 'opennotebook.request');
 
     if (response.ok) {
       connectionVerified = true;
@@ -100,7 +101,7 @@ async function callAPI(endpoint, method = 'GET', body = null) {
       options.body = JSON.stringify(body);
     }
 
-    const response = await fetch(`${OPENNOTEBOOK_URL}${endpoint}`, options);
+    const response = await tracedFetch(`${OPENNOTEBOOK_URL}${endpoint}`, options, 'opennotebook.request');
 
     if (!response.ok) {
       logger.warn('OpenNotebook API error', { endpoint, status: response.status });
@@ -272,8 +273,8 @@ export async function updateWorkflowStatus(notebookId, status, summary = {}) {
         status,
         endedAt: new Date().toISOString(),
       }),
-      // Archive failed or completed workflows
-      archived: status === 'failed' || status === 'completed',
+      // Archive finished workflows
+      archived: ['failed', 'completed', 'rejected'].includes(status),
     });
 
     logger.info('Workflow status updated', { notebookId, status });
@@ -0,0 +1,272 @@
+/**
+ * OTLP Trace Exporter
+ *
+ * Sends completed spans to an OpenTelemetry collector (Jaeger, Tempo, the
+ * OTel Collector) as OTLP/HTTP JSON. Spans are queued and posted in
+ * batches; failed batches are retried with backoff and dropped after the
+ * last attempt so tracing never blocks or breaks a request.
+ *
+ * Configured with the standard OpenTelemetry variables:
+ * - OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: full URL, e.g. http://localhost:4318/v1/traces
+ * - OTEL_EXPORTER_OTLP_ENDPOINT: base URL; /v1/traces is appended
+ * - OTEL_EXPORTER_OTLP_HEADERS: extra headers, e.g. "authorization=Bearer abc"
+ * - OTEL_SERVICE_NAME: service.name resource attribute (default superchase)
+ * - OTEL_BSP_SCHEDULE_DELAY / OTEL_BSP_MAX_EXPORT_BATCH_SIZE / OTEL_BSP_MAX_QUEUE_SIZE
+ *
+ * @module lib/otlp-exporter
+ */
+
+import { createLogger } from './logger.js';
+import { ExternalServiceError, withRetry } from './errors.js';
+
+const logger = createLogger({ module: 'otlp-exporter' });
+
+const DEFAULT_SERVICE_NAME = 'superchase';
+const INSTRUMENTATION_SCOPE = 'superchase.observability';
+
+/** OTLP SpanKind */
+const SPAN_KIND = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5,
+};
+
+/** OTLP StatusCode */
+const STATUS_CODE = {
+  unset: 0,
+  ok: 1,
+  error: 2,
+};
+
+/**
+ * Read exporter options from the environment
+ * @param {object} [env=process.env]
+ * @returns {object|null} Options for createOtlpExporter(), or null when no endpoint is set
+ */
+export function otlpOptionsFromEnv(env = process.env) {
+  const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+    || (env.OTEL_EXPORTER_OTLP_ENDPOINT && `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`);
+  if (!endpoint) {
+    return null;
+  }
+
+  const headers = Object.fromEntries(
+    (env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')
+      .map(pair => pair.split('=').map(part => decodeURIComponent(part.trim())))
+      .filter(([key, value]) => key && value)
+  );
+
+  const number = (value) => (value ? Number(value) : undefined);
+
+  return {
+    endpoint,
+    headers,
+    serviceName: env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME,
+    flushIntervalMs: number(env.OTEL_BSP_SCHEDULE_DELAY),
+    batchSize: number(env.OTEL_BSP_MAX_EXPORT_BATCH_SIZE),
+    maxQueueSize: number(env.OTEL_BSP_MAX_QUEUE_SIZE),
+  };
+}
+
+/**
+ * Convert a JS value to an OTLP AnyValue
+ * @private
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms)) * 1_000_000n).toString();
+}
+
+/**
+ * Convert a completed span (as stored by lib/observability) to OTLP JSON
+ * @param {object} span
+ * @returns {object}
+ */
+export function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: SPAN_KIND[span.kind] || SPAN_KIND.internal,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: (span.events || []).map(event => ({
+      name: event.name,
+      timeUnixNano: toUnixNano(event.timestamp),
+      attributes: toAttributes(event.attributes),
+    })),
+    status: {
+      code: STATUS_CODE[span.status] ?? STATUS_CODE.unset,
+      ...(span.status === 'error' && span.attributes?.statusMessage && { message: span.attributes.statusMessage }),
+    },
+  };
+}
+
+/**
+ * Create a batching OTLP/HTTP JSON exporter
+ *
+ * @param {object} options
+ * @param {string} options.endpoint - Collector traces URL
+ * @param {object} [options.headers] - Extra request headers
+ * @param {string} [options.serviceName='superchase']
+ * @param {number} [options.batchSize=512] - Spans per request
+ * @param {number} [options.flushIntervalMs=5000] - Delay before a partial batch is sent
+ * @param {number} [options.maxQueueSize=2048] - Spans beyond this are dropped
+ * @param {number} [options.maxRetries=3] - Retries for 429, 5xx and network errors
+ * @param {number} [options.retryDelayMs=1000] - Base backoff delay
+ * @returns {object} Exporter
+ */
+export function createOtlpExporter(options) {
+  const {
+    endpoint,
+    headers = {},
+    serviceName = DEFAULT_SERVICE_NAME,
+    batchSize = 512,
+    flushIntervalMs = 5000,
+    maxQueueSize = 2048,
+    maxRetries = 3,
+    retryDelayMs = 1000,
+  } = options;
+
+  const queue = [];
+  const stats = { exported: 0, dropped: 0, failedBatches: 0 };
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  const resource = {
+    attributes: toAttributes({
+      'service.name': serviceName,
+      'process.pid': process.pid,
+      'process.runtime.name': 'nodejs',
+      'process.runtime.version': process.version,
+    }),
+  };
+
+  async function post(spans) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({
+        resourceSpans: [{
+          resource,
+          scopeSpans: [{ scope: { name: INSTRUMENTATION_SCOPE }, spans: spans.map(toOtlpSpan) }],
+        }],
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new ExternalServiceError('OTLP collector', `Export failed: ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+  }
+
+  const postWithRetry = withRetry(post, {
+    maxRetries,
+    baseDelayMs: retryDelayMs,
+    // Client errors other than throttling won't succeed on retry
+    shouldRetry: (error) => !error.statusCode || error.statusCode === 429 || error.statusCode >= 500,
+  });
+
+  async function sendBatch(spans) {
+    try {
+      await postWithRetry(spans);
+      stats.exported += spans.length;
+    } catch (error) {
+      stats.failedBatches++;
+      stats.dropped += spans.length;
+      logger.warn('Dropping span batch after failed export', {
+        endpoint,
+        spans: spans.length,
+        error: error.message,
+      });
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, flushIntervalMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Send everything queued; resolves once all batches settle
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    // Batches go out one at a time, in order
+    while (queue.length > 0) {
+      const batch = queue.splice(0, batchSize);
+      inFlight = inFlight.then(() => sendBatch(batch));
+    }
+    return inFlight;
+  }
+
+  return {
+    endpoint,
+
+    /**
+     * Queue a completed span
+     * @param {object} span
+     */
+    export(span) {
+      if (queue.length >= maxQueueSize) {
+        stats.dropped++;
+        return;
+      }
+
+      queue.push(span);
+      if (queue.length >= batchSize) {
+        flush();
+      } else {
+        schedule();
+      }
+    },
+
+    flush,
+
+    /**
+     * Flush and stop the timer
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+      await flush();
+    },
+
+    stats() {
+      return { endpoint, queued: queue.length, ...stats };
+    },
+  };
+}
+
+export default {
+  createOtlpExporter,
+  otlpOptionsFromEnv,
+  toOtlpSpan,
+};
@@ -78,6 +78,8 @@ export class PrismaTaskProvider extends TaskProvider {
         dueDate: options.dueDate ? new Date(options.dueDate) : null,
         source: options.source || 'manual',
         businessUnitId: options.businessUnitId || null,
+        externalId: options.externalId || null,
+        provider: options.externalProvider || 'internal',
         metadata: options.metadata || {}
       }
     });
@@ -112,6 +114,33 @@ export class PrismaTaskProvider extends TaskProvider {
     return tasks.map(t => this._mapTask(t));
   }
 
+  /**
+   * Tasks linked to an external provider, looked up through the
+   * (provider, externalId) index rather than a capped listing
+   * @param {string} provider - Name stored in Task.provider (asana, jira, linear)
+   * @param {Object} [filters]
+   * @param {string[]} [filters.externalIds] - Only tasks linked to these external IDs
+   * @param {boolean} [filters.completed] - Include completed tasks
+   * @returns {Promise<Task[]>}
+   */
+  async findLinkedTasks(provider, filters = {}) {
+    const where = {
+      provider,
+      externalId: filters.externalIds ? { in: filters.externalIds } : { not: null }
+    };
+
+    if (!filters.completed) {
+      where.status = { not: 'COMPLETED' };
+    }
+
+    const tasks = await this.prisma.task.findMany({
+      where,
+      include: { businessUnit: true }
+    });
+
+    return tasks.map(t => this._mapTask(t));
+  }
+
   async getTask(taskId) {
     const task = await this.prisma.task.findUnique({
       where: { id: taskId },
@@ -136,7 +165,19 @@ export class PrismaTaskProvider extends TaskProvider {
     }
     if (updates.completed !== undefined) {
       data.status = updates.completed ? 'COMPLETED' : 'PENDING';
-      if (updates.completed) data.completedAt = new Date();
+      data.completedAt = updates.completed ? new Date() : null;
+    }
+    if (updates.externalId) {
+      data.externalId = updates.externalId;
+      data.provider = updates.externalProvider;
+    }
+    if (updates.syncState) {
+      // Sync bookkeeping shares the metadata column with comments
+      const current = await this.prisma.task.findUnique({ where: { id: taskId } });
+      if (!current) {
+        throw new NotFoundError('Task', taskId);
+      }
+      data.metadata = { ...(current.metadata || {}), sync: updates.syncState };
     }
 
     const task = await this.prisma.task.update({
@@ -171,7 +212,7 @@ export class PrismaTaskProvider extends TaskProvider {
 
     const metadata = task.metadata || {};
     metadata.comments = metadata.comments || [];
-    const commentId = `comment_${Date.now()}`;
+    const commentId = `comment_${Date.now()}_${metadata.comments.length}`;
     metadata.comments.push({
       id: commentId,
       text,
@@ -186,6 +227,18 @@ export class PrismaTaskProvider extends TaskProvider {
     return { success: true, commentId };
   }
 
+  async getComments(taskId) {
+    const task = await this.prisma.task.findUnique({
+      where: { id: taskId }
+    });
+
+    if (!task) {
+      throw new NotFoundError('Task', taskId);
+    }
+
+    return task.metadata?.comments || [];
+  }
+
   async getProjects() {
     const units = await this.prisma.businessUnit.findMany({
       where: { active: true },
@@ -210,7 +263,7 @@ export class PrismaTaskProvider extends TaskProvider {
       id: task.id,
       name: task.name,
       notes: task.notes,
-      dueOn: task.dueDate?.toISOString().split('T')[0],
+      dueOn: task.dueDate?.toISOString().split('T')[0] || null,
       completed: task.status === 'COMPLETED',
       priority: task.priority?.toLowerCase(),
       project: task.businessUnit?.name,
@@ -219,7 +272,9 @@ export class PrismaTaskProvider extends TaskProvider {
       metadata: {
         provider: 'prisma',
         businessUnitId: task.businessUnitId,
-        source: task.source
+        source: task.source,
+        ...(task.externalId && { externalId: task.externalId, externalProvider: task.provider }),
+        ...(task.metadata?.sync && { sync: task.metadata.sync })
       }
     };
   }
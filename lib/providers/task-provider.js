@@ -8,7 +8,8 @@
  */
 
 import { createLogger } from '../logger.js';
-import { ValidationError, ExternalServiceError } from '../errors.js';
+import { ValidationError, NotFoundError, ExternalServiceError } from '../errors.js';
+import { tracedFetch } from '../observability.js';
 
 const logger = createLogger({ module: 'task-provider' });
 
@@ -35,9 +36,19 @@ const logger = createLogger({ module: 'task-provider' });
  * @property {string} [dueDate] - ISO date string
  * @property {string} [source] - Origin (email, voice, chat)
  * @property {string} [projectId] - Target project/list
+ * @property {string} [businessUnitId] - Business unit (mapped per provider)
+ * @property {string} [externalId] - ID of the linked task in an external provider
+ * @property {string} [externalProvider] - Name of that provider (asana, jira, linear)
  * @property {Object} [metadata] - Additional data
  */
 
+/**
+ * @typedef {Object} TaskComment
+ * @property {string} id - Comment identifier
+ * @property {string} text - Plain text body
+ * @property {string} [createdAt] - ISO timestamp
+ */
+
 /**
  * Abstract Task Provider Interface
  * All task management integrations must implement this interface.
@@ -89,6 +100,7 @@ export class TaskProvider {
    * Get a single task by ID
    * @param {string} taskId
    * @returns {Promise<Task>}
+   * @throws {NotFoundError} When the task does not exist (e.g. deleted in the provider)
    */
   async getTask(taskId) {
     throw new Error('getTask() must be implemented');
@@ -132,6 +144,15 @@ export class TaskProvider {
     throw new Error('addComment() must be implemented');
   }
 
+  /**
+   * Get a task's comments, oldest first
+   * @param {string} taskId
+   * @returns {Promise<TaskComment[]>}
+   */
+  async getComments(taskId) {
+    throw new Error('getComments() must be implemented');
+  }
+
   /**
    * Get available projects/lists
    * @returns {Promise<Array<{id: string, name: string}>>}
@@ -141,6 +162,22 @@ export class TaskProvider {
   }
 }
 
+/**
+ * Turn a provider's "no such task" answer into a NotFoundError
+ *
+ * REST providers answer 404; Linear answers a GraphQL "Entity not found" error.
+ *
+ * @param {Error} error - Error from a provider request
+ * @param {string} taskId
+ * @throws {NotFoundError|Error}
+ */
+function rethrowNotFound(error, taskId) {
+  if (error.details?.status === 404 || /Entity not found/i.test(error.message)) {
+    throw new NotFoundError('Task', taskId);
+  }
+  throw error;
+}
+
 /**
  * Asana Task Provider Implementation
  */
@@ -151,7 +188,16 @@ export class AsanaTaskProvider extends TaskProvider {
     this.token = config.token || process.env.ASANA_ACCESS_TOKEN;
     this.workspaceId = config.workspaceId || process.env.ASANA_WORKSPACE_ID;
     this.defaultProjectId = config.projectId || process.env.ASANA_PROJECT_ID;
-    this.baseUrl = 'https://app.asana.com/api/1.0';
+    this.baseUrl = config.baseUrl || 'https://app.asana.com/api/1.0';
+  }
+
+  /**
+   * Strip the provenance footer createTask appends, leaving the user's notes
+   * @param {string} notes - Asana task notes
+   * @returns {string}
+   */
+  static stripFooter(notes) {
+    return (notes || '').replace(/(?:^|\n\n)---\nSource: [^\n]*\nCreated: [^\n]*(?:\n[\s\S]*)?$/, '');
   }
 
   isConfigured() {
@@ -160,18 +206,18 @@ export class AsanaTaskProvider extends TaskProvider {
 
   async _request(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
       ...options,
       headers: {
         'Authorization': `Bearer ${this.token}`,
         'Content-Type': 'application/json',
         ...options.headers
       }
-    });
+    }, 'asana.request');
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new ExternalServiceError('Asana', error.errors?.[0]?.message || `HTTP ${response.status}`);
+      throw new ExternalServiceError('Asana', error.errors?.[0]?.message || `HTTP ${response.status}`, { status: response.status });
     }
 
     return response.json();
@@ -240,7 +286,8 @@ export class AsanaTaskProvider extends TaskProvider {
   }
 
   async getTask(taskId) {
-    const data = await this._request(`/tasks/${taskId}?opt_fields=name,notes,due_on,completed,created_at,modified_at`);
+    const data = await this._request(`/tasks/${taskId}?opt_fields=name,notes,due_on,completed,created_at,modified_at`)
+      .catch(error => rethrowNotFound(error, taskId));
     return this._mapTask(data.data);
   }
 
@@ -248,7 +295,7 @@ export class AsanaTaskProvider extends TaskProvider {
     const payload = { data: {} };
 
     if (updates.name) payload.data.name = updates.name;
-    if (updates.notes) payload.data.notes = updates.notes;
+    if (updates.notes !== undefined) payload.data.notes = updates.notes || '';
     if (updates.dueOn) payload.data.due_on = updates.dueOn;
     if (updates.completed !== undefined) payload.data.completed = updates.completed;
 
@@ -278,6 +325,13 @@ export class AsanaTaskProvider extends TaskProvider {
     return { success: true, commentId: data.data.gid };
   }
 
+  async getComments(taskId) {
+    const data = await this._request(`/tasks/${taskId}/stories?opt_fields=type,text,created_at`);
+    return data.data
+      .filter(story => story.type === 'comment')
+      .map(story => ({ id: story.gid, text: story.text, createdAt: story.created_at }));
+  }
+
   async getProjects() {
     const data = await this._request(`/workspaces/${this.workspaceId}/projects?opt_fields=name`);
     return data.data.map(p => ({ id: p.gid, name: p.name }));
@@ -316,6 +370,594 @@ export class AsanaTaskProvider extends TaskProvider {
   }
 }
 
+/**
+ * Parse "key=value,key=value" environment maps (e.g. LINEAR_TEAM_MAP)
+ * @param {string} [raw]
+ * @returns {Object<string, string>}
+ */
+function parseKeyValueList(raw) {
+  if (!raw) return {};
+
+  return Object.fromEntries(
+    raw.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([key, value]) => key && value)
+  );
+}
+
+/**
+ * Normalize a due date to YYYY-MM-DD (or null)
+ */
+function toDateOnly(value) {
+  return value ? new Date(value).toISOString().split('T')[0] : null;
+}
+
+/**
+ * Jira priority names by SuperChase priority
+ */
+const JIRA_PRIORITIES = {
+  urgent: 'Highest',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+// Business units travel as Jira labels: "bu-s2p"
+const JIRA_BUSINESS_UNIT_LABEL = 'bu-';
+
+// Issue fields requested for every read
+const JIRA_FIELDS = 'summary,description,duedate,priority,status,labels,project,created,updated';
+
+// Jira project keys: uppercase letter, then uppercase letters, digits or underscores
+const JIRA_PROJECT_KEY = /^[A-Z][A-Z0-9_]+$/;
+
+/**
+ * Quote a value as a JQL string literal
+ * @param {string} value
+ * @returns {string}
+ */
+function jqlString(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Jira Cloud Task Provider Implementation
+ *
+ * Uses REST API v3 with basic auth (account email + API token).
+ * Tasks are issues in a project; completion runs the workflow transition
+ * into the "done" status category.
+ */
+export class JiraTaskProvider extends TaskProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Jira';
+    this.baseUrl = (config.baseUrl || process.env.JIRA_BASE_URL || '').replace(/\/$/, '');
+    this.email = config.email || process.env.JIRA_EMAIL;
+    this.token = config.token || process.env.JIRA_API_TOKEN;
+    this.defaultProjectKey = config.projectKey || process.env.JIRA_PROJECT_KEY;
+    this.issueType = config.issueType || process.env.JIRA_ISSUE_TYPE || 'Task';
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.email && this.token && this.defaultProjectKey);
+  }
+
+  async _request(endpoint, options = {}) {
+    const url = `${this.baseUrl}/rest/api/3${endpoint}`;
+    const auth = Buffer.from(`${this.email}:${this.token}`).toString('base64');
+    const response = await tracedFetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Basic ${auth}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    }, 'jira.request');
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = error.errorMessages?.[0]
+        || Object.values(error.errors || {})[0]
+        || `HTTP ${response.status}`;
+      throw new ExternalServiceError('Jira', message, { status: response.status });
+    }
+
+    // Updates, transitions and deletes return 204 No Content
+    if (response.status === 204) {
+      return null;
+    }
+
+    return response.json();
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) {
+      return { connected: false, message: 'Jira credentials not configured' };
+    }
+
+    try {
+      const data = await this._request('/myself');
+      return {
+        connected: true,
+        message: `Connected as ${data.displayName}`,
+        user: data.displayName
+      };
+    } catch (error) {
+      return { connected: false, message: error.message };
+    }
+  }
+
+  async createTask(options) {
+    if (!options.name) {
+      throw new ValidationError('Task name is required');
+    }
+
+    const fields = {
+      project: { key: options.projectId || this.defaultProjectKey },
+      issuetype: { name: this.issueType },
+      summary: options.name,
+      labels: this._buildLabels(options),
+      ...this._buildFields(options)
+    };
+
+    const data = await this._request('/issue', {
+      method: 'POST',
+      body: JSON.stringify({ fields })
+    });
+
+    logger.info('Task created', { provider: 'Jira', taskId: data.key, name: options.name });
+
+    return this.getTask(data.key);
+  }
+
+  async getTasks(filters = {}) {
+    const projectKey = filters.projectId || this.defaultProjectKey;
+    if (!JIRA_PROJECT_KEY.test(projectKey || '')) {
+      throw new ValidationError(`Invalid Jira project key: ${projectKey}`, { projectId: projectKey });
+    }
+
+    const clauses = [`project = ${jqlString(projectKey)}`];
+
+    if (!filters.completed) {
+      clauses.push('statusCategory != Done');
+    }
+    if (filters.businessUnitId) {
+      clauses.push(`labels = ${jqlString(JIRA_BUSINESS_UNIT_LABEL + filters.businessUnitId)}`);
+    }
+
+    const params = new URLSearchParams({
+      jql: `${clauses.join(' AND ')} ORDER BY updated DESC`,
+      fields: JIRA_FIELDS,
+      maxResults: String(filters.limit || 50)
+    });
+
+    const data = await this._request(`/search/jql?${params}`);
+    return (data.issues || []).map(issue => this._mapTask(issue));
+  }
+
+  async getTask(taskId) {
+    const data = await this._request(`/issue/${taskId}?fields=${JIRA_FIELDS}`)
+      .catch(error => rethrowNotFound(error, taskId));
+    return this._mapTask(data);
+  }
+
+  async updateTask(taskId, updates) {
+    const fields = this._buildFields(updates);
+    if (updates.name) fields.summary = updates.name;
+
+    if (Object.keys(fields).length > 0) {
+      await this._request(`/issue/${taskId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ fields })
+      });
+    }
+
+    if (updates.completed !== undefined) {
+      await this._transition(taskId, updates.completed ? 'done' : 'new');
+    }
+
+    return this.getTask(taskId);
+  }
+
+  async completeTask(taskId) {
+    return this.updateTask(taskId, { completed: true });
+  }
+
+  async deleteTask(taskId) {
+    await this._request(`/issue/${taskId}`, { method: 'DELETE' });
+    return { success: true };
+  }
+
+  async addComment(taskId, text) {
+    const data = await this._request(`/issue/${taskId}/comment`, {
+      method: 'POST',
+      body: JSON.stringify({ body: JiraTaskProvider.toADF(text) })
+    });
+
+    return { success: true, commentId: data.id };
+  }
+
+  async getComments(taskId) {
+    const data = await this._request(`/issue/${taskId}/comment?orderBy=created&maxResults=100`);
+    return (data.comments || []).map(c => ({
+      id: c.id,
+      text: JiraTaskProvider.fromADF(c.body),
+      createdAt: c.created
+    }));
+  }
+
+  async getProjects() {
+    const data = await this._request('/project/search?maxResults=100');
+    return (data.values || []).map(p => ({ id: p.key, name: p.name }));
+  }
+
+  /**
+   * Move an issue into the first status of a status category
+   * @param {string} taskId
+   * @param {'done'|'new'|'indeterminate'} category
+   */
+  async _transition(taskId, category) {
+    const data = await this._request(`/issue/${taskId}/transitions`);
+    const transition = (data.transitions || []).find(t => t.to?.statusCategory?.key === category);
+
+    if (!transition) {
+      throw new ExternalServiceError('Jira', `No transition to a '${category}' status for ${taskId}`);
+    }
+
+    await this._request(`/issue/${taskId}/transitions`, {
+      method: 'POST',
+      body: JSON.stringify({ transition: { id: transition.id } })
+    });
+  }
+
+  /**
+   * Map shared task fields (notes, priority, due date) to Jira fields
+   */
+  _buildFields(options) {
+    const fields = {};
+    if (options.notes !== undefined) fields.description = JiraTaskProvider.toADF(options.notes);
+    if (options.priority) fields.priority = { name: JIRA_PRIORITIES[options.priority] || 'Medium' };
+    if (options.dueDate || options.dueOn) fields.duedate = toDateOnly(options.dueDate || options.dueOn);
+    return fields;
+  }
+
+  _buildLabels(options) {
+    const labels = ['superchase'];
+    if (options.source) labels.push(`source-${options.source}`);
+    if (options.businessUnitId) labels.push(`${JIRA_BUSINESS_UNIT_LABEL}${options.businessUnitId}`);
+    return labels;
+  }
+
+  _mapPriority(jiraPriority) {
+    switch (jiraPriority) {
+      case 'Highest': return 'urgent';
+      case 'High': return 'high';
+      case 'Low':
+      case 'Lowest': return 'low';
+      default: return 'medium';
+    }
+  }
+
+  _mapTask(issue) {
+    const fields = issue.fields || {};
+    const businessUnitLabel = (fields.labels || []).find(l => l.startsWith(JIRA_BUSINESS_UNIT_LABEL));
+
+    return {
+      id: issue.key,
+      name: fields.summary,
+      notes: JiraTaskProvider.fromADF(fields.description),
+      dueOn: fields.duedate || null,
+      completed: fields.status?.statusCategory?.key === 'done',
+      priority: this._mapPriority(fields.priority?.name),
+      project: fields.project?.name,
+      createdAt: fields.created,
+      modifiedAt: fields.updated,
+      url: `${this.baseUrl}/browse/${issue.key}`,
+      metadata: {
+        provider: 'jira',
+        issueId: issue.id,
+        key: issue.key,
+        status: fields.status?.name,
+        businessUnitId: businessUnitLabel?.slice(JIRA_BUSINESS_UNIT_LABEL.length) || null
+      }
+    };
+  }
+
+  /**
+   * Plain text to Atlassian Document Format (one paragraph per line)
+   * @param {string} text
+   * @returns {Object}
+   */
+  static toADF(text) {
+    const lines = String(text || '').split('\n');
+    return {
+      type: 'doc',
+      version: 1,
+      content: lines.map(line => ({
+        type: 'paragraph',
+        content: line ? [{ type: 'text', text: line }] : []
+      }))
+    };
+  }
+
+  /**
+   * Atlassian Document Format to plain text
+   * @param {Object|string|null} doc
+   * @returns {string}
+   */
+  static fromADF(doc) {
+    if (!doc) return '';
+    if (typeof doc === 'string') return doc;
+
+    const walk = (node) => node.type === 'text'
+      ? node.text
+      : (node.content || []).map(walk).join('');
+
+    return (doc.content || []).map(walk).join('\n');
+  }
+}
+
+/**
+ * Linear priority values by SuperChase priority (0 = no priority)
+ */
+const LINEAR_PRIORITIES = {
+  urgent: 1,
+  high: 2,
+  medium: 3,
+  low: 4
+};
+
+const LINEAR_ISSUE_FIELDS = `
+  id
+  identifier
+  title
+  description
+  priority
+  dueDate
+  url
+  createdAt
+  updatedAt
+  completedAt
+  state { id name type }
+  team { id name }
+`;
+
+/**
+ * Linear Task Provider Implementation
+ *
+ * Uses the GraphQL API with a personal API key. Tasks are issues in a team;
+ * business units map to teams via LINEAR_TEAM_MAP ("s2p=<teamId>,...").
+ */
+export class LinearTaskProvider extends TaskProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Linear';
+    this.apiKey = config.apiKey || process.env.LINEAR_API_KEY;
+    this.defaultTeamId = config.teamId || process.env.LINEAR_TEAM_ID;
+    this.teamMap = config.teamMap || parseKeyValueList(process.env.LINEAR_TEAM_MAP);
+    this.baseUrl = config.baseUrl || process.env.LINEAR_API_URL || 'https://api.linear.app/graphql';
+    this._stateCache = new Map();
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.defaultTeamId);
+  }
+
+  async _query(query, variables = {}) {
+    const response = await tracedFetch(this.baseUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query, variables })
+    }, 'linear.graphql');
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.errors?.length) {
+      throw new ExternalServiceError(
+        'Linear',
+        body.errors?.[0]?.message || `HTTP ${response.status}`,
+        { status: response.status }
+      );
+    }
+
+    return body.data;
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) {
+      return { connected: false, message: 'Linear credentials not configured' };
+    }
+
+    try {
+      const data = await this._query('query { viewer { name } }');
+      return {
+        connected: true,
+        message: `Connected as ${data.viewer.name}`,
+        user: data.viewer.name
+      };
+    } catch (error) {
+      return { connected: false, message: error.message };
+    }
+  }
+
+  async createTask(options) {
+    if (!options.name) {
+      throw new ValidationError('Task name is required');
+    }
+
+    const input = {
+      teamId: options.projectId || this.teamMap[options.businessUnitId] || this.defaultTeamId,
+      title: options.name,
+      ...this._buildInput(options)
+    };
+
+    const data = await this._query(
+      `mutation CreateIssue($input: IssueCreateInput!) {
+        issueCreate(input: $input) { success issue { ${LINEAR_ISSUE_FIELDS} } }
+      }`,
+      { input }
+    );
+
+    const issue = data.issueCreate.issue;
+    logger.info('Task created', { provider: 'Linear', taskId: issue.identifier, name: options.name });
+
+    return this._mapTask(issue);
+  }
+
+  async getTasks(filters = {}) {
+    const teamId = filters.projectId || this.teamMap[filters.businessUnitId] || this.defaultTeamId;
+    const filter = { team: { id: { eq: teamId } } };
+
+    if (!filters.completed) {
+      filter.state = { type: { nin: ['completed', 'canceled'] } };
+    }
+
+    const data = await this._query(
+      `query Issues($filter: IssueFilter, $first: Int) {
+        issues(filter: $filter, first: $first, orderBy: updatedAt) { nodes { ${LINEAR_ISSUE_FIELDS} } }
+      }`,
+      { filter, first: filters.limit || 50 }
+    );
+
+    return data.issues.nodes.map(issue => this._mapTask(issue));
+  }
+
+  async getTask(taskId) {
+    const data = await this._query(
+      `query Issue($id: String!) { issue(id: $id) { ${LINEAR_ISSUE_FIELDS} } }`,
+      { id: taskId }
+    ).catch(error => rethrowNotFound(error, taskId));
+    if (!data.issue) {
+      throw new NotFoundError('Task', taskId);
+    }
+    return this._mapTask(data.issue);
+  }
+
+  async updateTask(taskId, updates) {
+    const input = this._buildInput(updates);
+    if (updates.name) input.title = updates.name;
+
+    if (updates.completed !== undefined) {
+      const issue = await this.getTask(taskId);
+      input.stateId = await this._stateId(issue.metadata.teamId, updates.completed ? 'completed' : 'unstarted');
+    }
+
+    const data = await this._query(
+      `mutation UpdateIssue($id: String!, $input: IssueUpdateInput!) {
+        issueUpdate(id: $id, input: $input) { success issue { ${LINEAR_ISSUE_FIELDS} } }
+      }`,
+      { id: taskId, input }
+    );
+
+    return this._mapTask(data.issueUpdate.issue);
+  }
+
+  async completeTask(taskId) {
+    return this.updateTask(taskId, { completed: true });
+  }
+
+  async deleteTask(taskId) {
+    const data = await this._query(
+      'mutation DeleteIssue($id: String!) { issueDelete(id: $id) { success } }',
+      { id: taskId }
+    );
+    return { success: data.issueDelete.success };
+  }
+
+  async addComment(taskId, text) {
+    const data = await this._query(
+      `mutation AddComment($input: CommentCreateInput!) {
+        commentCreate(input: $input) { success comment { id } }
+      }`,
+      { input: { issueId: taskId, body: text } }
+    );
+
+    return { success: data.commentCreate.success, commentId: data.commentCreate.comment.id };
+  }
+
+  async getComments(taskId) {
+    const data = await this._query(
+      'query Comments($id: String!) { issue(id: $id) { comments { nodes { id body createdAt } } } }',
+      { id: taskId }
+    );
+    return data.issue.comments.nodes
+      .map(c => ({ id: c.id, text: c.body, createdAt: c.createdAt }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getProjects() {
+    const data = await this._query('query { teams { nodes { id name } } }');
+    return data.teams.nodes.map(t => ({ id: t.id, name: t.name }));
+  }
+
+  /**
+   * Find a team's first workflow state of a type (cached per team)
+   * @param {string} teamId
+   * @param {'completed'|'unstarted'|'started'|'backlog'} type
+   */
+  async _stateId(teamId, type) {
+    if (!this._stateCache.has(teamId)) {
+      const data = await this._query(
+        'query States($id: String!) { team(id: $id) { states { nodes { id name type position } } } }',
+        { id: teamId }
+      );
+      const states = [...data.team.states.nodes].sort((a, b) => a.position - b.position);
+      this._stateCache.set(teamId, states);
+    }
+
+    const state = this._stateCache.get(teamId).find(s => s.type === type);
+    if (!state) {
+      throw new ExternalServiceError('Linear', `No '${type}' workflow state in team ${teamId}`);
+    }
+    return state.id;
+  }
+
+  /**
+   * Map shared task fields (notes, priority, due date) to Linear input
+   */
+  _buildInput(options) {
+    const input = {};
+    if (options.notes !== undefined) input.description = options.notes;
+    if (options.priority) input.priority = LINEAR_PRIORITIES[options.priority] ?? LINEAR_PRIORITIES.medium;
+    if (options.dueDate || options.dueOn) input.dueDate = toDateOnly(options.dueDate || options.dueOn);
+    return input;
+  }
+
+  _mapPriority(linearPriority) {
+    const entry = Object.entries(LINEAR_PRIORITIES).find(([, value]) => value === linearPriority);
+    return entry ? entry[0] : 'medium';
+  }
+
+  _mapTask(issue) {
+    const businessUnitId = Object.keys(this.teamMap)
+      .find(unit => this.teamMap[unit] === issue.team?.id) || null;
+
+    return {
+      id: issue.id,
+      name: issue.title,
+      notes: issue.description || '',
+      dueOn: issue.dueDate || null,
+      completed: issue.state?.type === 'completed',
+      priority: this._mapPriority(issue.priority),
+      project: issue.team?.name,
+      createdAt: issue.createdAt,
+      modifiedAt: issue.updatedAt,
+      url: issue.url,
+      metadata: {
+        provider: 'linear',
+        identifier: issue.identifier,
+        teamId: issue.team?.id,
+        status: issue.state?.name,
+        businessUnitId
+      }
+    };
+  }
+}
+
 /**
  * In-Memory Task Provider (for testing/fallback)
  */
@@ -347,7 +989,11 @@ export class InMemoryTaskProvider extends TaskProvider {
       priority: options.priority || 'medium',
       createdAt: now,
       modifiedAt: now,
-      metadata: { ...options.metadata, source: options.source }
+      metadata: {
+        ...options.metadata,
+        source: options.source,
+        ...(options.externalId && { externalId: options.externalId, externalProvider: options.externalProvider })
+      }
     };
     this.tasks.set(id, task);
     return task;
@@ -366,13 +1012,36 @@ export class InMemoryTaskProvider extends TaskProvider {
 
   async getTask(taskId) {
     const task = this.tasks.get(taskId);
-    if (!task) throw new Error(`Task not found: ${taskId}`);
+    if (!task) throw new NotFoundError('Task', taskId);
     return task;
   }
 
+  /**
+   * Tasks linked to an external provider (see PrismaTaskProvider#findLinkedTasks)
+   * @param {string} provider
+   * @param {Object} [filters]
+   * @param {string[]} [filters.externalIds]
+   * @param {boolean} [filters.completed]
+   * @returns {Promise<Task[]>}
+   */
+  async findLinkedTasks(provider, filters = {}) {
+    return Array.from(this.tasks.values()).filter(t =>
+      t.metadata?.externalId &&
+      t.metadata.externalProvider === provider &&
+      (!filters.externalIds || filters.externalIds.includes(t.metadata.externalId)) &&
+      (filters.completed || !t.completed)
+    );
+  }
+
   async updateTask(taskId, updates) {
     const task = await this.getTask(taskId);
-    Object.assign(task, updates, { modifiedAt: new Date().toISOString() });
+    const { externalId, externalProvider, syncState, ...fields } = updates;
+
+    // Link and sync bookkeeping live in metadata, like the Prisma provider
+    if (externalId) task.metadata = { ...task.metadata, externalId, externalProvider };
+    if (syncState) task.metadata = { ...task.metadata, sync: syncState };
+
+    Object.assign(task, fields, { modifiedAt: new Date().toISOString() });
     return task;
   }
 
@@ -388,16 +1057,33 @@ export class InMemoryTaskProvider extends TaskProvider {
   async addComment(taskId, text) {
     const task = await this.getTask(taskId);
     if (!task.comments) task.comments = [];
-    const commentId = `comment_${Date.now()}`;
+    const commentId = `comment_${Date.now()}_${task.comments.length}`;
     task.comments.push({ id: commentId, text, createdAt: new Date().toISOString() });
     return { success: true, commentId };
   }
 
+  async getComments(taskId) {
+    const task = await this.getTask(taskId);
+    return [...(task.comments || [])];
+  }
+
   async getProjects() {
     return [{ id: 'default', name: 'Default Project' }];
   }
 }
 
+/**
+ * External task provider configured in the environment
+ * (priority: asana > jira > linear)
+ * @returns {'asana'|'jira'|'linear'|null}
+ */
+export function detectExternalTaskProvider() {
+  if (process.env.ASANA_ACCESS_TOKEN) return 'asana';
+  if (process.env.JIRA_API_TOKEN) return 'jira';
+  if (process.env.LINEAR_API_KEY) return 'linear';
+  return null;
+}
+
 /**
  * Task Provider Factory
  * Returns the appropriate provider based on configuration.
@@ -406,11 +1092,10 @@ export class InMemoryTaskProvider extends TaskProvider {
  */
 export function createTaskProvider(type = 'auto', config = {}) {
   if (type === 'auto') {
-    // Auto-detect based on environment (priority: asana > memory)
+    // Auto-detect based on environment (priority: asana > jira > linear > memory)
     // Note: For Prisma, use createTaskProviderAsync()
-    if (process.env.ASANA_ACCESS_TOKEN) {
-      type = 'asana';
-    } else {
+    type = detectExternalTaskProvider();
+    if (!type) {
       type = 'memory';
       logger.warn('No task provider configured, using in-memory fallback');
     }
@@ -419,6 +1104,10 @@ export function createTaskProvider(type = 'auto', config = {}) {
   switch (type.toLowerCase()) {
     case 'asana':
       return new AsanaTaskProvider(config);
+    case 'jira':
+      return new JiraTaskProvider(config);
+    case 'linear':
+      return new LinearTaskProvider(config);
     case 'memory':
     case 'inmemory':
       return new InMemoryTaskProvider(config);
@@ -429,18 +1118,15 @@ export function createTaskProvider(type = 'auto', config = {}) {
 
 /**
  * Async Task Provider Factory (supports Prisma)
- * @param {string} type - Provider type: auto, prisma, asana, memory
+ * @param {string} type - Provider type: auto, prisma, asana, jira, linear, memory
  * @param {Object} config - Provider configuration
  * @returns {Promise<TaskProvider>}
  */
 export async function createTaskProviderAsync(type = 'auto', config = {}) {
   if (type === 'auto') {
-    // Auto-detect based on environment (priority: prisma > asana > memory)
-    if (process.env.DATABASE_URL) {
-      type = 'prisma';
-    } else if (process.env.ASANA_ACCESS_TOKEN) {
-      type = 'asana';
-    } else {
+    // Auto-detect based on environment (priority: prisma > asana > jira > linear > memory)
+    type = process.env.DATABASE_URL ? 'prisma' : detectExternalTaskProvider();
+    if (!type) {
       type = 'memory';
       logger.warn('No task provider configured, using in-memory fallback');
     }
@@ -454,6 +1140,10 @@ export async function createTaskProviderAsync(type = 'auto', config = {}) {
       return new PrismaTaskProvider(config);
     case 'asana':
       return new AsanaTaskProvider(config);
+    case 'jira':
+      return new JiraTaskProvider(config);
+    case 'linear':
+      return new LinearTaskProvider(config);
     case 'memory':
     case 'inmemory':
       return new InMemoryTaskProvider(config);
@@ -487,7 +1177,10 @@ export function setTaskProvider(provider) {
 export default {
   TaskProvider,
   AsanaTaskProvider,
+  JiraTaskProvider,
+  LinearTaskProvider,
   InMemoryTaskProvider,
+  detectExternalTaskProvider,
   createTaskProvider,
   createTaskProviderAsync,
   getTaskProvider,
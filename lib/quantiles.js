@@ -0,0 +1,257 @@
+/**
+ * Quantile Estimation
+ *
+ * A merging t-digest for streaming quantiles in bounded memory, and a
+ * sliding window of digests so p50/p95/p99 describe recent traffic rather
+ * than the whole process lifetime. Digests merge, so quantiles across
+ * several label sets (e.g. every endpoint) stay accurate.
+ *
+ * @module lib/quantiles
+ */
+
+const DEFAULT_COMPRESSION = 100;
+const DEFAULT_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_AGE_BUCKETS = 5;
+
+/** Quantiles reported unless a caller asks for others */
+export const DEFAULT_QUANTILES = [0.5, 0.95, 0.99];
+
+/**
+ * Merging t-digest (Dunning & Ertl) with the k1 scale function: centroids
+ * stay small near the tails, where high quantiles need precision
+ */
+export class TDigest {
+  /**
+   * @param {number} [compression=100] - Higher is more accurate and larger
+   */
+  constructor(compression = DEFAULT_COMPRESSION) {
+    this.compression = compression;
+    this.centroids = [];
+    this.buffer = [];
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /**
+   * Add a value
+   * @param {number} value
+   * @param {number} [weight=1]
+   */
+  add(value, weight = 1) {
+    if (!Number.isFinite(value)) return;
+
+    this.buffer.push({ mean: value, count: weight });
+    this.count += weight;
+    this.sum += value * weight;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+
+    if (this.buffer.length >= this.compression * 5) {
+      this._compress();
+    }
+  }
+
+  /**
+   * Fold another digest into this one
+   * @param {TDigest} other
+   * @returns {TDigest} this
+   */
+  merge(other) {
+    other._compress();
+    if (other.count === 0) return this;
+
+    this.buffer.push(...other.centroids.map(c => ({ ...c })));
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this._compress();
+    return this;
+  }
+
+  _k(q) {
+    return (this.compression / (2 * Math.PI)) * Math.asin(2 * q - 1);
+  }
+
+  _compress() {
+    if (this.buffer.length === 0) return;
+
+    const all = [...this.centroids, ...this.buffer].sort((a, b) => a.mean - b.mean);
+    this.buffer = [];
+
+    const merged = [];
+    let current = { ...all[0] };
+    let before = 0;
+
+    for (const next of all.slice(1)) {
+      const q0 = before / this.count;
+      const q2 = (before + current.count + next.count) / this.count;
+
+      if (this._k(q2) - this._k(q0) <= 1) {
+        const count = current.count + next.count;
+        current.mean += (next.mean - current.mean) * (next.count / count);
+        current.count = count;
+      } else {
+        merged.push(current);
+        before += current.count;
+        current = { ...next };
+      }
+    }
+    merged.push(current);
+
+    this.centroids = merged;
+  }
+
+  /**
+   * Estimate a quantile
+   * @param {number} q - 0..1
+   * @returns {number|null} null when empty
+   */
+  quantile(q) {
+    this._compress();
+    if (this.count === 0) return null;
+    if (q <= 0) return this.min;
+    if (q >= 1) return this.max;
+
+    // Interpolate between centroid centres, anchored at min and max
+    const target = q * this.count;
+    let cumulative = 0;
+    let previousCentre = 0;
+    let previousMean = this.min;
+
+    for (const centroid of this.centroids) {
+      const centre = cumulative + centroid.count / 2;
+      if (target < centre) {
+        const fraction = centre > previousCentre ? (target - previousCentre) / (centre - previousCentre) : 0;
+        return previousMean + fraction * (centroid.mean - previousMean);
+      }
+      cumulative += centroid.count;
+      previousCentre = centre;
+      previousMean = centroid.mean;
+    }
+
+    const fraction = this.count > previousCentre ? (target - previousCentre) / (this.count - previousCentre) : 1;
+    return previousMean + fraction * (this.max - previousMean);
+  }
+}
+
+/**
+ * Quantiles over a sliding time window
+ *
+ * The window is split into age buckets, each with its own digest; a bucket
+ * is dropped once it is older than the window, so old observations age
+ * out in steps of windowMs / ageBuckets.
+ */
+export class SlidingQuantiles {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs=600000]
+   * @param {number} [options.ageBuckets=5]
+   * @param {number} [options.compression=100]
+   * @param {function(): number} [options.now=Date.now]
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+    this.ageBuckets = options.ageBuckets || DEFAULT_AGE_BUCKETS;
+    this.compression = options.compression || DEFAULT_COMPRESSION;
+    this.now = options.now || Date.now;
+    this.slotMs = this.windowMs / this.ageBuckets;
+
+    /** @type {Array<{slot: number, digest: TDigest}>} */
+    this.slots = [];
+  }
+
+  _expire(slot) {
+    while (this.slots.length > 0 && this.slots[0].slot <= slot - this.ageBuckets) {
+      this.slots.shift();
+    }
+  }
+
+  /**
+   * Add a value at the current time
+   * @param {number} value
+   */
+  add(value) {
+    const slot = Math.floor(this.now() / this.slotMs);
+    this._expire(slot);
+
+    let current = this.slots.at(-1);
+    if (!current || current.slot !== slot) {
+      current = { slot, digest: new TDigest(this.compression) };
+      this.slots.push(current);
+    }
+    current.digest.add(value);
+  }
+
+  /**
+   * Digest of every value still in the window
+   * @returns {TDigest}
+   */
+  snapshot() {
+    this._expire(Math.floor(this.now() / this.slotMs));
+    const merged = new TDigest(this.compression);
+    for (const { digest } of this.slots) {
+      merged.merge(digest);
+    }
+    return merged;
+  }
+
+  /**
+   * @param {number[]} [qs]
+   * @returns {{count: number, mean: number|null, quantiles: Object<string, number|null>}}
+   */
+  summary(qs = DEFAULT_QUANTILES) {
+    return summarize(this.snapshot(), qs);
+  }
+}
+
+/**
+ * Merge several windows into one digest (e.g. all endpoints of a histogram)
+ * @param {SlidingQuantiles[]} windows
+ * @returns {TDigest}
+ */
+export function mergeWindows(windows) {
+  const merged = new TDigest(windows[0]?.compression);
+  for (const window of windows) {
+    merged.merge(window.snapshot());
+  }
+  return merged;
+}
+
+/**
+ * Count, mean and quantiles of a digest, keyed p50, p95, p99, ...
+ * @param {TDigest} digest
+ * @param {number[]} [qs]
+ * @returns {{count: number, mean: number|null, quantiles: Object<string, number|null>}}
+ */
+export function summarize(digest, qs = DEFAULT_QUANTILES) {
+  return {
+    count: digest.count,
+    mean: digest.count > 0 ? round(digest.sum / digest.count) : null,
+    quantiles: Object.fromEntries(qs.map(q => [quantileLabel(q), round(digest.quantile(q))])),
+  };
+}
+
+/**
+ * "p95" for 0.95, "p99.9" for 0.999
+ * @param {number} q
+ * @returns {string}
+ */
+export function quantileLabel(q) {
+  return `p${Math.round(q * 1000) / 10}`;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+export default {
+  TDigest,
+  SlidingQuantiles,
+  mergeWindows,
+  summarize,
+  quantileLabel,
+  DEFAULT_QUANTILES,
+};
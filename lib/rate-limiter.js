@@ -0,0 +1,149 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets for the HTTP pipeline, one per API key and route class.
+ * A bucket holds up to `burst` tokens and refills continuously at
+ * `perMinute`; every request takes one token, and a request that finds
+ * the bucket empty is refused with a RateLimitError whose retryAfter is
+ * the wait for the next token. Limits come from the key's role
+ * (ROLES[role].rateLimits in lib/auth), and route classes from
+ * EXPENSIVE_ROUTES, so council and orchestration runs have their own,
+ * much smaller budget than reads.
+ *
+ * Buckets live in process memory; with several instances each enforces
+ * its own limit.
+ *
+ * Environment:
+ * - RATE_LIMITING: set to "off" to disable
+ *
+ * @module lib/rate-limiter
+ */
+
+import { RateLimitError } from './errors.js';
+import { getRouteClass, getRateLimit } from './auth.js';
+import { recordRateLimit } from './observability.js';
+
+const DEFAULT_MAX_BUCKETS = 10000;
+
+/**
+ * Whether requests are rate limited
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return process.env.RATE_LIMITING !== 'off';
+}
+
+/**
+ * Create a set of token buckets
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxBuckets=10000] - Least recently used buckets beyond this are dropped
+ * @param {function(): number} [options.now=Date.now]
+ * @returns {Object} Limiter
+ */
+export function createRateLimiter(options = {}) {
+  const { maxBuckets = DEFAULT_MAX_BUCKETS, now = Date.now } = options;
+
+  /** @type {Map<string, {tokens: number, updatedAt: number}>} in least recently used order */
+  const buckets = new Map();
+
+  return {
+    /**
+     * Take tokens from a bucket
+     * @param {string} key - Bucket, e.g. "key_ab12:expensive"
+     * @param {{burst: number, perMinute: number}} limit
+     * @param {number} [cost=1]
+     * @returns {{allowed: boolean, limit: number, remaining: number, retryAfter: number}}
+     *   retryAfter in whole seconds, 0 when allowed
+     */
+    take(key, limit, cost = 1) {
+      const time = now();
+      const perMs = limit.perMinute / 60000;
+
+      let bucket = buckets.get(key);
+      if (bucket) {
+        buckets.delete(key);
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (time - bucket.updatedAt) * perMs);
+      } else {
+        bucket = { tokens: limit.burst };
+        if (buckets.size >= maxBuckets) {
+          buckets.delete(buckets.keys().next().value);
+        }
+      }
+      bucket.updatedAt = time;
+      buckets.set(key, bucket);
+
+      const allowed = bucket.tokens >= cost;
+      if (allowed) {
+        bucket.tokens -= cost;
+      }
+
+      return {
+        allowed,
+        limit: limit.burst,
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((cost - bucket.tokens) / perMs / 1000))
+      };
+    },
+
+    /**
+     * Forget one bucket, or all of them
+     * @param {string} [key]
+     */
+    reset(key) {
+      if (key === undefined) {
+        buckets.clear();
+      } else {
+        buckets.delete(key);
+      }
+    },
+
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+const limiter = createRateLimiter();
+
+/**
+ * Charge a request to its API key's bucket for the route class
+ *
+ * @param {Object} user - User context from lib/auth validateApiKey
+ * @param {string} method
+ * @param {string} path
+ * @returns {{routeClass: string, limit: number, remaining: number}|null} null when rate limiting is off
+ * @throws {RateLimitError} When the bucket is empty
+ */
+export function enforceRateLimit(user, method, path) {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  const routeClass = getRouteClass(method, path);
+  // Environment keys (API_KEY) have no ID of their own
+  const key = user.keyId || `env:${user.name}`;
+  const result = limiter.take(`${key}:${routeClass}`, getRateLimit(user, routeClass));
+  recordRateLimit(user.role, routeClass, result.allowed);
+
+  if (!result.allowed) {
+    const error = new RateLimitError(result.retryAfter);
+    error.details.routeClass = routeClass;
+    throw error;
+  }
+  return { routeClass, limit: result.limit, remaining: result.remaining };
+}
+
+/**
+ * Empty the pipeline's buckets (tests, or after changing ROLES at runtime)
+ */
+export function resetRateLimits() {
+  limiter.reset();
+}
+
+export default {
+  isEnabled,
+  createRateLimiter,
+  enforceRateLimit,
+  resetRateLimits
+};
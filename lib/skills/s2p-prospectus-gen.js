@@ -26,11 +26,11 @@ const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 
 import { createLogger } from '../logger.js';
+import { queryLLM, isLLMAvailable } from '../llm-client.js';
 
 const logger = createLogger({ spoke: 's2p-prospectus', tenant: 's2p' });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 // S2P Capabilities Database
 const S2P_CAPABILITIES = {
@@ -158,26 +158,21 @@ ${S2P_CAPABILITIES.differentiators.join('\n')}
 
 Generate the prospectus in Markdown format:`;
 
-    if (!GEMINI_API_KEY) {
+    if (!isLLMAvailable(GEMINI_MODEL)) {
         logger.warn('Gemini not configured, using template');
         return generateTemplateProspectus(prospect);
     }
 
     try {
-        const response = await fetch(GEMINI_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: { temperature: 0.4, maxOutputTokens: 1024 }
-            })
+        const { content } = await queryLLM({
+            model: GEMINI_MODEL,
+            prompt,
+            temperature: 0.4,
+            maxTokens: 1024,
+            traceId,
+            operation: 's2p:prospectus'
         });
 
-        if (!response.ok) throw new Error(`Gemini error: ${response.status}`);
-
-        const data = await response.json();
-        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
         const prospectus = {
             id: traceId,
             prospect: prospect.firmName || prospect.address,
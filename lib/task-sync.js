@@ -0,0 +1,492 @@
+/**
+ * Task Sync Engine
+ *
+ * Keeps the database task store (PrismaTaskProvider) and an external task
+ * provider (Asana, Jira, Linear) in step. Tasks are linked through the
+ * Task.externalId / Task.provider columns; each run:
+ *
+ * - pulls open external tasks that have no local record
+ * - pushes open local-only tasks to the provider
+ * - reconciles linked pairs field by field, last-modified side wins
+ *   (completion is just another field, so it flows both ways)
+ * - completes local tasks whose external task was deleted
+ * - copies comments missing on either side
+ *
+ * Runs on a schedule (startTaskSync) and keeps its recent reports in memory
+ * for GET /api/tasks/sync.
+ *
+ * @module lib/task-sync
+ */
+
+import { createLogger } from './logger.js';
+import { ValidationError, NotFoundError } from './errors.js';
+import {
+  AsanaTaskProvider,
+  createTaskProvider,
+  createTaskProviderAsync,
+  detectExternalTaskProvider
+} from './providers/task-provider.js';
+
+const logger = createLogger({ module: 'task-sync' });
+
+/** Fields compared between linked tasks */
+const SYNC_FIELDS = ['name', 'notes', 'dueOn', 'priority', 'completed'];
+
+/** Edits this close to the last sync count as the sync's own writes */
+const CLOCK_SKEW_MS = 5000;
+
+const MAX_REPORTS = 20;
+
+/** Providers the scheduled sync may use as its remote; the in-memory store forgets its tasks on restart */
+const SYNC_PROVIDERS = ['asana', 'jira', 'linear'];
+
+/**
+ * @typedef {Object} SyncReport
+ * @property {string} provider - External provider name
+ * @property {'ok'|'partial'|'skipped'} status
+ * @property {string} startedAt
+ * @property {string} [completedAt]
+ * @property {number} [durationMs]
+ * @property {{local: number, remote: number}} created - Tasks created on each side
+ * @property {{local: number, remote: number}} updated - Tasks whose fields were overwritten
+ * @property {{local: number, remote: number}} completed - Completions propagated
+ * @property {{local: number, remote: number}} comments - Comments copied
+ * @property {Array<{localId: string, externalId: string, fields: string[], winner: string}>} conflicts
+ * @property {Array<{localId?: string, externalId?: string, error: string}>} errors
+ * @property {string} [reason] - Why the run was skipped
+ */
+
+/**
+ * Normalize a task field so providers with different empty values compare equal
+ */
+function normalize(field, value) {
+  switch (field) {
+    case 'notes':
+      // Asana keeps a provenance footer under the notes it was created with
+      return AsanaTaskProvider.stripFooter(value).trim();
+    case 'dueOn':
+      return value ? String(value).slice(0, 10) : null;
+    case 'completed':
+      return Boolean(value);
+    default:
+      return value;
+  }
+}
+
+function toTime(iso) {
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Reconciles one local store with one external provider
+ */
+export class TaskSyncEngine {
+  /**
+   * @param {object} options
+   * @param {TaskProvider} options.local - Database-backed provider (supports externalId links and findLinkedTasks)
+   * @param {TaskProvider} options.remote - External provider
+   * @param {string} [options.provider] - Name stored in Task.provider (default: remote.name lowercased)
+   * @param {boolean} [options.push=true] - Create local-only tasks in the provider
+   * @param {number} [options.limit=500] - Max open tasks listed from each side per run
+   */
+  constructor(options = {}) {
+    if (!options.local || !options.remote) {
+      throw new ValidationError('Task sync needs a local and a remote provider');
+    }
+
+    this.local = options.local;
+    this.remote = options.remote;
+    this.provider = options.provider || options.remote.name.toLowerCase();
+    this.push = options.push !== false;
+    this.limit = options.limit || 500;
+    this._running = null;
+  }
+
+  /**
+   * Run one sync pass. Concurrent calls share the pass already in flight.
+   * @returns {Promise<SyncReport>}
+   */
+  run() {
+    if (!this._running) {
+      this._running = this._run().finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  async _run() {
+    const report = {
+      provider: this.provider,
+      status: 'ok',
+      startedAt: new Date().toISOString(),
+      created: { local: 0, remote: 0 },
+      updated: { local: 0, remote: 0 },
+      completed: { local: 0, remote: 0 },
+      comments: { local: 0, remote: 0 },
+      conflicts: [],
+      errors: []
+    };
+
+    if (globalThis.AUTOMATION_PAUSED) {
+      logger.warn('Task sync skipped - automation paused', { provider: this.provider });
+      return { ...report, status: 'skipped', reason: 'Automation is paused' };
+    }
+
+    const startTime = Date.now();
+    const [localTasks, remoteTasks] = await Promise.all([
+      this.local.getTasks({ limit: this.limit }),
+      this.remote.getTasks({ limit: this.limit })
+    ]);
+
+    // Links are looked up by external ID, not found in the capped listing
+    // above, so a task past the cap is never pulled a second time
+    const [linkedTasks, openLinkedTasks] = await Promise.all([
+      this.local.findLinkedTasks(this.provider, { externalIds: remoteTasks.map(t => t.id), completed: true }),
+      this.local.findLinkedTasks(this.provider)
+    ]);
+
+    const linked = new Map();
+    for (const task of [...openLinkedTasks, ...linkedTasks]) {
+      linked.set(task.metadata.externalId, task);
+    }
+    const unlinked = localTasks.filter(task => !task.metadata?.externalId);
+
+    const seen = new Set();
+
+    // Open external tasks: reconcile linked ones, pull the rest
+    for (const remoteTask of remoteTasks) {
+      seen.add(remoteTask.id);
+      await this._guard(report, { externalId: remoteTask.id }, async () => {
+        const localTask = linked.get(remoteTask.id);
+        if (localTask) {
+          await this._reconcile(localTask, remoteTask, report);
+        } else {
+          await this._pull(remoteTask, report);
+        }
+      });
+    }
+
+    // Open local tasks whose external task is no longer open (completed or deleted remotely)
+    for (const [externalId, localTask] of linked) {
+      if (seen.has(externalId) || localTask.completed) continue;
+      await this._guard(report, { localId: localTask.id, externalId }, async () => {
+        let remoteTask;
+        try {
+          remoteTask = await this.remote.getTask(externalId);
+        } catch (error) {
+          if (!(error instanceof NotFoundError)) throw error;
+          await this._closeDeleted(localTask, report);
+          return;
+        }
+        await this._reconcile(localTask, remoteTask, report);
+      });
+    }
+
+    if (this.push) {
+      for (const localTask of unlinked) {
+        await this._guard(report, { localId: localTask.id }, () => this._pushTask(localTask, report));
+      }
+    }
+
+    report.status = report.errors.length > 0 ? 'partial' : 'ok';
+    report.completedAt = new Date().toISOString();
+    report.durationMs = Date.now() - startTime;
+
+    logger.info('Task sync complete', {
+      provider: this.provider,
+      status: report.status,
+      created: report.created,
+      updated: report.updated,
+      conflicts: report.conflicts.length,
+      errors: report.errors.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Record a per-task failure without aborting the run
+   */
+  async _guard(report, ids, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.warn('Task sync item failed', { provider: this.provider, ...ids, error: error.message });
+      report.errors.push({ ...ids, error: error.message });
+    }
+  }
+
+  /**
+   * Create a local record for an external task
+   */
+  async _pull(remoteTask, report) {
+    const localTask = await this.local.createTask({
+      name: remoteTask.name,
+      notes: remoteTask.notes,
+      priority: remoteTask.priority,
+      dueDate: remoteTask.dueOn || undefined,
+      source: this.provider,
+      businessUnitId: remoteTask.metadata?.businessUnitId || undefined,
+      externalId: remoteTask.id,
+      externalProvider: this.provider
+    });
+    report.created.local++;
+
+    await this._syncComments(localTask, remoteTask, { syncedAt: null, comments: [] }, report);
+  }
+
+  /**
+   * Create an external task for a local-only record and link them
+   */
+  async _pushTask(localTask, report) {
+    const remoteTask = await this.remote.createTask({
+      name: localTask.name,
+      notes: localTask.notes || undefined,
+      priority: localTask.priority,
+      dueDate: localTask.dueOn || undefined,
+      source: localTask.metadata?.source,
+      businessUnitId: localTask.metadata?.businessUnitId || undefined
+    });
+    report.created.remote++;
+
+    await this.local.updateTask(localTask.id, {
+      externalId: remoteTask.id,
+      externalProvider: this.provider
+    });
+    await this._syncComments(localTask, remoteTask, { syncedAt: null, comments: [] }, report);
+  }
+
+  /**
+   * Complete a local task whose external task was deleted
+   *
+   * The link is kept, so the task is neither pushed again nor looked up on
+   * later runs (only open linked tasks are), and its history stays local.
+   */
+  async _closeDeleted(localTask, report) {
+    const state = localTask.metadata?.sync || { syncedAt: null, comments: [] };
+    await this.local.updateTask(localTask.id, {
+      completed: true,
+      syncState: { ...state, syncedAt: new Date().toISOString(), remoteDeleted: true }
+    });
+    report.completed.local++;
+
+    logger.info('Linked task deleted remotely, completed locally', {
+      provider: this.provider,
+      localId: localTask.id,
+      externalId: localTask.metadata.externalId
+    });
+  }
+
+  /**
+   * Bring a linked pair into agreement
+   */
+  async _reconcile(localTask, remoteTask, report) {
+    const state = localTask.metadata?.sync || { syncedAt: null, comments: [] };
+
+    const fields = SYNC_FIELDS.filter(field =>
+      localTask[field] !== undefined &&
+      remoteTask[field] !== undefined &&
+      normalize(field, localTask[field]) !== normalize(field, remoteTask[field])
+    );
+
+    if (fields.length > 0) {
+      const localTime = toTime(localTask.modifiedAt);
+      const remoteTime = toTime(remoteTask.modifiedAt);
+      const winner = localTime > remoteTime ? 'local' : 'remote';
+      const [source, target] = winner === 'local' ? [localTask, remoteTask] : [remoteTask, localTask];
+      const side = winner === 'local' ? 'remote' : 'local';
+
+      // Both edited since the last sync: a real conflict, not a one-sided update
+      const since = toTime(state.syncedAt) + CLOCK_SKEW_MS;
+      if (state.syncedAt && localTime > since && remoteTime > since) {
+        report.conflicts.push({ localId: localTask.id, externalId: remoteTask.id, fields, winner });
+      }
+
+      const updates = {};
+      for (const field of fields) {
+        updates[field] = source[field];
+      }
+
+      await (side === 'local' ? this.local : this.remote).updateTask(target.id, updates);
+      report.updated[side]++;
+      if (updates.completed === true) {
+        report.completed[side]++;
+      }
+    }
+
+    await this._syncComments(localTask, remoteTask, state, report, fields.length > 0);
+  }
+
+  /**
+   * Copy comments missing on either side and save the pairing
+   *
+   * The local task's sync state remembers [localCommentId, remoteCommentId]
+   * pairs so a copied comment is never copied back.
+   */
+  async _syncComments(localTask, remoteTask, state, report, changed = false) {
+    const [localComments, remoteComments] = await Promise.all([
+      this.local.getComments(localTask.id),
+      this.remote.getComments(remoteTask.id)
+    ]);
+
+    const pairs = [...(state.comments || [])];
+    const knownLocal = new Set(pairs.map(([localId]) => localId));
+    const knownRemote = new Set(pairs.map(([, remoteId]) => remoteId));
+
+    for (const comment of localComments) {
+      if (knownLocal.has(comment.id)) continue;
+      const { commentId } = await this.remote.addComment(remoteTask.id, comment.text);
+      pairs.push([comment.id, commentId]);
+      report.comments.remote++;
+    }
+
+    for (const comment of remoteComments) {
+      if (knownRemote.has(comment.id)) continue;
+      const { commentId } = await this.local.addComment(localTask.id, comment.text);
+      pairs.push([commentId, comment.id]);
+      report.comments.local++;
+    }
+
+    // Only write bookkeeping when something moved, so idle runs leave modifiedAt alone
+    if (changed || !state.syncedAt || pairs.length !== (state.comments || []).length) {
+      await this.local.updateTask(localTask.id, {
+        syncState: { syncedAt: new Date().toISOString(), comments: pairs }
+      });
+    }
+  }
+}
+
+// ============================================
+// Scheduled Sync
+// ============================================
+
+let syncEngine = null;
+let syncInterval = null;
+const reports = [];
+
+/**
+ * External provider the scheduled sync runs against
+ * @param {string} [provider] - Provider type; unset or 'auto' detects Asana/Jira/Linear credentials
+ * @returns {string|null} Provider type, or null when no external provider is configured
+ */
+export function resolveSyncProvider(provider = process.env.TASK_SYNC_PROVIDER) {
+  const type = (!provider || provider === 'auto' ? detectExternalTaskProvider() : provider.toLowerCase());
+  return SYNC_PROVIDERS.includes(type) ? type : null;
+}
+
+/**
+ * Whether the database and an external provider are both configured
+ * @returns {boolean}
+ */
+export function isTaskSyncConfigured() {
+  return Boolean(process.env.DATABASE_URL && resolveSyncProvider());
+}
+
+/**
+ * Build the default engine: Prisma store against the configured provider
+ * @param {object} [options]
+ * @param {string} [options.provider] - Remote provider type (TASK_SYNC_PROVIDER or auto-detect)
+ * @returns {Promise<TaskSyncEngine>}
+ */
+async function getSyncEngine(options = {}) {
+  if (!syncEngine) {
+    const type = resolveSyncProvider(options.provider || process.env.TASK_SYNC_PROVIDER);
+    if (!type) {
+      throw new ValidationError(`Task sync needs an external task provider (${SYNC_PROVIDERS.join(', ')}); set TASK_SYNC_PROVIDER or provider credentials`);
+    }
+
+    const local = await createTaskProviderAsync('prisma');
+    const remote = createTaskProvider(type);
+
+    if (!local.isConfigured() || !remote.isConfigured()) {
+      throw new ValidationError('Task sync needs DATABASE_URL and a configured task provider');
+    }
+
+    syncEngine = new TaskSyncEngine({ local, remote });
+  }
+  return syncEngine;
+}
+
+/**
+ * Use a specific engine for scheduled and on-demand runs (useful for testing)
+ * @param {TaskSyncEngine|null} engine
+ */
+export function setSyncEngine(engine) {
+  syncEngine = engine;
+}
+
+/**
+ * Run a sync pass now and keep its report
+ * @returns {Promise<SyncReport>}
+ */
+export async function runTaskSync() {
+  const engine = await getSyncEngine();
+  const report = await engine.run();
+
+  reports.unshift(report);
+  reports.length = Math.min(reports.length, MAX_REPORTS);
+
+  return report;
+}
+
+/**
+ * Recent sync reports, newest first
+ * @param {number} [limit=MAX_REPORTS]
+ * @returns {SyncReport[]}
+ */
+export function getSyncReports(limit = MAX_REPORTS) {
+  return reports.slice(0, limit);
+}
+
+/**
+ * Start scheduled sync
+ * @param {number} [intervalMinutes=15]
+ */
+export function startTaskSync(intervalMinutes = 15) {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+  }
+
+  syncInterval = setInterval(async () => {
+    try {
+      await runTaskSync();
+    } catch (error) {
+      logger.error('Scheduled task sync failed', { error: error.message });
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  logger.info('Task sync started', { intervalMinutes });
+}
+
+/**
+ * Stop scheduled sync
+ */
+export function stopTaskSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+    logger.info('Task sync stopped');
+  }
+}
+
+/**
+ * Whether the scheduler is running
+ * @returns {boolean}
+ */
+export function isTaskSyncScheduled() {
+  return syncInterval !== null;
+}
+
+export default {
+  TaskSyncEngine,
+  resolveSyncProvider,
+  isTaskSyncConfigured,
+  setSyncEngine,
+  runTaskSync,
+  getSyncReports,
+  startTaskSync,
+  stopTaskSync,
+  isTaskSyncScheduled
+};
@@ -0,0 +1,228 @@
+/**
+ * Tokenizer
+ *
+ * Offline BPE token counts for pre-flight cost estimates, replacing the
+ * chars/4 heuristic that badly misjudges code and non-English text.
+ *
+ * Each model family maps to a js-tiktoken encoding. OpenAI models use their
+ * own encoding; families whose tokenizers are not published offline use the
+ * closest public encoding as a stand-in. The calibration report compares
+ * these estimates against API-reported `usage` per model so drift is visible.
+ *
+ * @module lib/tokenizer
+ */
+
+import { createRequire } from 'module';
+import { createLogger } from './logger.js';
+
+const require = createRequire(import.meta.url);
+const logger = createLogger({ module: 'tokenizer' });
+
+/**
+ * Model family -> encoding, first match wins
+ */
+const MODEL_FAMILIES = [
+  { family: 'openai-o200k', match: /(^|\/)(gpt-4o|gpt-4\.1|o1|o3|o4)/, encoding: 'o200k_base' },
+  { family: 'openai-cl100k', match: /(^|\/)gpt-(4|3\.5)/, encoding: 'cl100k_base' },
+  { family: 'anthropic', match: /^anthropic\/|claude/, encoding: 'cl100k_base' },
+  { family: 'google', match: /^google\/|gemini/, encoding: 'o200k_base' },
+  { family: 'meta-llama', match: /^meta-llama\/|llama/, encoding: 'cl100k_base' },
+  { family: 'mistral', match: /^mistralai\/|mistral|mixtral/, encoding: 'cl100k_base' },
+];
+
+const DEFAULT_FAMILY = { family: 'default', encoding: 'cl100k_base' };
+
+// Chat framing per message (role markers, separators) and per reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Calibration samples kept per model
+const MAX_SAMPLES = 200;
+
+const encoders = new Map();
+let tokenizerUnavailable = false;
+
+/**
+ * Get the family and encoding used for a model
+ * @param {string} [model] - Full model ID, e.g. openai/gpt-4o
+ * @returns {{family: string, encoding: string}}
+ */
+export function getModelFamily(model) {
+  const id = String(model || '').toLowerCase();
+  const entry = MODEL_FAMILIES.find(f => f.match.test(id)) || DEFAULT_FAMILY;
+  return { family: entry.family, encoding: entry.encoding };
+}
+
+/**
+ * Load an encoder on first use (ranks are several MB)
+ * @returns {object|null} Encoder, or null when js-tiktoken is unavailable
+ */
+function getEncoder(encoding) {
+  if (encoders.has(encoding)) {
+    return encoders.get(encoding);
+  }
+  if (tokenizerUnavailable) {
+    return null;
+  }
+
+  try {
+    const { Tiktoken } = require('js-tiktoken/lite');
+    const encoder = new Tiktoken(require(`js-tiktoken/ranks/${encoding}`));
+    encoders.set(encoding, encoder);
+    return encoder;
+  } catch (error) {
+    tokenizerUnavailable = true;
+    logger.warn('BPE tokenizer unavailable, estimating ~4 chars per token', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * chars/4 estimate, used when no tokenizer is available and for calibration
+ * @param {string} text
+ * @returns {number}
+ */
+export function heuristicTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Count tokens in text for a model
+ * @param {string} text
+ * @param {string} [model] - Full model ID; picks the encoding
+ * @returns {number}
+ */
+export function countTokens(text, model) {
+  if (!text) return 0;
+
+  const encoder = getEncoder(getModelFamily(model).encoding);
+  if (!encoder) {
+    return heuristicTokens(text);
+  }
+
+  // Special-token text (e.g. "<|endoftext|>") in user content is counted as plain text
+  return encoder.encode(String(text), [], []).length;
+}
+
+/**
+ * Count prompt tokens for a chat request, including message framing
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function countMessageTokens(messages, model) {
+  if (!messages?.length) return 0;
+
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
+
+// ============================================
+// Calibration
+// ============================================
+
+/**
+ * Recent samples per model
+ * @type {Map<string, Array<Object>>}
+ */
+const samples = new Map();
+
+/**
+ * Record estimated vs. API-reported token counts for one request
+ * @param {string} model - Full model ID
+ * @param {Object} sample
+ * @param {Array} sample.messages - Request messages
+ * @param {string} sample.content - Response text
+ * @param {{input?: number, output?: number}} sample.usage - API-reported usage
+ */
+export function recordCalibrationSample(model, { messages, content, usage }) {
+  if (!usage?.input && !usage?.output) {
+    return;
+  }
+
+  const promptText = messages.map(m => m.content).join('');
+  const entry = {
+    at: Date.now(),
+    input: usage.input
+      ? { actual: usage.input, estimated: countMessageTokens(messages, model), heuristic: heuristicTokens(promptText) }
+      : null,
+    output: usage.output
+      ? { actual: usage.output, estimated: countTokens(content, model), heuristic: heuristicTokens(content) }
+      : null,
+  };
+
+  const list = samples.get(model) || [];
+  list.push(entry);
+  if (list.length > MAX_SAMPLES) {
+    list.shift();
+  }
+  samples.set(model, list);
+}
+
+/**
+ * Summarize one direction (input or output) of a model's samples
+ * @private
+ */
+function summarize(entries) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const sum = (key) => entries.reduce((total, e) => total + e[key], 0);
+  const meanAbsErrorPct = (key) => Math.round(
+    (entries.reduce((total, e) => total + Math.abs(e[key] - e.actual) / e.actual, 0) / entries.length) * 1000
+  ) / 10;
+
+  const actual = sum('actual');
+  return {
+    samples: entries.length,
+    actual,
+    estimated: sum('estimated'),
+    // actual / estimated: >1 means the estimator undercounts
+    ratio: Math.round((actual / Math.max(1, sum('estimated'))) * 1000) / 1000,
+    meanAbsErrorPct: meanAbsErrorPct('estimated'),
+    heuristicRatio: Math.round((actual / Math.max(1, sum('heuristic'))) * 1000) / 1000,
+    heuristicMeanAbsErrorPct: meanAbsErrorPct('heuristic'),
+  };
+}
+
+/**
+ * Compare token estimates with API-reported usage, per model
+ * @returns {{tokenizer: string, models: Array<Object>}}
+ */
+export function getCalibrationReport() {
+  const models = [...samples.entries()].map(([model, entries]) => ({
+    model,
+    ...getModelFamily(model),
+    samples: entries.length,
+    since: new Date(entries[0].at).toISOString(),
+    input: summarize(entries.map(e => e.input).filter(Boolean)),
+    output: summarize(entries.map(e => e.output).filter(Boolean)),
+  }));
+
+  return {
+    tokenizer: tokenizerUnavailable ? 'heuristic' : 'bpe',
+    models: models.sort((a, b) => b.samples - a.samples),
+  };
+}
+
+/**
+ * Clear calibration samples (for testing)
+ */
+export function resetCalibration() {
+  samples.clear();
+}
+
+export default {
+  getModelFamily,
+  countTokens,
+  countMessageTokens,
+  heuristicTokens,
+  recordCalibrationSample,
+  getCalibrationReport,
+  resetCalibration,
+  MODEL_FAMILIES,
+};
@@ -0,0 +1,414 @@
+/**
+ * Trace Store
+ *
+ * Persists completed spans beyond the in-memory ring buffer so a slow
+ * council run or workflow can be inspected after the fact. Spans are
+ * buffered and appended in batches to one JSONL file per day under
+ * memory/traces/; files older than the retention window are deleted.
+ *
+ * A trace can be looked up by its W3C trace ID or by the application
+ * trace ID (council-..., orch-..., workflow IDs) that spans carry in
+ * their `superchase.trace_id` attribute, and is returned as a
+ * parent/child tree with per-span cost and the critical path. Lookups go
+ * through an index of each file's lines by trace ID, extended as files
+ * grow, so only the matching lines are read.
+ *
+ * The store is off unless the process turns it on with useTraceStore()
+ * (the server does) or TRACE_STORE=on; tests and scripts leave no files.
+ *
+ * Environment:
+ * - TRACE_STORE: "on" or "off", overriding useTraceStore()
+ * - TRACE_STORE_DIR: directory for span files (default memory/traces)
+ * - TRACE_RETENTION_DAYS: days of span files to keep (default 7)
+ *
+ * @module lib/trace-store
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = createLogger({ module: 'trace-store' });
+
+const DEFAULT_DIR = join(__dirname, '..', 'memory', 'traces');
+const DEFAULT_RETENTION_DAYS = 7;
+
+/** Buffered spans are written after this delay, or sooner when the batch fills */
+const FLUSH_INTERVAL_MS = 1000;
+const FLUSH_BATCH_SIZE = 200;
+
+/** Span attribute holding the application trace ID */
+export const APP_TRACE_ATTRIBUTE = 'superchase.trace_id';
+
+/** Span attribute holding an LLM call's cost in USD */
+export const COST_ATTRIBUTE = 'superchase.cost_usd';
+
+const W3C_TRACE_ID = /^[0-9a-f]{32}$/;
+const SPAN_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+let enabledByDefault = false;
+
+// Spans waiting to be written, and the write in progress
+let pending = [];
+let flushTimer = null;
+let writing = Promise.resolve();
+let exitHookInstalled = false;
+
+/**
+ * Per file: bytes indexed so far, line ranges by trace ID, and trace IDs
+ * by application trace ID
+ * @type {Map<string, {size: number, lines: Map<string, Array<[number, number]>>, apps: Map<string, Set<string>>}>}
+ */
+const indexes = new Map();
+
+// Day the store last pruned, so retention runs once per day per process
+let prunedFor = null;
+
+function getDir() {
+  return process.env.TRACE_STORE_DIR || DEFAULT_DIR;
+}
+
+function getRetentionDays() {
+  return parseInt(process.env.TRACE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Persist spans from this process (TRACE_STORE still wins)
+ * @param {boolean} enabled
+ */
+export function useTraceStore(enabled) {
+  enabledByDefault = Boolean(enabled);
+}
+
+/**
+ * Whether spans are persisted
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  const setting = process.env.TRACE_STORE;
+  if (setting === 'off') return false;
+  if (setting === 'on') return true;
+  return enabledByDefault;
+}
+
+/**
+ * Span files, newest first
+ * @private
+ */
+function spanFiles() {
+  try {
+    return fs.readdirSync(getDir())
+      .filter(f => SPAN_FILE.test(f))
+      .sort()
+      .reverse();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Delete span files older than the retention window
+ * @param {Date} [now]
+ * @returns {number} Files removed
+ */
+export function pruneTraces(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000)
+    .toISOString().slice(0, 10);
+
+  let removed = 0;
+  for (const file of spanFiles()) {
+    if (file.match(SPAN_FILE)[1] < cutoff) {
+      const path = join(getDir(), file);
+      fs.rmSync(path, { force: true });
+      indexes.delete(path);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Pruned expired trace files', { removed, retentionDays: getRetentionDays() });
+  }
+  return removed;
+}
+
+/**
+ * Write buffered spans, one append per day file
+ * @private
+ */
+async function writePending() {
+  const batch = pending;
+  pending = [];
+  if (batch.length === 0) {
+    return;
+  }
+
+  const byFile = new Map();
+  for (const { path, span } of batch) {
+    byFile.set(path, (byFile.get(path) || '') + JSON.stringify(span) + '\n');
+  }
+
+  for (const [path, lines] of byFile) {
+    try {
+      await fs.promises.mkdir(dirname(path), { recursive: true });
+      await fs.promises.appendFile(path, lines);
+    } catch (error) {
+      // Losing spans must never fail the traced operation
+      logger.warn('Failed to persist spans', { file: path, error: error.message });
+    }
+  }
+
+  const day = new Date().toISOString().slice(0, 10);
+  if (prunedFor !== day) {
+    prunedFor = day;
+    try {
+      pruneTraces();
+    } catch (error) {
+      logger.warn('Failed to prune trace files', { error: error.message });
+    }
+  }
+}
+
+/**
+ * Write buffered spans now
+ * @returns {Promise<void>} Resolves once they are on disk
+ */
+export function flushSpans() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  writing = writing.then(writePending);
+  return writing;
+}
+
+/**
+ * Buffer a completed span for writing
+ * @param {Object} span - Completed span as stored by lib/observability
+ */
+export function appendSpan(span) {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const day = new Date(span.endTime || Date.now()).toISOString().slice(0, 10);
+  pending.push({ path: join(getDir(), `${day}.jsonl`), span });
+
+  if (!exitHookInstalled) {
+    exitHookInstalled = true;
+    process.once('beforeExit', () => flushSpans());
+  }
+
+  if (pending.length >= FLUSH_BATCH_SIZE) {
+    flushSpans();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushSpans, FLUSH_INTERVAL_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Bring a file's index up to date, reading only bytes not yet indexed
+ * (another process may append to the same files)
+ * @private
+ */
+function indexFile(path) {
+  let size;
+  try {
+    size = fs.statSync(path).size;
+  } catch {
+    indexes.delete(path);
+    return null;
+  }
+
+  let index = indexes.get(path);
+  if (!index || size < index.size) {
+    index = { size: 0, lines: new Map(), apps: new Map() };
+    indexes.set(path, index);
+  }
+  if (size === index.size) {
+    return index;
+  }
+
+  const buffer = Buffer.alloc(size - index.size);
+  const fd = fs.openSync(path, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, index.size);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  let lineStart = 0;
+  for (let newline = buffer.indexOf(10); newline !== -1; newline = buffer.indexOf(10, lineStart)) {
+    const length = newline - lineStart;
+    if (length > 0) {
+      try {
+        const { traceId, attributes } = JSON.parse(buffer.toString('utf8', lineStart, newline));
+        const ranges = index.lines.get(traceId) || [];
+        ranges.push([index.size + lineStart, length]);
+        index.lines.set(traceId, ranges);
+
+        const appTraceId = attributes?.[APP_TRACE_ATTRIBUTE];
+        if (appTraceId) {
+          index.apps.set(appTraceId, (index.apps.get(appTraceId) || new Set()).add(traceId));
+        }
+      } catch {
+        // Corrupt line; skip it
+      }
+    }
+    lineStart = newline + 1;
+  }
+
+  // A partially written last line is indexed once it is complete
+  index.size += lineStart;
+  return index;
+}
+
+/**
+ * Read the stored spans of a trace
+ * @private
+ */
+function readTrace(traceId) {
+  const spans = [];
+
+  for (const file of spanFiles()) {
+    const path = join(getDir(), file);
+    const ranges = indexFile(path)?.lines.get(traceId);
+    if (!ranges) continue;
+
+    let fd;
+    try {
+      fd = fs.openSync(path, 'r');
+      for (const [position, length] of ranges) {
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, position);
+        spans.push(JSON.parse(buffer.toString('utf8')));
+      }
+    } catch (error) {
+      logger.warn('Failed to read stored spans', { file, error: error.message });
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * W3C trace IDs stored under an application trace ID
+ * @private
+ */
+function storedTraceIds(appTraceId) {
+  return spanFiles().flatMap(file => [...(indexFile(join(getDir(), file))?.apps.get(appTraceId) || [])]);
+}
+
+/**
+ * Find spans by W3C trace ID or application trace ID
+ * @param {string} id
+ * @param {Array<Object>} [recent] - In-memory spans to merge (not yet or not persisted)
+ * @returns {Array<Object>} Spans, de-duplicated and ordered by start time
+ */
+export function findTraceSpans(id, recent = []) {
+  const enabled = isEnabled();
+  const unwritten = pending.map(entry => entry.span);
+  const inMemory = [...recent, ...unwritten];
+
+  let traceIds;
+  if (W3C_TRACE_ID.test(id)) {
+    traceIds = new Set([id]);
+  } else {
+    // An application trace can span several requests (e.g. a resumed workflow)
+    traceIds = new Set([
+      ...inMemory.filter(span => span.attributes?.[APP_TRACE_ATTRIBUTE] === id).map(span => span.traceId),
+      ...(enabled ? storedTraceIds(id) : []),
+    ]);
+  }
+
+  const bySpanId = new Map();
+  for (const traceId of traceIds) {
+    const stored = enabled ? readTrace(traceId) : [];
+    for (const span of [...stored, ...inMemory.filter(s => s.traceId === traceId)]) {
+      bySpanId.set(span.spanId, span);
+    }
+  }
+
+  return [...bySpanId.values()].sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Build the parent/child tree for a set of spans
+ *
+ * Spans whose parent is missing (started by another service, or expired)
+ * become roots. Each node carries its own cost and its subtree's cost.
+ * The critical path follows, from the longest root, the child that
+ * finished last at every level (the later-started one on a tie).
+ *
+ * @param {Array<Object>} spans
+ * @returns {Object|null} Tree, or null when there are no spans
+ */
+export function buildTraceTree(spans) {
+  if (spans.length === 0) {
+    return null;
+  }
+
+  const nodes = new Map(spans.map(span => [span.spanId, {
+    ...span,
+    cost: Number(span.attributes?.[COST_ATTRIBUTE]) || 0,
+    totalCost: 0,
+    onCriticalPath: false,
+    children: [],
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const finish = (node) => {
+    node.children.sort((a, b) => a.startTime - b.startTime);
+    node.totalCost = node.cost + node.children.reduce((sum, child) => sum + finish(child), 0);
+    return node.totalCost;
+  };
+  roots.forEach(finish);
+  roots.sort((a, b) => a.startTime - b.startTime);
+
+  const criticalPath = [];
+  let node = roots.reduce((longest, root) => (root.duration > longest.duration ? root : longest));
+  while (node) {
+    node.onCriticalPath = true;
+    criticalPath.push({ spanId: node.spanId, name: node.name, duration: node.duration });
+    node = node.children.reduce((last, child) => (!last || child.endTime >= last.endTime ? child : last), null);
+  }
+
+  const startTime = Math.min(...spans.map(s => s.startTime));
+  const endTime = Math.max(...spans.map(s => s.endTime));
+
+  return {
+    traceIds: [...new Set(spans.map(s => s.traceId))],
+    appTraceIds: [...new Set(spans.map(s => s.attributes?.[APP_TRACE_ATTRIBUTE]).filter(Boolean))],
+    spanCount: spans.length,
+    startTime,
+    endTime,
+    duration: endTime - startTime,
+    cost: Math.round(roots.reduce((sum, root) => sum + root.totalCost, 0) * 1_000_000) / 1_000_000,
+    errors: spans.filter(s => s.status === 'error').length,
+    criticalPath,
+    roots,
+  };
+}
+
+export default {
+  APP_TRACE_ATTRIBUTE,
+  COST_ATTRIBUTE,
+  useTraceStore,
+  isEnabled,
+  appendSpan,
+  flushSpans,
+  pruneTraces,
+  findTraceSpans,
+  buildTraceTree,
+};
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Record LLM Cassettes
+ *
+ * Runs the flows in tests/fixtures/llm-flows.js against the configured
+ * providers and saves every model call to the cassette directory
+ * (LLM_CASSETTE_DIR, default tests/fixtures/llm), replacing older
+ * recordings (or the committed synthetic cassettes) of the same requests.
+ *
+ * Usage: node scripts/record-cassettes.js [flow ...]
+ */
+
+import { useCassette } from '../lib/llm-client.js';
+import { DEFAULT_CASSETTE_DIR } from '../lib/llm-cassette.js';
+import { FLOWS } from '../tests/fixtures/llm-flows.js';
+
+const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(FLOWS);
+const unknown = names.filter(name => !FLOWS[name]);
+if (unknown.length) {
+  console.error(`Unknown flow: ${unknown.join(', ')}. Available: ${Object.keys(FLOWS).join(', ')}`);
+  process.exit(1);
+}
+
+const cassette = useCassette({
+  mode: 'record',
+  dir: process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
+});
+
+for (const name of names) {
+  console.log(`Recording ${name} -> ${cassette.dir}`);
+  await FLOWS[name]();
+}
+
+console.log('Done. Check the new files with git status and commit the ones the flows used.');
@@ -39,28 +39,61 @@ import agencyReview from './spokes/agency/review.js';
 import discovery from './spokes/discovery/index.js';
 
 // S2P Command Center spoke
-import { handleS2PRoute as handleS2PRouteV2 } from './spokes/s2p/routes.js';
+import { handleS2PRoute as handleS2PRouteV2, S2P_ROUTES as S2P_SPOKE_ROUTES } from './spokes/s2p/routes.js';
 
 // Orchestrator API (Chase OS v2)
 import { orchestrate, listSessions, getSession, councilConfig } from './core/orchestrate-api.js';
+import { orchestrator as workflowOrchestrator } from './core/orchestrator.js';
+import { registerAllAgents } from './core/agents/index.js';
+import { resolveWorkflow } from './core/workflows/index.js';
 
 // Library imports for enhanced reliability
-import { createLogger, generateRequestId } from './lib/logger.js';
-import { AppError, ValidationError, AuthenticationError, withFallback } from './lib/errors.js';
+import { createLogger, generateRequestId, setTransports } from './lib/logger.js';
+import { transportsFromEnv } from './lib/log-transports.js';
+import { AppError, ValidationError, AuthenticationError, AuthorizationError, ServiceUnavailableError, ExternalServiceError, withFallback } from './lib/errors.js';
+import {
+  isPublicRoute,
+  authenticateRequest,
+  assertPermission,
+  canAccessTenant,
+  assertTenantAccess,
+  getEndpointPermission,
+  findRoute,
+  findUnmappedRoutes
+} from './lib/auth.js';
+import { enforceRateLimit } from './lib/rate-limiter.js';
+import { auditChange, recordRequestAudit, queryAudit, verifyAuditChain, toCsv } from './lib/audit-trail.js';
 import health, { recordRequest, getMetrics, getHealth, withCircuitBreaker } from './lib/health.js';
 import observability, {
   recordHttpRequest,
   startSpan,
   withTrace,
+  runWithSpan,
+  parseTraceparent,
+  tracedFetch,
   startAlertChecker
 } from './lib/observability.js';
+import { queryLLM, isLLMAvailable } from './lib/llm-client.js';
+import { runTaskSync, getSyncReports, startTaskSync, isTaskSyncScheduled, isTaskSyncConfigured } from './lib/task-sync.js';
+import { recordCorrection, recordTaskDeleted } from './core/hub.js';
+import { getCorrections, getAccuracyReport } from './core/classification-feedback.js';
+import { useTraceStore } from './lib/trace-store.js';
 
 const logger = createLogger({ module: 'server' });
 
+// Keep finished spans on disk for the trace viewer (TRACE_STORE=off disables)
+useTraceStore(true);
+
+// Keep a searchable log file for GET /api/logs unless LOG_TRANSPORTS is set
+setTransports(transportsFromEnv(process.env, 'stdout,file'));
+
 const PORT = process.env.PORT || process.env.API_PORT || 3849;
 const API_KEY = process.env.API_KEY || 'superchase-local-dev';
 const IS_DEV = API_KEY === 'superchase-local-dev';
 
+// Model for notebook Q&A and artifact section drafting
+const NOTES_MODEL = 'anthropic/claude-3.5-haiku';
+
 const PATHS = {
   dailySummary: join(__dirname, 'memory', 'daily_summary.json'),
   auditLog: join(__dirname, 'cache', 'audit.jsonl'),
@@ -77,17 +110,10 @@ const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, Authorization',
+  'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining',
   'Content-Type': 'application/json'
 };
 
-/**
- * Verify API key
- */
-function verifyApiKey(req) {
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  return apiKey === API_KEY || API_KEY === 'superchase-local-dev';
-}
-
 /**
  * Parse JSON body from request
  */
@@ -106,6 +132,86 @@ async function parseBody(req) {
   });
 }
 
+/**
+ * since/until query parameters: ISO timestamp, epoch ms, or a duration
+ * back from now ("15m", "2h")
+ * @returns {Promise<{since: number|undefined, until: number|undefined, fields: Object}>}
+ *   fields describes the invalid parameters
+ */
+async function parseTimeRange(params) {
+  const { parseDuration } = await import('./lib/alert-rules.js');
+
+  const parseTime = (value) => {
+    if (!value) return undefined;
+    if (/^\d+$/.test(value)) return Number(value);
+    const duration = parseDuration(value);
+    return Number.isNaN(duration) ? Date.parse(value) : Date.now() - duration;
+  };
+
+  const fields = {};
+  const since = parseTime(params.get('since'));
+  if (Number.isNaN(since)) fields.since = 'ISO timestamp, epoch ms or duration such as 15m';
+  const until = parseTime(params.get('until'));
+  if (Number.isNaN(until)) fields.until = 'ISO timestamp, epoch ms or duration such as 15m';
+  return { since, until, fields };
+}
+
+/**
+ * Audit trail filters from query parameters
+ * @throws {ValidationError}
+ */
+async function parseAuditQuery(params, defaultLimit, maxLimit) {
+  const { since, until, fields } = await parseTimeRange(params);
+  const success = params.get('success');
+  if (success && success !== 'true' && success !== 'false') {
+    fields.success = 'true or false';
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError('Invalid audit query', fields);
+  }
+
+  return {
+    actor: params.get('actor') || undefined,
+    action: params.get('action') || undefined,
+    resource: params.get('resource') || undefined,
+    resourceId: params.get('resourceId') || undefined,
+    requestId: params.get('requestId') || undefined,
+    success: success ? success === 'true' : undefined,
+    since,
+    until,
+    limit: Math.min(parseInt(params.get('limit')) || defaultLimit, maxLimit)
+  };
+}
+
+/**
+ * Read the latest entries of the triage audit trail (cache/audit.jsonl), newest first
+ */
+function readAuditLog(limit) {
+  try {
+    if (!existsSync(PATHS.auditLog)) {
+      return { logs: [], count: 0 };
+    }
+
+    const content = readFileSync(PATHS.auditLog, 'utf8');
+    const lines = content.trim().split('\n').filter(Boolean);
+    const logs = lines.slice(-limit).reverse().map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+
+    return {
+      logs,
+      count: logs.length,
+      total: lines.length
+    };
+  } catch (error) {
+    return { error: error.message, logs: [], count: 0 };
+  }
+}
+
 /**
  * Route handlers
  */
@@ -149,14 +255,14 @@ const routes = {
 
       // Fetch from OpenNotebook if no notes with content provided
       if (notebookId && notes.length === 0) {
-        const notesRes = await fetch(`http://localhost:5055/api/notes?notebook_id=${notebookId}`);
+        const notesRes = await tracedFetch(`http://localhost:5055/api/notes?notebook_id=${notebookId}`, {}, 'opennotebook.request');
         if (notesRes.ok) {
           const notesList = await notesRes.json();
           // Fetch full content for each note (up to 10 to avoid overload)
           notes = await Promise.all(
             notesList.slice(0, 10).map(async (n) => {
               try {
-                const fullRes = await fetch(`http://localhost:5055/api/notes/${n.id}`);
+                const fullRes = await tracedFetch(`http://localhost:5055/api/notes/${n.id}`, {}, 'opennotebook.request');
                 if (fullRes.ok) {
                   return await fullRes.json();
                 }
@@ -183,32 +289,20 @@ const routes = {
       );
 
       // Use LLM to generate response if OpenRouter is configured
-      if (process.env.OPENROUTER_API_KEY && noteContext.length > 0) {
-        const llmRes = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: 'anthropic/claude-3.5-haiku',
-            messages: [
-              {
-                role: 'system',
-                content: `You are a helpful assistant answering questions about a knowledge base. Use ONLY the provided context to answer. Cite sources by mentioning the note title in brackets like [Note Title]. If you cannot find relevant information, say so.`
-              },
-              {
-                role: 'user',
-                content: `Context:\n${noteContext}\n\nQuestion: ${query}`
-              }
-            ],
-            max_tokens: 1000,
-          }),
+      if (isLLMAvailable(NOTES_MODEL) && noteContext.length > 0) {
+        const llmResult = await queryLLM({
+          model: NOTES_MODEL,
+          system: `You are a helpful assistant answering questions about a knowledge base. Use ONLY the provided context to answer. Cite sources by mentioning the note title in brackets like [Note Title]. If you cannot find relevant information, say so.`,
+          prompt: `Context:\n${noteContext}\n\nQuestion: ${query}`,
+          maxTokens: 1000,
+          operation: 'notebook:query'
+        }).catch(error => {
+          logger.warn('Notebook LLM answer failed, returning matching notes', { error: error.message });
+          return null;
         });
 
-        if (llmRes.ok) {
-          const llmData = await llmRes.json();
-          const response = llmData.choices?.[0]?.message?.content || 'No response generated.';
+        if (llmResult) {
+          const response = llmResult.content || 'No response generated.';
 
           return {
             response,
@@ -260,6 +354,69 @@ const routes = {
     }
   },
 
+  // Delete a task; deleting one triage created corrects its classification
+  'DELETE /tasks/:id': async (req, params) => {
+    let task;
+    try {
+      task = await asana.getTask(params.id);
+      await asana.deleteTask(params.id);
+    } catch (error) {
+      throw new ExternalServiceError('Asana', error.message, { taskId: params.id });
+    }
+
+    let correction = null;
+    try {
+      correction = recordTaskDeleted(task);
+    } catch (error) {
+      logger.warn('Failed to record task deletion feedback', { taskId: params.id, error: error.message });
+    }
+
+    return { success: true, taskId: params.id, correction };
+  },
+
+  // Task sync reports (Prisma <-> external provider)
+  'GET /api/tasks/sync': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const limit = parseInt(url.searchParams.get('limit')) || 10;
+    const reports = getSyncReports(limit);
+
+    return {
+      scheduled: isTaskSyncScheduled(),
+      lastReport: reports[0] || null,
+      reports
+    };
+  },
+
+  // Run a task sync pass now
+  'POST /api/tasks/sync': async () => {
+    return runTaskSync();
+  },
+
+  // Correct a triage classification (or report a deleted triage task)
+  'POST /api/classification/overrides': async (req) => {
+    const body = await parseBody(req);
+    return {
+      success: true,
+      correction: recordCorrection(body)
+    };
+  },
+
+  // Recent classification corrections
+  'GET /api/classification/overrides': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const corrections = getCorrections({
+      senderDomain: url.searchParams.get('senderDomain'),
+      limit: parseInt(url.searchParams.get('limit')) || 50
+    });
+    return { corrections, count: corrections.length };
+  },
+
+  // Classifier accuracy over time
+  'GET /api/classification/accuracy': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    return getAccuracyReport({ days: parseInt(url.searchParams.get('days')) || 30 });
+  },
+
   // Get daily briefing
   'GET /briefing': async () => {
     if (existsSync(PATHS.dailySummary)) {
@@ -324,34 +481,131 @@ const routes = {
   // Dashboard API Endpoints
   // ============================================
 
-  // Get audit logs (last 20 entries)
+  // Query application logs across rotated files (?source=audit for the audit trail)
   'GET /api/logs': async (req) => {
     const url = new URL(req.url, `http://${req.headers.host}`);
-    const limit = parseInt(url.searchParams.get('limit')) || 20;
+    const params = url.searchParams;
 
-    try {
-      if (!existsSync(PATHS.auditLog)) {
-        return { logs: [], count: 0 };
-      }
+    if (params.get('source') === 'audit') {
+      return readAuditLog(parseInt(params.get('limit')) || 20);
+    }
 
-      const content = readFileSync(PATHS.auditLog, 'utf8');
-      const lines = content.trim().split('\n').filter(Boolean);
-      const logs = lines.slice(-limit).reverse().map(line => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      }).filter(Boolean);
+    const { queryLogs, LOG_LEVELS } = await import('./lib/logger.js');
 
-      return {
-        logs,
-        count: logs.length,
-        total: lines.length
-      };
-    } catch (error) {
-      return { error: error.message, logs: [], count: 0 };
+    const { since, until, fields } = await parseTimeRange(params);
+    const level = params.get('level') || undefined;
+    if (level && LOG_LEVELS[level] === undefined) {
+      fields.level = `one of ${Object.keys(LOG_LEVELS).join(', ')}`;
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new ValidationError('Invalid log query', fields);
+    }
+
+    const limit = Math.min(parseInt(params.get('limit')) || 100, 1000);
+    const result = queryLogs({
+      level,
+      module: params.get('module')?.split(',').filter(Boolean),
+      traceId: params.get('traceId') || undefined,
+      search: params.get('search') || undefined,
+      since,
+      until,
+      limit
+    });
+
+    return {
+      logs: result.entries,
+      count: result.entries.length,
+      scanned: result.scanned,
+      truncated: result.truncated
+    };
+  },
+
+  // Global and per-module log levels
+  'GET /api/logs/levels': async () => {
+    const { getLogLevels } = await import('./lib/logger.js');
+    return getLogLevels();
+  },
+
+  // Change a level at runtime: { level, module? }; level null clears a module override
+  'PUT /api/logs/levels': async (req) => {
+    const body = await parseBody(req);
+    const { setLogLevel, clearLogLevel, getLogLevels, LOG_LEVELS } = await import('./lib/logger.js');
+
+    if (body.level === null && body.module) {
+      clearLogLevel(body.module);
+    } else if (LOG_LEVELS[body.level] === undefined) {
+      throw new ValidationError('Invalid log level', { level: `one of ${Object.keys(LOG_LEVELS).join(', ')}` });
+    } else {
+      setLogLevel(body.level, body.module);
+    }
+
+    logger.info('Log level changed', { level: body.level, target: body.module || 'global' });
+    return { success: true, ...getLogLevels() };
+  },
+
+  // ============================================
+  // Audit Trail
+  // ============================================
+
+  // Privileged actions, newest first; filters: actor, action, resource,
+  // resourceId, requestId, success, since, until, limit
+  'GET /api/audit': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const entries = await queryAudit(await parseAuditQuery(url.searchParams, 100, 1000));
+    return { entries, count: entries.length };
+  },
+
+  // Same filters as GET /api/audit, as CSV (up to 10000 entries by default)
+  'GET /api/audit/export': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const entries = await queryAudit(await parseAuditQuery(url.searchParams, 10000, 10000));
+    return {
+      _rawBody: toCsv(entries),
+      _contentType: 'text/csv; charset=utf-8'
+    };
+  },
+
+  // Recompute the hash chain from the first entry. ?seq=&hash= names a head
+  // kept outside the store (the "Audit entry recorded" log), which catches
+  // entries removed from the end
+  'GET /api/audit/verify': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const seq = url.searchParams.get('seq');
+    const hash = url.searchParams.get('hash');
+    if ((seq || hash) && !(/^[1-9]\d*$/.test(seq || '') && /^[0-9a-f]{64}$/.test(hash || ''))) {
+      throw new ValidationError('Invalid expected head', { seq: 'positive integer, with hash', hash: 'SHA-256 hex, with seq' });
+    }
+
+    const result = await verifyAuditChain(seq ? { expect: { seq: Number(seq), hash } } : {});
+    if (!result.valid) {
+      logger.error('Audit trail failed verification', result.brokenAt);
+    }
+    return result;
+  },
+
+  // ============================================
+  // API Key Management
+  // ============================================
+
+  // List keys (metadata only)
+  'GET /api/auth/keys': async (req) => {
+    assertPermission(req.user, 'admin:keys');
+    const { listApiKeys } = await import('./lib/auth.js');
+    const keys = await listApiKeys();
+    return { keys, count: keys.length };
+  },
+
+  // Issue a key: { name, role?, permissions?, expiresInDays?, expiresAt?, email? }
+  'POST /api/auth/keys': async (req) => {
+    assertPermission(req.user, 'admin:keys');
+    const body = await parseBody(req);
+    const unknownTenants = Array.isArray(body.tenants) ? body.tenants.filter(t => !tenantManager.tenantExists(t)) : [];
+    if (unknownTenants.length > 0) {
+      throw new ValidationError('Unknown tenants', { tenants: `not found: ${unknownTenants.join(', ')}` });
     }
+    const { issueApiKey } = await import('./lib/auth.js');
+    const { key, apiKey } = await issueApiKey({ userId: req.user.userId, ...body, issuer: req.user });
+    return { success: true, key, apiKey, _httpStatus: 201 };
   },
 
   // Get strategy from ROADMAP.md
@@ -732,8 +986,9 @@ const routes = {
   // ============================================
 
   // List all portal clients
-  'GET /api/portal/clients': async () => {
-    return portalQueue.listClients();
+  'GET /api/portal/clients': async (req) => {
+    const result = portalQueue.listClients();
+    return { ...result, clients: result.clients.filter(id => canAccessTenant(req.user, id)) };
   },
 
   // ============================================
@@ -766,6 +1021,45 @@ const routes = {
     return updateBudgetLimits(body);
   },
 
+  // Spend by business unit, tenant, model and operation
+  'GET /api/costs/breakdown': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const { getCostBreakdown } = await import('./lib/cost-controller.js');
+    const { assertCostScopes } = await import('./core/cost-scopes.js');
+    const businessUnitId = url.searchParams.get('businessUnitId');
+    const tenantId = url.searchParams.get('tenantId');
+    assertCostScopes({ businessUnitId, tenantId });
+
+    return getCostBreakdown({
+      period: url.searchParams.get('period') || 'monthly',
+      businessUnitId,
+      tenantId
+    });
+  },
+
+  // Daily cost history with anomalies flagged
+  'GET /api/costs/history': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const { getCostHistory, detectAnomalies } = await import('./lib/cost-controller.js');
+    const history = getCostHistory({ days: parseInt(url.searchParams.get('days')) || 30 });
+    return {
+      history,
+      anomalies: history.flatMap(day => detectAnomalies({ date: day.date }))
+    };
+  },
+
+  // Projected month-end spend
+  'GET /api/costs/forecast': async () => {
+    const { forecastMonthEnd } = await import('./lib/cost-controller.js');
+    return forecastMonthEnd();
+  },
+
+  // Token estimator accuracy vs. provider-reported usage
+  'GET /api/costs/calibration': async () => {
+    const { getCalibrationReport } = await import('./lib/tokenizer.js');
+    return getCalibrationReport();
+  },
+
   // Estimate cost for a query (without running)
   'POST /api/llm-council/estimate': async (req) => {
     const body = await parseBody(req);
@@ -780,14 +1074,14 @@ const routes = {
   // Dispatch question to council (non-streaming)
   'POST /api/orchestrate': async (req) => {
     const body = await parseBody(req);
-    const { question, businessId, context } = body;
+    const { question, businessId, context, tenantId } = body;
 
     if (!question) {
       return { error: 'question is required', _status: 400 };
     }
 
     try {
-      const result = await orchestrate(question, { businessId, context });
+      const result = await orchestrate(question, { businessId, context, tenantId });
       return { success: true, ...result };
     } catch (error) {
       return { error: error.message, _status: error.statusCode || 500 };
@@ -916,9 +1210,11 @@ const routes = {
   'POST /api/portfolio/units': async (req) => {
     const body = await parseBody(req);
     const portfolioManager = await import('./core/portfolio-manager.js');
+    const unit = portfolioManager.addBusinessUnit(body);
+    auditChange(req, { resource: 'business_unit', resourceId: unit.id, before: null, after: unit });
     return {
       success: true,
-      unit: portfolioManager.addBusinessUnit(body)
+      unit
     };
   },
 
@@ -926,16 +1222,22 @@ const routes = {
   'PUT /api/portfolio/units/:id': async (req, params) => {
     const body = await parseBody(req);
     const portfolioManager = await import('./core/portfolio-manager.js');
+    const before = structuredClone(portfolioManager.getBusinessUnit(params.id));
+    const unit = portfolioManager.updateBusinessUnit(params.id, body);
+    auditChange(req, { resource: 'business_unit', resourceId: params.id, before, after: unit });
     return {
       success: true,
-      unit: portfolioManager.updateBusinessUnit(params.id, body)
+      unit
     };
   },
 
   // Delete business unit
   'DELETE /api/portfolio/units/:id': async (req, params) => {
     const portfolioManager = await import('./core/portfolio-manager.js');
-    return portfolioManager.deleteBusinessUnit(params.id);
+    const before = structuredClone(portfolioManager.getBusinessUnit(params.id));
+    const result = portfolioManager.deleteBusinessUnit(params.id);
+    auditChange(req, { resource: 'business_unit', resourceId: params.id, before, after: null });
+    return result;
   },
 
   // Get portfolio summary
@@ -954,6 +1256,7 @@ const routes = {
 
     // Require confirmation code for safety
     if (body.confirm !== 'KILL_ALL_AUTOMATION') {
+      auditChange(req, { resource: 'automation', success: false });
       return {
         success: false,
         error: 'Safety check failed. Send confirm: "KILL_ALL_AUTOMATION"'
@@ -963,6 +1266,7 @@ const routes = {
     console.log('\n🚨 EMERGENCY KILL SWITCH ACTIVATED 🚨\n');
 
     const actions = [];
+    const before = { automationPaused: Boolean(globalThis.AUTOMATION_PAUSED) };
 
     // 1. Set global automation pause flag
     globalThis.AUTOMATION_PAUSED = true;
@@ -983,6 +1287,9 @@ const routes = {
       appCache.clear();
       actions.push('Cleared app cache');
     }
+    const { getResponseCache } = await import('./lib/llm-client.js');
+    getResponseCache().clear();
+    actions.push('Cleared LLM response cache');
 
     // 3. Log the emergency action
     const fs = await import('fs');
@@ -998,6 +1305,12 @@ const routes = {
       './memory/emergency_log.jsonl',
       JSON.stringify(killLog) + '\n'
     );
+    auditChange(req, {
+      resource: 'automation',
+      before,
+      after: { automationPaused: true },
+      details: { reason: killLog.reason, actions }
+    });
 
     return {
       success: true,
@@ -1013,13 +1326,16 @@ const routes = {
     const body = await parseBody(req);
 
     if (body.confirm !== 'RESUME_AUTOMATION') {
+      auditChange(req, { resource: 'automation', success: false });
       return {
         success: false,
         error: 'Safety check failed. Send confirm: "RESUME_AUTOMATION"'
       };
     }
 
+    const before = { automationPaused: Boolean(globalThis.AUTOMATION_PAUSED) };
     globalThis.AUTOMATION_PAUSED = false;
+    auditChange(req, { resource: 'automation', before, after: { automationPaused: false } });
 
     const fs = await import('fs');
     fs.appendFileSync(
@@ -1071,123 +1387,6 @@ const routes = {
     return memoryManager.emergencyCleanup();
   },
 
-  // ============================================
-  // Governance & Hard Gate API Endpoints
-  // ============================================
-
-  // Get governance config for a business unit
-  'GET /api/governance/:businessId': async (req, params) => {
-    const businessId = params.businessId;
-    const govPath = path.join(process.cwd(), 'clients', businessId, 'governance.json');
-    const configPath = path.join(process.cwd(), 'clients', businessId, 'config.json');
-
-    if (!fs.existsSync(configPath)) {
-      return { error: `Business unit not found: ${businessId}` };
-    }
-
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-    const governance = fs.existsSync(govPath)
-      ? JSON.parse(fs.readFileSync(govPath, 'utf-8'))
-      : null;
-
-    return {
-      businessId,
-      marginFloor: config.pricingEngine?.marginFloor || 0.40,
-      hardGateEnabled: config.governance?.hardGateEnabled || false,
-      governance,
-      phase: config.phase || null
-    };
-  },
-
-  // Verify a proposal against Hard Gates
-  'POST /api/governance/:businessId/verify': async (req, params) => {
-    const businessId = params.businessId;
-    const body = await parseBody(req);
-    const { proposedMargin, serviceType, customPricing } = body;
-
-    const govPath = path.join(process.cwd(), 'clients', businessId, 'governance.json');
-    const configPath = path.join(process.cwd(), 'clients', businessId, 'config.json');
-
-    if (!fs.existsSync(configPath)) {
-      return { error: `Business unit not found: ${businessId}` };
-    }
-
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-    const governance = fs.existsSync(govPath)
-      ? JSON.parse(fs.readFileSync(govPath, 'utf-8'))
-      : null;
-
-    const marginFloor = config.pricingEngine?.marginFloor || 0.40;
-    const violations = [];
-    let approved = true;
-
-    // Check margin floor
-    if (proposedMargin !== undefined && proposedMargin < marginFloor) {
-      violations.push({
-        rule: 'MARGIN_FLOOR',
-        message: `Proposed margin ${(proposedMargin * 100).toFixed(1)}% is below ${(marginFloor * 100).toFixed(0)}% Hard Gate`,
-        severity: 'VETO',
-        action: 'REJECTED'
-      });
-      approved = false;
-    }
-
-    // Check freelancing/custom pricing
-    if (customPricing === true && governance?.hardGates?.noFreelancing?.enabled) {
-      violations.push({
-        rule: 'NO_FREELANCING',
-        message: governance.hardGates.noFreelancing.violationMessage,
-        severity: 'VETO',
-        action: 'REJECTED'
-      });
-      approved = false;
-    }
-
-    // Check service type against P1-P22 portfolio
-    if (serviceType && governance?.hardGates?.noBespokePricing?.enabled) {
-      const validPods = governance.pods ? Object.keys(governance.pods) : [];
-      // This would check against actual service catalog - simplified for demo
-    }
-
-    return {
-      businessId,
-      approved,
-      marginFloor,
-      proposedMargin,
-      violations,
-      auditorStatus: approved ? 'APPROVED' : 'VETOED',
-      timestamp: new Date().toISOString()
-    };
-  },
-
-  // Get whale leads
-  'GET /api/governance/:businessId/whales': async (req, params) => {
-    const whalesDir = path.join(process.cwd(), 'memory', 'whale_leads');
-    if (!fs.existsSync(whalesDir)) {
-      return { whales: [], count: 0 };
-    }
-
-    const files = fs.readdirSync(whalesDir).filter(f => f.endsWith('.json'));
-    const whales = files.map(f => {
-      const data = JSON.parse(fs.readFileSync(path.join(whalesDir, f), 'utf-8'));
-      return {
-        id: data.id,
-        project: data.project?.name,
-        sqft: data.project?.sqft,
-        tier: data.whaleScore?.tier,
-        score: data.whaleScore?.total,
-        status: data.status,
-        estimatedValue: data.scanOpportunity?.estimatedValue
-      };
-    });
-
-    return {
-      whales,
-      count: whales.length,
-      scoutMode: 'PHASE_1_WHALE'
-    };
-  },
-
   // ============================================
   // Observability API Endpoints
   // ============================================
@@ -1220,7 +1419,8 @@ const routes = {
 
     return {
       traces: observability.getRecentTraces(limit),
-      activeSpans: observability.getActiveSpans()
+      activeSpans: observability.getActiveSpans(),
+      export: observability.getTraceExportStats()
     };
   },
 
@@ -1235,10 +1435,37 @@ const routes = {
     return {
       recentAlerts: observability.getRecentAlerts(limit),
       newAlerts,
+      active: observability.getActiveAlerts(),
+      rules: observability.getAlertRules(),
       timestamp: new Date().toISOString()
     };
   },
 
+  // Alert silences (runtime; config/alert-rules.json holds scheduled ones)
+  'GET /api/observability/alerts/silences': async () => {
+    const { listSilences } = await import('./lib/alert-rules.js');
+    return { silences: listSilences() };
+  },
+
+  'POST /api/observability/alerts/silences': async (req) => {
+    const body = await parseBody(req);
+    const { addSilence } = await import('./lib/alert-rules.js');
+    return { success: true, silence: addSilence(body), _httpStatus: 201 };
+  },
+
+  'DELETE /api/observability/alerts/silences': async (req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const id = url.searchParams.get('id');
+    if (!id) {
+      throw new ValidationError('Missing silence id', { id: 'required' });
+    }
+    const { removeSilence } = await import('./lib/alert-rules.js');
+    if (!removeSilence(id)) {
+      return { success: false, error: `Silence not found: ${id}`, _httpStatus: 404 };
+    }
+    return { success: true };
+  },
+
   // Full observability dashboard data
   'GET /api/observability/dashboard': async () => {
     return observability.getObservabilityDashboard();
@@ -1759,6 +1986,7 @@ const routes = {
     if (!title) {
       throw new ValidationError('title is required');
     }
+    assertTenantAccess(req.user, business || 's2p');
 
     let finalSections = sections || {};
     let finalCouncilOutput = councilOutput;
@@ -1770,20 +1998,11 @@ const routes = {
         .map(n => `[${n.title}]\n${n.content}`)
         .join('\n\n---\n\n');
 
-      if (process.env.OPENROUTER_API_KEY && noteContext.length > 0) {
+      if (isLLMAvailable(NOTES_MODEL) && noteContext.length > 0) {
         try {
-          const llmRes = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              model: 'anthropic/claude-3.5-haiku',
-              messages: [
-                {
-                  role: 'system',
-                  content: `You are generating content for a ${type || 'microsite'} about "${business}". Based on the provided notes, create compelling marketing content. Return ONLY valid JSON with these exact keys:
+          const { content } = await queryLLM({
+            model: NOTES_MODEL,
+            system: `You are generating content for a ${type || 'microsite'} about "${business}". Based on the provided notes, create compelling marketing content. Return ONLY valid JSON with these exact keys:
 {
   "hero": "Main headline (5-10 words)",
   "problem": "What problem does this solve? (1-2 sentences)",
@@ -1792,29 +2011,21 @@ const routes = {
   "specifics": {
     "deliverables": ["item1", "item2", "item3"]
   }
-}`
-                },
-                {
-                  role: 'user',
-                  content: `Title: ${title}\n\nNotes from ${business}:\n\n${noteContext.slice(0, 8000)}`
-                }
-              ],
-              max_tokens: 500,
-            }),
+}`,
+            prompt: `Title: ${title}\n\nNotes from ${business}:\n\n${noteContext.slice(0, 8000)}`,
+            maxTokens: 500,
+            traceId,
+            operation: 'artifact:sections'
           });
 
-          if (llmRes.ok) {
-            const llmData = await llmRes.json();
-            const content = llmData.choices?.[0]?.message?.content || '';
-            // Extract JSON from response
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-              try {
-                finalSections = JSON.parse(jsonMatch[0]);
-                logger.info('Generated sections from notes', { business, sectionKeys: Object.keys(finalSections) });
-              } catch (e) {
-                logger.warn('Failed to parse LLM sections JSON', { error: e.message });
-              }
+          // Extract JSON from response
+          const jsonMatch = content.match(/\{[\s\S]*\}/);
+          if (jsonMatch) {
+            try {
+              finalSections = JSON.parse(jsonMatch[0]);
+              logger.info('Generated sections from notes', { business, sectionKeys: Object.keys(finalSections) });
+            } catch (e) {
+              logger.warn('Failed to parse LLM sections JSON', { error: e.message });
             }
           }
         } catch (e) {
@@ -1853,7 +2064,8 @@ const routes = {
     // Remove null values
     Object.keys(filters).forEach(k => filters[k] === null && delete filters[k]);
 
-    const artifacts = artifactEngine.listArtifacts(filters);
+    const artifacts = artifactEngine.listArtifacts(filters)
+      .filter(artifact => canAccessTenant(req.user, artifact.business));
 
     return {
       success: true,
@@ -1874,6 +2086,17 @@ const routes = {
   }
 };
 
+const PORTAL_ROUTES = [
+  'GET /api/portal/:clientId',
+  'GET /api/portal/:clientId/queue',
+  'POST /api/portal/:clientId/upload',
+  'POST /api/portal/:clientId/approve',
+  'POST /api/portal/:clientId/process',
+  'POST /api/portal/:clientId/send-to-client',
+  'POST /api/portal/:clientId/move',
+  'POST /api/portal/:clientId/gbp'
+];
+
 /**
  * Handle dynamic portal routes
  * Pattern: /api/portal/:clientId/:action
@@ -1888,6 +2111,8 @@ async function handlePortalRoute(req, method, pathname) {
   // Skip if it's the clients list endpoint
   if (clientId === 'clients') return null;
 
+  assertTenantAccess(req.user, clientId);
+
   console.log(`[Portal API] ${method} /${clientId}/${action}`);
 
   // GET /api/portal/:clientId/queue - Get queue state
@@ -1954,6 +2179,13 @@ async function handlePortalRoute(req, method, pathname) {
   return { success: false, error: `Unknown portal action: ${action}` };
 }
 
+const TENANT_ROUTES = [
+  'GET /api/tenants',
+  'POST /api/tenants',
+  'GET /api/tenants/:tenantId',
+  'PUT /api/tenants/:tenantId'
+];
+
 /**
  * Handle tenant/agency API routes
  */
@@ -1966,7 +2198,7 @@ async function handleTenantRoute(req, method, pathname) {
   if (!tenantId || tenantId === '') {
     if (method === 'GET') {
       try {
-        const tenants = await tenantManager.listTenants();
+        const tenants = (await tenantManager.listTenants()).filter(t => canAccessTenant(req.user, t.id));
         return { tenants, count: tenants.length };
       } catch (error) {
         return { tenants: [], count: 0, error: error.message };
@@ -1975,6 +2207,9 @@ async function handleTenantRoute(req, method, pathname) {
 
     // POST /api/tenants - Create new tenant
     if (method === 'POST') {
+      if (req.user.tenants?.length > 0) {
+        throw new AuthorizationError('Tenant-scoped keys cannot create tenants');
+      }
       const body = await parseBody(req);
       if (!body.id || !body.name) {
         return { success: false, error: 'id and name required' };
@@ -1988,6 +2223,8 @@ async function handleTenantRoute(req, method, pathname) {
     }
   }
 
+  assertTenantAccess(req.user, tenantId);
+
   // GET /api/tenants/:tenantId - Get tenant config
   if (method === 'GET' && !action) {
     try {
@@ -2012,6 +2249,56 @@ async function handleTenantRoute(req, method, pathname) {
   return null;
 }
 
+/**
+ * Throw unless the caller may act on a review item's client. Missing
+ * items are left for the route handler to report.
+ */
+function assertReviewTenant(user, reviewId) {
+  let item;
+  try {
+    item = agencyReview.getReviewItem(reviewId);
+  } catch {
+    return;
+  }
+  assertTenantAccess(user, item.clientId);
+}
+
+/**
+ * Review pulse limited to the clients a key can see
+ */
+function tenantReviewPulse(user) {
+  const pulse = agencyReview.getReviewPulse();
+  if (!user?.tenants?.length) {
+    return pulse;
+  }
+
+  const lists = ['agencyPending', 'clientPending', 'readyToPublish', 'needsRevision'];
+  const filtered = Object.fromEntries(lists.map(list => [list, pulse[list].filter(i => canAccessTenant(user, i.clientId))]));
+  return {
+    ...pulse,
+    ...filtered,
+    counts: {
+      agencyReview: filtered.agencyPending.length,
+      clientReview: filtered.clientPending.length,
+      readyToPublish: filtered.readyToPublish.length,
+      needsRevision: filtered.needsRevision.length
+    }
+  };
+}
+
+const REVIEW_ROUTES = [
+  'GET /api/review',
+  'POST /api/review',
+  'GET /api/review/pulse',
+  'GET /api/review/list/:clientId',
+  'GET /api/review/:reviewId',
+  'GET /api/review/:reviewId/approve',
+  'GET /api/review/:reviewId/reject',
+  'POST /api/review/:reviewId/client-approve',
+  'POST /api/review/:reviewId/revision',
+  'POST /api/review/:reviewId/publish'
+];
+
 /**
  * Handle agency review API routes
  */
@@ -2022,9 +2309,27 @@ async function handleReviewRoute(req, method, pathname, url) {
 
   // GET /api/review/pulse - Get review status pulse (public, no auth needed)
   if (method === 'GET' && (reviewId === 'pulse' || !reviewId)) {
-    return agencyReview.getReviewPulse();
+    return tenantReviewPulse(req.user);
   }
 
+  if (reviewId && reviewId !== 'list') {
+    assertReviewTenant(req.user, reviewId);
+  }
+
+  // Status changes record the item before and after; refused ones (bad
+  // token, wrong status) are recorded as failures
+  const auditReview = (apply) => {
+    try {
+      const before = structuredClone(agencyReview.getReviewItem(reviewId));
+      const result = apply();
+      auditChange(req, { resource: 'review_item', resourceId: reviewId, before, after: agencyReview.getReviewItem(reviewId) });
+      return result;
+    } catch (error) {
+      auditChange(req, { resource: 'review_item', resourceId: reviewId, success: false, details: { error: error.message } });
+      return { success: false, error: error.message };
+    }
+  };
+
   // GET /api/review/:id - Get specific review item
   if (method === 'GET' && reviewId && !action) {
     try {
@@ -2037,6 +2342,7 @@ async function handleReviewRoute(req, method, pathname, url) {
   // POST /api/review - Create new review item
   if (method === 'POST' && !reviewId) {
     const body = await parseBody(req);
+    assertTenantAccess(req.user, body.clientId);
     try {
       const item = agencyReview.createReviewItem(body);
       const submitted = agencyReview.submitForAgencyReview(item.id);
@@ -2049,62 +2355,52 @@ async function handleReviewRoute(req, method, pathname, url) {
   // GET /api/review/:id/approve?token=xxx - Approve via secure link
   if (method === 'GET' && action === 'approve') {
     const token = url.searchParams.get('token');
-    try {
-      return agencyReview.agencyApprove(reviewId, token);
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return auditReview(() => agencyReview.agencyApprove(reviewId, token));
   }
 
   // GET /api/review/:id/reject?token=xxx&feedback=xxx - Reject via secure link
   if (method === 'GET' && action === 'reject') {
     const token = url.searchParams.get('token');
     const feedback = url.searchParams.get('feedback') || '';
-    try {
-      return agencyReview.agencyReject(reviewId, token, { feedback });
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return auditReview(() => agencyReview.agencyReject(reviewId, token, { feedback }));
   }
 
   // POST /api/review/:id/client-approve - Client approves
   if (method === 'POST' && action === 'client-approve') {
     const body = await parseBody(req);
-    try {
-      return agencyReview.clientApprove(reviewId, body.clientId);
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    assertTenantAccess(req.user, body.clientId);
+    return auditReview(() => agencyReview.clientApprove(reviewId, body.clientId));
   }
 
   // POST /api/review/:id/revision - Client requests revision
   if (method === 'POST' && action === 'revision') {
     const body = await parseBody(req);
-    try {
-      return agencyReview.clientRequestRevision(reviewId, body.clientId, body.feedback);
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    assertTenantAccess(req.user, body.clientId);
+    return auditReview(() => agencyReview.clientRequestRevision(reviewId, body.clientId, body.feedback));
   }
 
   // POST /api/review/:id/publish - Mark as published
   if (method === 'POST' && action === 'publish') {
     const body = await parseBody(req);
-    try {
-      return agencyReview.markPublished(reviewId, body);
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+    return auditReview(() => agencyReview.markPublished(reviewId, body));
   }
 
   // GET /api/review/list/:clientId - List reviews for a client
   if (method === 'GET' && reviewId === 'list' && action) {
+    assertTenantAccess(req.user, action);
     return { items: agencyReview.listReviewItems({ clientId: action }) };
   }
 
   return null;
 }
 
+const LIMITLESS_ROUTES = [
+  'GET /api/limitless/feed',
+  'POST /api/limitless/scout',
+  'GET /api/limitless/search',
+  'GET /api/limitless/status'
+];
+
 /**
  * Handle Limitless Scout API routes
  * Pattern: /api/limitless/:action
@@ -2229,6 +2525,13 @@ async function handleLimitlessRoute(req, method, pathname, url) {
   return null;
 }
 
+const MARKETING_ROUTES = [
+  'POST /api/marketing/brief',
+  'POST /api/marketing/draft',
+  'POST /api/marketing/publish',
+  'GET /api/marketing/queue'
+];
+
 /**
  * Handle Marketing Agency API routes
  * Pattern: /api/marketing/:action
@@ -2432,6 +2735,10 @@ async function handleMarketingRoute(req, method, pathname) {
   return null;
 }
 
+const COMPETITIVE_INTEL_ROUTES = [
+  'GET /api/competitive-intel/:businessId'
+];
+
 /**
  * Handle Competitive Intelligence API routes (dynamic)
  * Pattern: /api/competitive-intel/:businessId
@@ -2446,6 +2753,7 @@ async function handleCompetitiveIntelRoute(req, method, pathname) {
   if (!match) return null;
 
   const businessId = match[1];
+  assertTenantAccess(req.user, businessId);
 
   if (method === 'GET') {
     const { getBattlecard } = await import('./core/competitive_intel.js');
@@ -2459,6 +2767,12 @@ async function handleCompetitiveIntelRoute(req, method, pathname) {
   return null;
 }
 
+const CONTENT_COUNCIL_ROUTES = [
+  'GET /api/content-council/:id',
+  'GET /api/content-council/:id/heygen',
+  'POST /api/content-council/:id/heygen/generate'
+];
+
 /**
  * Handle Content Council API routes (dynamic)
  * Pattern: /api/content-council/:businessId[/heygen[/generate]]
@@ -2508,6 +2822,10 @@ async function handleContentCouncilRoute(req, method, pathname) {
   return null;
 }
 
+const CITATION_ROUTES = [
+  'GET /api/citations/battlecard/:businessId'
+];
+
 /**
  * Handle Citation API routes (dynamic)
  * Pattern: /api/citations/battlecard/:businessId
@@ -2522,6 +2840,7 @@ async function handleCitationRoute(req, method, pathname) {
   if (!match) return null;
 
   const businessId = match[1];
+  assertTenantAccess(req.user, businessId);
 
   if (method === 'GET') {
     const { getBattlecard } = await import('./core/competitive_intel.js');
@@ -2539,6 +2858,11 @@ async function handleCitationRoute(req, method, pathname) {
   return null;
 }
 
+const CONTEXT_ROUTES = [
+  'GET /api/context/:businessId',
+  'GET /api/context/:businessId/validate'
+];
+
 /**
  * Handle Context API routes (dynamic)
  * Pattern: /api/context/:businessId[/validate]
@@ -2553,6 +2877,7 @@ async function handleContextRoute(req, method, pathname) {
   const validateMatch = pathname.match(/^\/api\/context\/([^/]+)\/validate$/);
   if (validateMatch && method === 'GET') {
     const businessId = validateMatch[1];
+    assertTenantAccess(req.user, businessId);
     const ctx = await import('./lib/council-context.js');
     return ctx.validateBusinessData(businessId);
   }
@@ -2561,6 +2886,7 @@ async function handleContextRoute(req, method, pathname) {
   const match = pathname.match(/^\/api\/context\/([^/]+)$/);
   if (match && method === 'GET') {
     const businessId = match[1];
+    assertTenantAccess(req.user, businessId);
     const ctx = await import('./lib/council-context.js');
     return ctx.buildContext(businessId);
   }
@@ -2568,6 +2894,122 @@ async function handleContextRoute(req, method, pathname) {
   return null;
 }
 
+/**
+ * Find the stored session, execution and council output that share an
+ * application trace ID with a trace's spans
+ */
+async function findTraceLinks(appTraceIds) {
+  const { getCouncilOutput } = await import('./core/llm_council.js');
+  const links = [];
+
+  for (const traceId of appTraceIds.filter(id => /^[\w-]+$/.test(id))) {
+    const session = await getSession(traceId);
+    if (session) {
+      links.push({
+        type: 'orchestrate_session',
+        traceId,
+        question: session.question,
+        timestamp: session.timestamp,
+        href: `/api/orchestrate/sessions/${traceId}`
+      });
+    }
+
+    const execution = await workflowOrchestrator.store?.load(traceId);
+    if (execution) {
+      links.push({
+        type: 'workflow_execution',
+        traceId,
+        workflow: execution.workflow?.id,
+        status: execution.status,
+        pendingCheckpoint: execution.pendingCheckpoint,
+        href: `/api/orchestrate/sessions/${traceId}/resume`
+      });
+    }
+
+    const councilOutput = getCouncilOutput(traceId);
+    if (councilOutput) {
+      links.push({
+        type: 'council_output',
+        traceId,
+        query: councilOutput.query,
+        timestamp: councilOutput.timestamp,
+        duration: councilOutput.duration
+      });
+    }
+  }
+
+  return links;
+}
+
+const OBSERVABILITY_TRACE_ROUTES = [
+  'GET /api/observability/traces/:traceId'
+];
+
+/**
+ * Handle trace tree route
+ * Pattern: /api/observability/traces/:traceId
+ * traceId is a W3C trace ID or an application trace ID (council-..., orch-...)
+ */
+async function handleObservabilityTraceRoute(req, method, pathname) {
+  const match = pathname.match(/^\/api\/observability\/traces\/([^/]+)$/);
+  if (!match || method !== 'GET') return null;
+
+  const traceId = decodeURIComponent(match[1]);
+  const tree = observability.getTraceTree(traceId);
+  if (!tree) {
+    return { error: `Trace not found: ${traceId}`, _status: 404 };
+  }
+
+  return {
+    traceId,
+    ...tree,
+    links: await findTraceLinks(tree.appTraceIds)
+  };
+}
+
+const API_KEY_ROUTES = [
+  'POST /api/auth/keys/:id/rotate',
+  'DELETE /api/auth/keys/:id'
+];
+
+/**
+ * Handle API key routes
+ * Pattern: /api/auth/keys/:id (DELETE revokes), /api/auth/keys/:id/rotate (POST)
+ */
+async function handleApiKeyRoute(req, method, pathname) {
+  const match = pathname.match(/^\/api\/auth\/keys\/([^/]+)(?:\/(rotate))?$/);
+  if (!match) return null;
+
+  const [, id, action] = match;
+  const { rotateApiKey, revokeApiKey } = await import('./lib/auth.js');
+
+  if (method === 'POST' && action === 'rotate') {
+    assertPermission(req.user, 'admin:keys');
+    const body = await parseBody(req);
+    const rotated = await rotateApiKey(id, { ...body, issuer: req.user });
+    if (!rotated) {
+      return { success: false, error: `API key not found: ${id}`, _status: 404 };
+    }
+    return { success: true, ...rotated, _status: 201 };
+  }
+
+  if (method === 'DELETE' && !action) {
+    assertPermission(req.user, 'admin:keys');
+    if (!(await revokeApiKey(id))) {
+      return { success: false, error: `API key not found: ${id}`, _status: 404 };
+    }
+    return { success: true, revoked: id };
+  }
+
+  return null;
+}
+
+const CLIENT_ROUTES = [
+  'GET /api/clients/:clientId/gst',
+  'GET /api/clients/:clientId/config',
+  'GET /api/clients/:clientId/brand'
+];
+
 /**
  * Handle client API routes (GST, config, etc.)
  * Pattern: /api/clients/:clientId/:resource
@@ -2579,6 +3021,8 @@ async function handleClientRoute(req, method, pathname) {
   const clientId = match[1];
   const resource = match[2];
 
+  assertTenantAccess(req.user, clientId);
+
   // GET /api/clients/:clientId/gst - Get GST manifest
   if (method === 'GET' && resource === 'gst') {
     try {
@@ -2643,6 +3087,14 @@ async function handleClientRoute(req, method, pathname) {
   return null;
 }
 
+const GOVERNANCE_ROUTES = [
+  'GET /api/governance/:businessId',
+  'GET /api/governance/:businessId/config',
+  'POST /api/governance/:businessId/verify',
+  'GET /api/governance/:businessId/whales',
+  'GET /api/governance/:businessId/personas'
+];
+
 /**
  * Handle Governance API routes
  * Pattern: /api/governance/:businessId/:action?
@@ -2653,6 +3105,7 @@ async function handleGovernanceRoute(req, method, pathname) {
 
   const businessId = match[1];
   const action = match[2] || 'config';
+  assertTenantAccess(req.user, businessId);
 
   logger.info(`[Governance API] ${method} /${businessId}/${action}`);
 
@@ -2771,6 +3224,20 @@ async function handleGovernanceRoute(req, method, pathname) {
   return { error: `Unknown governance action: ${action}` };
 }
 
+const S2P_ROUTES = [
+  'GET /api/s2p',
+  'GET /api/s2p/signals',
+  'GET /api/s2p/leads',
+  'GET /api/s2p/pipeline/deals',
+  'GET /api/s2p/proof',
+  'GET /api/s2p/waves',
+  'GET /api/s2p/proof/match/:leadId',
+  'GET /api/s2p/prospects',
+  'GET /api/s2p/prospects/:prospectId',
+  'POST /api/s2p/prospects/:prospectId/outreach',
+  'GET /api/s2p/dashboard'
+];
+
 /**
  * Handle S2P Lead Radar API routes
  * Pattern: /api/s2p/:action
@@ -2780,6 +3247,8 @@ async function handleS2PRoute(req, method, pathname) {
   if (!match) return null;
 
   const action = match[1] || 'signals';
+  // The S2P pipeline is Scan2Plan's tenant data
+  assertTenantAccess(req.user, 's2p');
   const vaultPath = path.join(process.cwd(), 'memory', 's2p_prospect_vault.jsonl');
 
   logger.info(`[S2P API] ${method} /${action}`);
@@ -3019,6 +3488,16 @@ async function handleS2PRoute(req, method, pathname) {
   return { error: `Unknown S2P action: ${action}` };
 }
 
+const DISCOVERY_ROUTES = [
+  'GET /api/discover/:businessId',
+  'GET /api/discover/:businessId/status',
+  'GET /api/discover/:businessId/questions',
+  'POST /api/discover/:businessId/upload',
+  'POST /api/discover/:businessId/extract',
+  'POST /api/discover/:businessId/answers',
+  'POST /api/discover/:businessId/commit'
+];
+
 /**
  * Handle Business Discovery API routes
  * Pattern: /api/discover/:businessId/:action
@@ -3029,6 +3508,7 @@ async function handleDiscoveryRoute(req, method, pathname) {
 
   const businessId = match[1];
   const action = match[2] || 'status';
+  assertTenantAccess(req.user, businessId);
 
   logger.info(`[Discovery API] ${method} /${businessId}/${action}`);
 
@@ -3105,6 +3585,15 @@ async function handleDiscoveryRoute(req, method, pathname) {
   return { success: false, error: `Unknown discovery action: ${action}` };
 }
 
+const ARTIFACT_ROUTES = [
+  'GET /api/artifacts/:id',
+  'GET /api/artifacts/:id/preview',
+  'PUT /api/artifacts/:id',
+  'DELETE /api/artifacts/:id',
+  'POST /api/artifacts/:id/publish',
+  'POST /api/artifacts/:id/feedback'
+];
+
 /**
  * Handle dynamic artifact routes
  * Pattern: /api/artifacts/:id/:action?
@@ -3121,6 +3610,14 @@ async function handleArtifactRoute(req, method, pathname) {
 
   const artifactEngine = await import('./core/artifact-engine.js');
 
+  // Previews are public; everything else is limited to the artifact's business
+  if (action !== 'preview') {
+    const meta = artifactEngine.loadArtifactMeta(artifactId);
+    if (meta) {
+      assertTenantAccess(req.user, meta.business);
+    }
+  }
+
   // GET /api/artifacts/:id - Get artifact metadata
   if (method === 'GET' && !action) {
     const artifact = artifactEngine.loadArtifactMeta(artifactId);
@@ -3192,13 +3689,137 @@ async function handleArtifactRoute(req, method, pathname) {
   return { success: false, error: `Unknown artifact action: ${action}` };
 }
 
+// Inline orchestrate handlers in dispatchRequest
+const ORCHESTRATE_ROUTES = [
+  'POST /api/orchestrate/stream',
+  'GET /api/orchestrate/sessions/:traceId',
+  'POST /api/orchestrate/sessions/:traceId/resume'
+];
+
+/**
+ * Routes served by the prefix-dispatched handle*Route functions, built from
+ * the table above each handler so the startup check below confirms every
+ * one has a permission in ENDPOINT_PERMISSIONS. A handler that gains a
+ * route adds it to its table.
+ */
+const DYNAMIC_ROUTES = [...new Set([
+  ...PORTAL_ROUTES,
+  ...TENANT_ROUTES,
+  ...REVIEW_ROUTES,
+  ...LIMITLESS_ROUTES,
+  ...MARKETING_ROUTES,
+  ...COMPETITIVE_INTEL_ROUTES,
+  ...CONTENT_COUNCIL_ROUTES,
+  ...CITATION_ROUTES,
+  ...CONTEXT_ROUTES,
+  ...OBSERVABILITY_TRACE_ROUTES,
+  ...API_KEY_ROUTES,
+  ...CLIENT_ROUTES,
+  ...GOVERNANCE_ROUTES,
+  ...DISCOVERY_ROUTES,
+  ...ARTIFACT_ROUTES,
+  ...S2P_ROUTES,
+  ...S2P_SPOKE_ROUTES,
+  ...ORCHESTRATE_ROUTES
+])];
+
+const ROUTE_KEYS = [...Object.keys(routes), ...DYNAMIC_ROUTES];
+const STATIC_ROUTE_KEYS = Object.keys(routes);
+
 /**
- * Main request handler with logging and metrics
+ * Routes whose handlers check the caller's tenants (assertTenantAccess, or
+ * lists filtered with canAccessTenant). Tenant-scoped keys are refused on
+ * every other route, so a route only answers them once its handler has
+ * been made tenant-aware and added here.
+ */
+const TENANT_AWARE_ROUTES = new Set([
+  'GET /api/portal/clients',
+  'GET /api/artifacts',
+  'POST /api/artifacts/generate',
+  'POST /api/auth/keys',
+  ...PORTAL_ROUTES,
+  ...TENANT_ROUTES,
+  ...REVIEW_ROUTES,
+  ...COMPETITIVE_INTEL_ROUTES,
+  ...CITATION_ROUTES,
+  ...CONTEXT_ROUTES,
+  ...CLIENT_ROUTES,
+  ...GOVERNANCE_ROUTES,
+  ...DISCOVERY_ROUTES,
+  ...ARTIFACT_ROUTES,
+  ...S2P_ROUTES,
+  ...S2P_SPOKE_ROUTES
+]);
+
+// Requests recorded in the audit trail regardless of what their handler reports
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Refuse to start with a route nobody thought about permissions for
+const unmappedRoutes = findUnmappedRoutes(ROUTE_KEYS);
+if (unmappedRoutes.length > 0) {
+  throw new Error(`Routes without a permission in ENDPOINT_PERMISSIONS (lib/auth.js): ${unmappedRoutes.join(', ')}`);
+}
+
+/**
+ * Answer with an error: AppErrors keep their status and code, anything
+ * else is a 500
+ * @param {ServerResponse} res
+ * @param {Error} error
+ * @param {string} requestId
+ * @param {string} [code='INTERNAL_ERROR'] - Code for errors that are not AppErrors
+ * @param {Object} [headers] - Extra response headers, e.g. Retry-After
+ */
+function sendError(res, error, requestId, code = 'INTERNAL_ERROR', headers = {}) {
+  if (error instanceof AppError) {
+    const { _httpStatus, ...errorResponse } = error.toJSON(!IS_DEV);
+    res.writeHead(error.statusCode, { ...CORS_HEADERS, ...headers });
+    res.end(JSON.stringify({ ...errorResponse, requestId }));
+    return;
+  }
+  res.writeHead(500, { ...CORS_HEADERS, ...headers });
+  res.end(JSON.stringify({ error: { code, message: error.message }, requestId }));
+}
+
+/**
+ * Main request handler: runs the request under a server span that
+ * continues the caller's W3C traceparent, if any
  */
 async function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    return dispatchRequest(req, res);
+  }
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  // Name spans after the route pattern so IDs in paths don't make every name unique
+  const route = findRoute(ROUTE_KEYS, req.method, pathname)?.route.split(' ')[1];
+  const span = startSpan(route ? `${req.method} ${route}` : req.method, {
+    ...parseTraceparent(req.headers.traceparent),
+    kind: 'server',
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': pathname,
+      ...(route && { 'http.route': route })
+    }
+  });
+
+  res.on('close', () => {
+    span.setAttributes({ 'http.response.status_code': res.statusCode });
+    if (res.statusCode >= 500) {
+      span.setStatus('error', `HTTP ${res.statusCode}`);
+    }
+    span.end();
+  });
+
+  return runWithSpan(span, () => dispatchRequest(req, res));
+}
+
+/**
+ * Route a request with logging and metrics
+ */
+async function dispatchRequest(req, res) {
   const startTime = Date.now();
   const requestId = req.headers['x-request-id'] || generateRequestId();
-  const reqLogger = logger.child({ requestId });
+  const reqLogger = logger.child({ requestId, traceId: observability.getActiveSpan()?.traceId });
 
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -3212,27 +3833,86 @@ async function handleRequest(req, res) {
 
   reqLogger.info(`${routeKey}`);
 
-  // Check API key (skip for health, metrics, openapi, notebook queries, and artifacts)
-  const skipAuth = ['health', 'openapi', 'metrics', 'api/notebook', 'api/artifacts'].some(p => url.pathname.includes(p));
-  if (!skipAuth) {
-    if (!verifyApiKey(req)) {
-      reqLogger.warn('Authentication failed');
+  // Mutating requests, and reads whose handler calls auditChange (review
+  // approval links), go to the audit trail once answered, including ones
+  // refused before a handler ran (missing permission, rate limit). Requests
+  // that match no route are only logged, and so are unauthenticated ones
+  // (see recordRequestAudit)
+  res.on('close', () => {
+    if (!AUDITED_METHODS.has(req.method) && !req.audit) return;
+    const match = findRoute(ROUTE_KEYS, req.method, url.pathname);
+    if (!match) return;
+    recordRequestAudit(req, {
+      action: match?.route || routeKey,
+      params: match?.params,
+      requestId,
+      status: res.statusCode
+    });
+  });
+
+  // Check API key (env key or issued key; see PUBLIC_ROUTES for the exceptions)
+  const isPublic = isPublicRoute(req.method, url.pathname);
+  if (!isPublic) {
+    try {
+      req.user = await authenticateRequest(req, { devMode: IS_DEV });
+    } catch (error) {
+      // A key store outage is not the client's fault
+      const authError = error instanceof AppError ? error : new ServiceUnavailableError('Authentication');
+      reqLogger.warn('Authentication failed', { reason: error.message });
       recordRequest(routeKey, Date.now() - startTime, false);
-      res.writeHead(401, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'AUTHENTICATION_ERROR', message: 'Invalid API key' },
-        requestId
-      }));
+      sendError(res, authError, requestId);
+      return;
+    }
+  }
+
+  if (!isPublic) {
+    // Paths without a mapping are not registered routes (see the startup
+    // check), so only admins get as far as their 404
+    const permission = getEndpointPermission(req.method, url.pathname) || '*';
+    try {
+      assertPermission(req.user, permission);
+    } catch (error) {
+      reqLogger.warn('Permission denied', { permission, role: req.user.role, keyId: req.user.keyId });
+      recordRequest(routeKey, Date.now() - startTime, false);
+      sendError(res, error, requestId);
+      return;
+    }
+
+    // Tenant-scoped keys only reach routes that check tenants themselves
+    if (req.user.tenants?.length > 0) {
+      const route = findRoute(ROUTE_KEYS, req.method, url.pathname)?.route;
+      if (!TENANT_AWARE_ROUTES.has(route)) {
+        reqLogger.warn('Tenant-scoped key refused', { route: route || routeKey, keyId: req.user.keyId });
+        recordRequest(routeKey, Date.now() - startTime, false);
+        sendError(res, new AuthorizationError('Tenant-scoped keys cannot use this route'), requestId);
+        return;
+      }
+    }
+
+    try {
+      const rateLimit = enforceRateLimit(req.user, req.method, url.pathname);
+      if (rateLimit) {
+        res.setHeader('X-RateLimit-Limit', rateLimit.limit);
+        res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+      }
+    } catch (error) {
+      reqLogger.warn('Rate limit exceeded', { keyId: req.user.keyId, routeClass: error.details?.routeClass, retryAfter: error.retryAfter });
+      recordRequest(routeKey, Date.now() - startTime, false);
+      const headers = error.retryAfter !== undefined ? { 'Retry-After': String(error.retryAfter) } : {};
+      sendError(res, error, requestId, 'INTERNAL_ERROR', headers);
       return;
     }
   }
 
-  // Find matching route
-  const handler = routes[routeKey];
+  // Find matching route; parameterized keys get their parameters
+  const staticRoute = routes[routeKey]
+    ? { route: routeKey, params: {} }
+    : findRoute(STATIC_ROUTE_KEYS, req.method, url.pathname);
+  const handler = staticRoute && routes[staticRoute.route];
 
   if (handler) {
     try {
-      const result = await handler(req);
+      const result = await handler(req, staticRoute.params);
       const duration = Date.now() - startTime;
 
       // Handle AppError instances
@@ -3299,7 +3979,7 @@ async function handleRequest(req, res) {
     if (url.pathname === '/api/orchestrate/stream' && req.method === 'POST') {
       try {
         const body = await parseBody(req);
-        const { question, businessId, context } = body;
+        const { question, businessId, context, tenantId } = body;
 
         if (!question) {
           res.writeHead(400, CORS_HEADERS);
@@ -3321,7 +4001,7 @@ async function handleRequest(req, res) {
         };
 
         try {
-          const result = await orchestrate(question, { businessId, context }, sendEvent);
+          const result = await orchestrate(question, { businessId, context, tenantId }, sendEvent);
           sendEvent({ type: 'done', result });
         } catch (error) {
           sendEvent({ type: 'error', error: error.message });
@@ -3337,6 +4017,39 @@ async function handleRequest(req, res) {
       }
     }
 
+    // Resume a paused or interrupted workflow execution (survives restarts)
+    const resumeMatch = url.pathname.match(/^\/api\/orchestrate\/sessions\/([^/]+)\/resume$/);
+    if (resumeMatch && req.method === 'POST') {
+      const traceId = resumeMatch[1];
+      try {
+        const body = await parseBody(req);
+        const { approved = true, feedback = null } = body;
+
+        if (!workflowOrchestrator.registry.has('research')) {
+          registerAllAgents();
+        }
+
+        // A snapshot drops condition functions; rebind it to a freshly built definition
+        const snapshot = workflowOrchestrator.activeExecutions.has(traceId)
+          ? null
+          : await workflowOrchestrator.store?.load(traceId);
+        const workflow = snapshot ? resolveWorkflow(snapshot.workflow) : undefined;
+
+        const ctx = await workflowOrchestrator.resumeExecution(traceId, { approved, feedback, workflow });
+        const duration = Date.now() - startTime;
+        recordRequest(routeKey, duration, true);
+        res.writeHead(200, CORS_HEADERS);
+        res.end(JSON.stringify({ success: true, execution: ctx.getSummary(), requestId }));
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        recordRequest(routeKey, duration, false);
+        const level = error instanceof AppError ? 'warn' : 'error';
+        reqLogger[level](`Orchestrate resume error: ${error.message}`, { traceId, code: error.code, duration });
+        sendError(res, error, requestId, 'ORCHESTRATE_ERROR');
+      }
+      return;
+    }
+
     // Get session by ID
     const sessionMatch = url.pathname.match(/^\/api\/orchestrate\/sessions\/([^/]+)$/);
     if (sessionMatch && req.method === 'GET') {
@@ -3368,12 +4081,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Portal error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'PORTAL_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Portal error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'PORTAL_ERROR');
       return;
     }
   }
@@ -3407,12 +4117,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Artifact error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'ARTIFACT_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Artifact error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'ARTIFACT_ERROR');
       return;
     }
   }
@@ -3432,12 +4139,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Discovery error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'DISCOVERY_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Discovery error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'DISCOVERY_ERROR');
       return;
     }
   }
@@ -3457,12 +4161,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Governance error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'GOVERNANCE_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Governance error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'GOVERNANCE_ERROR');
       return;
     }
   }
@@ -3482,12 +4183,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`S2P error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'S2P_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`S2P error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'S2P_ERROR');
       return;
     }
   }
@@ -3507,12 +4205,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Marketing error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'MARKETING_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Marketing error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'MARKETING_ERROR');
       return;
     }
   }
@@ -3532,12 +4227,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Tenant error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'TENANT_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Tenant error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'TENANT_ERROR');
       return;
     }
   }
@@ -3557,12 +4249,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Review error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'REVIEW_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Review error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'REVIEW_ERROR');
       return;
     }
   }
@@ -3582,12 +4271,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Client error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'CLIENT_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Client error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'CLIENT_ERROR');
       return;
     }
   }
@@ -3607,12 +4293,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Limitless error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'LIMITLESS_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Limitless error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'LIMITLESS_ERROR');
       return;
     }
   }
@@ -3634,12 +4317,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Competitive Intel error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'COMPETITIVE_INTEL_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Competitive Intel error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'COMPETITIVE_INTEL_ERROR');
       return;
     }
   }
@@ -3661,12 +4341,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Content Council error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'CONTENT_COUNCIL_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Content Council error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'CONTENT_COUNCIL_ERROR');
       return;
     }
   }
@@ -3688,12 +4365,57 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Citation error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'CITATION_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Citation error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'CITATION_ERROR');
+      return;
+    }
+  }
+
+  // Try API key routes
+  if (url.pathname.startsWith('/api/auth/keys/')) {
+    try {
+      const result = await handleApiKeyRoute(req, req.method, url.pathname);
+      if (result) {
+        const duration = Date.now() - startTime;
+        const statusCode = result._status || 200;
+        delete result._status;
+        recordRequest(routeKey, duration, statusCode < 400);
+        reqLogger.debug(`API key route complete`, { duration });
+        res.writeHead(statusCode, CORS_HEADERS);
+        res.end(JSON.stringify({ ...result, requestId }));
+        return;
+      }
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      recordRequest(routeKey, duration, false);
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`API key route error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'API_KEY_ERROR');
+      return;
+    }
+  }
+
+  // Try trace tree route
+  if (url.pathname.startsWith('/api/observability/traces/')) {
+    try {
+      const result = await handleObservabilityTraceRoute(req, req.method, url.pathname);
+      if (result) {
+        const duration = Date.now() - startTime;
+        const statusCode = result._status || 200;
+        delete result._status;
+        recordRequest(routeKey, duration, statusCode < 400);
+        reqLogger.debug(`Trace route complete`, { duration });
+        res.writeHead(statusCode, CORS_HEADERS);
+        res.end(JSON.stringify({ ...result, requestId }));
+        return;
+      }
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      recordRequest(routeKey, duration, false);
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Trace route error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'TRACE_ERROR');
       return;
     }
   }
@@ -3715,12 +4437,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`Context error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'CONTEXT_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`Context error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'CONTEXT_ERROR');
       return;
     }
   }
@@ -3742,12 +4461,9 @@ async function handleRequest(req, res) {
     } catch (error) {
       const duration = Date.now() - startTime;
       recordRequest(routeKey, duration, false);
-      reqLogger.error(`S2P error: ${error.message}`, { duration });
-      res.writeHead(500, CORS_HEADERS);
-      res.end(JSON.stringify({
-        error: { code: 'S2P_ERROR', message: error.message },
-        requestId
-      }));
+      const level = error instanceof AppError ? 'warn' : 'error';
+      reqLogger[level](`S2P error: ${error.message}`, { code: error.code, duration });
+      sendError(res, error, requestId, 'S2P_ERROR');
       return;
     }
   }
@@ -3774,6 +4490,11 @@ server.listen(PORT, '0.0.0.0', () => {
   // Start observability alert checker (check every 60 seconds)
   startAlertChecker(60000);
 
+  // Keep DB-backed tasks in step with Asana/Jira/Linear; never with the in-memory fallback
+  if (isTaskSyncConfigured() && process.env.TASK_SYNC_INTERVAL_MINUTES !== '0') {
+    startTaskSync(parseInt(process.env.TASK_SYNC_INTERVAL_MINUTES) || 15);
+  }
+
   console.log(`\n╔════════════════════════════════════════════════════════════╗`);
   console.log(`║           SuperChase API Server v2.1                       ║`);
   console.log(`╚════════════════════════════════════════════════════════════╝\n`);
@@ -3784,12 +4505,19 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`  GET  /api/metrics         - Request metrics`);
   console.log(`  POST /query               - Query business context`);
   console.log(`  GET  /tasks               - Get current tasks`);
+  console.log(`  GET  /api/tasks/sync      - Task sync reports`);
+  console.log(`  POST /api/tasks/sync      - Run task sync now`);
+  console.log(`  POST /api/classification/overrides - Correct a classification`);
+  console.log(`  GET  /api/classification/accuracy  - Classifier accuracy`);
   console.log(`  GET  /briefing            - Get daily briefing`);
   console.log(`  POST /search-x            - Search X.com (Twitter)`);
   console.log(`  GET  /search-x/status     - X.com API status`);
   console.log(`  GET  /openapi.json        - OpenAPI specification`);
   console.log(`  --- Dashboard API ---`);
-  console.log(`  GET  /api/logs            - Audit log entries`);
+  console.log(`  GET  /api/logs            - Query application logs (?source=audit for the triage audit)`);
+  console.log(`  GET  /api/logs/levels     - Log levels (PUT to change at runtime)`);
+  console.log(`  GET  /api/auth/keys       - API keys (POST issues; POST /:id/rotate, DELETE /:id)`);
+  console.log(`  GET  /api/audit           - Privileged action audit trail (/export for CSV, /verify)`);
   console.log(`  GET  /api/strategy        - Roadmap & strategy data`);
   console.log(`  GET  /api/status          - Spoke connectivity status`);
   console.log(`  POST /api/briefing/trigger - Trigger morning briefing`);
@@ -3807,6 +4535,10 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`  --- LLM Council API ---`);
   console.log(`  POST /api/llm-council              - Run multi-model deliberation`);
   console.log(`  GET  /api/llm-council/models       - List available models`);
+  console.log(`  GET  /api/costs/breakdown          - Spend by unit, tenant, model`);
+  console.log(`  GET  /api/costs/history            - Daily spend with anomalies`);
+  console.log(`  GET  /api/costs/forecast           - Projected month-end spend`);
+  console.log(`  GET  /api/costs/calibration        - Token estimates vs. reported usage`);
   console.log(`  --- Competitive Intelligence API ---`);
   console.log(`  POST /api/competitive-intel/run    - Generate battlecard`);
   console.log(`  GET  /api/competitive-intel/:id    - Get battlecard`);
@@ -3835,7 +4567,9 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`  GET  /api/observability/prometheus - Prometheus metrics (scrape)`);
   console.log(`  GET  /api/observability/metrics    - JSON metrics`);
   console.log(`  GET  /api/observability/traces     - Distributed traces`);
+  console.log(`  GET  /api/observability/traces/:id - Trace tree, critical path and cost`);
   console.log(`  GET  /api/observability/alerts     - Alert status`);
+  console.log(`  GET  /api/observability/alerts/silences - List/add (POST)/remove (DELETE ?id=) alert silences`);
   console.log(`  GET  /api/observability/dashboard  - Full dashboard data\n`);
   console.log(`Mode: ${IS_DEV ? 'Development (no auth required)' : 'Production (API key required)'}`);
   console.log(`Logging: Structured JSON in production, human-readable in dev\n`);
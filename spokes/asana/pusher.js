@@ -8,6 +8,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -53,14 +54,14 @@ export async function createTask(task) {
   };
 
   try {
-    const response = await fetch(`${ASANA_BASE_URL}/tasks`, {
+    const response = await tracedFetch(`${ASANA_BASE_URL}/tasks`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${ASANA_TOKEN}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(payload)
-    });
+    }, 'asana.request');
 
     if (!response.ok) {
       const error = await response.json();
@@ -136,13 +137,14 @@ export async function getTasks(options = {}) {
   }
 
   try {
-    const response = await fetch(
+    const response = await tracedFetch(
       `${ASANA_BASE_URL}/tasks?${params}`,
       {
         headers: {
           'Authorization': `Bearer ${ASANA_TOKEN}`
         }
-      }
+      },
+      'asana.request'
     );
 
     if (!response.ok) {
@@ -178,7 +180,7 @@ export async function completeTask(taskId) {
   }
 
   try {
-    const response = await fetch(`${ASANA_BASE_URL}/tasks/${taskId}`, {
+    const response = await tracedFetch(`${ASANA_BASE_URL}/tasks/${taskId}`, {
       method: 'PUT',
       headers: {
         'Authorization': `Bearer ${ASANA_TOKEN}`,
@@ -187,7 +189,7 @@ export async function completeTask(taskId) {
       body: JSON.stringify({
         data: { completed: true }
       })
-    });
+    }, 'asana.request');
 
     if (!response.ok) {
       const error = await response.json();
@@ -203,6 +205,77 @@ export async function completeTask(taskId) {
   }
 }
 
+/**
+ * Get a single task
+ * @param {string} taskId - Asana task GID
+ * @returns {Promise<Object>} - Task, shaped like getTasks entries
+ */
+export async function getTask(taskId) {
+  if (!ASANA_TOKEN) {
+    throw new Error('ASANA_ACCESS_TOKEN not configured');
+  }
+
+  try {
+    const params = new URLSearchParams({ opt_fields: 'name,notes,due_on,completed,created_at,modified_at' });
+    const response = await tracedFetch(`${ASANA_BASE_URL}/tasks/${taskId}?${params}`, {
+      headers: {
+        'Authorization': `Bearer ${ASANA_TOKEN}`
+      }
+    }, 'asana.request');
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.errors?.[0]?.message || 'Failed to fetch task');
+    }
+
+    const { data: task } = await response.json();
+    return {
+      id: task.gid,
+      name: task.name,
+      notes: task.notes,
+      dueOn: task.due_on,
+      completed: task.completed,
+      createdAt: task.created_at,
+      modifiedAt: task.modified_at,
+      url: `https://app.asana.com/0/${ASANA_PROJECT}/${task.gid}`
+    };
+  } catch (error) {
+    console.error('[Asana] Fetch task error:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a task
+ * @param {string} taskId - Asana task GID
+ * @returns {Promise<Object>} - Deletion result
+ */
+export async function deleteTask(taskId) {
+  if (!ASANA_TOKEN) {
+    throw new Error('ASANA_ACCESS_TOKEN not configured');
+  }
+
+  try {
+    const response = await tracedFetch(`${ASANA_BASE_URL}/tasks/${taskId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${ASANA_TOKEN}`
+      }
+    }, 'asana.request');
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.errors?.[0]?.message || 'Failed to delete task');
+    }
+
+    console.log(`[Asana] Deleted task: ${taskId}`);
+    return { success: true, taskId };
+  } catch (error) {
+    console.error('[Asana] Delete task error:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Add a comment to a task
  * @param {string} taskId - Asana task GID
@@ -215,7 +288,7 @@ export async function addComment(taskId, text) {
   }
 
   try {
-    const response = await fetch(`${ASANA_BASE_URL}/tasks/${taskId}/stories`, {
+    const response = await tracedFetch(`${ASANA_BASE_URL}/tasks/${taskId}/stories`, {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${ASANA_TOKEN}`,
@@ -224,7 +297,7 @@ export async function addComment(taskId, text) {
       body: JSON.stringify({
         data: { text }
       })
-    });
+    }, 'asana.request');
 
     if (!response.ok) {
       const error = await response.json();
@@ -243,6 +316,8 @@ export async function addComment(taskId, text) {
 export default {
   createTask,
   getTasks,
+  getTask,
   completeTask,
+  deleteTask,
   addComment
 };
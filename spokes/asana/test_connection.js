@@ -9,6 +9,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,9 +39,9 @@ async function testConnection() {
   // Test API connection by fetching user info
   console.log('  Fetching user info...');
   try {
-    const userResponse = await fetch(`${ASANA_BASE_URL}/users/me`, {
+    const userResponse = await tracedFetch(`${ASANA_BASE_URL}/users/me`, {
       headers: { Authorization: `Bearer ${ASANA_TOKEN}` }
-    });
+    }, 'asana.request');
 
     if (!userResponse.ok) {
       const error = await userResponse.json();
@@ -54,9 +55,10 @@ async function testConnection() {
 
     // Fetch projects to find SC: Tasks
     console.log('  Fetching projects...');
-    const projectsResponse = await fetch(
+    const projectsResponse = await tracedFetch(
       `${ASANA_BASE_URL}/workspaces/${ASANA_WORKSPACE}/projects`,
-      { headers: { Authorization: `Bearer ${ASANA_TOKEN}` } }
+      { headers: { Authorization: `Bearer ${ASANA_TOKEN}` } },
+      'asana.request'
     );
 
     if (!projectsResponse.ok) {
@@ -28,13 +28,12 @@ dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 import { createLogger } from '../../lib/logger.js';
 import { SimpleCache } from '../../lib/cache.js';
 import { AppError, ExternalServiceError, withFallback } from '../../lib/errors.js';
+import { queryLLM, isModelConfigured } from '../../lib/llm-client.js';
 
 const logger = createLogger({ spoke: 'brainstorm' });
 const brainstormCache = new SimpleCache({ defaultTTL: 60 * 60 * 1000 }); // 1 hour
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL = 'gemini-2.0-flash';
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
 
 const PATHS = {
   memoryDir: join(__dirname, '..', '..', 'memory', 'brainstorms'),
@@ -191,7 +190,7 @@ export async function processBrainstorm(content, options = {}) {
  * Extract insights from transcript using Gemini (enhanced with v2.1 error handling)
  */
 async function analyzeTranscript(text, filename) {
-  if (!GEMINI_API_KEY || GEMINI_API_KEY === 'NEEDS_VALUE') {
+  if (!isModelConfigured(GEMINI_MODEL)) {
     throw new ExternalServiceError('Gemini', 'API key not configured');
   }
 
@@ -226,25 +225,14 @@ Respond in JSON format:
 }`;
 
   return logger.time('gemini-analysis', async () => {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.2,
-          maxOutputTokens: 2048
-        }
-      })
+    const { content: responseText } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.2,
+      maxTokens: 2048,
+      operation: 'brainstorm:analyze-transcript'
     });
 
-    if (!response.ok) {
-      throw new ExternalServiceError('Gemini', `API returned ${response.status}`);
-    }
-
-    const data = await response.json();
-    const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     // Extract JSON from response
     const jsonMatch = responseText.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
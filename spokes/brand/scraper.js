@@ -16,6 +16,7 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -72,13 +73,13 @@ async function fetchHTML(url, timeout = 10000) {
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
       signal: controller.signal,
       headers: {
         'User-Agent': 'SuperChase-BrandScraper/1.0 (https://superchase.dev)',
         'Accept': 'text/html,application/xhtml+xml'
       }
-    });
+    }, 'brand.scrape');
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
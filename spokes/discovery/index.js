@@ -21,6 +21,7 @@ import {
   unlinkSync
 } from 'fs';
 import { createLogger } from '../../lib/logger.js';
+import { queryLLM } from '../../lib/llm-client.js';
 import { parseDocument, isSupported, getSupportedTypes } from '../../lib/document-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -31,7 +32,6 @@ dotenv.config({ path: join(ROOT_DIR, '.env') });
 
 const logger = createLogger({ module: 'discovery' });
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const CLIENTS_DIR = join(ROOT_DIR, 'clients');
 
 /**
@@ -253,29 +253,15 @@ Be thorough but only include fields you can reasonably infer from the text. Mark
 Return ONLY valid JSON, no markdown formatting.`;
 
   try {
-    // Call OpenRouter API for extraction
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://superchase.dev',
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3.5-sonnet',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.3,
-        max_tokens: 4000,
-      }),
+    // Extract fields via the shared LLM client
+    const { content } = await queryLLM({
+      model: 'anthropic/claude-3.5-sonnet',
+      prompt,
+      temperature: 0.3,
+      maxTokens: 4000,
+      operation: 'discovery:extract',
     });
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
-
     // Parse JSON from response
     const jsonMatch = content.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
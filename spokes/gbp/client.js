@@ -15,6 +15,7 @@
 import { createLogger } from '../../lib/logger.js';
 import { SimpleCache } from '../../lib/cache.js';
 import { ExternalServiceError, withRetry } from '../../lib/errors.js';
+import { tracedFetch } from '../../lib/observability.js';
 
 const logger = createLogger({ spoke: 'gbp' });
 const gbpCache = new SimpleCache({ defaultTTL: 10 * 60 * 1000 }); // 10 min cache
@@ -44,14 +45,14 @@ async function gbpRequest(endpoint, options = {}) {
 
     const url = `${GBP_BASE_URL}${endpoint}`;
 
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
         ...options,
         headers: {
             'Authorization': `Bearer ${GBP_API_KEY}`,
             'Content-Type': 'application/json',
             ...options.headers
         }
-    });
+    }, 'gbp.request');
 
     if (!response.ok) {
         const error = await response.text();
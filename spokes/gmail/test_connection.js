@@ -9,6 +9,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,7 +43,7 @@ async function testConnection() {
   // Get access token
   console.log('  Refreshing access token...');
   try {
-    const tokenResponse = await fetch(TOKEN_URL, {
+    const tokenResponse = await tracedFetch(TOKEN_URL, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams({
@@ -51,7 +52,7 @@ async function testConnection() {
         refresh_token: GOOGLE_REFRESH_TOKEN,
         grant_type: 'refresh_token'
       })
-    });
+    }, 'gmail.request');
 
     if (!tokenResponse.ok) {
       const error = await tokenResponse.json();
@@ -65,9 +66,9 @@ async function testConnection() {
 
     // Fetch labels
     console.log('  Fetching Gmail labels...');
-    const labelsResponse = await fetch(`${GMAIL_BASE_URL}/labels`, {
+    const labelsResponse = await tracedFetch(`${GMAIL_BASE_URL}/labels`, {
       headers: { Authorization: `Bearer ${tokens.access_token}` }
-    });
+    }, 'gmail.request');
 
     if (!labelsResponse.ok) {
       const error = await labelsResponse.json();
@@ -8,6 +8,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,7 +48,7 @@ async function refreshAccessToken() {
   }
 
   try {
-    const response = await fetch(TOKEN_URL, {
+    const response = await tracedFetch(TOKEN_URL, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams({
@@ -56,7 +57,7 @@ async function refreshAccessToken() {
         refresh_token: GOOGLE_REFRESH_TOKEN,
         grant_type: 'refresh_token'
       })
-    });
+    }, 'gmail.request');
 
     if (!response.ok) {
       const error = await response.json();
@@ -99,11 +100,12 @@ export async function fetchUnreadEmails(limit = 5) {
     const token = await getAccessToken();
 
     // Get list of unread message IDs
-    const listResponse = await fetch(
+    const listResponse = await tracedFetch(
       `${GMAIL_BASE_URL}/messages?q=is:unread&maxResults=${limit}`,
       {
         headers: { Authorization: `Bearer ${token}` }
-      }
+      },
+      'gmail.request'
     );
 
     if (!listResponse.ok) {
@@ -132,11 +134,12 @@ export async function fetchUnreadEmails(limit = 5) {
  */
 async function fetchEmailDetails(token, messageId) {
   try {
-    const response = await fetch(
+    const response = await tracedFetch(
       `${GMAIL_BASE_URL}/messages/${messageId}?format=full`,
       {
         headers: { Authorization: `Bearer ${token}` }
-      }
+      },
+      'gmail.request'
     );
 
     if (!response.ok) {
@@ -195,7 +198,7 @@ export async function markAsRead(messageId) {
 
   try {
     const token = await getAccessToken();
-    const response = await fetch(
+    const response = await tracedFetch(
       `${GMAIL_BASE_URL}/messages/${messageId}/modify`,
       {
         method: 'POST',
@@ -206,7 +209,8 @@ export async function markAsRead(messageId) {
         body: JSON.stringify({
           removeLabelIds: ['UNREAD']
         })
-      }
+      },
+      'gmail.request'
     );
 
     if (!response.ok) {
@@ -232,7 +236,7 @@ export async function archiveEmail(messageId) {
 
   try {
     const token = await getAccessToken();
-    const response = await fetch(
+    const response = await tracedFetch(
       `${GMAIL_BASE_URL}/messages/${messageId}/modify`,
       {
         method: 'POST',
@@ -243,7 +247,8 @@ export async function archiveEmail(messageId) {
         body: JSON.stringify({
           removeLabelIds: ['INBOX', 'UNREAD']
         })
-      }
+      },
+      'gmail.request'
     );
 
     if (!response.ok) {
@@ -28,6 +28,8 @@ dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 import { createLogger } from '../../lib/logger.js';
 import { SimpleCache } from '../../lib/cache.js';
 import { AppError, ExternalServiceError, withRetry, withFallback } from '../../lib/errors.js';
+import { queryLLM, isLLMAvailable } from '../../lib/llm-client.js';
+import { tracedFetch } from '../../lib/observability.js';
 
 const logger = createLogger({ spoke: 'limitless' });
 const limitlessCache = new SimpleCache({ defaultTTL: 5 * 60 * 1000 }); // 5 min cache
@@ -35,8 +37,7 @@ const limitlessCache = new SimpleCache({ defaultTTL: 5 * 60 * 1000 }); // 5 min
 // Configuration
 const LIMITLESS_API_KEY = process.env.LIMITLESS_API_KEY;
 const LIMITLESS_BASE_URL = 'https://api.limitless.ai/v1';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 const PATHS = {
     manifest: join(__dirname, '..', '..', 'manifest.jsonl'),
@@ -71,14 +72,14 @@ async function limitlessRequest(endpoint, options = {}) {
     }
 
     const url = `${LIMITLESS_BASE_URL}${endpoint}`;
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
         ...options,
         headers: {
             'Authorization': `Bearer ${LIMITLESS_API_KEY}`,
             'Content-Type': 'application/json',
             ...options.headers
         }
-    });
+    }, 'limitless.request');
 
     if (!response.ok) {
         const error = await response.text();
@@ -187,7 +188,7 @@ function checkRelevance(text) {
  * @returns {Promise<Object>}
  */
 async function extractInsights(lifelog) {
-    if (!GEMINI_API_KEY) {
+    if (!isLLMAvailable(GEMINI_MODEL)) {
         logger.warn('Gemini not configured, returning raw lifelog');
         return {
             title: lifelog.title || 'Untitled',
@@ -220,21 +221,13 @@ Respond in JSON format:
 }`;
 
     try {
-        const response = await fetch(GEMINI_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
-            })
+        const { content: responseText } = await queryLLM({
+            model: GEMINI_MODEL,
+            prompt,
+            temperature: 0.2,
+            maxTokens: 1024,
+            operation: 'limitless:extract-insights'
         });
-
-        if (!response.ok) {
-            throw new Error(`Gemini API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
         const jsonMatch = responseText.match(/\{[\s\S]*\}/);
 
         if (jsonMatch) {
@@ -27,13 +27,13 @@ dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 import { createLogger } from '../../lib/logger.js';
 import { SimpleCache } from '../../lib/cache.js';
 import { ExternalServiceError, withRetry } from '../../lib/errors.js';
+import { queryLLM, isLLMAvailable } from '../../lib/llm-client.js';
 
 const logger = createLogger({ spoke: 's2p-northeast-scout', tenant: 's2p' });
 const scoutCache = new SimpleCache({ defaultTTL: 15 * 60 * 1000 }); // 15 min cache
 
 // Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 
 const PATHS = {
     prospectVault: join(__dirname, '..', '..', 'memory', 's2p_prospect_vault.jsonl'),
@@ -265,7 +265,7 @@ async function scanPermitDatabases(market) {
  * Enrich prospect with AI analysis
  */
 async function enrichProspect(rawSignal, market) {
-    if (!GEMINI_API_KEY) {
+    if (!isLLMAvailable(GEMINI_MODEL)) {
         logger.warn('Gemini not configured, returning raw signal');
         return {
             ...rawSignal,
@@ -291,19 +291,13 @@ Respond in JSON:
 }`;
 
     try {
-        const response = await fetch(GEMINI_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ parts: [{ text: prompt }] }],
-                generationConfig: { temperature: 0.3, maxOutputTokens: 512 }
-            })
+        const { content: text } = await queryLLM({
+            model: GEMINI_MODEL,
+            prompt,
+            temperature: 0.3,
+            maxTokens: 512,
+            operation: 's2p:enrich-prospect'
         });
-
-        if (!response.ok) throw new Error(`Gemini error: ${response.status}`);
-
-        const data = await response.json();
-        const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
         const jsonMatch = text.match(/\{[\s\S]*\}/);
 
         if (jsonMatch) {
@@ -12,6 +12,7 @@
 import { readFileSync, existsSync, writeFileSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { auditChange } from '../../lib/audit-trail.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -173,6 +174,8 @@ async function handleAdvanceStage(req) {
   await initModules();
   const body = await parseBody(req);
   const { dealId, toStage, auditData } = body;
+  // Refusals below answer 200, so the audit entry starts out failed
+  auditChange(req, { resource: 'deal', resourceId: dealId, success: false });
 
   const pipeline = loadJson(PATHS.pipeline, { deals: [] });
   const dealIndex = pipeline.deals.findIndex(d => d.id === dealId);
@@ -183,6 +186,7 @@ async function handleAdvanceStage(req) {
 
   const deal = pipeline.deals[dealIndex];
   const currentStage = deal.stage;
+  const before = structuredClone(deal);
 
   // Use governance-rules to validate stage advance
   const validation = governanceRules.validateStageTransition(deal, toStage);
@@ -220,6 +224,7 @@ async function handleAdvanceStage(req) {
   deal.updated_at = new Date().toISOString();
   pipeline.deals[dealIndex] = deal;
   saveJson(PATHS.pipeline, pipeline);
+  auditChange(req, { before, after: deal, success: true });
 
   return {
     success: true,
@@ -500,7 +505,11 @@ async function handleApproveVendor(req) {
   const { leadId, approvalDate, notes } = body;
 
   try {
+    const before = structuredClone(await vendorTracker.getVendorStatus(leadId));
     const result = await vendorTracker.approveVendor(leadId, approvalDate, notes);
+    auditChange(req, result.success
+      ? { resource: 'vendor', resourceId: leadId, before, after: result.vendor }
+      : { resource: 'vendor', resourceId: leadId, success: false, details: { error: result.error } });
 
     // Create a signal for vendor approval
     if (result.success) {
@@ -515,6 +524,7 @@ async function handleApproveVendor(req) {
 
     return result;
   } catch (error) {
+    auditChange(req, { resource: 'vendor', resourceId: leadId, success: false, details: { error: error.message } });
     return { success: false, error: error.message };
   }
 }
@@ -853,6 +863,44 @@ function generateNextSteps(councilResult) {
 // Main Route Handler
 // ==========================================
 
+/**
+ * Routes handleS2PRoute serves; server.js checks each has a permission
+ * @type {string[]}
+ */
+export const S2P_ROUTES = [
+  'GET /api/s2p/signals',
+  'GET /api/s2p/leads',
+  'GET /api/s2p/leads/:leadId',
+  'PATCH /api/s2p/leads/:leadId/tier',
+  'POST /api/s2p/leads/ingest',
+  'POST /api/s2p/leads/score',
+  'GET /api/s2p/pipeline/deals',
+  'GET /api/s2p/pipeline/stages',
+  'POST /api/s2p/pipeline/advance',
+  'GET /api/s2p/pipeline/audit/:dealId',
+  'GET /api/s2p/proof',
+  'GET /api/s2p/proof/:proofId',
+  'POST /api/s2p/proof/:proofId/use',
+  'GET /api/s2p/proof/match/:leadId',
+  'GET /api/s2p/waves',
+  'GET /api/s2p/waves/:waveId',
+  'POST /api/s2p/waves/create',
+  'POST /api/s2p/waves/target-action',
+  'POST /api/s2p/signals/create',
+  'POST /api/s2p/signals/action',
+  'GET /api/s2p/kpi/summary',
+  'GET /api/s2p/vendor/status',
+  'POST /api/s2p/vendor/apply',
+  'POST /api/s2p/vendor/approve',
+  'GET /api/s2p/council/status',
+  'POST /api/s2p/council/score',
+  'POST /api/s2p/council/match',
+  'POST /api/s2p/council/audit',
+  'POST /api/s2p/council/signals',
+  'POST /api/s2p/council/full',
+  'POST /api/s2p/brief/generate'
+];
+
 export async function handleS2PRoute(req, method, pathname) {
   // Strip /api/s2p prefix
   const path = pathname.replace('/api/s2p', '');
@@ -986,4 +1034,4 @@ export async function handleS2PRoute(req, method, pathname) {
   }
 }
 
-export default { handleS2PRoute };
+export default { handleS2PRoute, S2P_ROUTES };
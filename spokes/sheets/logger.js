@@ -11,6 +11,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,7 +51,7 @@ async function refreshAccessToken() {
   }
 
   try {
-    const response = await fetch(TOKEN_URL, {
+    const response = await tracedFetch(TOKEN_URL, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: new URLSearchParams({
@@ -59,7 +60,7 @@ async function refreshAccessToken() {
         refresh_token: GOOGLE_REFRESH_TOKEN,
         grant_type: 'refresh_token'
       })
-    });
+    }, 'sheets.request');
 
     if (!response.ok) {
       const error = await response.json();
@@ -94,9 +95,10 @@ async function ensureAuditTab() {
   const token = await getAccessToken();
 
   // Get spreadsheet metadata
-  const metaResponse = await fetch(
+  const metaResponse = await tracedFetch(
     `${SHEETS_BASE_URL}/${SHEET_ID}?fields=sheets.properties.title`,
-    { headers: { Authorization: `Bearer ${token}` } }
+    { headers: { Authorization: `Bearer ${token}` } },
+    'sheets.request'
   );
 
   if (!metaResponse.ok) {
@@ -110,7 +112,7 @@ async function ensureAuditTab() {
   if (!hasAuditLog) {
     // Create Audit Log tab
     console.log('[Sheets] Creating Audit Log tab...');
-    const createResponse = await fetch(
+    const createResponse = await tracedFetch(
       `${SHEETS_BASE_URL}/${SHEET_ID}:batchUpdate`,
       {
         method: 'POST',
@@ -125,7 +127,8 @@ async function ensureAuditTab() {
             }
           }]
         })
-      }
+      },
+      'sheets.request'
     );
 
     if (!createResponse.ok) {
@@ -162,7 +165,7 @@ export async function appendRows(tabName, rows) {
   try {
     const token = await getAccessToken();
 
-    const response = await fetch(
+    const response = await tracedFetch(
       `${SHEETS_BASE_URL}/${SHEET_ID}/values/${encodeURIComponent(tabName)}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`,
       {
         method: 'POST',
@@ -173,7 +176,8 @@ export async function appendRows(tabName, rows) {
         body: JSON.stringify({
           values: rows
         })
-      }
+      },
+      'sheets.request'
     );
 
     if (!response.ok) {
@@ -277,9 +281,10 @@ export async function testConnection() {
   try {
     const token = await getAccessToken();
 
-    const response = await fetch(
+    const response = await tracedFetch(
       `${SHEETS_BASE_URL}/${SHEET_ID}?fields=properties.title`,
-      { headers: { Authorization: `Bearer ${token}` } }
+      { headers: { Authorization: `Bearer ${token}` } },
+      'sheets.request'
     );
 
     if (!response.ok) {
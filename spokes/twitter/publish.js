@@ -9,6 +9,7 @@ import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -115,14 +116,14 @@ export async function postTweet(text, options = {}) {
   try {
     const authHeader = generateOAuthHeader('POST', url);
 
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
       method: 'POST',
       headers: {
         'Authorization': authHeader,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(body)
-    });
+    }, 'twitter.request');
 
     const result = await response.json();
 
@@ -231,12 +232,12 @@ export async function deleteTweet(tweetId) {
   try {
     const authHeader = generateOAuthHeader('DELETE', url);
 
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
       method: 'DELETE',
       headers: {
         'Authorization': authHeader
       }
-    });
+    }, 'twitter.request');
 
     const result = await response.json();
 
@@ -283,11 +284,11 @@ export async function testConnection() {
   try {
     const authHeader = generateOAuthHeader('GET', url);
 
-    const response = await fetch(url, {
+    const response = await tracedFetch(url, {
       headers: {
         'Authorization': authHeader
       }
-    });
+    }, 'twitter.request');
 
     const result = await response.json();
 
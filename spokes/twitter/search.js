@@ -8,6 +8,7 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,12 +40,12 @@ async function twitterRequest(endpoint, params = {}) {
     }
   });
 
-  const response = await fetch(url.toString(), {
+  const response = await tracedFetch(url.toString(), {
     headers: {
       'Authorization': `Bearer ${BEARER_TOKEN}`,
       'Content-Type': 'application/json'
     }
-  });
+  }, 'twitter.request');
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: response.statusText }));
@@ -14,17 +14,18 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { queryLLM, isLLMAvailable } from '../../lib/llm-client.js';
+import { tracedFetch } from '../../lib/observability.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '..', '.env') });
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const ASANA_TOKEN = process.env.ASANA_ACCESS_TOKEN;
 const ASANA_WORKSPACE = process.env.ASANA_WORKSPACE_ID;
 
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+const GEMINI_MODEL = 'gemini-2.0-flash';
 const ASANA_BASE_URL = 'https://app.asana.com/api/1.0';
 
 /**
@@ -123,9 +124,10 @@ async function getTopTasks(limit = 5) {
 
   try {
     // Fetch incomplete tasks directly from project
-    const tasksResponse = await fetch(
+    const tasksResponse = await tracedFetch(
       `${ASANA_BASE_URL}/projects/${ASANA_PROJECT}/tasks?opt_fields=name,due_on,completed,notes&completed_since=now&limit=${limit}`,
-      { headers: { Authorization: `Bearer ${ASANA_TOKEN}` } }
+      { headers: { Authorization: `Bearer ${ASANA_TOKEN}` } },
+      'asana.request'
     );
 
     if (!tasksResponse.ok) {
@@ -149,33 +151,21 @@ async function getTopTasks(limit = 5) {
  * Use Gemini to generate natural language briefing
  */
 async function generateNaturalBriefing(emails, tasks) {
-  if (!GEMINI_API_KEY) {
+  if (!isLLMAvailable(GEMINI_MODEL)) {
     return generateFallbackBriefing(emails, tasks);
   }
 
   const prompt = buildBriefingPrompt(emails, tasks);
 
   try {
-    const response = await fetch(GEMINI_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 300
-        }
-      })
+    const { content: text } = await queryLLM({
+      model: GEMINI_MODEL,
+      prompt,
+      temperature: 0.7,
+      maxTokens: 300,
+      operation: 'briefing:generate'
     });
 
-    if (!response.ok) {
-      console.warn('[Briefing] Gemini API error, using fallback');
-      return generateFallbackBriefing(emails, tasks);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
     return text.trim();
   } catch (error) {
     console.warn('[Briefing] Gemini error:', error.message);
@@ -16,6 +16,7 @@ import { existsSync, writeFileSync, unlinkSync, mkdirSync, readdirSync, statSync
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { generateBriefing, getCachedBriefing } from './briefing.js';
+import { tracedFetch } from '../../lib/observability.js';
 
 const execAsync = promisify(exec);
 
@@ -152,7 +153,7 @@ async function synthesizeSpeech(text) {
   console.log('[Voice] Synthesizing speech via ElevenLabs...');
 
   try {
-    const response = await fetch(ELEVENLABS_URL, {
+    const response = await tracedFetch(ELEVENLABS_URL, {
       method: 'POST',
       headers: {
         'Accept': 'audio/mpeg',
@@ -169,7 +170,7 @@ async function synthesizeSpeech(text) {
           use_speaker_boost: true
         }
       })
-    });
+    }, 'elevenlabs.request');
 
     if (!response.ok) {
       const errorText = await response.text();
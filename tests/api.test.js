@@ -201,7 +201,7 @@ describe('Status Endpoint', () => {
 // ============================================
 
 describe('Logs Endpoint', () => {
-    it('GET /api/logs returns audit logs', async () => {
+    it('GET /api/logs returns application logs', async () => {
         const { status, data } = await apiRequest('GET', '/api/logs');
 
         assert.equal(status, 200);
@@ -209,6 +209,14 @@ describe('Logs Endpoint', () => {
         assert.ok(typeof data.count === 'number');
     });
 
+    it('GET /api/logs?source=audit returns audit logs', async () => {
+        const { status, data } = await apiRequest('GET', '/api/logs?source=audit');
+
+        assert.equal(status, 200);
+        assert.ok(Array.isArray(data.logs));
+        assert.ok(typeof data.count === 'number');
+    });
+
     it('GET /api/logs respects limit parameter', async () => {
         const { status, data } = await apiRequest('GET', '/api/logs?limit=5');
 
@@ -284,6 +292,35 @@ describe('Portal Endpoints', () => {
     });
 });
 
+// ============================================
+// Routing Tests
+// ============================================
+
+describe('Routing', () => {
+    it('GET /api/portfolio/units/:id passes the ID to its handler', async () => {
+        const { status, data } = await apiRequest('GET', '/api/portfolio/units/s2p');
+
+        assert.equal(status, 200);
+        assert.equal(data.id, 's2p');
+    });
+
+    it('PUT and DELETE /api/portfolio/units/:id reach their handlers', async () => {
+        for (const method of ['PUT', 'DELETE']) {
+            const { status, data } = await apiRequest(method, '/api/portfolio/units/no-such-unit', method === 'PUT' ? { name: 'x' } : undefined);
+
+            assert.equal(status, 404);
+            assert.match(data.error.message, /Business unit 'no-such-unit' not found/);
+        }
+    });
+
+    it('GET /api/governance/:businessId is served by the governance handler', async () => {
+        const { status, data } = await apiRequest('GET', '/api/governance/s2p');
+
+        assert.equal(status, 200);
+        assert.equal(data.businessId, 's2p');
+    });
+});
+
 // ============================================
 // Authentication Tests
 // ============================================
@@ -308,6 +345,96 @@ describe('Authentication', () => {
         // Should not be 401
         assert.notEqual(status, 401);
     });
+
+    it('Mutations refused by permission checks are audited', async () => {
+        const { data: issued } = await apiRequest('POST', '/api/auth/keys', {
+            name: 'readonly-audit-test',
+            role: 'READONLY',
+            expiresInDays: 1
+        });
+
+        try {
+            const response = await fetch(`${BASE_URL}/api/emergency/kill-switch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-API-Key': issued.key },
+                body: JSON.stringify({ reason: 'audit test' })
+            });
+            const { requestId } = await response.json();
+            assert.equal(response.status, 403);
+
+            // Entries are written once the response has closed
+            await delay(200);
+            const { data } = await apiRequest('GET', `/api/audit?requestId=${requestId}`);
+            assert.equal(data.count, 1);
+            assert.equal(data.entries[0].actor, 'readonly-audit-test');
+            assert.equal(data.entries[0].status, 403);
+            assert.equal(data.entries[0].success, false);
+        } finally {
+            await apiRequest('DELETE', `/api/auth/keys/${issued.apiKey.id}`);
+        }
+    });
+
+    it('Rate-limited requests get a 429 with Retry-After', async () => {
+        const { data: issued } = await apiRequest('POST', '/api/auth/keys', {
+            name: 'readonly-rate-limit-test',
+            role: 'READONLY',
+            expiresInDays: 1
+        });
+
+        try {
+            let response;
+            // READONLY keys get a burst of 60 standard requests
+            for (let i = 0; i <= 60; i++) {
+                response = await fetch(`${BASE_URL}/api/competitive-intel`, {
+                    headers: { 'X-API-Key': issued.key }
+                });
+                if (response.status === 429) break;
+            }
+
+            const data = await response.json();
+            assert.equal(response.status, 429);
+            assert.ok(Number(response.headers.get('retry-after')) >= 1);
+            assert.equal(data.error.code, 'RATE_LIMIT_EXCEEDED');
+            assert.ok(data.requestId);
+        } finally {
+            await apiRequest('DELETE', `/api/auth/keys/${issued.apiKey.id}`);
+        }
+    });
+
+    it('Mutations to unknown routes are not audited', async () => {
+        const requestId = `unrouted-${Date.now()}`;
+        const response = await fetch(`${BASE_URL}/api/no-such-route`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY, 'X-Request-Id': requestId },
+            body: '{}'
+        });
+        assert.equal(response.status, 404);
+
+        await delay(200);
+        const { data } = await apiRequest('GET', `/api/audit?requestId=${requestId}`);
+        assert.equal(data.count, 0);
+    });
+
+    it('Tenant-scoped keys are refused outside tenant-aware routes', async () => {
+        const { status, data } = await apiRequest('POST', '/api/auth/keys', {
+            name: 'bigmuddy-portal-test',
+            role: 'USER',
+            tenants: ['bigmuddy'],
+            expiresInDays: 1
+        });
+        assert.equal(status, 201);
+
+        const asScoped = (path) => fetch(`${BASE_URL}${path}`, { headers: { 'X-API-Key': data.key } });
+        try {
+            const tasks = await asScoped('/tasks');
+            assert.equal(tasks.status, 403);
+
+            const portal = await asScoped('/api/portal/bigmuddy/queue');
+            assert.notEqual(portal.status, 403);
+        } finally {
+            await apiRequest('DELETE', `/api/auth/keys/${data.apiKey.id}`);
+        }
+    });
 });
 
 // ============================================
@@ -1,17 +1,34 @@
 /**
  * SuperChase Core Module Tests
  * 
- * Unit tests for core modules: hub.js, query_hub.js, analyzer.js
+ * Unit tests for core modules: hub.js, classification-rules.js, classification-feedback.js,
+ * query_hub.js, analyzer.js
  * Run with: node --test tests/core.test.js
  * 
  * @module tests/core.test
  */
 
-import { describe, it, beforeEach, mock } from 'node:test';
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Import core modules
 import hub from '../core/hub.js';
+import classificationRules from '../core/classification-rules.js';
+import classificationFeedback from '../core/classification-feedback.js';
+import portfolioManager from '../core/portfolio-manager.js';
+
+// Every hub.classify() call is recorded; keep those records out of memory/
+const feedbackDir = fs.mkdtempSync(path.join(os.tmpdir(), 'superchase-feedback-'));
+process.env.CLASSIFICATION_FEEDBACK_PATH = path.join(feedbackDir, 'feedback.jsonl');
+
+after(async () => {
+    await classificationFeedback.flushFeedback();
+    delete process.env.CLASSIFICATION_FEEDBACK_PATH;
+    fs.rmSync(feedbackDir, { recursive: true, force: true });
+});
 
 // ============================================
 // Classification Tests
@@ -323,3 +340,320 @@ describe('Hub Error Handling', () => {
         assert.ok(result.confidence <= 1);
     });
 });
+
+// ============================================
+// Classification Rules Tests
+// ============================================
+
+describe('Classification Rules', () => {
+    const partnerRule = {
+        id: 's2p-partners',
+        description: 'Scan2Plan partner firms',
+        match: { senderDomain: ['partner.com'] },
+        category: 'URGENT_CLIENT',
+        businessUnitId: 's2p'
+    };
+
+    describe('compileRule()', () => {
+        it('rejects rules without id, category or conditions', () => {
+            assert.throws(
+                () => classificationRules.compileRule({ match: {} }),
+                (error) => {
+                    assert.equal(error.code, 'VALIDATION_ERROR');
+                    assert.deepEqual(Object.keys(error.details.fields), ['id', 'category', 'match']);
+                    return true;
+                }
+            );
+        });
+
+        it('reports invalid regexes and unknown conditions', () => {
+            assert.throws(
+                () => classificationRules.compileRule({ id: 'bad', category: 'FYI', match: { subject: '(', from: 'x' } }),
+                (error) => {
+                    assert.deepEqual(Object.keys(error.details.fields).sort(), ['match.from', 'match.subject']);
+                    return true;
+                }
+            );
+        });
+    });
+
+    describe('matchRule()', () => {
+        const rules = [
+            partnerRule,
+            { id: 'invoices', match: { subject: '^invoice #\\d+', keywords: ['payment due'] }, category: 'ACTION_REQUIRED' },
+            { id: 'bulk', match: { sender: '(^|<)no-?reply@' }, category: 'NEWSLETTER' }
+        ].map(classificationRules.compileRule);
+
+        it('matches sender domains and their subdomains', () => {
+            assert.equal(classificationRules.matchRule({ sender: 'Owen <owen@ops.partner.com>' }, rules).id, 's2p-partners');
+            assert.equal(classificationRules.matchRule({ sender: 'owen@notpartner.com' }, rules), null);
+        });
+
+        it('requires every condition of a rule', () => {
+            const invoice = { subject: 'Invoice #4411', body: 'Payment due Friday', sender: 'ap@vendor.com' };
+            assert.equal(classificationRules.matchRule(invoice, rules).id, 'invoices');
+            assert.equal(classificationRules.matchRule({ ...invoice, body: 'Thanks!' }, rules), null);
+        });
+
+        it('returns the first matching rule', () => {
+            const result = classificationRules.matchRule({ sender: 'noreply@partner.com' }, rules);
+            assert.equal(result.id, 's2p-partners');
+        });
+    });
+
+    describe('buildBusinessUnitRules()', () => {
+        it('expands business unit classification blocks', () => {
+            const rules = classificationRules.buildBusinessUnitRules([
+                { id: 's2p', name: 'Scan2Plan', classification: { senderDomains: ['partner.com'], keywords: ['point cloud'] } },
+                { id: 'studio', name: 'Studio C' }
+            ]);
+
+            assert.deepEqual(rules.map(r => r.id), ['bu:s2p:domain', 'bu:s2p:keywords']);
+            assert.ok(rules.every(r => r.businessUnitId === 's2p' && r.category === 'ACTION_REQUIRED'));
+        });
+    });
+
+    describe('hub.classify() with rules', () => {
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superchase-rules-'));
+            const rulesPath = path.join(dir, 'rules.json');
+            fs.writeFileSync(rulesPath, JSON.stringify({
+                rules: [
+                    { id: 'disabled', enabled: false, match: { keywords: ['albany'] }, category: 'SPAM' },
+                    { id: 'broken', match: { subject: '[' }, category: 'SPAM' },
+                    partnerRule
+                ]
+            }));
+            process.env.CLASSIFICATION_RULES_PATH = rulesPath;
+        });
+
+        after(() => {
+            delete process.env.CLASSIFICATION_RULES_PATH;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('short-circuits classification on a rule hit', async () => {
+            const result = await hub.classify({
+                type: 'email',
+                subject: 'Albany site visit',
+                body: 'Can you scan the second floor?',
+                sender: 'owen@partner.com'
+            });
+
+            assert.equal(result.category, 'URGENT_CLIENT');
+            assert.equal(result.ruleId, 's2p-partners');
+            assert.equal(result.confidence, 1);
+            assert.equal(result.priority, 'high');
+            assert.equal(result.businessUnitId, 's2p');
+        });
+
+        it('carries the rule and business unit into task payloads', async () => {
+            const result = await hub.processEvent({
+                type: 'email',
+                data: { subject: 'Albany site visit', body: 'Details inside', sender: 'owen@partner.com' }
+            });
+
+            assert.equal(result.target, 'task_provider');
+            assert.equal(result.payload.businessUnitId, 's2p');
+            assert.equal(result.payload.metadata.ruleId, 's2p-partners');
+        });
+
+        it('falls through when no rule matches', async () => {
+            const result = await hub.classify({ subject: 'Lunch?', body: '', sender: 'friend@example.com' });
+            assert.equal(result.ruleId, undefined);
+        });
+    });
+
+    describe('shipped rules', () => {
+        it('archives bulk mail and routes S2P scan requests without the LLM', async () => {
+            const newsletter = await hub.classify({
+                type: 'email',
+                subject: 'October product update',
+                body: 'New features inside. Unsubscribe any time.',
+                sender: 'Acme <noreply@acme-software.com>'
+            });
+            assert.equal(newsletter.ruleId, 'bulk-mail');
+            assert.equal(newsletter.category, 'NEWSLETTER');
+
+            const request = await hub.classify({
+                type: 'email',
+                subject: 'Point cloud for the Troy warehouse',
+                body: 'Can you quote LOD 300 by Friday?',
+                sender: 'pm@gc-builders.com'
+            });
+            assert.equal(request.ruleId, 'bu:s2p:keywords');
+            assert.equal(request.category, 'ACTION_REQUIRED');
+            assert.equal(request.businessUnitId, 's2p');
+        });
+
+        it('recompiles business unit rules only when the portfolio reloads', () => {
+            const unitRule = () => classificationRules.loadRules().find(r => r.id === 'bu:s2p:keywords');
+            const first = unitRule();
+
+            assert.strictEqual(unitRule(), first);
+
+            portfolioManager.loadConfig(true);
+            const reloaded = unitRule();
+            assert.notStrictEqual(reloaded, first);
+            assert.deepEqual(reloaded.match, first.match);
+        });
+    });
+});
+
+// ============================================
+// Classification Feedback Tests
+// ============================================
+
+describe('Classification Feedback', () => {
+    before(() => {
+        // Fresh store for this suite
+        process.env.CLASSIFICATION_FEEDBACK_PATH = path.join(feedbackDir, 'corrections.jsonl');
+    });
+
+    after(() => {
+        process.env.CLASSIFICATION_FEEDBACK_PATH = path.join(feedbackDir, 'feedback.jsonl');
+    });
+
+    const newsletter = {
+        type: 'email',
+        subject: 'Weekly deals #41 - please review',
+        body: 'New pricing this week. Unsubscribe anytime.',
+        sender: 'Vendor News <news@vendor.example>'
+    };
+
+    it('assigns a classification ID to every classification', async () => {
+        const result = await hub.classify(newsletter);
+        assert.match(result.classificationId, /^cls-/);
+    });
+
+    it('records overrides with the original decision and sender features', async () => {
+        const { classificationId, category } = await hub.classify(newsletter);
+        const correctedCategory = category === 'NEWSLETTER' ? 'SPAM' : 'NEWSLETTER';
+
+        const correction = hub.recordCorrection({ classificationId, correctedCategory: correctedCategory.toLowerCase() });
+
+        assert.equal(correction.classificationId, classificationId);
+        assert.equal(correction.originalCategory, category);
+        assert.equal(correction.correctedCategory, correctedCategory);
+        assert.equal(correction.sender, 'news@vendor.example');
+        assert.equal(correction.senderDomain, 'vendor.example');
+        assert.equal(correction.subjectPattern, 'weekly deals # - please review');
+    });
+
+    it('treats a deleted triage task as a correction to FYI', () => {
+        const correction = hub.recordCorrection({
+            originalCategory: 'ACTION_REQUIRED',
+            taskDeleted: true,
+            sender: 'promo@shop.example',
+            subject: 'Flash sale'
+        });
+
+        assert.equal(correction.correctedCategory, 'FYI');
+        assert.equal(correction.source, 'task_deleted');
+    });
+
+    it('rejects invalid overrides', () => {
+        assert.throws(
+            () => hub.recordCorrection({ originalCategory: 'FYI', correctedCategory: 'BOGUS' }),
+            (error) => {
+                assert.equal(error.code, 'VALIDATION_ERROR');
+                assert.deepEqual(Object.keys(error.details.fields), ['correctedCategory']);
+                return true;
+            }
+        );
+        assert.throws(
+            () => hub.recordCorrection({ originalCategory: 'FYI', correctedCategory: 'FYI' }),
+            { code: 'VALIDATION_ERROR' }
+        );
+        assert.throws(
+            () => hub.recordCorrection({ classificationId: 'cls-missing', correctedCategory: 'FYI' }),
+            { code: 'NOT_FOUND' }
+        );
+    });
+
+    it('prefers corrections from the same sender as few-shot examples', () => {
+        hub.recordCorrection({
+            originalCategory: 'ACTION_REQUIRED',
+            correctedCategory: 'NEWSLETTER',
+            sender: 'news@other.example',
+            subject: 'Monthly roundup'
+        });
+
+        const examples = classificationFeedback.getFewShotExamples(newsletter, 2);
+        assert.equal(examples.length, 2);
+        assert.equal(examples[0].senderDomain, 'vendor.example');
+    });
+
+    it('injects corrections into the classification prompt', () => {
+        const prompt = hub.buildClassificationPrompt(newsletter);
+        assert.match(prompt, /corrected these past classifications/);
+        assert.match(prompt, /news@vendor\.example \| Subject: Weekly deals #41 - please review -> /);
+    });
+
+    it('reports accuracy from classifications and corrections', () => {
+        const report = classificationFeedback.getAccuracyReport({ days: 7 });
+
+        assert.equal(report.classified, 2);
+        assert.equal(report.corrected, 3);
+        assert.equal(report.accuracy, 0);
+        assert.equal(report.daily.length, 1);
+        assert.ok(report.topConfusions.some(c => c.from === 'ACTION_REQUIRED' && c.to === 'FYI'));
+    });
+
+    it('appends each event to the log instead of rewriting it', async () => {
+        const logPath = process.env.CLASSIFICATION_FEEDBACK_PATH;
+        await classificationFeedback.flushFeedback();
+        const before = fs.readFileSync(logPath, 'utf8');
+
+        await hub.classify(newsletter);
+        await classificationFeedback.flushFeedback();
+
+        const after = fs.readFileSync(logPath, 'utf8');
+        assert.ok(after.startsWith(before));
+        const added = after.slice(before.length).trim().split('\n');
+        assert.equal(added.length, 1);
+        assert.equal(JSON.parse(added[0]).type, 'decision');
+    });
+
+    it('rebuilds the same state by replaying the log', async () => {
+        await classificationFeedback.flushFeedback();
+        const expected = {
+            corrections: classificationFeedback.getCorrections(),
+            report: classificationFeedback.getAccuracyReport({ days: 7 })
+        };
+
+        const replayPath = path.join(feedbackDir, 'replay.jsonl');
+        fs.copyFileSync(process.env.CLASSIFICATION_FEEDBACK_PATH, replayPath);
+        process.env.CLASSIFICATION_FEEDBACK_PATH = replayPath;
+
+        assert.deepEqual(classificationFeedback.getCorrections(), expected.corrections);
+        assert.deepEqual(classificationFeedback.getAccuracyReport({ days: 7 }), expected.report);
+    });
+
+    it('corrects the classification when a triage task is deleted', async () => {
+        const { classificationId, category } = await hub.classify({
+            type: 'email',
+            subject: 'URGENT: sign the renewal today',
+            body: 'Please sign before end of day.',
+            sender: 'ops@vendor.example'
+        });
+        assert.notEqual(category, 'FYI');
+
+        const correction = hub.recordTaskDeleted({
+            id: '1200001',
+            notes: `Please sign before end of day.\n\n---\nSource: email\nCreated: 2026-01-05T09:00:00.000Z\n\nMetadata:\n  category: ${category}\n  classificationId: ${classificationId}`
+        });
+
+        assert.equal(correction.classificationId, classificationId);
+        assert.equal(correction.originalCategory, category);
+        assert.equal(correction.correctedCategory, 'FYI');
+        assert.equal(correction.source, 'task_deleted');
+    });
+
+    it('ignores deleted tasks triage did not create', () => {
+        assert.equal(hub.recordTaskDeleted({ id: '1200002', notes: 'Call the plumber' }), null);
+        assert.equal(hub.recordTaskDeleted({ id: '1200003', metadata: { classificationId: 'cls-aged0ut' } }), null);
+    });
+});
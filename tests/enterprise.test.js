@@ -4,18 +4,23 @@
  * Unit tests for enterprise features:
  * - LLM Council (core/llm_council.js)
  * - Portfolio Manager (core/portfolio-manager.js)
- * - Task Provider (lib/providers/task-provider.js)
+ * - Task Provider (lib/providers/task-provider.js), incl. Jira/Linear against local HTTP stubs
+ * - Task Sync (lib/task-sync.js)
  * - Emergency Kill Switch
+ * - API key authentication (lib/auth.js)
+ * - Audit trail (lib/audit-trail.js)
  *
  * Run with: node --test tests/enterprise.test.js
  *
  * @module tests/enterprise.test
  */
 
-import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { setTimeout as delay } from 'node:timers/promises';
 import fs from 'fs';
+import os from 'os';
+import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -493,6 +498,7 @@ describe('Task Provider', () => {
       assert.rejects(() => provider.completeTask('id'));
       assert.rejects(() => provider.deleteTask('id'));
       assert.rejects(() => provider.addComment('id', 'text'));
+      assert.rejects(() => provider.getComments('id'));
       assert.rejects(() => provider.getProjects());
     });
   });
@@ -646,6 +652,401 @@ describe('Task Provider', () => {
     });
   });
 
+  describe('JiraTaskProvider', () => {
+    let server;
+    let provider;
+    let issues;
+    let comments;
+    let requests;
+
+    const statuses = {
+      new: { name: 'To Do', statusCategory: { key: 'new' } },
+      done: { name: 'Done', statusCategory: { key: 'done' } }
+    };
+
+    const send = (res, status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    before(async () => {
+      // Keep provider info logs off stdout, which the test runner shares with its reporter
+      mock.method(console, 'log', () => {});
+      server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          const url = new URL(req.url, 'http://localhost');
+          const body = raw ? JSON.parse(raw) : null;
+          requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+          const route = url.pathname.replace('/rest/api/3', '');
+          const [, resource, key, sub] = route.split('/');
+          const issue = issues.get(key);
+
+          if (route === '/myself') return send(res, 200, { displayName: 'Chase' });
+          if (route === '/project/search') return send(res, 200, { values: [{ id: '10000', key: 'SC', name: 'SuperChase' }] });
+          if (route === '/search/jql') {
+            const jql = url.searchParams.get('jql');
+            const found = [...issues.values()]
+              .filter(i => !jql.includes('statusCategory != Done') || i.fields.status.statusCategory.key !== 'done')
+              .filter(i => !jql.includes('labels = "bu-') || i.fields.labels.some(l => jql.includes(`labels = "${l}"`)));
+            return send(res, 200, { issues: found });
+          }
+          if (route === '/issue' && req.method === 'POST') {
+            const newKey = `SC-${issues.size + 1}`;
+            issues.set(newKey, {
+              id: String(10000 + issues.size),
+              key: newKey,
+              fields: {
+                ...body.fields,
+                status: statuses.new,
+                project: { name: 'SuperChase' },
+                created: '2026-01-05T10:00:00.000+0000',
+                updated: '2026-01-05T10:00:00.000+0000'
+              }
+            });
+            return send(res, 201, { id: issues.get(newKey).id, key: newKey });
+          }
+          if (resource === 'issue' && !issue) return send(res, 404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+          if (sub === 'transitions' && req.method === 'GET') {
+            return send(res, 200, { transitions: [
+              { id: '11', name: 'Reopen', to: statuses.new },
+              { id: '31', name: 'Close', to: statuses.done }
+            ] });
+          }
+          if (sub === 'transitions') {
+            issue.fields.status = body.transition.id === '31' ? statuses.done : statuses.new;
+            return send(res, 204);
+          }
+          if (sub === 'comment' && req.method === 'GET') return send(res, 200, { comments });
+          if (sub === 'comment') {
+            comments.push({ id: String(20001 + comments.length), body: body.body, created: '2026-01-05T11:00:00.000+0000' });
+            return send(res, 201, { id: comments.at(-1).id });
+          }
+          if (req.method === 'PUT') {
+            Object.assign(issue.fields, body.fields);
+            return send(res, 204);
+          }
+          if (req.method === 'DELETE') {
+            issues.delete(key);
+            return send(res, 204);
+          }
+          return send(res, 200, issue);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      // before() runs ahead of the outer beforeEach, so import directly
+      const { JiraTaskProvider } = await import('../lib/providers/task-provider.js');
+      provider = new JiraTaskProvider({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        email: 'chase@example.com',
+        token: 'jira-token',
+        projectKey: 'SC'
+      });
+    });
+
+    after(() => {
+      server.close();
+      console.log.mock.restore();
+    });
+
+    beforeEach(() => {
+      issues = new Map();
+      comments = [];
+      requests = [];
+    });
+
+    it('is configured from explicit config', () => {
+      assert.equal(provider.isConfigured(), true);
+      assert.equal(new taskProvider.JiraTaskProvider({ baseUrl: 'https://x.atlassian.net' }).isConfigured(), false);
+    });
+
+    it('creates issues with mapped priority, due date and business unit', async () => {
+      const task = await provider.createTask({
+        name: 'Scan the Albany site',
+        notes: 'Bring the RTC360\nCall ahead',
+        priority: 'high',
+        dueDate: '2026-02-01T15:00:00Z',
+        source: 'email',
+        businessUnitId: 's2p'
+      });
+
+      const { body, headers } = requests[0];
+      assert.equal(headers.authorization, `Basic ${Buffer.from('chase@example.com:jira-token').toString('base64')}`);
+      assert.deepEqual(body.fields.project, { key: 'SC' });
+      assert.deepEqual(body.fields.priority, { name: 'High' });
+      assert.equal(body.fields.duedate, '2026-02-01');
+      assert.deepEqual(body.fields.labels, ['superchase', 'source-email', 'bu-s2p']);
+      assert.equal(body.fields.description.type, 'doc');
+
+      assert.equal(task.id, 'SC-1');
+      assert.equal(task.name, 'Scan the Albany site');
+      assert.equal(task.notes, 'Bring the RTC360\nCall ahead');
+      assert.equal(task.priority, 'high');
+      assert.equal(task.dueOn, '2026-02-01');
+      assert.equal(task.completed, false);
+      assert.equal(task.metadata.businessUnitId, 's2p');
+      assert.match(task.url, /\/browse\/SC-1$/);
+    });
+
+    it('lists open tasks filtered by business unit', async () => {
+      await provider.createTask({ name: 'S2P task', businessUnitId: 's2p' });
+      await provider.createTask({ name: 'Studio task', businessUnitId: 'studio' });
+      const done = await provider.createTask({ name: 'Done task', businessUnitId: 's2p' });
+      await provider.completeTask(done.id);
+
+      const tasks = await provider.getTasks({ businessUnitId: 's2p', limit: 10 });
+      const search = requests.find(r => r.path.endsWith('/search/jql'));
+
+      assert.deepEqual(tasks.map(t => t.name), ['S2P task']);
+      assert.match(search.query.jql, /project = "SC" AND statusCategory != Done AND labels = "bu-s2p"/);
+      assert.equal(search.query.maxResults, '10');
+    });
+
+    it('rejects project keys that would change the JQL and escapes label values', async () => {
+      for (const projectId of ['SC" OR project != "SC', 'sc', 'S']) {
+        await assert.rejects(
+          () => provider.getTasks({ projectId }),
+          (error) => error.code === 'VALIDATION_ERROR' && /Invalid Jira project key/.test(error.message)
+        );
+      }
+      assert.ok(!requests.some(r => r.path.endsWith('/search/jql')));
+
+      await provider.getTasks({ projectId: 'SC_OPS', businessUnitId: 's2p" OR labels != "x\\' });
+      const search = requests.find(r => r.path.endsWith('/search/jql'));
+      assert.match(search.query.jql, /^project = "SC_OPS" AND statusCategory != Done AND labels = "bu-s2p\\" OR labels != \\"x\\\\" ORDER BY/);
+    });
+
+    it('updates fields and completes through a workflow transition', async () => {
+      const created = await provider.createTask({ name: 'Draft' });
+
+      const updated = await provider.updateTask(created.id, { name: 'Final', priority: 'urgent' });
+      assert.equal(updated.name, 'Final');
+      assert.equal(updated.priority, 'urgent');
+
+      const completed = await provider.completeTask(created.id);
+      assert.equal(completed.completed, true);
+      assert.ok(requests.some(r => r.path.endsWith('/transitions') && r.body?.transition.id === '31'));
+
+      const reopened = await provider.updateTask(created.id, { completed: false });
+      assert.equal(reopened.completed, false);
+    });
+
+    it('adds comments, lists projects and deletes issues', async () => {
+      const created = await provider.createTask({ name: 'Commented' });
+
+      const comment = await provider.addComment(created.id, 'Client confirmed');
+      assert.deepEqual(comment, { success: true, commentId: '20001' });
+      assert.equal(taskProvider.JiraTaskProvider.fromADF(requests.at(-1).body.body), 'Client confirmed');
+      assert.deepEqual(await provider.getComments(created.id), [
+        { id: '20001', text: 'Client confirmed', createdAt: '2026-01-05T11:00:00.000+0000' }
+      ]);
+
+      assert.deepEqual(await provider.getProjects(), [{ id: 'SC', name: 'SuperChase' }]);
+
+      assert.deepEqual(await provider.deleteTask(created.id), { success: true });
+      assert.equal(issues.size, 0);
+    });
+
+    it('surfaces Jira errors as ExternalServiceError', async () => {
+      await assert.rejects(
+        () => provider.updateTask('SC-404', { name: 'Renamed' }),
+        (error) => error.code === 'EXTERNAL_SERVICE_ERROR' && /does not exist/.test(error.message)
+      );
+    });
+
+    it('reports a missing issue as NotFoundError', async () => {
+      await assert.rejects(() => provider.getTask('SC-404'), { code: 'NOT_FOUND' });
+    });
+  });
+
+  describe('LinearTaskProvider', () => {
+    let server;
+    let provider;
+    let issues;
+    let comments;
+    let requests;
+
+    const teams = {
+      'team-s2p': { id: 'team-s2p', name: 'Scan2Plan' },
+      'team-default': { id: 'team-default', name: 'Operations' }
+    };
+    const states = [
+      { id: 'state-done', name: 'Done', type: 'completed', position: 3 },
+      { id: 'state-todo', name: 'Todo', type: 'unstarted', position: 1 }
+    ];
+
+    const reply = (res, body) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    before(async () => {
+      // Keep provider info logs off stdout, which the test runner shares with its reporter
+      mock.method(console, 'log', () => {});
+      server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          const { query, variables } = JSON.parse(raw);
+          requests.push({ query, variables, headers: req.headers });
+
+          if (query.includes('viewer')) return reply(res, { data: { viewer: { name: 'Chase' } } });
+          if (query.includes('teams')) return reply(res, { data: { teams: { nodes: Object.values(teams) } } });
+          if (query.includes('team(id')) return reply(res, { data: { team: { states: { nodes: states } } } });
+          if (query.includes('issueCreate')) {
+            const { teamId, ...input } = variables.input;
+            const issue = {
+              id: `uuid-${issues.size + 1}`,
+              identifier: `OPS-${issues.size + 1}`,
+              url: `https://linear.app/acme/issue/OPS-${issues.size + 1}`,
+              priority: 0,
+              ...input,
+              team: teams[teamId],
+              state: states[1],
+              createdAt: '2026-01-05T10:00:00.000Z',
+              updatedAt: '2026-01-05T10:00:00.000Z'
+            };
+            issues.set(issue.id, issue);
+            return reply(res, { data: { issueCreate: { success: true, issue } } });
+          }
+          if (query.includes('issues(')) {
+            const { filter, first } = variables;
+            const nodes = [...issues.values()]
+              .filter(i => i.team.id === filter.team.id.eq)
+              .filter(i => !filter.state || !filter.state.type.nin.includes(i.state.type))
+              .slice(0, first);
+            return reply(res, { data: { issues: { nodes } } });
+          }
+
+          const issue = issues.get(variables.id || variables.input?.issueId);
+          if (!issue) return reply(res, { errors: [{ message: 'Entity not found: Issue' }] });
+
+          if (query.includes('issueUpdate')) {
+            const { stateId, ...input } = variables.input;
+            Object.assign(issue, input);
+            if (stateId) issue.state = states.find(s => s.id === stateId);
+            return reply(res, { data: { issueUpdate: { success: true, issue } } });
+          }
+          if (query.includes('issueDelete')) {
+            issues.delete(issue.id);
+            return reply(res, { data: { issueDelete: { success: true } } });
+          }
+          if (query.includes('commentCreate')) {
+            const comment = { id: `comment-${comments.length + 1}`, body: variables.input.body, createdAt: `2026-01-05T11:0${comments.length}:00.000Z` };
+            comments.push(comment);
+            return reply(res, { data: { commentCreate: { success: true, comment: { id: comment.id } } } });
+          }
+          if (query.includes('comments {')) {
+            return reply(res, { data: { issue: { comments: { nodes: [...comments].reverse() } } } });
+          }
+          return reply(res, { data: { issue } });
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => {
+      server.close();
+      console.log.mock.restore();
+    });
+
+    beforeEach(() => {
+      issues = new Map();
+      comments = [];
+      requests = [];
+      provider = new taskProvider.LinearTaskProvider({
+        baseUrl: `http://127.0.0.1:${server.address().port}/graphql`,
+        apiKey: 'lin_api_test',
+        teamId: 'team-default',
+        teamMap: { s2p: 'team-s2p' }
+      });
+    });
+
+    it('creates issues in the business unit team with mapped fields', async () => {
+      const task = await provider.createTask({
+        name: 'Quote the Troy warehouse',
+        notes: 'Needs LOD 300',
+        priority: 'high',
+        dueDate: '2026-03-10',
+        businessUnitId: 's2p'
+      });
+
+      const { variables, headers } = requests[0];
+      assert.equal(headers.authorization, 'lin_api_test');
+      assert.deepEqual(variables.input, {
+        teamId: 'team-s2p',
+        title: 'Quote the Troy warehouse',
+        description: 'Needs LOD 300',
+        priority: 2,
+        dueDate: '2026-03-10'
+      });
+
+      assert.equal(task.id, 'uuid-1');
+      assert.equal(task.priority, 'high');
+      assert.equal(task.dueOn, '2026-03-10');
+      assert.equal(task.project, 'Scan2Plan');
+      assert.equal(task.metadata.identifier, 'OPS-1');
+      assert.equal(task.metadata.businessUnitId, 's2p');
+    });
+
+    it('lists open tasks in the default team', async () => {
+      await provider.createTask({ name: 'Open' });
+      const done = await provider.createTask({ name: 'Closed' });
+      await provider.completeTask(done.id);
+      await provider.createTask({ name: 'Other team', businessUnitId: 's2p' });
+
+      const tasks = await provider.getTasks();
+      assert.deepEqual(tasks.map(t => t.name), ['Open']);
+
+      const all = await provider.getTasks({ completed: true });
+      assert.equal(all.length, 2);
+    });
+
+    it('completes and reopens through team workflow states', async () => {
+      const created = await provider.createTask({ name: 'Ship it', priority: 'low' });
+
+      const completed = await provider.completeTask(created.id);
+      assert.equal(completed.completed, true);
+      assert.equal(completed.metadata.status, 'Done');
+
+      const reopened = await provider.updateTask(created.id, { completed: false, priority: 'urgent' });
+      assert.equal(reopened.completed, false);
+      assert.equal(reopened.priority, 'urgent');
+
+      // Workflow states are fetched once per team
+      assert.equal(requests.filter(r => r.query.includes('team(id')).length, 1);
+    });
+
+    it('adds comments, lists teams and deletes issues', async () => {
+      const created = await provider.createTask({ name: 'Commented' });
+
+      assert.deepEqual(await provider.addComment(created.id, 'Looks good'), { success: true, commentId: 'comment-1' });
+      assert.deepEqual(requests.at(-1).variables.input, { issueId: created.id, body: 'Looks good' });
+      await provider.addComment(created.id, 'Scheduled');
+      assert.deepEqual((await provider.getComments(created.id)).map(c => c.text), ['Looks good', 'Scheduled']);
+
+      const projects = await provider.getProjects();
+      assert.deepEqual(projects.map(p => p.name), ['Scan2Plan', 'Operations']);
+
+      assert.deepEqual(await provider.deleteTask(created.id), { success: true });
+      assert.equal(issues.size, 0);
+    });
+
+    it('surfaces GraphQL errors as ExternalServiceError', async () => {
+      await assert.rejects(
+        () => provider.deleteTask('missing'),
+        (error) => error.code === 'EXTERNAL_SERVICE_ERROR' && /Entity not found/.test(error.message)
+      );
+    });
+
+    it('reports a missing issue as NotFoundError', async () => {
+      await assert.rejects(() => provider.getTask('missing'), { code: 'NOT_FOUND' });
+    });
+  });
+
   describe('createTaskProvider()', () => {
     it('creates InMemory provider', () => {
       const provider = taskProvider.createTaskProvider('memory');
@@ -659,6 +1060,11 @@ describe('Task Provider', () => {
       assert.ok(provider instanceof taskProvider.AsanaTaskProvider);
     });
 
+    it('creates Jira and Linear providers', () => {
+      assert.ok(taskProvider.createTaskProvider('jira') instanceof taskProvider.JiraTaskProvider);
+      assert.ok(taskProvider.createTaskProvider('linear') instanceof taskProvider.LinearTaskProvider);
+    });
+
     it('auto-detects based on environment', () => {
       const provider = taskProvider.createTaskProvider('auto');
 
@@ -693,6 +1099,296 @@ describe('Task Provider', () => {
   });
 });
 
+// ============================================
+// Task Sync Tests
+// ============================================
+
+describe('Task Sync', () => {
+  let TaskSyncEngine;
+  let InMemoryTaskProvider;
+  let local;
+  let remote;
+  let engine;
+
+  // Backdate a task so the other side counts as the later edit
+  const age = (provider, id, iso) => {
+    provider.tasks.get(id).modifiedAt = iso;
+  };
+
+  before(async () => {
+    // Keep sync info logs off stdout, which the test runner shares with its reporter
+    mock.method(console, 'log', () => {});
+    ({ TaskSyncEngine } = await import('../lib/task-sync.js'));
+    ({ InMemoryTaskProvider } = await import('../lib/providers/task-provider.js'));
+  });
+
+  after(() => {
+    console.log.mock.restore();
+    globalThis.AUTOMATION_PAUSED = false;
+  });
+
+  beforeEach(() => {
+    local = new InMemoryTaskProvider();
+    remote = new InMemoryTaskProvider();
+    engine = new TaskSyncEngine({ local, remote, provider: 'asana' });
+  });
+
+  it('requires both providers', () => {
+    assert.throws(() => new TaskSyncEngine({ local }), /local and a remote provider/);
+  });
+
+  it('pulls external tasks and pushes local-only tasks, linking both', async () => {
+    const fromAsana = await remote.createTask({ name: 'Quote Troy warehouse', priority: 'high' });
+    const fromDb = await local.createTask({ name: 'Call Albany client' });
+
+    const report = await engine.run();
+
+    assert.equal(report.status, 'ok');
+    assert.deepEqual(report.created, { local: 1, remote: 1 });
+
+    const pulled = [...local.tasks.values()].find(t => t.name === 'Quote Troy warehouse');
+    assert.equal(pulled.metadata.externalId, fromAsana.id);
+    assert.equal(pulled.metadata.externalProvider, 'asana');
+    assert.equal(pulled.priority, 'high');
+
+    const pushed = local.tasks.get(fromDb.id);
+    assert.equal(remote.tasks.get(pushed.metadata.externalId).name, 'Call Albany client');
+
+    // Linked pairs are not duplicated on the next run
+    const second = await engine.run();
+    assert.deepEqual(second.created, { local: 0, remote: 0 });
+    assert.equal(local.tasks.size, 2);
+    assert.equal(remote.tasks.size, 2);
+  });
+
+  it('propagates completions both ways', async () => {
+    const a = await remote.createTask({ name: 'Done in Asana' });
+    const b = await remote.createTask({ name: 'Done in dashboard' });
+    await engine.run();
+
+    const localB = [...local.tasks.values()].find(t => t.metadata.externalId === b.id);
+    await remote.completeTask(a.id);
+    age(local, [...local.tasks.values()].find(t => t.metadata.externalId === a.id).id, '2026-01-01T00:00:00.000Z');
+    await local.completeTask(localB.id);
+    age(remote, b.id, '2026-01-01T00:00:00.000Z');
+
+    const report = await engine.run();
+
+    assert.deepEqual(report.completed, { local: 1, remote: 1 });
+    assert.ok([...local.tasks.values()].every(t => t.completed));
+    assert.ok(remote.tasks.get(b.id).completed);
+  });
+
+  it('resolves conflicting edits by last-modified time and reports them', async () => {
+    const task = await remote.createTask({ name: 'Original' });
+    await engine.run();
+    const localTask = [...local.tasks.values()][0];
+    const syncedAt = localTask.metadata.sync.syncedAt;
+
+    const later = (ms) => new Date(Date.parse(syncedAt) + ms).toISOString();
+    Object.assign(local.tasks.get(localTask.id), { name: 'Renamed in dashboard', modifiedAt: later(60000) });
+    Object.assign(remote.tasks.get(task.id), { name: 'Renamed in Asana', dueOn: '2026-03-01', modifiedAt: later(120000) });
+
+    const report = await engine.run();
+
+    assert.equal(local.tasks.get(localTask.id).name, 'Renamed in Asana');
+    assert.equal(local.tasks.get(localTask.id).dueOn, '2026-03-01');
+    assert.deepEqual(report.updated, { local: 1, remote: 0 });
+    assert.deepEqual(report.conflicts, [{
+      localId: localTask.id,
+      externalId: task.id,
+      fields: ['name', 'dueOn'],
+      winner: 'remote'
+    }]);
+  });
+
+  it('copies comments both ways without echoing them back', async () => {
+    const task = await remote.createTask({ name: 'Commented' });
+    await remote.addComment(task.id, 'From Asana');
+    await engine.run();
+
+    const localTask = [...local.tasks.values()][0];
+    assert.deepEqual((await local.getComments(localTask.id)).map(c => c.text), ['From Asana']);
+
+    await local.addComment(localTask.id, 'From dashboard');
+    const report = await engine.run();
+
+    assert.deepEqual(report.comments, { local: 0, remote: 1 });
+    assert.deepEqual((await remote.getComments(task.id)).map(c => c.text), ['From Asana', 'From dashboard']);
+
+    const idle = await engine.run();
+    assert.deepEqual(idle.comments, { local: 0, remote: 0 });
+    assert.equal((await local.getComments(localTask.id)).length, 2);
+  });
+
+  it('finds linked tasks past the listing cap instead of pulling them again', async () => {
+    engine = new TaskSyncEngine({ local, remote, provider: 'asana', push: false, limit: 2 });
+    await local.createTask({ name: 'Local only A' });
+    await local.createTask({ name: 'Local only B' });
+    await remote.createTask({ name: 'From Asana' });
+
+    await engine.run();
+    assert.equal(local.tasks.size, 3);
+
+    // The linked task is third in the local listing, beyond the cap of 2
+    const second = await engine.run();
+    assert.deepEqual(second.created, { local: 0, remote: 0 });
+    assert.equal(local.tasks.size, 3);
+  });
+
+  it('completes local tasks whose external task was deleted', async () => {
+    const task = await remote.createTask({ name: 'Deleted in Asana' });
+    await engine.run();
+    const localTask = [...local.tasks.values()][0];
+
+    await remote.deleteTask(task.id);
+    const report = await engine.run();
+
+    assert.equal(report.status, 'ok');
+    assert.equal(report.completed.local, 1);
+    assert.equal(local.tasks.get(localTask.id).completed, true);
+    assert.equal(local.tasks.get(localTask.id).metadata.sync.remoteDeleted, true);
+
+    const next = await engine.run();
+    assert.equal(next.status, 'ok');
+    assert.deepEqual(next.created, { local: 0, remote: 0 });
+    assert.equal(remote.tasks.size, 0);
+  });
+
+  it('reports per-task failures without aborting the run', async () => {
+    await remote.createTask({ name: 'Fine' });
+    await local.createTask({ name: 'Rejected' });
+    remote.createTask = async () => {
+      throw new Error('Asana API error: 403');
+    };
+
+    const report = await engine.run();
+
+    assert.equal(report.status, 'partial');
+    assert.equal(report.created.local, 1);
+    assert.equal(report.errors.length, 1);
+    assert.match(report.errors[0].error, /403/);
+  });
+
+  it('skips while automation is paused', async () => {
+    await remote.createTask({ name: 'Waiting' });
+    globalThis.AUTOMATION_PAUSED = true;
+
+    const report = await engine.run();
+    globalThis.AUTOMATION_PAUSED = false;
+
+    assert.equal(report.status, 'skipped');
+    assert.equal(local.tasks.size, 0);
+  });
+
+  it('only schedules against an external provider, never the in-memory store', async () => {
+    const { resolveSyncProvider, isTaskSyncConfigured } = await import('../lib/task-sync.js');
+    const keys = ['DATABASE_URL', 'TASK_SYNC_PROVIDER', 'ASANA_ACCESS_TOKEN', 'JIRA_API_TOKEN', 'LINEAR_API_KEY'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    keys.forEach(key => delete process.env[key]);
+
+    try {
+      process.env.DATABASE_URL = 'postgresql://localhost/superchase';
+      assert.equal(resolveSyncProvider(), null);
+      assert.equal(resolveSyncProvider('memory'), null);
+      assert.equal(isTaskSyncConfigured(), false);
+
+      process.env.JIRA_API_TOKEN = 'jira-token';
+      assert.equal(resolveSyncProvider('auto'), 'jira');
+      assert.equal(resolveSyncProvider('Linear'), 'linear');
+      assert.equal(isTaskSyncConfigured(), true);
+    } finally {
+      keys.forEach(key => (saved[key] === undefined ? delete process.env[key] : (process.env[key] = saved[key])));
+    }
+  });
+
+  describe('against Asana', () => {
+    let server;
+    let asana;
+    let asanaTasks;
+    let gid;
+
+    const send = (res, status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data }));
+    };
+
+    before(async () => {
+      server = createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+          const url = new URL(req.url, 'http://localhost');
+          const body = raw ? JSON.parse(raw).data : null;
+          const [, , id, sub] = url.pathname.split('/');
+          const task = asanaTasks.get(id);
+          const now = new Date().toISOString();
+
+          if (!id && req.method === 'POST') {
+            const created = { gid: String(++gid), ...body, completed: false, created_at: now, modified_at: now, stories: [] };
+            asanaTasks.set(created.gid, created);
+            return send(res, 201, created);
+          }
+          if (!id) {
+            const open = !url.searchParams.has('completed_since');
+            return send(res, 200, [...asanaTasks.values()].filter(t => open || !t.completed));
+          }
+          if (sub === 'stories' && req.method === 'POST') {
+            task.stories.push({ gid: `s${task.stories.length + 1}`, type: 'comment', text: body.text, created_at: now });
+            return send(res, 201, task.stories.at(-1));
+          }
+          if (sub === 'stories') return send(res, 200, task.stories);
+          if (req.method === 'PUT') Object.assign(task, body, { modified_at: now });
+          return send(res, 200, task);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => server.close());
+
+    beforeEach(async () => {
+      asanaTasks = new Map();
+      gid = 1200000;
+      const { AsanaTaskProvider } = await import('../lib/providers/task-provider.js');
+      asana = new AsanaTaskProvider({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        token: 'asana-token',
+        workspaceId: 'ws',
+        projectId: 'proj'
+      });
+      engine = new TaskSyncEngine({ local, remote: asana, provider: 'asana' });
+    });
+
+    it('settles in one pass: a second run changes nothing', async () => {
+      await local.createTask({ name: 'Call Albany client', notes: 'Bring the RTC360' });
+      await asana.createTask({ name: 'Quote Troy warehouse', notes: 'From triage', source: 'email' });
+
+      const first = await engine.run();
+      assert.deepEqual(first.created, { local: 1, remote: 1 });
+      assert.match([...asanaTasks.values()][0].notes, /^From triage\n\n---\nSource: email/);
+
+      const second = await engine.run();
+      assert.equal(second.status, 'ok');
+      assert.deepEqual(second.updated, { local: 0, remote: 0 });
+      assert.deepEqual(second.created, { local: 0, remote: 0 });
+    });
+
+    it('sends emptied notes to Asana', async () => {
+      const localTask = await local.createTask({ name: 'Site visit', notes: 'Gate code 4411' });
+      await engine.run();
+      const [pushed] = asanaTasks.values();
+      pushed.modified_at = '2026-01-01T00:00:00.000Z';
+
+      await local.updateTask(localTask.id, { notes: '' });
+      const report = await engine.run();
+
+      assert.deepEqual(report.updated, { local: 0, remote: 1 });
+      assert.equal(pushed.notes, '');
+    });
+  });
+});
+
 // ============================================
 // Emergency Kill Switch Tests
 // ============================================
@@ -1024,6 +1720,232 @@ describe('Cost Controller', () => {
       assert.ok(typeof costController.DEFAULT_LIMITS.perSession === 'number');
     });
   });
+
+  describe('Business Unit and Tenant Budgets', () => {
+    const record = (extra) => costController.recordCost({
+      model: 'openai/gpt-4o',
+      inputTokens: 1000,
+      outputTokens: 500,
+      ...extra
+    });
+
+    afterEach(() => {
+      costController.updateLimits({
+        businessUnits: { 'unit-a': null, 'unit-b': null },
+        tenants: { 'client-x': null }
+      });
+    });
+
+    it('attributes spend by unit, tenant, model and operation', () => {
+      record({ businessUnitId: 'unit-a', tenantId: 'client-x', operation: 'council' });
+      record({ businessUnitId: 'unit-a', operation: 'agent:writer' });
+      record({ operation: 'hub:classify' });
+
+      const breakdown = costController.getCostBreakdown({ period: 'daily' });
+      const unitA = breakdown.businessUnits.find(u => u.id === 'unit-a');
+      const clientX = breakdown.tenants.find(t => t.id === 'client-x');
+      const perCall = costController.calculateCost('openai/gpt-4o', 1000, 500);
+
+      assert.equal(breakdown.requests, 3);
+      assert.equal(unitA.requests, 2);
+      assert.deepEqual(Object.keys(unitA.byOperation).sort(), ['agent:writer', 'council']);
+      assert.ok(unitA.byModel['openai/gpt-4o'] > 0);
+      assert.equal(clientX.requests, 1);
+      assert.ok(Math.abs(breakdown.unattributed.businessUnit - perCall) < 0.0001);
+      assert.ok(Math.abs(breakdown.unattributed.tenant - perCall * 2) < 0.0001);
+    });
+
+    it('bills costs recorded under an attributed trace', () => {
+      costController.attributeTrace('trace-attr', { businessUnitId: 'unit-b' });
+      record({ traceId: 'trace-attr' });
+      costController.releaseTrace('trace-attr');
+      record({ traceId: 'trace-attr' });
+
+      const unitB = costController.getCostBreakdown({ period: 'daily' }).businessUnits
+        .find(u => u.id === 'unit-b');
+      assert.equal(unitB.requests, 1);
+    });
+
+    it('rejects runs when the unit or tenant budget is exhausted', () => {
+      costController.updateLimits({
+        businessUnits: { 'unit-a': { daily: 0.01 } },
+        tenants: { 'client-x': { monthly: 0.005 } }
+      });
+
+      const unitCheck = costController.preFlightCheck(0.02, { businessUnitId: 'unit-a' });
+      assert.equal(unitCheck.allowed, false);
+      assert.match(unitCheck.reason, /Business unit 'unit-a' would exceed daily budget/);
+
+      assert.equal(costController.preFlightCheck(0.02, { businessUnitId: 'unit-b' }).allowed, true);
+
+      const tenantCheck = costController.preFlightCheck(0.001, { businessUnitId: 'unit-a', tenantId: 'client-x' });
+      assert.equal(tenantCheck.allowed, true);
+      assert.ok(Math.abs(tenantCheck.remaining.tenant.monthly - 0.005) < 0.0001);
+
+      costController.attributeTrace('trace-x', { tenantId: 'client-x' });
+      const tracedCheck = costController.preFlightCheck(0.01, { traceId: 'trace-x' });
+      costController.releaseTrace('trace-x');
+      assert.match(tracedCheck.reason, /Tenant 'client-x' would exceed monthly budget/);
+    });
+
+    it('merges per-unit limits and removes them with null', () => {
+      costController.updateLimits({ businessUnits: { 'unit-a': { daily: 5 } } });
+      costController.updateLimits({ businessUnits: { 'unit-a': { monthly: 50 }, 'unit-b': { daily: 1 } } });
+      assert.deepEqual(costController.getLimits().businessUnits['unit-a'], { daily: 5, monthly: 50 });
+
+      costController.updateLimits({ businessUnits: { 'unit-b': null } });
+      assert.equal(costController.getLimits().businessUnits['unit-b'], undefined);
+
+      const unitA = costController.getCostBreakdown({ period: 'monthly' }).businessUnits
+        .find(u => u.id === 'unit-a');
+      assert.equal(unitA.limit, 50);
+      assert.equal(unitA.spent, 0);
+    });
+
+    it('validates limits and report periods', () => {
+      assert.throws(
+        () => costController.updateLimits({ tenants: { 'client-x': { daily: -1 } } }),
+        { code: 'VALIDATION_ERROR' }
+      );
+      assert.throws(() => costController.getCostBreakdown({ period: 'weekly' }), { code: 'VALIDATION_ERROR' });
+    });
+
+    it('narrows the breakdown to one unit or tenant', () => {
+      record({ businessUnitId: 'unit-a', tenantId: 'client-x' });
+      record({ businessUnitId: 'unit-b' });
+
+      const all = costController.getCostBreakdown({ period: 'daily' });
+      const narrowed = costController.getCostBreakdown({ period: 'daily', businessUnitId: 'unit-b', tenantId: 'client-x' });
+
+      assert.deepEqual(narrowed.businessUnits.map(u => u.id), ['unit-b']);
+      assert.deepEqual(narrowed.tenants.map(t => t.id), ['client-x']);
+      assert.deepEqual(narrowed.unattributed, all.unattributed);
+    });
+
+    it('rejects unknown units and tenants where requests name them', async () => {
+      const { assertCostScopes } = await import('../core/cost-scopes.js');
+      const { estimateCost, updateBudgetLimits } = await import('../core/llm_council.js');
+      const { orchestrate } = await import('../core/orchestrate-api.js');
+
+      assertCostScopes({ businessUnitId: 's2p', tenantId: 'tuthill', tenants: [] });
+      assert.throws(
+        () => assertCostScopes({ businessUnitId: 'unit-a', tenantId: '../clients/s2p' }),
+        (error) => {
+          assert.equal(error.code, 'VALIDATION_ERROR');
+          assert.deepEqual(Object.keys(error.details.fields).sort(), ['businessUnitId', 'tenantId']);
+          return true;
+        }
+      );
+
+      assert.throws(() => estimateCost({ query: 'q', tenantId: 'client-x' }), { code: 'VALIDATION_ERROR' });
+      assert.throws(
+        () => updateBudgetLimits({ businessUnits: { 'unit-a': { daily: 1 } } }),
+        { code: 'VALIDATION_ERROR' }
+      );
+      assert.equal(costController.getLimits().businessUnits['unit-a'], undefined);
+      // Budgets for units that no longer exist can still be removed
+      updateBudgetLimits({ businessUnits: { 'unit-a': null } });
+
+      await assert.rejects(
+        orchestrate('What is the pipeline?', { businessId: 's2p', tenantId: 'client-x' }),
+        { code: 'VALIDATION_ERROR' }
+      );
+      // Notebook business IDs are not portfolio units and are not rejected as such
+      await assert.rejects(
+        orchestrate('Plan a tiktok series', { businessId: 'studio-c', tenantId: 'client-x' }),
+        (error) => {
+          assert.deepEqual(Object.keys(error.details.fields), ['tenantId']);
+          return true;
+        }
+      );
+    });
+  });
+
+  describe('Cost Ledger and Forecasting', () => {
+    let dir;
+
+    const daysAgo = (n) => new Date(Date.now() - n * 86400000).toISOString().split('T')[0];
+    const writeLedger = (entries) => {
+      fs.writeFileSync(
+        process.env.COST_LEDGER_PATH,
+        entries.map(e => JSON.stringify({ requestCount: 10, sessionCount: 0, byOperation: {}, ...e })).join('\n') + '\n'
+      );
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superchase-ledger-'));
+      process.env.COST_LEDGER_PATH = path.join(dir, 'ledger.jsonl');
+    });
+
+    afterEach(() => {
+      // Don't carry today's test spend into the next suite's budget checks
+      costController.resetDaily();
+      delete process.env.COST_LEDGER_PATH;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('closes the day into the ledger on reset', () => {
+      costController.recordCost({ model: 'openai/gpt-4o', inputTokens: 1000, outputTokens: 500, businessUnitId: 'unit-a' });
+      costController.resetDaily();
+
+      const [entry] = fs.readFileSync(process.env.COST_LEDGER_PATH, 'utf8').trim().split('\n').map(JSON.parse);
+      assert.equal(entry.requestCount, 1);
+      assert.ok(entry.byModel['openai/gpt-4o'] > 0);
+      assert.equal(entry.byBusinessUnit['unit-a'], entry.totalCost);
+
+      const history = costController.getCostHistory({ days: 7 });
+      assert.equal(history.length, 1);
+      assert.equal(history[0].partial, true);
+      assert.equal(history[0].requestCount, 0);
+    });
+
+    it('flags a day far above the trailing mean per model', () => {
+      writeLedger(Array.from({ length: 14 }, (_, i) => ({
+        date: daysAgo(i + 1),
+        totalCost: 0.1 + (i % 2) * 0.02,
+        byModel: { 'openai/gpt-4o': 0.1 + (i % 2) * 0.02 }
+      })));
+
+      // $2.50 of gpt-4o today
+      costController.recordCost({ model: 'openai/gpt-4o', inputTokens: 1_000_000, outputTokens: 0 });
+      costController.recordCost({ model: 'openai/gpt-4o-mini', inputTokens: 1000, outputTokens: 100 });
+
+      const anomalies = costController.detectAnomalies();
+      assert.deepEqual(anomalies.map(a => a.model).sort(), [null, 'openai/gpt-4o']);
+      const model = anomalies.find(a => a.model === 'openai/gpt-4o');
+      assert.equal(model.spent, 2.5);
+      assert.equal(model.mean, 0.11);
+      assert.ok(model.zScore > 3);
+    });
+
+    it('needs some history before flagging anomalies', () => {
+      writeLedger([{ date: daysAgo(1), totalCost: 0.1, byModel: { 'openai/gpt-4o': 0.1 } }]);
+      costController.recordCost({ model: 'openai/gpt-4o', inputTokens: 1_000_000, outputTokens: 0 });
+
+      assert.deepEqual(costController.detectAnomalies(), []);
+    });
+
+    it('projects month-end spend from the trailing run rate', () => {
+      writeLedger(Array.from({ length: 10 }, (_, i) => ({
+        date: daysAgo(i + 1),
+        totalCost: 20,
+        byModel: { 'openai/gpt-4o': 20 }
+      })));
+
+      const forecast = costController.forecastMonthEnd();
+      assert.equal(forecast.basis, 'trailing');
+      assert.equal(forecast.dailyRunRate, 20);
+      assert.equal(forecast.projected, 20 * (forecast.daysRemaining + 1));
+      assert.equal(forecast.overBudget, forecast.projected > forecast.limit);
+    });
+
+    it('falls back to the month-to-date rate without history', () => {
+      const forecast = costController.forecastMonthEnd();
+      assert.equal(forecast.basis, 'month_to_date');
+      assert.equal(forecast.projected, 0);
+      assert.equal(forecast.overBudget, false);
+    });
+  });
 });
 
 // ============================================
@@ -1209,6 +2131,20 @@ describe('Enterprise Integration', () => {
 
 describe('Observability Module', () => {
   let observability;
+  let traceStoreDir;
+  const originalTraceStoreDir = process.env.TRACE_STORE_DIR;
+
+  // Keep persisted spans out of memory/traces and isolated between runs
+  before(() => {
+    traceStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'observability-traces-'));
+    process.env.TRACE_STORE_DIR = traceStoreDir;
+  });
+
+  after(() => {
+    if (originalTraceStoreDir === undefined) delete process.env.TRACE_STORE_DIR;
+    else process.env.TRACE_STORE_DIR = originalTraceStoreDir;
+    fs.rmSync(traceStoreDir, { recursive: true, force: true });
+  });
 
   beforeEach(async () => {
     observability = await import('../lib/observability.js');
@@ -1297,6 +2233,70 @@ describe('Observability Module', () => {
       const metrics = observability.getMetricsJson();
       assert.ok(metrics.councilDuration);
     });
+
+    it('summarizes windowed quantiles per label group', () => {
+      const histogram = new observability.Histogram('test_duration_ms', 'Test', ['method', 'endpoint']);
+      for (let i = 1; i <= 100; i++) {
+        histogram.observe({ method: 'GET', endpoint: '/fast' }, i, null);
+        histogram.observe({ method: 'GET', endpoint: '/slow' }, i * 100, null);
+      }
+
+      const overall = histogram.summary();
+      assert.equal(overall.count, 200);
+      assert.ok(overall.quantiles.p99 > 9000);
+
+      const byEndpoint = histogram.summary({ by: 'endpoint', quantiles: [0.5] });
+      const fast = byEndpoint.find(s => s.endpoint === '/fast');
+      assert.equal(fast.count, 100);
+      assert.ok(Math.abs(fast.quantiles.p50 - 50.5) < 1);
+      assert.ok(!('p95' in fast.quantiles));
+
+      // Prometheus buckets stay cumulative
+      const text = histogram.toPrometheus();
+      assert.ok(text.includes('test_duration_ms_bucket{method="GET",endpoint="/fast",le="50"} 50'));
+      assert.ok(text.includes('test_duration_ms_bucket{method="GET",endpoint="/fast",le="100"} 100'));
+    });
+
+    it('keeps the latest exemplar per bucket from the active span', async () => {
+      const histogram = new observability.Histogram('test_exemplar_ms', 'Test', ['endpoint'], [100, 1000]);
+      let traceId;
+      await observability.withTrace('slow-request', async (span) => {
+        traceId = span.traceId;
+        histogram.observe({ endpoint: '/slow' }, 5000);
+      });
+      histogram.observe({ endpoint: '/slow' }, 50);
+
+      const [group] = histogram.summary({ by: 'endpoint' });
+      assert.equal(group.exemplars.length, 1);
+      assert.equal(group.exemplars[0].traceId, traceId);
+      assert.equal(group.exemplars[0].le, '+Inf');
+      assert.equal(group.exemplars[0].value, 5000);
+    });
+
+    it('folds label sets beyond maxSeries into an overflow series', () => {
+      const histogram = new observability.Histogram('test_overflow_ms', 'Test', ['endpoint'], undefined, { maxSeries: 2 });
+      for (const endpoint of ['/a', '/b', '/c', '/d']) {
+        histogram.observe({ endpoint }, 10, null);
+      }
+
+      const endpoints = histogram.series().map(s => s.labels.endpoint).sort();
+      assert.deepEqual(endpoints, ['/a', '/b', '__overflow__']);
+      assert.equal(histogram.overflowed, 2);
+    });
+
+    it('reports HTTP and LLM latency on the dashboard', () => {
+      observability.recordHttpRequest('GET', '/api/quantiles-test', 200, 120);
+      observability.recordLLMRequest('test-model', 'chat', 'success', 1500);
+
+      const dashboard = observability.getObservabilityDashboard();
+      const endpoint = dashboard.metrics.http.endpoints.find(e => e.endpoint === '/api/quantiles-test');
+      assert.ok(endpoint);
+      assert.equal(endpoint.quantiles.p50, 120);
+
+      const model = dashboard.metrics.llm.models.find(m => m.model === 'test-model');
+      assert.equal(model.count, 1);
+      assert.ok(observability.getMetricsJson().llmRequestDuration);
+    });
   });
 
   describe('Prometheus Export', () => {
@@ -1387,6 +2387,27 @@ describe('Observability Module', () => {
       assert.equal(result, 'result');
     });
 
+    it('tags log entries with the active span', async () => {
+      const { createLogger, setTransports } = await import('../lib/logger.js');
+      const entries = [];
+      const previous = setTransports([{ name: 'capture', write: (entry) => entries.push(entry) }]);
+
+      try {
+        let span;
+        await observability.withTrace('logging-operation', async (active) => {
+          span = active;
+          createLogger({ module: 'span-log-test' }).info('inside span');
+        });
+        createLogger({ module: 'span-log-test' }).info('outside span');
+
+        assert.equal(entries[0].spanTraceId, span.traceId);
+        assert.equal(entries[0].spanId, span.spanId);
+        assert.equal(entries[1].spanTraceId, undefined);
+      } finally {
+        setTransports(previous);
+      }
+    });
+
     it('withTrace captures errors', async () => {
       await assert.rejects(
         () => observability.withTrace('failing-operation', async () => {
@@ -1438,6 +2459,303 @@ describe('Observability Module', () => {
     });
   });
 
+  describe('Trace Propagation and OTLP Export', () => {
+    let server;
+    let baseUrl;
+    let received;
+    let statuses;
+
+    before(async () => {
+      server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+          res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+          res.end('{}');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    beforeEach(() => {
+      received = [];
+      statuses = [];
+    });
+
+    afterEach(() => {
+      observability.configureTraceExport(null);
+    });
+
+    it('parses and formats W3C traceparent headers', () => {
+      const header = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+      assert.deepEqual(observability.parseTraceparent(header), {
+        traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+        parentSpanId: '00f067aa0ba902b7'
+      });
+
+      assert.equal(observability.parseTraceparent(undefined), null);
+      assert.equal(observability.parseTraceparent('00-abc-def-01'), null);
+      assert.equal(observability.parseTraceparent(`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`), null);
+      assert.equal(observability.parseTraceparent(`ff-${'a'.repeat(32)}-00f067aa0ba902b7-01`), null);
+
+      const span = observability.startSpan('format', observability.parseTraceparent(header));
+      assert.equal(observability.formatTraceparent(span), `00-4bf92f3577b34da6a3ce929d0e0e4736-${span.spanId}-01`);
+      span.end();
+    });
+
+    it('nests spans under the active span and propagates it on outgoing calls', async () => {
+      const incoming = { traceId: 'a'.repeat(32), parentSpanId: 'b'.repeat(16) };
+      let request;
+
+      await observability.withTrace('server-request', async (root) => {
+        assert.equal(root.traceId, incoming.traceId);
+        assert.equal(root.parentSpanId, incoming.parentSpanId);
+
+        await observability.withTrace('inner', async (inner) => {
+          assert.equal(inner.parentSpanId, root.spanId);
+          await observability.tracedFetch(`${baseUrl}/spoke`, { method: 'POST' }, 'spoke.call');
+        });
+        request = received[0];
+      }, {}, { ...incoming, kind: 'server' });
+
+      const client = observability.getTraceById(incoming.traceId).find(s => s.name === 'spoke.call');
+      assert.equal(client.kind, 'client');
+      assert.equal(client.attributes['http.response.status_code'], 200);
+      assert.equal(request.headers.traceparent, `00-${incoming.traceId}-${client.spanId}-01`);
+      assert.equal(observability.getActiveSpan(), undefined);
+    });
+
+    it('sends outbound calls from the server, spokes and core through tracedFetch', () => {
+      const root = path.join(__dirname, '..');
+      const sources = ['server.js', ...['spokes', 'core'].flatMap(dir =>
+        fs.readdirSync(path.join(root, dir), { recursive: true })
+          .filter(file => file.endsWith('.js'))
+          .map(file => path.join(dir, file)))];
+
+      const rawFetches = sources.filter(file =>
+        /(?<![\w.])fetch\(/.test(fs.readFileSync(path.join(root, file), 'utf8')));
+      assert.deepEqual(rawFetches, []);
+    });
+
+    it('exports spans to an OTLP/HTTP collector in batches', async () => {
+      observability.configureTraceExport({
+        endpoint: `${baseUrl}/v1/traces`,
+        headers: { 'x-scope-orgid': 'tenant-1' },
+        serviceName: 'superchase-test',
+        batchSize: 2,
+        flushIntervalMs: 60_000
+      });
+
+      const root = observability.startSpan('otlp-root', { kind: 'server', attributes: { 'http.status': 200, ratio: 0.5 } });
+      const child = root.startChild('otlp-child', { ok: true });
+      child.setStatus('error', 'boom');
+      child.end();
+      root.end();
+      observability.startSpan('otlp-third').end();
+
+      await observability.flushTraces();
+
+      assert.equal(received.length, 2);
+      assert.equal(received[0].url, '/v1/traces');
+      assert.equal(received[0].headers['x-scope-orgid'], 'tenant-1');
+
+      const [resourceSpans] = received[0].body.resourceSpans;
+      assert.deepEqual(resourceSpans.resource.attributes.find(a => a.key === 'service.name').value, { stringValue: 'superchase-test' });
+
+      const [childSpan, rootSpan] = resourceSpans.scopeSpans[0].spans;
+      assert.equal(childSpan.parentSpanId, root.spanId);
+      assert.deepEqual(childSpan.status, { code: 2, message: 'boom' });
+      assert.equal(rootSpan.kind, 2);
+      assert.equal(rootSpan.parentSpanId, undefined);
+      assert.equal(rootSpan.startTimeUnixNano, `${root.startTime}000000`);
+      assert.deepEqual(rootSpan.attributes, [
+        { key: 'http.status', value: { intValue: '200' } },
+        { key: 'ratio', value: { doubleValue: 0.5 } }
+      ]);
+
+      assert.equal(received[1].body.resourceSpans[0].scopeSpans[0].spans[0].name, 'otlp-third');
+      assert.equal(observability.getTraceExportStats().exported, 3);
+    });
+
+    it('retries server errors and drops batches the collector rejects', async () => {
+      observability.configureTraceExport({
+        endpoint: `${baseUrl}/v1/traces`,
+        batchSize: 1,
+        maxRetries: 1,
+        retryDelayMs: 1
+      });
+
+      statuses = [503];
+      observability.startSpan('retried').end();
+      await observability.flushTraces();
+      assert.equal(received.length, 2);
+
+      statuses = [400];
+      observability.startSpan('rejected').end();
+      await observability.flushTraces();
+      assert.equal(received.length, 3);
+
+      const stats = observability.getTraceExportStats();
+      assert.equal(stats.exported, 1);
+      assert.equal(stats.dropped, 1);
+      assert.equal(stats.failedBatches, 1);
+    });
+  });
+
+  describe('Trace Store', () => {
+    let traceStore;
+    let storeDir;
+    const savedEnv = {};
+
+    before(async () => {
+      traceStore = await import('../lib/trace-store.js');
+    });
+
+    beforeEach(() => {
+      for (const key of ['TRACE_STORE', 'TRACE_STORE_DIR', 'TRACE_RETENTION_DAYS']) {
+        savedEnv[key] = process.env[key];
+      }
+      storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-store-'));
+      process.env.TRACE_STORE_DIR = storeDir;
+      process.env.TRACE_STORE = 'on';
+    });
+
+    afterEach(async () => {
+      await traceStore.flushSpans();
+      for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it('keeps spans after they leave the in-memory buffer', async () => {
+      const root = observability.startSpan('persisted-root');
+      root.startChild('persisted-child').end();
+      root.end();
+
+      for (let i = 0; i < 120; i++) {
+        observability.startSpan('filler').end();
+      }
+      await observability.flushTraces();
+
+      assert.ok(!observability.getRecentTraces(200).some(t => t.traceId === root.traceId));
+      const spans = observability.getTraceById(root.traceId);
+      assert.deepEqual(spans.map(s => s.name).sort(), ['persisted-child', 'persisted-root']);
+    });
+
+    it('buffers spans and writes them in one append', async () => {
+      const span = observability.startSpan('buffered');
+      span.end();
+      assert.deepEqual(fs.readdirSync(storeDir), []);
+      assert.equal(observability.getTraceById(span.traceId).length, 1);
+
+      await traceStore.flushSpans();
+      const [file] = fs.readdirSync(storeDir);
+      assert.equal(JSON.parse(fs.readFileSync(path.join(storeDir, file), 'utf8')).spanId, span.spanId);
+    });
+
+    it('indexes spans appended by other processes as files grow', async () => {
+      const day = new Date().toISOString().slice(0, 10);
+      const file = path.join(storeDir, `${day}.jsonl`);
+      const stored = (traceId, spanId, appTraceId) => JSON.stringify({
+        traceId, spanId, name: 'external', startTime: 1, endTime: 2, duration: 1,
+        attributes: appTraceId ? { 'superchase.trace_id': appTraceId } : {}
+      }) + '\n';
+
+      fs.writeFileSync(file, stored('c'.repeat(32), 'span-1', 'workflow-ext'));
+      assert.deepEqual(traceStore.findTraceSpans('workflow-ext').map(s => s.spanId), ['span-1']);
+
+      // A second writer's line, then a partial line still being written
+      fs.appendFileSync(file, stored('c'.repeat(32), 'span-2') + '{"traceId":"' + 'c'.repeat(32));
+      assert.deepEqual(traceStore.findTraceSpans('c'.repeat(32)).map(s => s.spanId).sort(), ['span-1', 'span-2']);
+      assert.deepEqual(traceStore.findTraceSpans('d'.repeat(32)), []);
+    });
+
+    it('is off unless the process or TRACE_STORE turns it on', () => {
+      delete process.env.TRACE_STORE;
+      assert.equal(traceStore.isEnabled(), false);
+
+      traceStore.useTraceStore(true);
+      try {
+        assert.equal(traceStore.isEnabled(), true);
+        process.env.TRACE_STORE = 'off';
+        assert.equal(traceStore.isEnabled(), false);
+      } finally {
+        traceStore.useTraceStore(false);
+      }
+    });
+
+    it('builds a tree with subtree cost and critical path by application trace ID', () => {
+      const root = observability.startSpan('council.session', {
+        attributes: { 'superchase.trace_id': 'council-tree-test' }
+      });
+      const stage1 = root.startChild('council.stage1');
+      stage1.startChild('llm.chat', { 'superchase.cost_usd': 0.02 }).end();
+      stage1.startChild('llm.chat', { 'superchase.cost_usd': 0.03 }).end();
+      stage1.end();
+      const stage3 = root.startChild('council.stage3');
+      stage3.startChild('llm.chat', { 'superchase.cost_usd': 0.01 }).end();
+      stage3.end();
+      root.end();
+
+      const tree = observability.getTraceTree('council-tree-test');
+
+      assert.equal(tree.spanCount, 6);
+      assert.deepEqual(tree.traceIds, [root.traceId]);
+      assert.deepEqual(tree.appTraceIds, ['council-tree-test']);
+      assert.equal(tree.roots.length, 1);
+      assert.equal(tree.cost, 0.06);
+
+      const [rootNode] = tree.roots;
+      assert.deepEqual(rootNode.children.map(c => c.name), ['council.stage1', 'council.stage3']);
+      assert.equal(rootNode.children[0].totalCost.toFixed(2), '0.05');
+      assert.equal(rootNode.children[1].cost, 0);
+
+      // Stage 3 finishes last, so the path runs through it
+      assert.deepEqual(tree.criticalPath.map(p => p.name), ['council.session', 'council.stage3', 'llm.chat']);
+      assert.equal(rootNode.children[1].onCriticalPath, true);
+      assert.equal(rootNode.children[0].onCriticalPath, false);
+    });
+
+    it('returns null for unknown traces and treats orphans as roots', () => {
+      assert.equal(observability.getTraceTree('no-such-trace'), null);
+
+      const tree = traceStore.buildTraceTree([
+        { traceId: 't1', spanId: 'a', parentSpanId: 'gone', name: 'orphan', startTime: 10, endTime: 30, duration: 20, attributes: {} },
+        { traceId: 't1', spanId: 'b', name: 'root', startTime: 0, endTime: 50, duration: 50, attributes: {} },
+      ]);
+      assert.deepEqual(tree.roots.map(r => r.name), ['root', 'orphan']);
+      assert.deepEqual(tree.criticalPath.map(p => p.name), ['root']);
+      assert.equal(tree.duration, 50);
+    });
+
+    it('prunes span files past the retention window', () => {
+      process.env.TRACE_RETENTION_DAYS = '2';
+      for (const day of ['2026-01-01', '2026-01-09', '2026-01-10']) {
+        fs.writeFileSync(path.join(storeDir, `${day}.jsonl`), '');
+      }
+
+      const removed = traceStore.pruneTraces(new Date('2026-01-10T12:00:00Z'));
+
+      assert.equal(removed, 1);
+      assert.deepEqual(fs.readdirSync(storeDir).sort(), ['2026-01-09.jsonl', '2026-01-10.jsonl']);
+    });
+
+    it('writes nothing when disabled', async () => {
+      process.env.TRACE_STORE = 'off';
+      observability.startSpan('memory-only').end();
+      await traceStore.flushSpans();
+      assert.deepEqual(fs.readdirSync(storeDir), []);
+    });
+  });
+
   describe('Alerting', () => {
     it('checkAlerts returns array', () => {
       const alerts = observability.checkAlerts();
@@ -1497,6 +2815,208 @@ describe('Observability Module', () => {
     });
   });
 
+  describe('Declarative Alert Rules', () => {
+    let alertRules;
+
+    before(async () => {
+      alertRules = await import('../lib/alert-rules.js');
+    });
+
+    function fakeRegistry() {
+      const registry = {
+        requests: [],
+        heap: 0,
+      };
+      registry.readMetric = (name) => {
+        if (name === 'requests_total') {
+          return { type: 'counter', series: registry.requests };
+        }
+        if (name === 'heap_bytes') {
+          return { type: 'gauge', series: [{ labels: { type: 'heap_used' }, value: registry.heap }] };
+        }
+        return null;
+      };
+      return registry;
+    }
+
+    it('rejects malformed rules with field errors', () => {
+      assert.throws(
+        () => alertRules.compileAlertRule({ id: 'bad', severity: 'urgent', metric: 'm', function: 'rate', op: '=>', threshold: '5' }),
+        (error) => {
+          assert.equal(error.name, 'ValidationError');
+          assert.deepEqual(Object.keys(error.details.fields).sort(), ['op', 'severity', 'threshold', 'window']);
+          return true;
+        }
+      );
+      assert.equal(alertRules.parseDuration('5m'), 300000);
+      assert.ok(Number.isNaN(alertRules.parseDuration('5 minutes')));
+    });
+
+    it('waits for the for-duration before firing and resolves when the condition clears', () => {
+      const registry = fakeRegistry();
+      let clock = 0;
+      const evaluator = alertRules.createAlertEvaluator({ readMetric: registry.readMetric, now: () => clock });
+      const rules = [alertRules.compileAlertRule({
+        id: 'heap', severity: 'warning', metric: 'heap_bytes', labels: { type: 'heap_used' },
+        op: '>', threshold: 100, for: '2m', message: 'Heap at {{value}} (limit {{threshold}})'
+      })];
+
+      registry.heap = 150;
+      assert.deepEqual(evaluator.evaluate(rules), []);
+      assert.equal(evaluator.active()[0].state, 'pending');
+
+      clock = 60000;
+      assert.deepEqual(evaluator.evaluate(rules), []);
+
+      clock = 120000;
+      const [fired] = evaluator.evaluate(rules);
+      assert.equal(fired.state, 'firing');
+      assert.equal(fired.message, 'Heap at 150 (limit 100)');
+      assert.equal(fired.activeSince, new Date(0).toISOString());
+
+      clock = 180000;
+      assert.deepEqual(evaluator.evaluate(rules), []);
+
+      registry.heap = 50;
+      clock = 240000;
+      const [resolved] = evaluator.evaluate(rules);
+      assert.equal(resolved.state, 'resolved');
+      assert.deepEqual(evaluator.active(), []);
+    });
+
+    it('computes increase ratios over a window', () => {
+      const registry = fakeRegistry();
+      let clock = 0;
+      const evaluator = alertRules.createAlertEvaluator({ readMetric: registry.readMetric, now: () => clock });
+      const rules = [alertRules.compileAlertRule({
+        id: 'errors', severity: 'critical', metric: 'requests_total',
+        labels: { status: { regex: '^5' } }, function: 'increase', window: '5m',
+        divideBy: { metric: 'requests_total' }, op: '>', threshold: 0.1
+      })];
+
+      registry.requests = [
+        { labels: { status: '200' }, value: 10 },
+        { labels: { status: '500' }, value: 10 }
+      ];
+      assert.deepEqual(evaluator.evaluate(rules), [], 'no history yet');
+
+      clock = 60000;
+      registry.requests = [
+        { labels: { status: '200' }, value: 30 },
+        { labels: { status: '500' }, value: 15 }
+      ];
+      const [fired] = evaluator.evaluate(rules);
+      assert.equal(fired.state, 'firing');
+      assert.equal(fired.value, 5 / 25);
+
+      clock = 120000;
+      registry.requests = [
+        { labels: { status: '200' }, value: 1030 },
+        { labels: { status: '500' }, value: 16 }
+      ];
+      const [resolved] = evaluator.evaluate(rules);
+      assert.equal(resolved.state, 'resolved');
+      assert.equal(resolved.value, 6 / 1026);
+    });
+
+    it('evaluates quantiles over histogram windows', async () => {
+      const { SlidingQuantiles } = await import('../lib/quantiles.js');
+      const window = new SlidingQuantiles();
+      for (let i = 1; i <= 100; i++) window.add(i * 100);
+
+      const evaluator = alertRules.createAlertEvaluator({
+        readMetric: () => ({ type: 'histogram', series: [{ labels: {}, sum: 505000, count: 100, window }] })
+      });
+      const rules = [alertRules.compileAlertRule({
+        id: 'slow', severity: 'warning', metric: 'duration_ms', function: 'quantile', quantile: 0.95,
+        op: '>', threshold: 5000
+      })];
+
+      const [fired] = evaluator.evaluate(rules);
+      assert.equal(fired.state, 'firing');
+      assert.ok(Math.abs(fired.value - 9550) < 100);
+
+      assert.throws(
+        () => alertRules.compileAlertRule({ id: 'bad', severity: 'warning', metric: 'm', function: 'quantile', window: '5m', op: '>', threshold: 1 }),
+        (error) => {
+          assert.deepEqual(Object.keys(error.details.fields).sort(), ['quantile', 'window']);
+          return true;
+        }
+      );
+    });
+
+    it('routes alerts by severity and honours silences', async () => {
+      const config = {
+        routes: [
+          { match: { rule: 'noisy' }, channels: [] },
+          { match: { severity: 'critical' }, channels: ['slack:#ops', 'email'] }
+        ],
+        defaultChannels: ['slack'],
+        silences: [{ rule: 'maintenance', endsAt: new Date(Date.now() + 60000).toISOString() }]
+      };
+      const sent = [];
+      const notify = async (alert, channels) => {
+        sent.push({ name: alert.name, state: alert.state, channels });
+        return {};
+      };
+
+      await alertRules.dispatchAlert({ name: 'db', severity: 'critical', state: 'firing' }, config, { notify });
+      await alertRules.dispatchAlert({ name: 'noisy', severity: 'critical', state: 'firing' }, config, { notify });
+      await alertRules.dispatchAlert({ name: 'disk', severity: 'warning', state: 'resolved' }, config, { notify });
+      await alertRules.dispatchAlert({ name: 'quiet', severity: 'warning', state: 'resolved', notifyResolved: false }, config, { notify });
+
+      const silenced = { name: 'maintenance', severity: 'critical', state: 'firing' };
+      await alertRules.dispatchAlert(silenced, config, { notify });
+
+      const runtime = alertRules.addSilence({ rule: 'db', duration: '1h', comment: 'failover drill' });
+      const duringDrill = { name: 'db', severity: 'critical', state: 'firing' };
+      await alertRules.dispatchAlert(duringDrill, config, { notify });
+      assert.equal(alertRules.removeSilence(runtime.id), true);
+
+      assert.deepEqual(sent, [
+        { name: 'db', state: 'firing', channels: ['slack:#ops', 'email'] },
+        { name: 'disk', state: 'resolved', channels: ['slack'] }
+      ]);
+      assert.equal(silenced.silenced, true);
+      assert.equal(duringDrill.silenced, runtime.id);
+      assert.throws(() => alertRules.addSilence({ rule: 'db' }), { name: 'ValidationError' });
+    });
+
+    it('checkAlerts evaluates the config file and picks up edits', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+      const file = path.join(dir, 'alert-rules.json');
+      const original = process.env.ALERT_RULES_PATH;
+      const writeRules = (threshold, mtime) => {
+        fs.writeFileSync(file, JSON.stringify({
+          rules: [{
+            id: 'rss_test', severity: 'info', metric: 'superchase_memory_usage_bytes',
+            labels: { type: 'rss' }, op: '>', threshold
+          }],
+          routes: []
+        }));
+        fs.utimesSync(file, mtime, mtime);
+      };
+
+      try {
+        process.env.ALERT_RULES_PATH = file;
+        writeRules(1, new Date(Date.now() - 10000));
+        const fired = observability.checkAlerts().find(a => a.name === 'rss_test');
+        assert.equal(fired.state, 'firing');
+        assert.deepEqual(fired.routedTo, []);
+        assert.ok(observability.getAlertRules().some(r => r.name === 'rss_test' && r.source === 'config'));
+
+        writeRules(Number.MAX_SAFE_INTEGER, new Date());
+        const resolved = observability.checkAlerts().find(a => a.name === 'rss_test');
+        assert.equal(resolved.state, 'resolved');
+        assert.ok(observability.getRecentAlerts(100).includes(resolved));
+      } finally {
+        if (original === undefined) delete process.env.ALERT_RULES_PATH;
+        else process.env.ALERT_RULES_PATH = original;
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('Alert Checker Lifecycle', () => {
     it('can start alert checker', () => {
       // Start with long interval (won't actually run)
@@ -1546,3 +3066,551 @@ describe('Observability Module', () => {
     });
   });
 });
+
+// ============================================
+// API Key Authentication Tests
+// ============================================
+
+describe('API Key Authentication', () => {
+  let auth;
+
+  before(async () => {
+    auth = await import('../lib/auth.js');
+  });
+
+  beforeEach(() => {
+    auth.setKeyStore(auth.createMemoryKeyStore());
+  });
+
+  after(() => {
+    auth.setKeyStore(null);
+  });
+
+  const admin = { authenticated: true, role: 'ADMIN', permissions: ['*'] };
+
+  it('issues keys that validate with their scopes', async () => {
+    const { key, apiKey } = await auth.issueApiKey({ name: 'ci', role: 'SERVICE', issuer: admin });
+
+    assert.ok(key.startsWith('sc_'));
+    assert.equal(apiKey.role, 'SERVICE');
+    assert.ok(!('hash' in apiKey));
+
+    const user = await auth.validateApiKey(key);
+    assert.equal(user.keyId, apiKey.id);
+    assert.ok(auth.hasPermission(user, 'council:run'));
+    assert.ok(!auth.hasPermission(user, 'admin:keys'));
+
+    await assert.rejects(() => auth.validateApiKey('sc_not-a-real-key-at-all'), { name: 'AuthenticationError' });
+  });
+
+  it('rejects expired keys and records lastUsedAt', async () => {
+    const { key, apiKey } = await auth.issueApiKey({ name: 'short-lived', permissions: ['read:tasks'] });
+    await auth.validateApiKey(key);
+    await delay(0);
+
+    const store = await auth.getKeyStore();
+    assert.ok((await store.findById(apiKey.id)).lastUsedAt);
+
+    await store.update(apiKey.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await assert.rejects(() => auth.validateApiKey(key), /expired/);
+  });
+
+  it('validates issuance options and refuses to grant permissions the issuer lacks', async () => {
+    await assert.rejects(
+      () => auth.issueApiKey({ role: 'ROOT', permissions: ['everything'], expiresInDays: -1 }),
+      (error) => {
+        assert.equal(error.name, 'ValidationError');
+        assert.deepEqual(Object.keys(error.details.fields).sort(), ['expiresInDays', 'name', 'permissions', 'role']);
+        return true;
+      }
+    );
+
+    const keyAdmin = { authenticated: true, role: 'USER', permissions: ['admin:keys', 'read:tasks'] };
+    await auth.issueApiKey({ name: 'reader', permissions: ['read:tasks'], issuer: keyAdmin });
+    await assert.rejects(
+      () => auth.issueApiKey({ name: 'escalate', role: 'ADMIN', issuer: keyAdmin }),
+      { name: 'AuthorizationError' }
+    );
+  });
+
+  it('rotates keys with an overlap window and revokes them', async () => {
+    const { key: oldKey, apiKey } = await auth.issueApiKey({ name: 'webhook', role: 'SERVICE' });
+
+    const rotated = await auth.rotateApiKey(apiKey.id, { overlapMinutes: 30, issuer: admin });
+    assert.notEqual(rotated.key, oldKey);
+    assert.equal(rotated.apiKey.name, 'webhook');
+    assert.deepEqual(rotated.apiKey.permissions, apiKey.permissions);
+
+    const overlapEnd = Date.parse(rotated.previous.expiresAt) - Date.now();
+    assert.ok(overlapEnd > 29 * 60 * 1000 && overlapEnd <= 30 * 60 * 1000);
+
+    // Both keys work during the overlap
+    await auth.validateApiKey(oldKey);
+    await auth.validateApiKey(rotated.key);
+
+    assert.equal(await auth.rotateApiKey('key_missing'), null);
+
+    assert.equal(await auth.revokeApiKey(rotated.apiKey.id), true);
+    await assert.rejects(() => auth.validateApiKey(rotated.key), /Invalid API key/);
+    assert.equal(await auth.revokeApiKey(rotated.apiKey.id), false);
+
+    const listed = await auth.listApiKeys();
+    assert.deepEqual(listed.filter(k => k.source === 'memory').map(k => k.id), [apiKey.id]);
+  });
+
+  it('stores hashed keys through Prisma', async () => {
+    const rows = [];
+    const users = [{ id: 'user-1', email: 'ops@example.com', role: 'ADMIN' }];
+    const withUser = (row) => row && { ...row, user: users.find(u => u.id === row.userId) };
+    const prisma = {
+      apiKey: {
+        findUnique: async ({ where }) => withUser(rows.find(r => (where.id ? r.id === where.id : r.key === where.key))),
+        findMany: async () => rows.map(withUser),
+        create: async ({ data }) => {
+          const email = data.user.connectOrCreate?.where.email;
+          const userId = data.user.connect?.id || users.find(u => u.email === email)?.id;
+          const row = { id: `row-${rows.length + 1}`, key: data.key, name: data.name, role: data.role, permissions: data.permissions,
+            tenants: data.tenants, expiresAt: data.expiresAt, lastUsedAt: null, createdAt: new Date(), userId };
+          rows.push(row);
+          return withUser(row);
+        },
+        update: async ({ where, data }) => {
+          const row = rows.find(r => r.id === where.id);
+          Object.assign(row, data);
+          return withUser(row);
+        },
+        delete: async ({ where }) => {
+          const index = rows.findIndex(r => r.id === where.id);
+          if (index === -1) throw Object.assign(new Error('Not found'), { code: 'P2025' });
+          rows.splice(index, 1);
+        }
+      }
+    };
+    auth.setKeyStore(auth.createPrismaKeyStore(prisma));
+
+    const { key, apiKey } = await auth.issueApiKey({ name: 'ops', role: 'ADMIN', email: 'ops@example.com', expiresInDays: 30, tenants: ['bigmuddy'] });
+    assert.equal(rows[0].key, auth.hashApiKey(key));
+    assert.deepEqual(rows[0].tenants, ['bigmuddy']);
+    assert.ok(rows[0].expiresAt instanceof Date);
+    assert.equal(apiKey.userId, 'user-1');
+
+    const user = await auth.validateApiKey(key);
+    assert.equal(user.role, 'ADMIN');
+    assert.equal(user.userId, 'user-1');
+    assert.deepEqual(user.tenants, ['bigmuddy']);
+    await delay(0);
+    assert.ok(rows[0].lastUsedAt instanceof Date);
+
+    // Same owner, but the key keeps the role it was issued with
+    const readonly = await auth.issueApiKey({ name: 'dashboard', role: 'READONLY', email: 'ops@example.com' });
+    assert.equal(rows[1].role, 'READONLY');
+    assert.equal(readonly.apiKey.role, 'READONLY');
+    const viewer = await auth.validateApiKey(readonly.key);
+    assert.equal(viewer.role, 'READONLY');
+    assert.deepEqual(viewer.permissions, auth.ROLES.READONLY.permissions);
+    assert.ok(!auth.hasPermission(viewer, 'write:tasks'));
+
+    assert.equal(await auth.revokeApiKey('row-404'), false);
+  });
+
+  it('binds keys to tenants', async () => {
+    const { key, apiKey } = await auth.issueApiKey({ name: 'bigmuddy-portal', role: 'USER', tenants: ['bigmuddy'], issuer: admin });
+    assert.deepEqual(apiKey.tenants, ['bigmuddy']);
+
+    const user = await auth.validateApiKey(key);
+    assert.deepEqual(user.tenants, ['bigmuddy']);
+    assert.ok(auth.canAccessTenant(user, 'bigmuddy'));
+    assert.ok(!auth.canAccessTenant(user, 's2p'));
+    assert.throws(() => auth.assertTenantAccess(user, 's2p'), { name: 'AuthorizationError', message: /s2p/ });
+    assert.ok(auth.canAccessTenant(admin, 's2p'));
+
+    const rotated = await auth.rotateApiKey(apiKey.id, { issuer: admin });
+    assert.deepEqual(rotated.apiKey.tenants, ['bigmuddy']);
+  });
+
+  it('keeps tenant-bound issuers within their tenants', async () => {
+    const tenantAdmin = { authenticated: true, role: 'ADMIN', permissions: ['*'], tenants: ['bigmuddy'] };
+
+    await auth.issueApiKey({ name: 'ok', tenants: ['bigmuddy'], issuer: tenantAdmin });
+    await assert.rejects(
+      () => auth.issueApiKey({ name: 'other', tenants: ['s2p'], issuer: tenantAdmin }),
+      { name: 'AuthorizationError', message: /s2p/ }
+    );
+    await assert.rejects(
+      () => auth.issueApiKey({ name: 'unscoped', issuer: tenantAdmin }),
+      { name: 'AuthorizationError' }
+    );
+    await assert.rejects(
+      () => auth.issueApiKey({ name: 'bad', tenants: 'bigmuddy' }),
+      (error) => error.name === 'ValidationError' && Boolean(error.details.fields.tenants)
+    );
+  });
+
+  it('matches public routes exactly', () => {
+    assert.ok(auth.isPublicRoute('GET', '/health'));
+    assert.ok(auth.isPublicRoute('GET', '/api/artifacts/abc123/preview'));
+    assert.ok(!auth.isPublicRoute('GET', '/api/artifacts/abc123'));
+    assert.ok(!auth.isPublicRoute('POST', '/api/health'));
+    assert.ok(!auth.isPublicRoute('GET', '/api/health-check-bypass'));
+    assert.ok(!auth.isPublicRoute('POST', '/api/notebook/query'));
+  });
+});
+
+// ============================================
+// Endpoint Permission Tests
+// ============================================
+
+describe('Endpoint Permissions', () => {
+  let auth;
+
+  before(async () => {
+    auth = await import('../lib/auth.js');
+  });
+
+  const role = (name) => ({ authenticated: true, role: name, permissions: auth.ROLES[name].permissions });
+
+  it('keeps READONLY keys away from the kill switch', () => {
+    const permission = auth.getEndpointPermission('POST', '/api/emergency/kill-switch');
+    assert.equal(permission, 'admin:emergency');
+    assert.throws(() => auth.assertPermission(role('READONLY'), permission), { name: 'AuthorizationError' });
+    assert.throws(() => auth.assertPermission(role('SERVICE'), permission), { name: 'AuthorizationError' });
+    auth.assertPermission(role('ADMIN'), permission);
+  });
+
+  it('lets every role read the cost views but only ADMIN change limits', () => {
+    for (const name of ['USER', 'SERVICE', 'READONLY']) {
+      auth.assertPermission(role(name), auth.getEndpointPermission('GET', '/api/costs/breakdown'));
+      assert.throws(
+        () => auth.assertPermission(role(name), auth.getEndpointPermission('PUT', '/api/llm-council/costs/limits')),
+        { name: 'AuthorizationError' }
+      );
+    }
+  });
+
+  it('resolves parameterized routes by their most literal pattern', () => {
+    assert.equal(auth.getEndpointPermission('GET', '/api/review/pulse'), 'read:reviews');
+    assert.equal(auth.getEndpointPermission('POST', '/api/review/rev-1/publish'), auth.ENDPOINT_PERMISSIONS['POST /api/review/:reviewId/publish']);
+    assert.equal(auth.getEndpointPermission('GET', '/api/observability/traces/abc/'), 'read:observability');
+    assert.equal(auth.getEndpointPermission('DELETE', '/api/auth/keys/key-1'), 'admin:keys');
+  });
+
+  it('finds the route a request matches with its parameters', () => {
+    const routes = ['GET /api/review/pulse', 'GET /api/review/:reviewId', 'PUT /api/portfolio/units/:id'];
+    assert.deepEqual(auth.findRoute(routes, 'GET', '/api/review/pulse'), { route: 'GET /api/review/pulse', params: {} });
+    assert.deepEqual(auth.findRoute(routes, 'GET', '/api/review/rev-1'), { route: 'GET /api/review/:reviewId', params: { reviewId: 'rev-1' } });
+    assert.deepEqual(auth.findRoute(routes, 'PUT', '/api/portfolio/units/s2p/'), { route: 'PUT /api/portfolio/units/:id', params: { id: 's2p' } });
+    assert.equal(auth.findRoute(routes, 'DELETE', '/api/portfolio/units/s2p'), null);
+  });
+
+  it('routes parameterized static routes without capturing handler routes', () => {
+    const read = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    const source = read('server.js');
+    const staticRoutes = [...source.matchAll(/^ {2}'([A-Z]+ \/[^']*)':/gm)].map(m => m[1]);
+    const tableRoutes = [...source.matchAll(/^const [A-Z0-9_]+_ROUTES = \[([^\]]*)\];/gm)]
+      .flatMap(([, body]) => [...body.matchAll(/'([A-Z]+ \/[^']*)'/g)].map(m => m[1]));
+
+    // Static handlers get their parameters (PUT/DELETE used to 404)
+    assert.deepEqual(auth.findRoute(staticRoutes, 'PUT', '/api/portfolio/units/s2p'), { route: 'PUT /api/portfolio/units/:id', params: { id: 's2p' } });
+    assert.deepEqual(auth.findRoute(staticRoutes, 'DELETE', '/api/portfolio/units/s2p'), { route: 'DELETE /api/portfolio/units/:id', params: { id: 's2p' } });
+    assert.equal(auth.findRoute(staticRoutes, 'GET', '/api/portfolio/units').route, 'GET /api/portfolio/units');
+
+    // Governance is served by handleGovernanceRoute alone
+    assert.deepEqual(staticRoutes.filter(route => route.includes('/api/governance/')), []);
+    assert.ok(tableRoutes.includes('GET /api/governance/:businessId'));
+
+    // A handler's route must not be swallowed by a parameterized static route
+    const sample = (route) => route.split(' ')[1].replace(/:[A-Za-z]+/g, 'x1');
+    const captured = tableRoutes.filter(route => {
+      const match = auth.findRoute(staticRoutes, route.split(' ')[0], sample(route));
+      return match && match.route.includes(':');
+    });
+    assert.deepEqual(captured, []);
+  });
+
+  it('does not fall back to a prefix match', () => {
+    assert.equal(auth.getEndpointPermission('POST', '/api/emergency/kill-switch/extra'), null);
+    assert.equal(auth.getEndpointPermission('GET', '/api/review/rev-1/approve/now'), null);
+    assert.equal(auth.getEndpointPermission('PATCH', '/tasks'), null);
+  });
+
+  it('rate limits council and orchestration runs as expensive routes', () => {
+    assert.deepEqual(auth.findUnmappedRoutes(auth.EXPENSIVE_ROUTES), []);
+    assert.equal(auth.getRouteClass('POST', '/api/orchestrate/sessions/orch-1/resume'), 'expensive');
+    assert.equal(auth.getRouteClass('GET', '/api/llm-council/models'), 'standard');
+
+    assert.ok(auth.getRateLimit(role('SERVICE'), 'expensive').burst < auth.getRateLimit(role('SERVICE'), 'standard').burst);
+    assert.deepEqual(auth.getRateLimit({ role: 'UNKNOWN' }, 'expensive'), auth.ROLES.READONLY.rateLimits.expensive);
+  });
+
+  it('maps every route registered in server.js', () => {
+    const read = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    const source = read('server.js');
+    const routesIn = (text) => [...text.matchAll(/'([A-Z]+ \/[^']*)'/g)].map(m => m[1]);
+    const staticRoutes = [...source.matchAll(/^ {2}'([A-Z]+ \/[^']*)':/gm)].map(m => m[1]);
+
+    // Each handler's table, plus the S2P spoke's exported one
+    const tables = [...source.matchAll(/^const ([A-Z0-9_]+_ROUTES) = \[([^\]]*)\];/gm)]
+      .map(([, name, body]) => ({ name, routes: routesIn(body) }));
+    const spoke = read('spokes/s2p/routes.js').match(/^export const S2P_ROUTES = \[([^\]]*)\];/m);
+    tables.push({ name: 'S2P_SPOKE_ROUTES', routes: routesIn(spoke[1]) });
+    const dynamicBlock = source.slice(source.indexOf('const DYNAMIC_ROUTES')).split(';')[0];
+    const dynamicRoutes = tables.flatMap(t => t.routes);
+
+    assert.ok(tables.length > 15);
+    assert.deepEqual(tables.filter(t => !dynamicBlock.includes(`...${t.name}`)).map(t => t.name), []);
+    assert.ok(staticRoutes.length > 50);
+    assert.ok(dynamicRoutes.length > 50);
+    assert.deepEqual(auth.findUnmappedRoutes(['GET /api/brand-new']), ['GET /api/brand-new']);
+  });
+
+  it('lists every route a handler documents in its route table', () => {
+    const read = (file) => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    const source = read('server.js');
+    const pattern = (route) => route.replace(/:[A-Za-z]+/g, ':');
+    const known = new Set([...`${source}${read('spokes/s2p/routes.js')}`.matchAll(/'([A-Z]+ \/api\/[^']*)'/g)]
+      .map(m => pattern(m[1])));
+
+    const documented = [...source.matchAll(/^\s*\/\/ ((?:GET|POST|PUT|PATCH|DELETE) \/api\/[^\s?]*)/gm)].map(m => pattern(m[1]));
+    assert.ok(documented.length > 50);
+    assert.deepEqual(documented.filter(route => !known.has(route)), []);
+  });
+});
+
+// ============================================
+// Audit Trail Tests
+// ============================================
+
+describe('Audit Trail', () => {
+  let audit;
+  let dir;
+  let file;
+
+  const admin = { name: 'ops-admin', keyId: 'key-1', userId: 'user-1' };
+  const readLines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+  const writeLines = (lines) => fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  before(async () => {
+    audit = await import('../lib/audit-trail.js');
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'superchase-audit-'));
+    file = path.join(dir, 'audit-trail.jsonl');
+    audit.setAuditStore(audit.createFileAuditStore({ path: file }));
+  });
+
+  afterEach(() => {
+    audit.setAuditStore(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('chains entries from the genesis hash', async () => {
+    const first = await audit.recordAudit({ actor: admin, action: 'POST /api/emergency/kill-switch', resource: 'automation' });
+    const [second, third] = await Promise.all([
+      audit.recordAudit({ actor: admin, action: 'POST /api/emergency/resume', resource: 'automation' }),
+      audit.recordAudit({ action: 'POST /api/webhooks/asana' })
+    ]);
+
+    assert.equal(first.seq, 1);
+    assert.equal(first.prevHash, audit.GENESIS_HASH);
+    assert.equal(first.actor, 'ops-admin');
+    assert.equal(first.actorKeyId, 'key-1');
+    assert.equal(second.prevHash, first.hash);
+    assert.equal(third.prevHash, second.hash);
+    assert.equal(third.actor, 'anonymous');
+    assert.equal(third.resource, '/api/webhooks/asana');
+
+    assert.deepEqual(await audit.verifyAuditChain(), { valid: true, checked: 3, head: third.hash, brokenAt: null });
+  });
+
+  it('detects edited, removed and reordered entries', async () => {
+    for (const action of ['POST /a', 'POST /b', 'POST /c']) {
+      await audit.recordAudit({ actor: admin, action });
+    }
+    const lines = readLines();
+
+    const edited = JSON.parse(lines[1]);
+    edited.actor = 'someone-else';
+    writeLines([lines[0], JSON.stringify(edited), lines[2]]);
+    const result = await audit.verifyAuditChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 1);
+    assert.deepEqual(result.brokenAt, { seq: 2, reason: 'content does not match its hash' });
+
+    // Rehashing the edit does not help: the next entry still points at the old hash
+    edited.hash = audit.hashEntry(edited);
+    writeLines([lines[0], JSON.stringify(edited), lines[2]]);
+    assert.equal((await audit.verifyAuditChain()).brokenAt.seq, 3);
+
+    writeLines([lines[0], lines[2]]);
+    assert.match((await audit.verifyAuditChain()).brokenAt.reason, /expected seq 2/);
+
+    writeLines([lines[1], lines[0], lines[2]]);
+    assert.deepEqual((await audit.verifyAuditChain()).brokenAt, { seq: 2, reason: 'expected seq 1' });
+
+    writeLines([lines[0], '{"seq": 2, truncated', lines[2]]);
+    assert.deepEqual((await audit.verifyAuditChain()).brokenAt, { seq: 2, line: 2, reason: 'unreadable entry' });
+  });
+
+  it('detects entries removed from the end against a head kept elsewhere', async () => {
+    for (const action of ['POST /a', 'POST /b', 'POST /c']) {
+      await audit.recordAudit({ actor: admin, action });
+    }
+    const lines = readLines();
+    const head = JSON.parse(lines[2]);
+    const expect = { seq: head.seq, hash: head.hash };
+    assert.equal((await audit.verifyAuditChain({ expect })).valid, true);
+
+    // The shorter chain is still valid on its own
+    writeLines(lines.slice(0, 2));
+    audit.setAuditStore(audit.createFileAuditStore({ path: file }));
+    assert.equal((await audit.verifyAuditChain()).valid, true);
+    assert.deepEqual((await audit.verifyAuditChain({ expect })).brokenAt, {
+      seq: 3,
+      reason: 'chain ends at seq 2; entries after it were removed'
+    });
+
+    // A replacement entry chained on the shorter chain does not match the head
+    await audit.recordAudit({ actor: admin, action: 'POST /other' });
+    assert.deepEqual((await audit.verifyAuditChain({ expect })).brokenAt, { seq: 3, reason: 'hash does not match the expected head' });
+  });
+
+  it('diffs snapshots field by field', () => {
+    assert.deepEqual(
+      audit.diffObjects(
+        { name: 'Big Muddy', active: true, integrations: { asana: 'p1', gbp: 'l1' }, tags: ['a'] },
+        { name: 'Big Muddy Inn', active: true, integrations: { asana: 'p2', gbp: 'l1' }, tags: ['a', 'b'] }
+      ),
+      {
+        name: { before: 'Big Muddy', after: 'Big Muddy Inn' },
+        'integrations.asana': { before: 'p1', after: 'p2' },
+        tags: { before: ['a'], after: ['a', 'b'] }
+      }
+    );
+    assert.deepEqual(audit.diffObjects(null, { id: 'u1' }), { id: { before: null, after: 'u1' } });
+    assert.deepEqual(audit.diffObjects({ id: 'u1' }, null), { id: { before: 'u1', after: null } });
+    assert.deepEqual(audit.diffObjects({ paused: false }, { paused: true }), { paused: { before: false, after: true } });
+    assert.equal(audit.diffObjects({ a: 1, b: { c: 2 } }, { b: { c: 2 }, a: 1 }), null);
+  });
+
+  it('records requests with the change their handler described', async () => {
+    const req = { user: admin };
+    audit.auditChange(req, { resource: 'business_unit', before: { name: 'Old' } });
+    audit.auditChange(req, { after: { name: 'New' } });
+
+    const entry = await audit.recordRequestAudit(req, {
+      action: 'PUT /api/portfolio/units/:id',
+      params: { id: 'bigmuddy' },
+      requestId: 'req-1',
+      status: 200
+    });
+    assert.equal(entry.resource, 'business_unit');
+    assert.equal(entry.resourceId, 'bigmuddy');
+    assert.equal(entry.requestId, 'req-1');
+    assert.deepEqual(entry.diff, { name: { before: 'Old', after: 'New' } });
+
+    const denied = await audit.recordRequestAudit({ user: admin }, { action: 'POST /api/emergency/kill-switch', status: 403 });
+    assert.equal(denied.success, false);
+    assert.equal(denied.diff, null);
+
+    const refused = { user: admin };
+    audit.auditChange(refused, { resource: 'automation', success: false });
+    assert.equal((await audit.recordRequestAudit(refused, { action: 'POST /api/emergency/resume', status: 200 })).success, false);
+  });
+
+  it('does not chain requests without an authenticated actor', async () => {
+    const before = (await audit.queryAudit()).length;
+    assert.equal(await audit.recordRequestAudit({}, { action: 'POST /api/emergency/kill-switch', status: 401 }), null);
+    assert.equal((await audit.queryAudit()).length, before);
+  });
+
+  it('filters queries newest first and exports CSV', async () => {
+    await audit.recordAudit({ actor: admin, action: 'POST /api/portfolio/units', resource: 'business_unit', resourceId: 'u1', before: null, after: { name: 'Unit, "One"' } });
+    await audit.recordAudit({ actor: { name: 'ci' }, action: 'POST /api/emergency/kill-switch', resource: 'automation', status: 403, success: false });
+    await audit.recordAudit({ actor: admin, action: 'DELETE /api/portfolio/units/:id', resource: 'business_unit', resourceId: 'u1' });
+
+    assert.deepEqual((await audit.queryAudit()).map(e => e.seq), [3, 2, 1]);
+    assert.deepEqual((await audit.queryAudit({ actor: 'ops-admin' })).map(e => e.seq), [3, 1]);
+    assert.deepEqual((await audit.queryAudit({ resource: 'business_unit', limit: 1 })).map(e => e.seq), [3]);
+    assert.deepEqual((await audit.queryAudit({ success: false })).map(e => e.seq), [2]);
+    assert.deepEqual(await audit.queryAudit({ since: Date.now() + 60000 }), []);
+
+    const csv = audit.toCsv(await audit.queryAudit({ resourceId: 'u1' }));
+    const rows = csv.trim().split('\r\n');
+    assert.equal(rows[0], audit.CSV_COLUMNS.join(','));
+    assert.equal(rows.length, 3);
+    assert.ok(rows[2].startsWith('1,'));
+    const diffCell = `"${JSON.stringify({ name: { before: null, after: 'Unit, "One"' } }).replace(/"/g, '""')}"`;
+    assert.ok(rows[2].includes(diffCell));
+  });
+
+  it('keeps caller-supplied CSV cells from being read as formulas', () => {
+    const csv = audit.toCsv([
+      { seq: 1, actor: '=HYPERLINK("http://evil.test")', resource: '+1', resourceId: '-2', requestId: '@SUM(A1)', status: 200 }
+    ]);
+    const row = csv.trim().split('\r\n')[1];
+    assert.ok(row.includes(`"'=HYPERLINK(""http://evil.test"")"`));
+    assert.ok(row.includes(",'+1,'-2,'@SUM(A1),200,"));
+    assert.ok(row.startsWith('1,'));
+  });
+
+  it('chains through Prisma and rechains when another writer takes the seq', async () => {
+    const rows = [];
+    const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+      if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+        if ('not' in condition && row[field] === condition.not) return false;
+        if ('gt' in condition && !(row[field] > condition.gt)) return false;
+        if ('gte' in condition && !(row[field] >= condition.gte)) return false;
+        if ('lte' in condition && !(row[field] <= condition.lte)) return false;
+        return true;
+      }
+      return row[field] === condition;
+    });
+    const select = ({ where, orderBy, take }) => {
+      const direction = orderBy.seq === 'desc' ? -1 : 1;
+      return rows.filter(row => matches(row, where)).sort((a, b) => (a.seq - b.seq) * direction).slice(0, take);
+    };
+    // Postgres jsonb does not keep key order
+    const reorder = (value) => value && JSON.parse(JSON.stringify(value, (key, v) =>
+      (v && typeof v === 'object' && !Array.isArray(v) ? Object.fromEntries(Object.entries(v).reverse()) : v)));
+    const prisma = {
+      auditLog: {
+        findFirst: async (args) => select({ ...args, take: 1 })[0] || null,
+        findMany: async (args) => select(args),
+        create: async ({ data }) => {
+          if (rows.some(row => row.seq === data.seq)) {
+            throw Object.assign(new Error('Unique constraint failed on seq'), { code: 'P2002' });
+          }
+          const row = { id: `row-${rows.length + 1}`, ...data, diff: reorder(data.diff) ?? null, details: reorder(data.details) };
+          rows.push(row);
+          return row;
+        }
+      }
+    };
+    // Written by logAudit, outside the chain
+    rows.push({ id: 'legacy', seq: null, action: 'login', resource: 'user', createdAt: new Date(), details: {} });
+    audit.setAuditStore(audit.createPrismaAuditStore(prisma));
+
+    const first = await audit.recordAudit({
+      actor: admin,
+      action: 'PUT /api/portfolio/units/:id',
+      before: { name: 'A', meta: { x: 1 } },
+      after: { name: 'B', meta: { x: 1 } }
+    });
+    assert.equal(first.seq, 1);
+    assert.equal(rows[1].actor, 'ops-admin');
+
+    // Another instance appends seq 2 behind this process's back
+    const other = { ...first, seq: 2, action: 'POST /elsewhere', prevHash: first.hash, timestamp: new Date().toISOString() };
+    other.hash = audit.hashEntry(other);
+    rows.push({ id: 'other', ...other, createdAt: new Date(other.timestamp) });
+
+    const third = await audit.recordAudit({ actor: admin, action: 'POST /api/emergency/resume' });
+    assert.equal(third.seq, 3);
+    assert.equal(third.prevHash, other.hash);
+
+    assert.deepEqual((await audit.queryAudit({ action: 'POST /elsewhere' })).map(e => e.seq), [2]);
+    assert.equal((await audit.queryAudit()).length, 3);
+    assert.deepEqual(await audit.verifyAuditChain(), { valid: true, checked: 3, head: third.hash, brokenAt: null });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * LLM Cassette Flows
+ *
+ * Fixed inputs for the flows whose model calls are committed as cassettes
+ * in tests/fixtures/llm. tests/llm-client.test.js replays them, so changing
+ * an input here or a prompt in the flow means replacing the cassettes.
+ *
+ * The committed cassettes are synthetic: hand-written responses (marked
+ * `"synthetic": true`, with illustrative usage counts) that follow each
+ * flow's expected output format. scripts/record-cassettes.js replaces them
+ * with real recordings, which carry `recordedAt` instead.
+ *
+ * @module tests/fixtures/llm-flows
+ */
+
+import fs from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { runCouncil } from '../../core/llm_council.js';
+import { runContentCouncil } from '../../core/content_council.js';
+import { runCompetitiveIntel } from '../../core/competitive_intel.js';
+import { editorAgent } from '../../core/agents/editor.js';
+
+const MEMORY_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'memory');
+
+export const COUNCIL_QUERY = 'Should a 3D laser scanning firm price as-built surveys per square foot or per project?';
+export const CONTENT_COUNCIL_UNIT = 'bigmuddy';
+export const COMPETITIVE_INTEL_UNIT = 'tuthill';
+
+export const EDITOR_INPUT = {
+  content: { posts: [{ hook: 'Your as-builts are wrong.', body: 'We scan it right.', cta: 'Learn more' }] },
+  brandVoice: { tone: 'confident', personality: ['precise'], vocabulary: ['as-built', 'LOD'] },
+  targetAudience: 'Architects and GCs',
+  purpose: 'Scan2Plan social sprint',
+};
+
+/**
+ * Run fn, then put the given files back the way they were
+ * @private
+ */
+async function preservingFiles(paths, fn) {
+  const saved = paths.map(path => (fs.existsSync(path) ? fs.readFileSync(path) : null));
+  try {
+    return await fn();
+  } finally {
+    paths.forEach((path, i) => (saved[i] ? fs.writeFileSync(path, saved[i]) : fs.rmSync(path, { force: true })));
+  }
+}
+
+/**
+ * Report every competitor sitemap as missing while fn runs, so the
+ * competitive intel prompts don't depend on live websites
+ * @private
+ */
+async function withoutSitemaps(fn) {
+  const liveFetch = globalThis.fetch;
+  globalThis.fetch = (url, init) => (String(url).endsWith('/sitemap.xml')
+    ? Promise.resolve(new Response(null, { status: 404 }))
+    : liveFetch(url, init));
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = liveFetch;
+  }
+}
+
+/**
+ * Three-stage council on a fixed question
+ * @returns {Promise<object>} runCouncil result
+ */
+export function councilFlow() {
+  return runCouncil(COUNCIL_QUERY, { saveOutput: false, skipBudgetCheck: true });
+}
+
+/**
+ * Quick content sprint from the committed battlecard
+ * @returns {Promise<object>} runContentCouncil result
+ */
+export async function contentCouncilFlow() {
+  const latest = join(MEMORY_DIR, 'content_sprints', CONTENT_COUNCIL_UNIT, 'latest.json');
+  return preservingFiles([latest], async () => {
+    const result = await runContentCouncil(CONTENT_COUNCIL_UNIT, { depth: 'quick' });
+    fs.rmSync(result.outputPath, { force: true });
+    return result;
+  });
+}
+
+/**
+ * Quick battlecard for a unit with no committed battlecard
+ * @param {object} [options] - runCompetitiveIntel options; research is redone
+ *   unless `refresh: false`, so every Librarian call is replayed (or recorded)
+ * @returns {Promise<object>} runCompetitiveIntel result
+ */
+export async function competitiveIntelFlow(options = {}) {
+  const battlecard = join(MEMORY_DIR, 'battlecards', `${COMPETITIVE_INTEL_UNIT}.json`);
+  return preservingFiles([battlecard], async () => {
+    const result = await withoutSitemaps(() => runCompetitiveIntel(COMPETITIVE_INTEL_UNIT, { depth: 'quick', refresh: true, ...options }));
+    fs.rmSync(join(MEMORY_DIR, 'battlecards', `${COMPETITIVE_INTEL_UNIT}-${result.traceId}.json`), { force: true });
+    return result;
+  });
+}
+
+/**
+ * Editor agent review of a single post
+ * @returns {Promise<object>} Agent output
+ */
+export function editorFlow() {
+  return editorAgent.run(EDITOR_INPUT);
+}
+
+export const FLOWS = {
+  council: councilFlow,
+  'content-council': contentCouncilFlow,
+  'competitive-intel': competitiveIntelFlow,
+  editor: editorFlow,
+};
@@ -1,18 +1,30 @@
 /**
  * SuperChase Library Tests
  * 
- * Unit tests for lib modules: logger.js, errors.js, cache.js
+ * Unit tests for lib modules: logger.js, log-transports.js, errors.js, cache.js, quantiles.js
  * Run with: node --test tests/lib.test.js
  * 
  * @module tests/lib.test
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { setTimeout as delay } from 'node:timers/promises';
+import { mkdtempSync, rmSync, readdirSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 // Import library modules
-import logger, { createLogger, generateRequestId } from '../lib/logger.js';
+import logger, {
+    createLogger,
+    generateRequestId,
+    setLogLevel,
+    clearLogLevel,
+    getLogLevels,
+    setTransports,
+    queryLogs
+} from '../lib/logger.js';
+import { createFileTransport, createHttpTransport, transportsFromEnv } from '../lib/log-transports.js';
 import {
     AppError,
     ValidationError,
@@ -24,7 +36,10 @@ import {
     withFallback,
     withRetry
 } from '../lib/errors.js';
-import { SimpleCache, appCache, spokeCache } from '../lib/cache.js';
+import { SimpleCache, FileStore, createCache, appCache, spokeCache } from '../lib/cache.js';
+import { TDigest, SlidingQuantiles } from '../lib/quantiles.js';
+import { createRateLimiter, enforceRateLimit, resetRateLimits } from '../lib/rate-limiter.js';
+import { getPrometheusMetrics } from '../lib/observability.js';
 
 // ============================================
 // Logger Tests
@@ -99,6 +114,146 @@ describe('Logger', () => {
     });
 });
 
+describe('Log Transports', () => {
+    let entries;
+    let previous;
+    let dir;
+
+    beforeEach(() => {
+        entries = [];
+        previous = setTransports([{ name: 'capture', write: (entry) => entries.push(entry) }]);
+        dir = mkdtempSync(join(tmpdir(), 'superchase-logs-'));
+    });
+
+    afterEach(() => {
+        setTransports(previous);
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('redacts secret and PII fields before transports see them', () => {
+        const log = createLogger({ module: 'redact-test' });
+        log.info('Connected', {
+            apiKey: 'sc_secret',
+            ASANA_ACCESS_TOKEN: 'abc',
+            totalTokens: 1200,
+            user: { email: 'someone@example.com', name: 'Sam' }
+        });
+
+        const [entry] = entries;
+        assert.equal(entry.apiKey, '[REDACTED]');
+        assert.equal(entry.ASANA_ACCESS_TOKEN, '[REDACTED]');
+        assert.equal(entry.totalTokens, 1200);
+        assert.equal(entry.user.email, '[REDACTED]');
+        assert.equal(entry.user.name, 'Sam');
+    });
+
+    it('applies per-module level overrides at runtime', () => {
+        const log = createLogger({ module: 'level-test' });
+
+        log.debug('hidden');
+        setLogLevel('debug', 'level-test');
+        log.debug('shown');
+        assert.equal(getLogLevels().modules['level-test'], 'debug');
+
+        clearLogLevel('level-test');
+        log.debug('hidden again');
+
+        assert.deepEqual(entries.map(e => e.message), ['shown']);
+    });
+
+    it('logs to stdout only unless a file transport is asked for', () => {
+        const names = (transports) => transports.map(t => t.name);
+
+        assert.deepEqual(names(transportsFromEnv({})), ['stdout']);
+        assert.deepEqual(names(transportsFromEnv({}, 'stdout,file')), ['stdout', 'file']);
+        assert.deepEqual(names(transportsFromEnv({ LOG_TRANSPORTS: 'stdout' }, 'stdout,file')), ['stdout']);
+    });
+
+    it('rotates files and queries across them, newest first', () => {
+        const file = createFileTransport({ dir, maxBytes: 400, maxFiles: 2 });
+        setTransports([file]);
+
+        const log = createLogger({ module: 'rotate-test' });
+        for (let i = 0; i < 12; i++) {
+            log.info(`entry ${i}`, { traceId: i % 2 === 0 ? 'council-even' : 'council-odd' });
+        }
+        log.warn('last warning');
+
+        const files = readdirSync(dir).sort();
+        assert.deepEqual(files, ['app.1.jsonl', 'app.2.jsonl', 'app.jsonl']);
+
+        const all = queryLogs({ module: 'rotate-test', limit: 3 });
+        assert.deepEqual(all.entries.map(e => e.message), ['last warning', 'entry 11', 'entry 10']);
+        assert.equal(all.truncated, true);
+
+        const warnings = queryLogs({ level: 'warn' });
+        assert.deepEqual(warnings.entries.map(e => e.message), ['last warning']);
+
+        const even = queryLogs({ traceId: 'council-even', limit: 2 });
+        assert.deepEqual(even.entries.map(e => e.message), ['entry 10', 'entry 8']);
+
+        assert.equal(queryLogs({ since: Date.now() + 60000 }).entries.length, 0);
+    });
+
+    it('rotates by bytes, not characters', () => {
+        const file = createFileTransport({ dir, maxBytes: 1200, maxFiles: 5 });
+        setTransports([file]);
+
+        const log = createLogger({ module: 'bytes-test' });
+        for (let i = 0; i < 6; i++) {
+            log.info(`façade ${i} ${'é'.repeat(300)}`);
+        }
+
+        for (const name of readdirSync(dir)) {
+            assert.ok(statSync(join(dir, name)).size <= 1200, `${name} exceeds maxBytes`);
+        }
+    });
+
+    it('reads files larger than one chunk backwards, stopping at the limit', () => {
+        const file = createFileTransport({ dir });
+        setTransports([file]);
+
+        const log = createLogger({ module: 'chunk-test' });
+        for (let i = 0; i < 1500; i++) {
+            log.info(`entry ${i} ${'ü'.repeat(40)}`);
+        }
+        assert.ok(statSync(join(dir, 'app.jsonl')).size > 128 * 1024);
+
+        const all = queryLogs({ module: 'chunk-test', limit: 2000 });
+        assert.equal(all.entries.length, 1500);
+        assert.ok(all.entries.every((e, i) => e.message === `entry ${1499 - i} ${'ü'.repeat(40)}`));
+
+        const latest = queryLogs({ module: 'chunk-test', limit: 2 });
+        assert.deepEqual(latest.entries.map(e => e.message.split(' ')[1]), ['1499', '1498']);
+        assert.equal(latest.scanned, 2);
+    });
+
+    it('posts batches to an HTTP collector', async () => {
+        const originalFetch = globalThis.fetch;
+        const batches = [];
+        globalThis.fetch = async (url, init) => {
+            batches.push({ url, body: JSON.parse(init.body) });
+            return { ok: true, status: 200 };
+        };
+
+        try {
+            const http = createHttpTransport({ url: 'http://collector.test/logs', batchSize: 2 });
+            setTransports([http]);
+
+            const log = createLogger({ module: 'http-test' });
+            log.info('one');
+            log.info('two');
+            log.info('three');
+            await http.flush();
+
+            assert.deepEqual(batches.map(b => b.body.map(e => e.message)), [['one', 'two'], ['three']]);
+            assert.equal(http.stats().sent, 3);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+});
+
 // ============================================
 // Error Tests
 // ============================================
@@ -380,6 +535,122 @@ describe('SimpleCache', () => {
     });
 });
 
+describe('Cache eviction and invalidation', () => {
+    it('evicts the least recently used entry', () => {
+        const cache = new SimpleCache({ maxSize: 2, cleanupInterval: 0 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('c'), 3);
+    });
+
+    it('keeps namespaces apart', () => {
+        const cache = new SimpleCache({ cleanupInterval: 0 });
+        const briefings = cache.namespace('briefing');
+        const battlecards = cache.namespace('battlecard');
+
+        briefings.set('s2p', 'brief');
+        battlecards.set('s2p', 'card');
+        assert.equal(briefings.get('s2p'), 'brief');
+        assert.equal(battlecards.get('s2p'), 'card');
+        assert.equal(cache.namespace('briefing'), briefings);
+
+        briefings.clear();
+        assert.equal(briefings.get('s2p'), undefined);
+        assert.equal(battlecards.get('s2p'), 'card');
+        assert.equal(cache.stats().size, 1);
+    });
+
+    it('invalidates entries by tag', () => {
+        const cache = new SimpleCache({ cleanupInterval: 0 });
+        cache.set('brief', 1, { tags: ['business:s2p'] });
+        cache.set('card', 2, { tags: ['business:s2p', 'competitors'] });
+        cache.set('other', 3, { tags: ['business:cptv'] });
+
+        assert.equal(cache.invalidateTag('business:s2p'), 2);
+        assert.equal(cache.has('brief'), false);
+        assert.equal(cache.has('card'), false);
+        assert.equal(cache.get('other'), 3);
+    });
+
+    it('serves stale values while revalidating in the background', async () => {
+        const cache = new SimpleCache({ cleanupInterval: 0 });
+        let calls = 0;
+        const compute = async () => {
+            calls++;
+            await delay(20);
+            return `v${calls}`;
+        };
+
+        assert.equal(await cache.getOrCompute('key', compute, { ttl: 100, staleTTL: 1000 }), 'v1');
+        await delay(120);
+
+        // Stale: old value now, one refresh in flight
+        assert.equal(cache.get('key'), undefined);
+        assert.equal(await cache.getOrCompute('key', compute, { ttl: 100, staleTTL: 1000 }), 'v1');
+        assert.equal(await cache.getOrCompute('key', compute, { ttl: 100, staleTTL: 1000 }), 'v1');
+        await delay(40);
+
+        assert.equal(calls, 2);
+        assert.equal(cache.get('key'), 'v2');
+        assert.equal(cache.stats().staleHits, 2);
+    });
+
+    it('keeps serving the stale value when revalidation fails', async () => {
+        const cache = new SimpleCache({ cleanupInterval: 0 });
+        cache.set('key', 'old', { ttl: 1, staleTTL: 1000 });
+        await delay(10);
+
+        const result = await cache.getOrCompute('key', async () => {
+            throw new Error('upstream down');
+        });
+        await delay(5);
+
+        assert.equal(result, 'old');
+        assert.equal((await cache.getOrCompute('key', async () => 'new')), 'old');
+    });
+});
+
+describe('FileStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'cache-test-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('persists entries across cache instances', async () => {
+        const first = createCache({ persistent: true, dir, namespace: 'research', cleanupInterval: 0 });
+        await first.getOrCompute('acme', async () => ({ summary: 'researched' }), { tags: ['onboarding'] });
+
+        const second = createCache({ persistent: true, dir, namespace: 'research', cleanupInterval: 0 });
+        assert.deepEqual(second.get('acme'), { summary: 'researched' });
+        assert.equal(second.stats().backend, 'file');
+
+        assert.equal(second.invalidateTag('onboarding'), 1);
+        assert.equal(first.get('acme'), undefined);
+    });
+
+    it('evicts the least recently used file', () => {
+        const cache = new SimpleCache({ store: new FileStore({ dir, maxSize: 2 }), cleanupInterval: 0 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.equal(readdirSync(dir).length, 2);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), undefined);
+    });
+});
+
 describe('Spoke Caches', () => {
     it('has separate cache for asana', () => {
         assert.ok(spokeCache.asana instanceof SimpleCache);
@@ -399,3 +670,131 @@ describe('App Cache', () => {
         assert.ok(appCache instanceof SimpleCache);
     });
 });
+
+// ============================================
+// Quantile Tests
+// ============================================
+
+describe('TDigest', () => {
+    it('estimates quantiles of a uniform sequence', () => {
+        const digest = new TDigest();
+        for (let i = 1; i <= 1000; i++) {
+            digest.add(i);
+        }
+
+        assert.equal(digest.count, 1000);
+        assert.ok(Math.abs(digest.quantile(0.5) - 500.5) < 5);
+        assert.ok(Math.abs(digest.quantile(0.95) - 950.5) < 5);
+        assert.ok(Math.abs(digest.quantile(0.99) - 990.5) < 2);
+        assert.equal(digest.quantile(0), 1);
+        assert.equal(digest.quantile(1), 1000);
+    });
+
+    it('returns null when empty', () => {
+        assert.equal(new TDigest().quantile(0.5), null);
+    });
+
+    it('merges digests', () => {
+        const low = new TDigest();
+        const high = new TDigest();
+        for (let i = 1; i <= 500; i++) {
+            low.add(i);
+            high.add(i + 500);
+        }
+
+        const merged = new TDigest().merge(low).merge(high);
+        assert.equal(merged.count, 1000);
+        assert.equal(merged.min, 1);
+        assert.equal(merged.max, 1000);
+        assert.ok(Math.abs(merged.quantile(0.5) - 500.5) < 5);
+    });
+});
+
+describe('SlidingQuantiles', () => {
+    it('drops observations older than the window', () => {
+        let clock = 0;
+        const window = new SlidingQuantiles({ windowMs: 1000, ageBuckets: 5, now: () => clock });
+
+        window.add(1000);
+        clock = 500;
+        window.add(10);
+
+        assert.equal(window.summary().count, 2);
+
+        clock = 1100;
+        const summary = window.summary([0.5]);
+        assert.equal(summary.count, 1);
+        assert.equal(summary.quantiles.p50, 10);
+    });
+
+    it('reports count, mean and labelled quantiles', () => {
+        const window = new SlidingQuantiles();
+        [10, 20, 30].forEach(v => window.add(v));
+
+        const summary = window.summary();
+        assert.equal(summary.count, 3);
+        assert.equal(summary.mean, 20);
+        assert.deepEqual(Object.keys(summary.quantiles), ['p50', 'p95', 'p99']);
+    });
+});
+
+describe('Rate Limiter', () => {
+    afterEach(() => {
+        resetRateLimits();
+    });
+
+    it('allows a burst, then refills at the configured rate', () => {
+        let clock = 0;
+        const limiter = createRateLimiter({ now: () => clock });
+        const limit = { burst: 2, perMinute: 6 };
+
+        assert.equal(limiter.take('a', limit).remaining, 1);
+        assert.equal(limiter.take('a', limit).remaining, 0);
+
+        const refused = limiter.take('a', limit);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.retryAfter, 10);
+
+        clock = 10000;
+        assert.equal(limiter.take('a', limit).allowed, true);
+        // Other buckets are independent
+        assert.equal(limiter.take('b', limit).remaining, 1);
+    });
+
+    it('drops the least recently used bucket beyond maxBuckets', () => {
+        const limiter = createRateLimiter({ maxBuckets: 2 });
+        const limit = { burst: 1, perMinute: 1 };
+
+        limiter.take('a', limit);
+        limiter.take('b', limit);
+        limiter.take('a', limit);
+        limiter.take('c', limit);
+
+        assert.equal(limiter.size, 2);
+        assert.equal(limiter.take('a', limit).allowed, false);
+        // 'b' was evicted, so it starts again with a full bucket
+        assert.equal(limiter.take('b', limit).allowed, true);
+    });
+
+    it('limits expensive routes per key and role with RateLimitError', () => {
+        const user = { keyId: 'key_ratelimit', role: 'USER', permissions: [] };
+
+        for (let i = 0; i < 5; i++) {
+            enforceRateLimit(user, 'POST', '/api/llm-council');
+        }
+        assert.throws(
+            () => enforceRateLimit(user, 'POST', '/api/s2p/council/full'),
+            (error) => error instanceof RateLimitError && error.retryAfter > 0 && error.details.routeClass === 'expensive'
+        );
+
+        // Reads draw on a separate bucket, and other keys on their own
+        assert.equal(enforceRateLimit(user, 'GET', '/tasks').routeClass, 'standard');
+        enforceRateLimit({ ...user, keyId: 'key_other' }, 'POST', '/api/llm-council');
+
+        const prometheus = getPrometheusMetrics();
+        assert.match(prometheus, /superchase_rate_limit_requests_total\{role="USER",route_class="expensive",result="limited"\} 1/);
+        assert.match(prometheus, /superchase_rate_limit_requests_total\{role="USER",route_class="expensive",result="allowed"\} 6/);
+        // The Prometheus routes are public, so key IDs stay out of them
+        assert.doesNotMatch(prometheus, /key_ratelimit|key_other/);
+    });
+});
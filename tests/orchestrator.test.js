@@ -14,6 +14,9 @@
 
 import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 import {
   Orchestrator,
@@ -21,8 +24,11 @@ import {
   ExecutionContext,
   AgentState,
   agentRegistry,
-  orchestrator
+  orchestrator,
+  evaluateWhen
 } from '../core/orchestrator.js';
+import { ExecutionStore } from '../core/execution-store.js';
+import { createWorkflow, resolveWorkflow } from '../core/workflows/index.js';
 import costController from '../lib/cost-controller.js';
 
 // ============================================
@@ -163,7 +169,7 @@ describe('Orchestrator', () => {
       agentRegistry.register('mock-agent', createMockAgent('mock-agent'));
     }
 
-    testOrchestrator = new Orchestrator({ registry: agentRegistry });
+    testOrchestrator = new Orchestrator({ registry: agentRegistry, store: null });
   });
 
   afterEach(() => {
@@ -244,6 +250,11 @@ describe('Orchestrator', () => {
   // ============================================
 
   describe('Workflow Execution', () => {
+    beforeEach(() => {
+      // Other suites' recorded costs persist the per-minute request count
+      costController.resetForTesting();
+    });
+
     it('should execute a linear workflow in order', async () => {
       const workflow = createLinearWorkflow();
       const executionOrder = [];
@@ -308,6 +319,10 @@ describe('Orchestrator', () => {
   // ============================================
 
   describe('Kill Switch Integration', () => {
+    beforeEach(() => {
+      costController.resetForTesting();
+    });
+
     it('should block execution when automation is paused', async () => {
       globalThis.AUTOMATION_PAUSED = true;
 
@@ -422,15 +437,16 @@ describe('Orchestrator', () => {
       assert.strictEqual(resumedCtx.states.get('after'), AgentState.COMPLETED);
     });
 
-    it('should fail workflow on checkpoint rejection', async () => {
+    it('should end the workflow on checkpoint rejection', async () => {
       const workflow = createCheckpointWorkflow();
       const ctx = await testOrchestrator.execute(workflow, { pauseOnCheckpoint: true });
       const traceId = ctx.traceId;
 
       // Resume with rejection
       const resumedCtx = await testOrchestrator.resume(traceId, false, 'Not approved');
-      assert.strictEqual(resumedCtx.getSummary().status, 'failed');
+      assert.strictEqual(resumedCtx.getSummary().status, 'rejected');
       assert.ok(resumedCtx.errors.has('checkpoint-agent'));
+      assert.strictEqual(resumedCtx.states.get('after'), AgentState.PENDING);
     });
 
     it('should skip checkpoints when pauseOnCheckpoint is false', async () => {
@@ -534,6 +550,395 @@ describe('Orchestrator', () => {
     });
   });
 
+  // ============================================
+  // Conditional Edge Tests
+  // ============================================
+
+  describe('Conditional Edges', () => {
+    before(() => {
+      agentRegistry.register('scored-agent', {
+        run: async (inputs) => ({ confidence: inputs.confidence, verdict: inputs.verdict }),
+        estimateCost: () => 0
+      });
+    });
+
+    /**
+     * Analyst -> (approve | revise) -> publish
+     */
+    function createBranchingWorkflow(analystInputs, publishJoin = 'any') {
+      const workflow = new WorkflowDefinition({ id: 'test-branching' });
+      workflow.addAgent('analyst', { type: 'scored-agent', inputs: analystInputs });
+      workflow.addAgent('copywriter', {
+        type: 'mock-agent',
+        dependsOn: ['analyst'],
+        when: { source: 'analyst.confidence', op: '>', value: 0.7 }
+      });
+      workflow.addAgent('revise', {
+        type: 'mock-agent',
+        dependsOn: ['analyst'],
+        when: { source: 'analyst.verdict', op: '==', value: 'rejected' }
+      });
+      workflow.addAgent('copy-review', { type: 'mock-agent', dependsOn: ['copywriter'] });
+      workflow.addAgent('publish', {
+        type: 'mock-agent',
+        dependsOn: ['copy-review', 'revise'],
+        join: publishJoin
+      });
+      return workflow;
+    }
+
+    it('should evaluate declarative and composite predicates', () => {
+      const outputs = { a: { score: 8, tags: ['x'] }, b: { ok: false } };
+
+      assert.strictEqual(evaluateWhen({ source: 'a.score', op: '>=', value: 8 }, outputs), true);
+      assert.strictEqual(evaluateWhen({ source: 'a.tags', op: 'includes', value: 'x' }, outputs), true);
+      assert.strictEqual(evaluateWhen({ source: 'b.ok' }, outputs), false);
+      assert.strictEqual(evaluateWhen({ source: 'a.missing.deep', op: 'exists' }, outputs), false);
+      assert.strictEqual(evaluateWhen({ all: [{ source: 'a.score', op: '>', value: 5 }, { not: { source: 'b.ok' } }] }, outputs), true);
+      assert.strictEqual(evaluateWhen({ any: [{ source: 'b.ok' }, { source: 'a.score', op: '<', value: 1 }] }, outputs), false);
+      assert.strictEqual(evaluateWhen((out) => out.a.score === 8, outputs), true);
+    });
+
+    it('should run the branch whose predicate holds and skip its subtree otherwise', async () => {
+      const workflow = createBranchingWorkflow({ confidence: 0.9, verdict: 'approved' });
+      const ctx = await testOrchestrator.execute(workflow);
+
+      assert.strictEqual(ctx.states.get('copywriter'), AgentState.COMPLETED);
+      assert.strictEqual(ctx.states.get('copy-review'), AgentState.COMPLETED);
+      assert.strictEqual(ctx.states.get('revise'), AgentState.SKIPPED);
+      assert.strictEqual(ctx.states.get('publish'), AgentState.COMPLETED);
+
+      const summary = ctx.getSummary();
+      assert.strictEqual(summary.status, 'completed');
+      assert.strictEqual(summary.progress.skipped, 1);
+      assert.strictEqual(summary.skipped.revise, 'when predicate not met');
+    });
+
+    it('should propagate skips through descendants of a skipped agent', async () => {
+      const workflow = createBranchingWorkflow({ confidence: 0.2, verdict: 'rejected' });
+      const ctx = await testOrchestrator.execute(workflow);
+
+      assert.strictEqual(ctx.states.get('copywriter'), AgentState.SKIPPED);
+      assert.strictEqual(ctx.states.get('copy-review'), AgentState.SKIPPED);
+      assert.strictEqual(ctx.skipReasons.get('copy-review'), 'upstream skipped');
+      assert.strictEqual(ctx.states.get('revise'), AgentState.COMPLETED);
+      assert.strictEqual(ctx.states.get('publish'), AgentState.COMPLETED);
+    });
+
+    it('should skip an all-join agent when any dependency was skipped', async () => {
+      const workflow = createBranchingWorkflow({ confidence: 0.2, verdict: 'rejected' }, 'all');
+      const ctx = await testOrchestrator.execute(workflow);
+
+      assert.strictEqual(ctx.states.get('publish'), AgentState.SKIPPED);
+      assert.strictEqual(ctx.getSummary().status, 'completed');
+    });
+
+    it('should omit skipped agents from execution layers', () => {
+      const workflow = createBranchingWorkflow({});
+      const layers = workflow.getExecutionLayers(['copywriter', 'copy-review']);
+
+      assert.deepStrictEqual(layers, [['analyst'], ['revise'], ['publish']]);
+      assert.deepStrictEqual([...workflow.getDownstream('copywriter')].sort(), ['copy-review', 'publish']);
+    });
+
+    it('should reject predicates on agents that are not upstream', () => {
+      const workflow = new WorkflowDefinition({ id: 'bad-when' });
+      workflow.addAgent('a', { type: 'mock-agent' });
+      workflow.addAgent('b', { type: 'mock-agent', when: { source: 'a.score', op: '>', value: 1 } });
+
+      assert.throws(() => workflow.validate(), (err) => {
+        return err.details.fields.errors.some(e => e.includes('not upstream'));
+      });
+    });
+
+    it('should keep declarative predicates through serialization', () => {
+      const workflow = createBranchingWorkflow({});
+      const restored = WorkflowDefinition.fromJSON(JSON.parse(JSON.stringify(workflow.toJSON())));
+
+      assert.deepStrictEqual(restored.agents.get('copywriter').when, { source: 'analyst.confidence', op: '>', value: 0.7 });
+      assert.strictEqual(restored.agents.get('publish').join, 'any');
+    });
+  });
+
+  // ============================================
+  // Feedback Loop Tests
+  // ============================================
+
+  describe('Feedback Loops', () => {
+    let writerCalls;
+    let scores;
+
+    before(() => {
+      agentRegistry.register('loop-writer', {
+        run: async (inputs) => {
+          writerCalls.push(inputs.feedback || null);
+          return { draft: `draft-${writerCalls.length}` };
+        },
+        estimateCost: () => 0.002
+      });
+      agentRegistry.register('loop-editor', {
+        run: async () => {
+          const overall = scores.shift();
+          return { scores: { overall }, feedback: `improve to ${overall + 1}` };
+        },
+        estimateCost: () => 0.001
+      });
+    });
+
+    beforeEach(() => {
+      writerCalls = [];
+      costController.resetForTesting();
+    });
+
+    function createLoopWorkflow(maxIterations = 3, checkpoint = false) {
+      const workflow = new WorkflowDefinition({ id: 'test-loop' });
+      workflow.addAgent('plan', { type: 'mock-agent' });
+      workflow.addAgent('writer', { type: 'loop-writer', dependsOn: ['plan'] });
+      workflow.addAgent('editor', {
+        type: 'loop-editor',
+        dependsOn: ['writer'],
+        loop: {
+          back: 'writer',
+          until: { source: 'editor.scores.overall', op: '>=', value: 7 },
+          maxIterations,
+          feedbackFrom: 'editor.feedback'
+        },
+        checkpoint
+      });
+      workflow.addAgent('publish', { type: 'mock-agent', dependsOn: ['editor'] });
+      return workflow;
+    }
+
+    it('should send work back with feedback until the criterion is met', async () => {
+      scores = [4, 6, 8];
+      const ctx = await testOrchestrator.execute(createLoopWorkflow());
+
+      assert.strictEqual(ctx.getSummary().status, 'completed');
+      assert.deepStrictEqual(writerCalls, [null, 'improve to 5', 'improve to 7']);
+      assert.strictEqual(ctx.outputs.get('writer').draft, 'draft-3');
+      assert.strictEqual(ctx.states.get('publish'), AgentState.COMPLETED);
+
+      const iterations = ctx.getSummary().iterations.editor;
+      assert.deepStrictEqual(iterations.map(it => it.passed), [false, false, true]);
+      for (const it of iterations) {
+        assert.ok(Math.abs(it.cost - 0.003) < 1e-9);
+      }
+      assert.ok(Math.abs(ctx.costs.byAgent.writer - 0.006) < 1e-9);
+    });
+
+    it('should stop at maxIterations when the criterion is never met', async () => {
+      scores = [2, 3, 4, 5];
+      const ctx = await testOrchestrator.execute(createLoopWorkflow(2));
+
+      assert.strictEqual(writerCalls.length, 2);
+      assert.strictEqual(ctx.getSummary().iterations.editor.length, 2);
+      assert.strictEqual(ctx.getSummary().iterations.editor[1].passed, false);
+      assert.strictEqual(ctx.states.get('publish'), AgentState.COMPLETED);
+    });
+
+    it('should only pause a looping checkpoint agent on its final pass', async () => {
+      scores = [5, 9];
+      const ctx = await testOrchestrator.execute(createLoopWorkflow(3, true), { pauseOnCheckpoint: true });
+
+      assert.strictEqual(ctx.getSummary().status, 'paused');
+      assert.strictEqual(writerCalls.length, 2);
+      assert.strictEqual(ctx.pendingCheckpoint, 'editor');
+
+      const resumed = await testOrchestrator.resume(ctx.traceId, true);
+      assert.strictEqual(resumed.getSummary().status, 'completed');
+      assert.deepStrictEqual(resumed.getSummary().iterations.editor.map(it => it.passed), [false, true]);
+    });
+
+    it('should stop looping when the budget check fails', async () => {
+      scores = [1, 1, 1];
+      const originalLimits = costController.getLimits();
+      const workflow = createLoopWorkflow();
+      const ctx = new ExecutionContext(workflow);
+
+      try {
+        costController.updateLimits({ daily: 0.000001 });
+        ctx.complete('plan', {}, 0, 0);
+        ctx.complete('writer', {}, 0, 0);
+        ctx.complete('editor', { scores: { overall: 1 } }, 0, 0);
+
+        await testOrchestrator.runLoop(ctx, 'editor');
+
+        const [first] = ctx.iterations.get('editor');
+        assert.strictEqual(ctx.iterations.get('editor').length, 1);
+        assert.match(first.stoppedReason, /Budget check failed/);
+        assert.strictEqual(writerCalls.length, 0);
+      } finally {
+        costController.updateLimits(originalLimits);
+      }
+    });
+
+    it('should reject loops back to agents that are not upstream', () => {
+      const workflow = new WorkflowDefinition({ id: 'bad-loop' });
+      workflow.addAgent('a', { type: 'mock-agent' });
+      workflow.addAgent('b', {
+        type: 'mock-agent',
+        loop: { back: 'a', until: { source: 'b.ok' }, maxIterations: 2 }
+      });
+
+      assert.throws(() => workflow.validate(), (err) => {
+        return err.details.fields.errors.some(e => e.includes("loops back to 'a'"));
+      });
+    });
+
+    it('should compute the loop body between targets and the loop agent', () => {
+      const workflow = createLoopWorkflow();
+      assert.deepStrictEqual([...workflow.getLoopBody('editor')].sort(), ['editor', 'writer']);
+    });
+  });
+
+  // ============================================
+  // Durable Execution Tests
+  // ============================================
+
+  describe('Durable Executions', () => {
+    let storeDir;
+    let store;
+
+    beforeEach(() => {
+      storeDir = mkdtempSync(join(tmpdir(), 'executions-'));
+      store = new ExecutionStore({ dir: storeDir });
+    });
+
+    afterEach(() => {
+      rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it('should persist a paused checkpoint and resume it in a new orchestrator', async () => {
+      const first = new Orchestrator({ registry: agentRegistry, store });
+      const ctx = await first.execute(createCheckpointWorkflow(), { pauseOnCheckpoint: true });
+
+      const snapshot = await store.load(ctx.traceId);
+      assert.strictEqual(snapshot.status, 'paused');
+      assert.strictEqual(snapshot.pendingCheckpoint, 'checkpoint-agent');
+
+      // Simulate a restart: fresh orchestrator, nothing in memory
+      const second = new Orchestrator({ registry: agentRegistry, store });
+      const resumed = await second.resumeExecution(ctx.traceId, { approved: true });
+
+      assert.strictEqual(resumed.getSummary().status, 'completed');
+      assert.deepStrictEqual(resumed.outputs.get('before'), ctx.outputs.get('before'));
+      assert.ok(resumed.outputs.get('checkpoint-agent'));
+      assert.strictEqual(await store.load(ctx.traceId), null);
+    });
+
+    it('should resume a failed run at the first non-completed layer', async () => {
+      let calls = { init: 0, flaky: 0 };
+      let shouldFail = true;
+
+      agentRegistry.register('count-init', {
+        run: async () => { calls.init++; return { ok: true }; },
+        estimateCost: () => 0
+      });
+      agentRegistry.register('flaky-agent', {
+        run: async () => {
+          calls.flaky++;
+          if (shouldFail) throw new Error('transient');
+          return { ok: true };
+        },
+        estimateCost: () => 0
+      });
+
+      const workflow = new WorkflowDefinition({ id: 'resume-failed' });
+      workflow.addAgent('init', { type: 'count-init' });
+      workflow.addAgent('flaky', { type: 'flaky-agent', dependsOn: ['init'] });
+
+      const first = new Orchestrator({ registry: agentRegistry, store });
+      const ctx = await first.execute(workflow, { maxRetries: 0, retryDelayMs: 1 });
+      assert.strictEqual(ctx.getSummary().status, 'failed');
+      assert.strictEqual((await store.load(ctx.traceId)).status, 'failed');
+
+      shouldFail = false;
+      const second = new Orchestrator({ registry: agentRegistry, store });
+      const resumed = await second.resumeExecution(ctx.traceId);
+
+      assert.strictEqual(resumed.getSummary().status, 'completed');
+      assert.strictEqual(calls.init, 1);
+      assert.strictEqual(calls.flaky, 2);
+    });
+
+    it('should refuse to resume a rejected checkpoint after a restart', async () => {
+      let runs = 0;
+      agentRegistry.register('counted-checkpoint', {
+        run: async () => { runs++; return { draft: true }; },
+        estimateCost: () => 0
+      });
+      const workflow = new WorkflowDefinition({ id: 'rejected-run' });
+      workflow.addAgent('review', { type: 'counted-checkpoint', checkpoint: true });
+
+      const first = new Orchestrator({ registry: agentRegistry, store });
+      const ctx = await first.execute(workflow, { pauseOnCheckpoint: true });
+      await first.resumeExecution(ctx.traceId, { approved: false, feedback: 'Off brand' });
+
+      const snapshot = await store.load(ctx.traceId);
+      assert.strictEqual(snapshot.status, 'rejected');
+      assert.strictEqual(snapshot.rejectedCheckpoint, 'review');
+      assert.deepStrictEqual(await first.listResumable(), []);
+
+      const second = new Orchestrator({ registry: agentRegistry, store });
+      await assert.rejects(
+        () => second.resumeExecution(ctx.traceId),
+        { name: 'ValidationError', message: /rejected at checkpoint 'review'/ }
+      );
+      assert.strictEqual(runs, 1);
+    });
+
+    it('should refuse to resume an execution that is still running', async () => {
+      let runs = 0;
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      agentRegistry.register('slow-agent', {
+        run: async () => { runs++; await gate; return { ok: true }; },
+        estimateCost: () => 0
+      });
+      const workflow = new WorkflowDefinition({ id: 'live-run' });
+      workflow.addAgent('slow', { type: 'slow-agent' });
+
+      const orch = new Orchestrator({ registry: agentRegistry, store });
+      const running = orch.execute(workflow);
+      await new Promise(resolve => setImmediate(resolve));
+      const [{ traceId }] = orch.listActive();
+
+      await assert.rejects(
+        () => orch.resumeExecution(traceId),
+        { name: 'ConflictError', statusCode: 409 }
+      );
+
+      release();
+      assert.strictEqual((await running).getSummary().status, 'completed');
+      assert.strictEqual(runs, 1);
+    });
+
+    it('should reject resuming an unknown execution', async () => {
+      const orch = new Orchestrator({ registry: agentRegistry, store });
+      await assert.rejects(
+        () => orch.resumeExecution('missing-trace'),
+        { name: 'NotFoundError', statusCode: 404 }
+      );
+    });
+
+    it('should rebuild stored template workflows by ID', () => {
+      const content = createWorkflow('content', { businessId: 'biz-a', depth: 'quick', formats: ['blog'] });
+      const stored = JSON.parse(JSON.stringify(content.toJSON()));
+      assert.deepStrictEqual(resolveWorkflow(stored).toJSON(), content.toJSON());
+
+      const microsite = createWorkflow('microsite', { businessId: 'biz-a', templateType: 'service', customContent: { topic: 'Scans' } });
+      assert.deepStrictEqual(resolveWorkflow(microsite.toJSON()).toJSON(), microsite.toJSON());
+
+      assert.strictEqual(resolveWorkflow(createCheckpointWorkflow().toJSON()), undefined);
+    });
+
+    it('should not persist dry runs', async () => {
+      const orch = new Orchestrator({ registry: agentRegistry, store });
+      await orch.execute(createCheckpointWorkflow(), { dryRun: true });
+      assert.deepStrictEqual(await orch.listResumable(), []);
+    });
+  });
+
   // ============================================
   // Registry Tests
   // ============================================
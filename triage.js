@@ -86,7 +86,8 @@ async function runTriage() {
               metadata: {
                 emailId: email.id,
                 category: classification.category,
-                confidence: classification.confidence
+                confidence: classification.confidence,
+                classificationId: classification.classificationId
               }
             });
             console.log(`     ✓ Created task: ${task.name}`);
@@ -118,6 +119,7 @@ async function runTriage() {
           sender: email.sender,
           category: classification.category,
           confidence: classification.confidence,
+          classificationId: classification.classificationId,
           source: 'gmail',
           result: DRY_RUN ? 'dry_run' : 'processed'
         };
@@ -197,6 +199,7 @@ async function logAudit(entry) {
     action: entry.action,
     category: entry.category,
     confidence: entry.confidence,
+    classificationId: entry.classificationId,
     emailSubject: entry.subject,
     emailSender: entry.sender,
     source: entry.source,